@@ -70,6 +70,12 @@ export async function createSimpleTodoList() {
             case 'delete':
                 console.log(`🗑️ Deleting todo ${data.id}`);
                 // In real app: await database.deleteTodo(data.id);
+                // Returning the inverse action lets the user undo the delete
+                return { success: true, undo: { action: 'restore', data: { id: data.id } } };
+
+            case 'restore':
+                console.log(`♻️ Restoring todo ${data.id}`);
+                // In real app: await database.restoreTodo(data.id);
                 return { success: true };
 
             default:
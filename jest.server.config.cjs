@@ -0,0 +1,20 @@
+// Server tests: the TypeScript sources compiled as ES modules, so this runs with
+// node --experimental-vm-modules (see the test:server script). The browser
+// components keep jest.config.cjs.
+module.exports = {
+    testEnvironment: 'node',
+    setupFiles: ['<rootDir>/tests/server/setup.ts'],
+    testMatch: ['<rootDir>/tests/server/**/*.test.ts'],
+    extensionsToTreatAsEsm: ['.ts'],
+    // Sources import each other with .js suffixes
+    moduleNameMapper: {
+        '^(\\.{1,2}/.*)\\.js$': '$1'
+    },
+    transform: {
+        '^.+\\.ts$': ['ts-jest', { useESM: true, tsconfig: '<rootDir>/tests/server/tsconfig.json' }]
+    },
+    verbose: true,
+    clearMocks: true,
+    restoreMocks: true,
+    testTimeout: 10000
+};
@@ -1,8 +1,20 @@
 import { SessionManager } from './session/SessionManager.js';
 import { GenericUIServer } from './server/GenericUIServer.js';
+import { SharedUIServer } from './server/SharedUIServer.js';
 import { UIServerConfigBuilder } from './server/UIServerConfig.js';
+import { ActionRegistry } from './server/ActionRegistry.js';
+import { CreateShareOptions } from './proxy/TokenRegistry.js';
+import { AuditLog } from './audit/AuditLog.js';
+import { AuditEntry, AuditQuery, AuditSink, AuditSinkConfig } from './audit/AuditSink.js';
+import { SessionPolicy, sessionEndReason } from './session/SessionPolicy.js';
+import { SessionEventListener, SessionEventName, SessionEvents, SessionTerminationReason } from './session/SessionEvents.js';
+import { MetricsRegistry } from './metrics/MetricsRegistry.js';
+import { MetricsServer } from './metrics/MetricsServer.js';
+import { UIMetrics } from './metrics/UIMetrics.js';
+import { Logger } from './logging/Logger.js';
 import {
     MCPWebUIConfig,
+    SessionShare,
     WebUISession
 } from './types/index.js';
 
@@ -28,9 +40,29 @@ export class MCPWebUI<T = any> {
         proxyMode: boolean;
         mongoDbName: string;
     };
+    private actionRegistry: ActionRegistry;
+    private auditLog?: AuditLog;
+    private events: SessionEvents;
+    private metrics?: UIMetrics;
+    private metricsServer?: MetricsServer;
+    private sharedServer?: SharedUIServer;
+    private standbyServers = new Map<number, SharedUIServer>(); // Restored sessions' own ports, by port
+    private resuming = new Map<string, Promise<GenericUIServer | null>>(); // By session token
+    private restoring: Promise<void>;
     private cleanupInterval?: NodeJS.Timeout;
+    private logger = new Logger('MCPWebUI');
 
     constructor(config: MCPWebUIConfig<T>) {
+        if (!config.dataSource && (!config.dataSources || Object.keys(config.dataSources).length === 0)) {
+            throw new Error('MCPWebUI requires a dataSource or at least one entry in dataSources');
+        }
+        if (!config.onUpdate && (!config.actions || config.actions.length === 0)) {
+            throw new Error('MCPWebUI requires an onUpdate handler or at least one entry in actions');
+        }
+
+        // Built once so duplicate or handler-less actions fail at startup
+        this.actionRegistry = new ActionRegistry(config.actions);
+
         // Set defaults with proper blocked ports handling
         this.config = {
             sessionTimeout: 30 * 60 * 1000, // 30 minutes
@@ -75,6 +107,25 @@ export class MCPWebUI<T = any> {
             this.config.bindAddress = process.env.MCP_WEB_UI_BIND_ADDRESS;
         }
 
+        // One port for every session - MCP_WEB_UI_SHARED_PORT when not configured
+        const sharedPort = this.config.sharedPort ??
+            (process.env.MCP_WEB_UI_SHARED_PORT ? Number(process.env.MCP_WEB_UI_SHARED_PORT) : undefined);
+        if (sharedPort !== undefined && (!Number.isInteger(sharedPort) || sharedPort < 1 || sharedPort > 65535)) {
+            throw new Error(`sharedPort must be a port number between 1 and 65535, got ${sharedPort}`);
+        }
+
+        // A Unix socket per session - MCP_WEB_UI_SOCKET_DIR when not configured. Only the
+        // gateway can reach a socket, so browsers never connect to these sessions directly.
+        const socketDir = this.config.socketDir || process.env.MCP_WEB_UI_SOCKET_DIR || undefined;
+        if (socketDir && !proxyMode) {
+            throw new Error('socketDir requires proxy or gateway mode - browsers cannot connect to a Unix socket');
+        }
+        if (socketDir && sharedPort) {
+            throw new Error('socketDir and sharedPort cannot be used together');
+        }
+
+        this.events = new SessionEvents((level: string, message: string) => this.log(level.toUpperCase() as any, message));
+
         // Create session manager with proxy mode support
         this.sessionManager = new SessionManager(
             this.config.sessionTimeout,
@@ -84,14 +135,37 @@ export class MCPWebUI<T = any> {
             this.config.blockedPorts,
             {
                 proxyMode,
+                tokenStore: this.config.tokenStore,
                 mongoUrl: this.config.mongoUrl,
                 mongoDbName: this.config.mongoDbName,
                 jwtSecret: this.config.jwtSecret,
                 serverName: this.config.serverName,
+                sharedPort,
+                socketDir,
+                sessionStore: this.config.sessionStore,
+                sessionPolicy: this.resolveSessionPolicy(),
+                events: this.events,
                 logger: (level: string, message: string, data?: any) => this.log(level.toUpperCase() as any, message)
             }
         );
 
+        if (sharedPort) {
+            // Started with the first session - on bindAddress, so proxy mode keeps it on localhost
+            this.sharedServer = new SharedUIServer(sharedPort, this.config.bindAddress, this.sessionManager, token => this.resumeSession(token));
+        }
+
+        const auditConfig = this.resolveAuditConfig();
+        if (auditConfig) {
+            this.auditLog = new AuditLog(auditConfig, (level: string, message: string) => this.log(level.toUpperCase() as any, message));
+        }
+
+        this.setupMetrics();
+
+        // Pick up the sessions a previous run persisted, if sessions are persisted
+        this.restoring = this.restoreSessions().catch(error => {
+            this.log('ERROR', `Failed to restore sessions: ${error}`);
+        });
+
         // Set up automatic cleanup - check for expired sessions every minute
         this.startAutomaticCleanup();
 
@@ -102,6 +176,174 @@ export class MCPWebUI<T = any> {
 
 
 
+    /**
+     * Session policy from config, each setting falling back to MCP_WEB_UI_IDLE_TIMEOUT_MINUTES,
+     * MCP_WEB_UI_MAX_SESSION_MINUTES and MCP_WEB_UI_SLIDING_SESSIONS=true
+     */
+    private resolveSessionPolicy(): SessionPolicy {
+        const policy = this.config.sessionPolicy || {};
+        const envMinutes = (name: string) => process.env[name] ? Number(process.env[name]) : undefined;
+
+        return {
+            idleTimeoutMinutes: policy.idleTimeoutMinutes ?? envMinutes('MCP_WEB_UI_IDLE_TIMEOUT_MINUTES'),
+            maxLifetimeMinutes: policy.maxLifetimeMinutes ?? envMinutes('MCP_WEB_UI_MAX_SESSION_MINUTES'),
+            sliding: policy.sliding ?? process.env.MCP_WEB_UI_SLIDING_SESSIONS === 'true'
+        };
+    }
+
+    /**
+     * Metrics from config, falling back to MCP_WEB_UI_METRICS=off and MCP_WEB_UI_METRICS_PORT
+     */
+    private setupMetrics(): void {
+        if (this.config.metrics === false || (!this.config.metrics && process.env.MCP_WEB_UI_METRICS === 'off')) {
+            return;
+        }
+
+        const logger = (level: string, message: string) => this.log(level.toUpperCase() as any, message);
+        const registry = this.config.metrics || new MetricsRegistry(logger);
+        this.metrics = new UIMetrics(registry, this.config.serverName || 'mcp-webui', () => this.activeServers.size);
+
+        const metricsPort = this.config.metricsPort ??
+            (process.env.MCP_WEB_UI_METRICS_PORT ? Number(process.env.MCP_WEB_UI_METRICS_PORT) : undefined);
+        if (metricsPort !== undefined) {
+            if (!Number.isInteger(metricsPort) || metricsPort < 1 || metricsPort > 65535) {
+                throw new Error(`metricsPort must be a port number between 1 and 65535, got ${metricsPort}`);
+            }
+            this.metricsServer = new MetricsServer(registry, metricsPort, this.config.bindAddress, logger);
+            this.metricsServer.start().catch(error => {
+                this.log('ERROR', `Failed to serve metrics: ${error}`);
+            });
+        }
+    }
+
+    /**
+     * Audit sink from config, falling back to MCP_WEB_UI_AUDIT_LOG=memory|file|mongo|off
+     * @returns Undefined when auditing is turned off
+     */
+    private resolveAuditConfig(): AuditSinkConfig | AuditSink | undefined {
+        if (this.config.audit === false) {
+            return undefined;
+        }
+        if (this.config.audit) {
+            return this.config.audit;
+        }
+
+        switch (process.env.MCP_WEB_UI_AUDIT_LOG) {
+            case 'off':
+                return undefined;
+            case 'file':
+                return { type: 'file', path: process.env.MCP_WEB_UI_AUDIT_LOG_PATH || './data/webui-audit.jsonl' };
+            case 'mongo': {
+                const url = this.config.mongoUrl || process.env.MCP_WEB_UI_MONGO_URL;
+                if (!url) {
+                    throw new Error('MCP_WEB_UI_AUDIT_LOG=mongo requires mongoUrl or MCP_WEB_UI_MONGO_URL');
+                }
+                return { type: 'mongo', url, dbName: process.env.MCP_WEB_UI_MONGO_DB_NAME || this.config.mongoDbName };
+            }
+            default:
+                return { type: 'memory' };
+        }
+    }
+
+    /**
+     * Listen for the sessions a previous run persisted
+     * Their UI servers start on first request (see resumeSession), so restoring costs a
+     * listener per port rather than a running server per session.
+     */
+    private async restoreSessions(): Promise<void> {
+        const sessions = await this.sessionManager.restoreSessions();
+        if (sessions.length === 0) {
+            return;
+        }
+
+        for (const port of new Set(sessions.map(session => session.port))) {
+            const onPort = sessions.filter(session => session.port === port);
+            const host = port === this.sharedServer?.port
+                ? this.sharedServer
+                : new SharedUIServer(port, this.config.bindAddress, this.sessionManager, token => this.resumeSession(token),
+                    onPort.length === 1 ? onPort[0].token : undefined);
+
+            try {
+                await host.start();
+                if (host !== this.sharedServer) {
+                    this.standbyServers.set(port, host);
+                }
+            } catch (error) {
+                // Left to expire - the previous process may still be letting go of the port
+                this.log('WARN', `Can't listen on port ${port} for restored sessions: ${error}`);
+            }
+        }
+
+        this.log('INFO', `Restored ${sessions.length} session(s) - each UI starts when its link is next opened`);
+    }
+
+    /**
+     * Start the UI server of a restored session, on the first request for it
+     * Concurrent first requests share one start.
+     * @returns Null when the token isn't a session waiting for its UI server
+     */
+    private resumeSession(token: string): Promise<GenericUIServer | null> {
+        let resuming = this.resuming.get(token);
+        if (!resuming) {
+            resuming = this.startRestoredServer(token).finally(() => this.resuming.delete(token));
+            this.resuming.set(token, resuming);
+        }
+        return resuming;
+    }
+
+    private async startRestoredServer(token: string): Promise<GenericUIServer | null> {
+        const session = await this.sessionManager.getSessionByToken(token);
+        if (!session) {
+            return null;
+        }
+
+        const running = this.activeServers.get(session.id);
+        if (running) {
+            return running;
+        }
+
+        const host = session.port === this.sharedServer?.port ? this.sharedServer : this.standbyServers.get(session.port);
+        if (!host) {
+            return null;
+        }
+
+        const uiServer = this.createUIServer(session, host);
+        await uiServer.start();
+        this.activeServers.set(session.id, uiServer);
+        this.log('INFO', `Resumed session ${session.id} for user ${session.userId} on port ${session.port}`);
+        return uiServer;
+    }
+
+    /**
+     * Stop listening on restored sessions' ports once their sessions have ended
+     * Frees the ports for new sessions.
+     */
+    private async releaseStandbyServers(): Promise<void> {
+        if (this.standbyServers.size === 0) {
+            return;
+        }
+
+        const livePorts = new Set((await this.sessionManager.getActiveSessions()).map(session => session.port));
+
+        for (const [port, host] of this.standbyServers.entries()) {
+            if (livePorts.has(port)) {
+                continue;
+            }
+
+            // A replaced session's UI server may still be mounted there
+            for (const [sessionId, uiServer] of this.activeServers.entries()) {
+                if (uiServer.getSession().port === port) {
+                    await uiServer.stop().catch(error =>
+                        this.log('ERROR', `Error stopping server for session ${sessionId}: ${error}`));
+                    this.activeServers.delete(sessionId);
+                }
+            }
+
+            this.standbyServers.delete(port);
+            await host.stop();
+        }
+    }
+
     /**
      * Start automatic cleanup of expired sessions
      */
@@ -115,9 +357,26 @@ export class MCPWebUI<T = any> {
      * Cleanup expired sessions and their UI servers
      */
     private async cleanupExpiredSessions(): Promise<void> {
+        // Expired, past their max lifetime, or idle for too long - in proxy mode this covers
+        // the registry's sessions too, so their tokens are revoked rather than left to the store's TTL
+        const expiredSessions = await this.sessionManager.findEndedSessions();
+
+        if (expiredSessions.length > 0) {
+            this.log('INFO', `Found ${expiredSessions.length} expired sessions, cleaning up...`);
+
+            for (const { session, reason } of expiredSessions) {
+                const detail = reason === 'idle'
+                    ? `idle since ${session.lastActivity.toISOString()}`
+                    : `expired ${session.expiresAt.toISOString()}`;
+                this.log('INFO', `Session ${session.id} ended (${detail}), terminating...`);
+                await this.events.emit('session:expired', { session, reason });
+                await this.endSession(session.id, reason);
+            }
+        }
+
         if (this.sessionManager.isProxyMode()) {
-            // In proxy mode, MongoDB TTL handles expiration automatically
-            // We need to clean up local UI servers that may be orphaned
+            // UI servers whose tokens the registry no longer holds - revoked at the gateway,
+            // or expired and swept before we got to them
             const activeSessions = await this.sessionManager.getActiveSessions();
             const activeSessionIds = new Set(activeSessions.map(s => s.id));
 
@@ -131,7 +390,22 @@ export class MCPWebUI<T = any> {
 
             if (orphanedServers.length > 0) {
                 this.log('INFO', `Found ${orphanedServers.length} orphaned UI servers, cleaning up...`);
+                const policy = this.sessionManager.getSessionPolicy();
+
                 for (const sessionId of orphanedServers) {
+                    // Still ours: end it like any other session, so listeners hear about it.
+                    // Otherwise it was terminated already and only its server is left.
+                    const session = await this.sessionManager.getSession(sessionId);
+                    if (session) {
+                        const reason = sessionEndReason(session, policy);
+                        if (reason) {
+                            await this.events.emit('session:expired', { session, reason });
+                        }
+                        await this.endSession(sessionId, reason || 'revoked');
+                        this.log('INFO', `Cleaned up orphaned UI server for session ${sessionId}`);
+                        continue;
+                    }
+
                     const uiServer = this.activeServers.get(sessionId);
                     if (uiServer) {
                         try {
@@ -147,20 +421,6 @@ export class MCPWebUI<T = any> {
 
             const stats = await this.sessionManager.getStats();
             this.log('INFO', `Proxy mode active sessions: ${stats.totalActiveSessions || 0}, UI servers: ${this.activeServers.size}`);
-        } else {
-            // Direct mode: manual cleanup
-            const now = new Date();
-            const activeSessions = await this.sessionManager.getActiveSessions();
-            const expiredSessions = activeSessions.filter(session => now > session.expiresAt);
-
-            if (expiredSessions.length > 0) {
-                this.log('INFO', `Found ${expiredSessions.length} expired sessions, cleaning up...`);
-
-                for (const session of expiredSessions) {
-                    this.log('INFO', `Session ${session.id} expired (${session.expiresAt.toISOString()}), terminating...`);
-                    await this.terminateSession(session.id);
-                }
-            }
         }
     }
 
@@ -169,18 +429,22 @@ export class MCPWebUI<T = any> {
      * Returns the session with URL that can be shared
      * Automatically cleans up any existing session for the same user
      * Uses UnifiedSessionManager which handles both direct and proxy modes
+     * @param options.scopes - Limit what the link can do, e.g. ['read'] for a view-only share
      */
-    async createSession(userId: string): Promise<WebUISession> {
+    async createSession(userId: string, options: { scopes?: string[] } = {}): Promise<WebUISession> {
         try {
+            // Restored sessions first, so a restored session for this user is replaced rather than duplicated
+            await this.restoring;
+
             this.log('INFO', `[SESSION-CREATION] Starting session creation for user: ${userId}`);
             this.log('INFO', `[SESSION-CREATION] Environment: GATEWAY=${process.env.MCP_WEB_UI_USE_GATEWAY}, URL=${process.env.MCP_WEB_UI_GATEWAY_URL}, BASE=${process.env.MCP_WEB_UI_BASE_URL}, PREFIX=${process.env.MCP_WEB_UI_PROXY_PREFIX}`);
 
             // Create session using unified session manager
             this.log('INFO', `[SESSION-CREATION] Calling sessionManager.createSession(${userId})`);
-            const session = await this.sessionManager.createSession(userId);
+            const session = await this.sessionManager.createSession(userId, options);
 
             // Debug: Log what SessionManager actually returned
-            this.log('INFO', `[SESSION-CREATION] SessionManager returned session: ID=${session.id}, Token=${session.token}, URL=${session.url}, Port=${session.port}`);
+            this.log('INFO', `[SESSION-CREATION] SessionManager returned session: ID=${session.id}, Port=${session.port}`);
 
             // Check if we already have an active UI server for this session
             const existingServer = this.activeServers.get(session.id);
@@ -205,31 +469,24 @@ export class MCPWebUI<T = any> {
                 this.log('WARN', `[SESSION-CREATION] Active session IDs: ${Array.from(this.activeServers.keys()).join(', ')}`);
             }
 
+            // The session may have replaced a restored one that was holding this port
+            await this.releaseStandbyServers();
+
             // Create UI server only if we don't have one already
             this.log('INFO', `[SESSION-CREATION] Creating new UI server on port ${session.port}`);
-            const uiConfig = this.createUIServerConfig();
-
-            const uiServer = new GenericUIServer(
-                session,
-                this.config.schema,
-                this.config.dataSource,
-                this.config.onUpdate,
-                this.sessionManager,
-                uiConfig,
-                this.config.pollInterval,
-                this.config.bindAddress,
-                this.config.protocol as 'http' | 'https'
-            );
+            const uiServer = this.createUIServer(session, this.sharedServer);
 
             try {
                 await uiServer.start();
                 this.activeServers.set(session.id, uiServer);
 
-                this.log('INFO', `[SESSION-CREATION] UI server started successfully for user ${userId}: ${session.url}`);
-                this.log('INFO', `[SESSION-CREATION] Session details: ID=${session.id}, Token=${session.token}, Port=${session.port}`);
+                this.log('INFO', `[SESSION-CREATION] UI server started successfully for user ${userId}`);
+                this.log('INFO', `[SESSION-CREATION] Session details: ID=${session.id}, Port=${session.port}`);
+                await this.events.emit('session:created', { session });
                 return session;
             } catch (error: any) {
-                if (error.message && error.message.includes('already in use')) {
+                // A busy shared port isn't held by one of our session servers - nothing to clean up
+                if (!this.sharedServer && error.message && error.message.includes('already in use')) {
                     this.log('WARN', `[SESSION-CREATION] Port ${session.port} conflict detected. Attempting to clean up conflicting servers...`);
 
                     // Find and stop any servers that might be conflicting
@@ -252,7 +509,8 @@ export class MCPWebUI<T = any> {
                         try {
                             await uiServer.start();
                             this.activeServers.set(session.id, uiServer);
-                            this.log('INFO', `[SESSION-CREATION] UI server started successfully after cleanup for user ${userId}: ${session.url}`);
+                            this.log('INFO', `[SESSION-CREATION] UI server started successfully after cleanup for user ${userId}`);
+                            await this.events.emit('session:created', { session });
                             return session;
                         } catch (retryError) {
                             this.log('ERROR', `[SESSION-CREATION] Retry failed: ${retryError}`);
@@ -268,6 +526,29 @@ export class MCPWebUI<T = any> {
         }
     }
 
+    /**
+     * UI server for a session - listening on the session's port, or mounted on a host
+     */
+    private createUIServer(session: WebUISession, host?: SharedUIServer): GenericUIServer {
+        return new GenericUIServer(
+            session,
+            this.config.schema,
+            this.config.dataSource,
+            this.config.onUpdate,
+            this.sessionManager,
+            this.createUIServerConfig(),
+            this.config.pollInterval,
+            this.config.bindAddress,
+            this.config.protocol as 'http' | 'https',
+            this.config.dataSources || {},
+            this.actionRegistry,
+            this.auditLog,
+            host,
+            this.events,
+            this.metrics
+        );
+    }
+
     /**
  * Create UI server configuration with MCP server CSS support
  * Environment variable driven approach
@@ -301,6 +582,14 @@ export class MCPWebUI<T = any> {
      * Manually terminate a session
      */
     async terminateSession(sessionId: string): Promise<boolean> {
+        return this.endSession(sessionId, 'closed');
+    }
+
+    /**
+     * Stop a session's UI server and terminate the session
+     * @param reason - Passed on to 'session:terminated' listeners
+     */
+    private async endSession(sessionId: string, reason: SessionTerminationReason): Promise<boolean> {
         try {
             const uiServer = this.activeServers.get(sessionId);
             if (uiServer) {
@@ -308,9 +597,10 @@ export class MCPWebUI<T = any> {
                 this.activeServers.delete(sessionId);
             }
 
-            const success = await this.sessionManager.terminateSession(sessionId);
+            const success = await this.sessionManager.terminateSession(sessionId, reason);
             if (success) {
                 this.log('INFO', `Terminated session ${sessionId}`);
+                await this.releaseStandbyServers();
             }
             return success;
         } catch (error) {
@@ -319,6 +609,188 @@ export class MCPWebUI<T = any> {
         }
     }
 
+    /**
+     * Listen for session lifecycle events - e.g. to tell the model the user closed the UI
+     * Async listeners are awaited before the session is torn down. See SessionEventMap for
+     * each event's payload.
+     */
+    on<E extends SessionEventName>(event: E, listener: SessionEventListener<E>): this {
+        this.events.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Listen for the next occurrence of a session lifecycle event
+     */
+    once<E extends SessionEventName>(event: E, listener: SessionEventListener<E>): this {
+        this.events.once(event, listener);
+        return this;
+    }
+
+    /**
+     * Stop listening for a session lifecycle event
+     */
+    off<E extends SessionEventName>(event: E, listener: SessionEventListener<E>): this {
+        this.events.off(event, listener);
+        return this;
+    }
+
+    /**
+     * A user's live UI sessions on this server, most recently used first
+     * Each session's lastActivity shows when its UI was last used.
+     */
+    async listSessions(userId: string): Promise<WebUISession[]> {
+        return await this.sessionManager.listUserSessions(userId);
+    }
+
+    /**
+     * Close all of a user's UIs on this server
+     * Their links, and any share links made from them, stop working.
+     * @returns Number of sessions revoked
+     */
+    async revokeAllSessions(userId: string): Promise<number> {
+        return (await this.revokeSessions(userId)).length;
+    }
+
+    /**
+     * Revoke a user's sessions and stop their UI servers
+     * @param sessionId - When given, only that session is revoked
+     */
+    private async revokeSessions(userId: string, sessionId?: string): Promise<WebUISession[]> {
+        const revoked = await this.sessionManager.revokeUserSessions(userId, sessionId);
+
+        for (const session of revoked) {
+            const uiServer = this.activeServers.get(session.id);
+            if (uiServer) {
+                await uiServer.stop().catch(error =>
+                    this.log('ERROR', `Error stopping server for session ${session.id}: ${error}`));
+                this.activeServers.delete(session.id);
+            }
+        }
+
+        if (revoked.length > 0) {
+            this.log('INFO', `Revoked ${revoked.length} session(s) for user ${userId}`);
+            await this.releaseStandbyServers();
+        }
+        return revoked;
+    }
+
+    /**
+     * Create a share link to a user's UI - read only for a day unless options say otherwise
+     * Starts a session for the user when they don't have one running.
+     * @throws If the options are invalid (e.g. scopes the user's session doesn't hold)
+     */
+    async createShareLink(userId: string, options: CreateShareOptions = {}): Promise<SessionShare> {
+        const session = await this.findActiveSession(userId) || await this.createSession(userId);
+        const share = await this.sessionManager.createShare(session.token, options);
+        this.log('INFO', `Created share link ${share.id} for user ${userId} (${share.scopes.join(', ')})`);
+        return share;
+    }
+
+    /**
+     * A user's active share links, newest first
+     */
+    async listShareLinks(userId: string): Promise<SessionShare[]> {
+        const session = await this.findActiveSession(userId);
+        return session ? await this.sessionManager.listShares(session.token) : [];
+    }
+
+    /**
+     * Revoke one of a user's share links
+     * @returns False when the user has no share link with that id
+     */
+    async revokeShareLink(userId: string, shareId: string): Promise<boolean> {
+        const session = await this.findActiveSession(userId);
+        return session ? await this.sessionManager.revokeShare(session.token, shareId) : false;
+    }
+
+    /**
+     * Session of the user's running UI server, if any - or in direct mode, a restored
+     * session whose UI server hasn't been started yet
+     */
+    private async findActiveSession(userId: string): Promise<WebUISession | undefined> {
+        for (const uiServer of this.activeServers.values()) {
+            const session = uiServer.getSession();
+            if (session.userId === userId && session.isActive) {
+                return session;
+            }
+        }
+
+        if (this.sessionManager.isProxyMode()) {
+            return undefined;
+        }
+        const [restored] = await this.sessionManager.listUserSessions(userId);
+        return restored;
+    }
+
+    /**
+     * Notify a user's open UIs that their data changed
+     * Call this from MCP tools after mutating data so connected browsers
+     * refresh immediately over the event stream instead of waiting for a poll
+     * Include `source: '<name>'` in the payload to refresh only components bound to that data source
+     * @returns Number of event stream clients notified
+     */
+    notifyChange(userId: string, payload?: any): number {
+        let notified = 0;
+
+        for (const uiServer of this.activeServers.values()) {
+            if (uiServer.getSession().userId === userId) {
+                notified += uiServer.notifyChange(payload);
+            }
+        }
+
+        return notified;
+    }
+
+    /**
+     * Record a change made outside the web UI in the audit trail
+     * Call this from MCP tools that mutate data so the trail shows the model's changes
+     * alongside the ones people made in the browser.
+     * @returns The stored entry, or null when auditing is off or the sink failed
+     */
+    async recordAudit(
+        userId: string,
+        action: string,
+        payload?: any,
+        options: { origin?: 'assistant' | 'system'; success?: boolean; error?: string } = {}
+    ): Promise<AuditEntry | null> {
+        if (!this.auditLog) {
+            return null;
+        }
+
+        const success = options.success ?? !options.error;
+        return await this.auditLog.record({
+            origin: options.origin || 'assistant',
+            userId,
+            serverName: this.config.serverName || 'mcp-webui',
+            sessionId: (await this.findActiveSession(userId))?.id,
+            action,
+            payload,
+            status: success ? 200 : 500,
+            success,
+            error: options.error
+        });
+    }
+
+    /**
+     * Audit entries for this server, newest first
+     * Scoped to this server's name unless the query names another.
+     */
+    async getAuditTrail(query: AuditQuery = {}): Promise<AuditEntry[]> {
+        if (!this.auditLog) {
+            return [];
+        }
+        return await this.auditLog.query({ serverName: this.config.serverName || 'mcp-webui', ...query });
+    }
+
+    /**
+     * Metrics of this web UI in the Prometheus text format - for hosts serving /metrics themselves
+     * @returns Null when metrics are turned off
+     */
+    async getMetrics(): Promise<string | null> {
+        return this.metrics ? await this.metrics.registry.render() : null;
+    }
+
     /**
      * Get stats about active sessions and servers
      */
@@ -345,6 +817,9 @@ export class MCPWebUI<T = any> {
             this.cleanupInterval = undefined;
         }
 
+        // Listeners can still reach the sessions and their UI servers
+        await this.events.emit('shutdown', { sessions: await this.sessionManager.getActiveSessions() });
+
         // Stop all active servers
         const stopPromises = Array.from(this.activeServers.values()).map(server =>
             server.stop().catch(error =>
@@ -354,10 +829,18 @@ export class MCPWebUI<T = any> {
 
         await Promise.all(stopPromises);
         this.activeServers.clear();
+        await this.sharedServer?.stop();
+        await Promise.all(Array.from(this.standbyServers.values()).map(host => host.stop()));
+        this.standbyServers.clear();
 
         // Shutdown unified session manager (handles both modes)
         await this.sessionManager.shutdown();
 
+        await this.auditLog?.close();
+
+        this.metrics?.close();
+        await this.metricsServer?.stop();
+
         this.log('INFO', 'MCPWebUI shutdown complete');
     }
 
@@ -385,6 +868,173 @@ export class MCPWebUI<T = any> {
 
 
 
+    /**
+     * Create MCP tool definition for share_web_ui
+     */
+    getShareToolDefinition() {
+        return {
+            name: "share_web_ui",
+            description: `Create a link to the ${this.config.schema.title} web interface that someone else can open`,
+            inputSchema: {
+                type: "object" as const,
+                properties: {
+                    access: {
+                        type: "string" as const,
+                        enum: ["view", "edit"],
+                        description: "view (read only, default) or edit"
+                    },
+                    expires_minutes: {
+                        type: "number" as const,
+                        description: "Minutes until the link stops working (default: 1440)",
+                        minimum: 1,
+                        maximum: 10080
+                    },
+                    max_uses: {
+                        type: "number" as const,
+                        description: "How many times the link can be opened (default: unlimited)",
+                        minimum: 1
+                    }
+                },
+                additionalProperties: false
+            }
+        };
+    }
+
+    /**
+     * Create MCP tool definitions for list_web_ui_sessions and close_web_ui
+     * Register both so the assistant can see which UIs are open and close them.
+     */
+    getSessionToolDefinitions() {
+        return [
+            {
+                name: "list_web_ui_sessions",
+                description: `List the open ${this.config.schema.title} web interfaces and when each was last used`,
+                inputSchema: {
+                    type: "object" as const,
+                    properties: {},
+                    additionalProperties: false
+                }
+            },
+            {
+                name: "close_web_ui",
+                description: `Close ${this.config.schema.title} web interfaces so their links stop working`,
+                inputSchema: {
+                    type: "object" as const,
+                    properties: {
+                        session_id: {
+                            type: "string" as const,
+                            description: "Session to close, from list_web_ui_sessions (default: close all)"
+                        }
+                    },
+                    additionalProperties: false
+                }
+            }
+        ];
+    }
+
+    /**
+     * Handle the list_web_ui_sessions tool call
+     */
+    async handleListWebUISessions(userId: string): Promise<{
+        content: Array<{ type: string; text: string }>;
+    }> {
+        try {
+            const sessions = await this.listSessions(userId);
+            if (sessions.length === 0) {
+                return {
+                    content: [{ type: "text", text: `No ${this.config.schema.title} web interfaces are open.` }]
+                };
+            }
+
+            const lines = sessions.map(session =>
+                `🆔 **Session**: ${session.id}\n` +
+                `🔗 **URL**: ${session.url}\n` +
+                `🕒 **Last used**: ${session.lastActivity.toLocaleString()}\n` +
+                `⏰ **Expires**: ${session.expiresAt.toLocaleString()}` +
+                (session.scopes ? `\n🔒 **Access**: ${session.scopes.join(', ')}` : '')
+            );
+
+            return {
+                content: [{
+                    type: "text",
+                    text: `🌐 ${sessions.length} open ${this.config.schema.title} web interface${sessions.length === 1 ? '' : 's'}:\n\n` +
+                        lines.join('\n\n')
+                }]
+            };
+        } catch (error) {
+            return {
+                content: [{
+                    type: "text",
+                    text: `❌ Failed to list web UI sessions: ${error instanceof Error ? error.message : 'Unknown error'}`
+                }]
+            };
+        }
+    }
+
+    /**
+     * Handle the close_web_ui tool call
+     */
+    async handleCloseWebUI(userId: string, args: { session_id?: string } = {}): Promise<{
+        content: Array<{ type: string; text: string }>;
+    }> {
+        try {
+            const revoked = await this.revokeSessions(userId, args.session_id);
+
+            let text: string;
+            if (revoked.length > 0) {
+                text = `🔒 Closed ${revoked.length} ${this.config.schema.title} web interface${revoked.length === 1 ? '' : 's'} - ` +
+                    `${revoked.length === 1 ? 'its link' : 'their links'} and any share links no longer work.`;
+            } else if (args.session_id) {
+                text = `No open web interface with session ID ${args.session_id}.`;
+            } else {
+                text = `No ${this.config.schema.title} web interfaces were open.`;
+            }
+
+            return { content: [{ type: "text", text }] };
+        } catch (error) {
+            return {
+                content: [{
+                    type: "text",
+                    text: `❌ Failed to close web UI: ${error instanceof Error ? error.message : 'Unknown error'}`
+                }]
+            };
+        }
+    }
+
+    /**
+     * Handle the share_web_ui tool call
+     */
+    async handleShareWebUI(userId: string, args: { access?: 'view' | 'edit'; expires_minutes?: number; max_uses?: number } = {}): Promise<{
+        content: Array<{ type: string; text: string }>;
+    }> {
+        try {
+            const share = await this.createShareLink(userId, {
+                scopes: args.access === 'edit' ? ['read', 'write'] : ['read'],
+                ttlMinutes: args.expires_minutes,
+                maxUses: args.max_uses
+            });
+            const canEdit = share.scopes.includes('write');
+
+            return {
+                content: [{
+                    type: "text",
+                    text: `🔗 Here is a link your partner can ${canEdit ? 'view and edit' : 'view'}:\n\n` +
+                        `${share.url}\n\n` +
+                        `⏰ **Link expires**: ${share.expiresAt.toLocaleString()}\n` +
+                        (share.maxUses ? `🔢 **Can be opened**: ${share.maxUses} time${share.maxUses === 1 ? '' : 's'}\n` : '') +
+                        `🆔 **Share ID**: ${share.id}`
+                }]
+            };
+        } catch (error) {
+            return {
+                content: [{
+                    type: "text",
+                    text: `❌ Failed to create share link: ${error instanceof Error ? error.message : 'Unknown error'}`
+                }]
+            };
+        }
+    }
+
     /**
      * Handle the get_web_ui tool call
      * This is what MCP servers will call
@@ -420,8 +1070,7 @@ export class MCPWebUI<T = any> {
      */
     private log(level: 'INFO' | 'WARN' | 'ERROR', message: string): void {
         if (this.config.enableLogging) {
-            const timestamp = new Date().toISOString();
-            console.error(`[${timestamp}][${level}][MCPWebUI] ${message}`);
+            this.logger.log(level, message);
         }
     }
 } 
\ No newline at end of file
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import {
+    AuditEntry,
+    AuditQuery,
+    AuditSink,
+    AuditSinkConfig,
+    createAuditSink,
+    sanitizeAuditPayload
+} from './AuditSink.js';
+import { Logger } from '../logging/Logger.js';
+
+export type AuditRecord = Omit<AuditEntry, 'id' | 'timestamp'>;
+
+// Used when no logger is passed in
+const defaultLogger = new Logger('AuditLog');
+
+/**
+ * AuditLog - Append-only trail of data changes over a pluggable sink
+ * Stamps and sanitizes entries before they reach the sink. A sink that fails is
+ * logged, never allowed to fail the change being recorded.
+ */
+export class AuditLog {
+    private sink: Promise<AuditSink | null>;
+    private ownsSink: boolean;
+
+    /**
+     * @param config - Sink configuration, or a sink instance (which close() leaves open)
+     */
+    constructor(
+        config: AuditSinkConfig | AuditSink,
+        private logger?: (level: string, message: string, data?: any) => void
+    ) {
+        this.ownsSink = !('append' in config);
+        this.sink = createAuditSink(config, logger).catch(error => {
+            this.log('error', '[AuditLog] Failed to open audit sink - changes will not be recorded', error);
+            return null;
+        });
+    }
+
+    /**
+     * Append an entry
+     * @returns The entry as stored, or null if the sink couldn't take it
+     */
+    async record(record: AuditRecord): Promise<AuditEntry | null> {
+        const entry: AuditEntry = {
+            ...record,
+            id: crypto.randomUUID(),
+            timestamp: new Date(),
+            payload: sanitizeAuditPayload(record.payload)
+        };
+
+        try {
+            const sink = await this.sink;
+            if (!sink) {
+                return null;
+            }
+            await sink.append(entry);
+            return entry;
+        } catch (error) {
+            this.log('error', `[AuditLog] Failed to record ${entry.action} for user ${entry.userId}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Entries matching a query, newest first
+     */
+    async query(query: AuditQuery): Promise<AuditEntry[]> {
+        const sink = await this.sink;
+        return sink ? await sink.query(query) : [];
+    }
+
+    async close(): Promise<void> {
+        if (this.ownsSink) {
+            const sink = await this.sink;
+            await sink?.close();
+        }
+    }
+
+    private log(level: string, message: string, data?: any): void {
+        if (this.logger) {
+            this.logger(level, message, data);
+        } else {
+            defaultLogger.log(level, message, data);
+        }
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * AuditSink - Where the audit trail of data changes is written
+ *
+ * GenericUIServer appends one entry for every action a browser sends (POST /api/update,
+ * POST /api/undo and WebSocket actions), whether it succeeded or was rejected. MCP tools
+ * can append their own changes with origin 'assistant', so the trail shows whether a
+ * person or the model changed the data. Entries are never updated or deleted.
+ */
+
+/**
+ * Who made a change - a person using the web UI, the model through an MCP tool, or the server itself
+ */
+export type AuditOrigin = 'ui' | 'assistant' | 'system';
+
+export interface AuditEntry {
+    id: string;
+    timestamp: Date;
+    origin: AuditOrigin;
+    userId: string;
+    serverName: string;
+    sessionId?: string;
+    action: string;
+    payload?: any; // Sanitized - see sanitizeAuditPayload
+    status: number; // HTTP status of the result (200, or the rejection's 4xx/5xx)
+    success: boolean;
+    error?: string;
+    clientIp?: string;
+    channel?: 'http' | 'websocket' | 'undo';
+    viaShare?: boolean; // Made through a share link rather than the owner's own link
+    requestId?: string; // Request that made the change - see the logs' requestId
+}
+
+/**
+ * Audit query - all given fields must match
+ */
+export interface AuditQuery {
+    userId?: string;
+    serverName?: string;
+    sessionId?: string;
+    action?: string;
+    origin?: AuditOrigin;
+    since?: Date; // Entries at or after this time
+    before?: Date; // Entries before this time
+    limit?: number; // Default 100
+}
+
+export interface AuditSink {
+    readonly type: string;
+
+    append(entry: AuditEntry): Promise<void>;
+    query(query: AuditQuery): Promise<AuditEntry[]>; // Newest first
+    close(): Promise<void>;
+}
+
+export type AuditSinkConfig =
+    | { type: 'memory'; maxEntries?: number }
+    | { type: 'file'; path: string }
+    | { type: 'mongo'; url: string; dbName?: string; collection?: string }
+    | { type: 'callback'; onEntry: (entry: AuditEntry) => void | Promise<void> };
+
+export const AUDIT_ORIGINS: AuditOrigin[] = ['ui', 'assistant', 'system'];
+
+const DEFAULT_QUERY_LIMIT = 100;
+
+// Payload fields that are never written to the audit trail
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|api[-_]?key|authorization|credential/i;
+const MAX_PAYLOAD_STRING = 500;
+const MAX_PAYLOAD_DEPTH = 5;
+const MAX_PAYLOAD_ITEMS = 50;
+
+/**
+ * Whether an entry matches a query - shared by the sinks that filter in code
+ */
+export function matchesAuditQuery(entry: AuditEntry, query: AuditQuery): boolean {
+    return (query.userId === undefined || entry.userId === query.userId) &&
+        (query.serverName === undefined || entry.serverName === query.serverName) &&
+        (query.sessionId === undefined || entry.sessionId === query.sessionId) &&
+        (query.action === undefined || entry.action === query.action) &&
+        (query.origin === undefined || entry.origin === query.origin) &&
+        (query.since === undefined || entry.timestamp >= query.since) &&
+        (query.before === undefined || entry.timestamp < query.before);
+}
+
+/**
+ * Query limit with the default applied
+ */
+export function auditQueryLimit(query: AuditQuery): number {
+    return query.limit !== undefined && query.limit > 0 ? Math.floor(query.limit) : DEFAULT_QUERY_LIMIT;
+}
+
+/**
+ * Make an action payload safe to keep
+ * Secret-looking fields are redacted, long strings truncated, and deep or large
+ * structures cut short.
+ */
+export function sanitizeAuditPayload(value: any, depth = 0): any {
+    if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'string') {
+        return value.length > MAX_PAYLOAD_STRING ? `${value.slice(0, MAX_PAYLOAD_STRING)}…` : value;
+    }
+    if (depth >= MAX_PAYLOAD_DEPTH) {
+        return '[truncated]';
+    }
+    if (Array.isArray(value)) {
+        const items = value.slice(0, MAX_PAYLOAD_ITEMS).map(item => sanitizeAuditPayload(item, depth + 1));
+        return value.length > MAX_PAYLOAD_ITEMS ? [...items, `[${value.length - MAX_PAYLOAD_ITEMS} more]`] : items;
+    }
+    if (typeof value === 'object') {
+        const result: Record<string, any> = {};
+        for (const [key, field] of Object.entries(value).slice(0, MAX_PAYLOAD_ITEMS)) {
+            result[key] = SECRET_KEY_PATTERN.test(key) ? '[redacted]' : sanitizeAuditPayload(field, depth + 1);
+        }
+        return result;
+    }
+    return String(value);
+}
+
+/**
+ * Hands every entry to a function - for shipping the trail to your own logging
+ * Nothing is kept, so queries return no entries.
+ */
+export class CallbackAuditSink implements AuditSink {
+    readonly type: string = 'callback';
+
+    constructor(private onEntry: (entry: AuditEntry) => void | Promise<void>) { }
+
+    async append(entry: AuditEntry): Promise<void> {
+        await this.onEntry(entry);
+    }
+
+    async query(): Promise<AuditEntry[]> {
+        return [];
+    }
+
+    async close(): Promise<void> { }
+}
+
+/**
+ * Build a sink from configuration
+ */
+export async function createAuditSink(
+    config: AuditSinkConfig | AuditSink,
+    logger?: (level: string, message: string, data?: any) => void
+): Promise<AuditSink> {
+    if ('append' in config) {
+        return config;
+    }
+
+    switch (config.type) {
+        case 'memory': {
+            const { MemoryAuditSink } = await import('./MemoryAuditSink.js');
+            return new MemoryAuditSink({ maxEntries: config.maxEntries });
+        }
+        case 'file': {
+            const { FileAuditSink } = await import('./FileAuditSink.js');
+            return new FileAuditSink(config.path, { logger });
+        }
+        case 'mongo': {
+            const { MongoAuditSink } = await import('./MongoAuditSink.js');
+            return await MongoAuditSink.connect(config.url, config.dbName || 'mcp_webui', config.collection, logger);
+        }
+        case 'callback':
+            return new CallbackAuditSink(config.onEntry);
+        default:
+            throw new Error(`Unknown audit sink type: ${(config as { type: string }).type}`);
+    }
+}
@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { AuditEntry, AuditQuery, AuditSink, auditQueryLimit, matchesAuditQuery } from './AuditSink.js';
+import { Logger } from '../logging/Logger.js';
+
+// Used when no logger is passed in
+const defaultLogger = new Logger('FileAuditSink');
+
+/**
+ * File audit sink - one JSON line per entry, appended and never rewritten
+ * Queries read the whole file, so rotate it (e.g. with logrotate's copytruncate)
+ * once it grows large.
+ */
+export class FileAuditSink implements AuditSink {
+    readonly type: string = 'file';
+
+    private logger?: (level: string, message: string, data?: any) => void;
+
+    constructor(
+        private filePath: string,
+        options: { logger?: (level: string, message: string, data?: any) => void } = {}
+    ) {
+        this.logger = options.logger;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    async append(entry: AuditEntry): Promise<void> {
+        await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    }
+
+    async query(query: AuditQuery): Promise<AuditEntry[]> {
+        let content: string;
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error: any) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const lines = content.split('\n');
+        const matching: AuditEntry[] = [];
+        const limit = auditQueryLimit(query);
+
+        // Newest entries are at the end
+        for (let i = lines.length - 1; i >= 0 && matching.length < limit; i--) {
+            if (!lines[i].trim()) continue;
+
+            let entry: AuditEntry;
+            try {
+                entry = JSON.parse(lines[i]);
+                entry.timestamp = new Date(entry.timestamp);
+            } catch (error) {
+                this.log('warn', `[FileAuditSink] Skipping unreadable line in ${this.filePath}`, error);
+                continue;
+            }
+
+            if (matchesAuditQuery(entry, query)) {
+                matching.push(entry);
+            }
+        }
+        return matching;
+    }
+
+    async close(): Promise<void> { }
+
+    private log(level: string, message: string, data?: any): void {
+        if (this.logger) {
+            this.logger(level, message, data);
+        } else {
+            defaultLogger.log(level, message, data);
+        }
+    }
+}
@@ -0,0 +1,37 @@
+import { AuditEntry, AuditQuery, AuditSink, auditQueryLimit, matchesAuditQuery } from './AuditSink.js';
+
+/**
+ * In-process audit sink - the default
+ * Keeps the most recent entries only, and nothing survives a restart.
+ */
+export class MemoryAuditSink implements AuditSink {
+    readonly type: string = 'memory';
+
+    private entries: AuditEntry[] = [];
+    private maxEntries: number;
+
+    constructor(options: { maxEntries?: number } = {}) {
+        this.maxEntries = options.maxEntries ?? 1000;
+    }
+
+    async append(entry: AuditEntry): Promise<void> {
+        this.entries.push({ ...entry });
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    async query(query: AuditQuery): Promise<AuditEntry[]> {
+        const matching: AuditEntry[] = [];
+        const limit = auditQueryLimit(query);
+
+        for (let i = this.entries.length - 1; i >= 0 && matching.length < limit; i--) {
+            if (matchesAuditQuery(this.entries[i], query)) {
+                matching.push({ ...this.entries[i] });
+            }
+        }
+        return matching;
+    }
+
+    async close(): Promise<void> { }
+}
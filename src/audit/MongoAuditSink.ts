@@ -0,0 +1,89 @@
+import { MongoClient, Db, Collection, Filter } from 'mongodb';
+import { AuditEntry, AuditQuery, AuditSink, auditQueryLimit } from './AuditSink.js';
+import { Logger } from '../logging/Logger.js';
+
+// Used when no logger is passed in
+const defaultLogger = new Logger('MongoAuditSink');
+
+/**
+ * MongoDB audit sink
+ * Collection: webui_audit_log (configurable)
+ */
+export class MongoAuditSink implements AuditSink {
+    readonly type: string = 'mongo';
+
+    private collection: Collection<AuditEntry>;
+
+    /**
+     * @param db - Connected database
+     * @param client - Closed by close() when the sink owns the connection
+     */
+    constructor(
+        db: Db,
+        collectionName = 'webui_audit_log',
+        private client?: MongoClient,
+        private logger?: (level: string, message: string, data?: any) => void
+    ) {
+        this.collection = db.collection<AuditEntry>(collectionName);
+        this.setupIndexes();
+    }
+
+    /**
+     * Connect and return a sink that owns the connection
+     */
+    static async connect(url: string, dbName: string, collectionName?: string, logger?: (level: string, message: string, data?: any) => void): Promise<MongoAuditSink> {
+        const client = new MongoClient(url);
+        await client.connect();
+        return new MongoAuditSink(client.db(dbName), collectionName, client, logger);
+    }
+
+    private async setupIndexes(): Promise<void> {
+        try {
+            await this.collection.createIndex({ id: 1 }, { unique: true });
+            await this.collection.createIndex({ userId: 1, timestamp: -1 });
+            await this.collection.createIndex({ serverName: 1, timestamp: -1 });
+        } catch (error) {
+            this.log('error', '[MongoAuditSink] Failed to create indexes:', error);
+        }
+    }
+
+    async append(entry: AuditEntry): Promise<void> {
+        await this.collection.insertOne({ ...entry });
+    }
+
+    async query(query: AuditQuery): Promise<AuditEntry[]> {
+        const filter: Filter<AuditEntry> = {};
+        if (query.userId !== undefined) filter.userId = query.userId;
+        if (query.serverName !== undefined) filter.serverName = query.serverName;
+        if (query.sessionId !== undefined) filter.sessionId = query.sessionId;
+        if (query.action !== undefined) filter.action = query.action;
+        if (query.origin !== undefined) filter.origin = query.origin;
+        if (query.since !== undefined || query.before !== undefined) {
+            filter.timestamp = {
+                ...(query.since !== undefined ? { $gte: query.since } : {}),
+                ...(query.before !== undefined ? { $lt: query.before } : {})
+            };
+        }
+
+        return await this.collection
+            .find(filter, { projection: { _id: 0 } })
+            .sort({ timestamp: -1 })
+            .limit(auditQueryLimit(query))
+            .toArray();
+    }
+
+    async close(): Promise<void> {
+        if (this.client) {
+            await this.client.close();
+            this.client = undefined;
+        }
+    }
+
+    private log(level: string, message: string, data?: any): void {
+        if (this.logger) {
+            this.logger(level, message, data);
+        } else {
+            defaultLogger.log(level, message, data);
+        }
+    }
+}
@@ -1,27 +1,64 @@
 #!/usr/bin/env node
 
 import { GatewayProxyServer } from './proxy/GatewayProxyServer.js';
+import { TokenStoreConfig } from './proxy/TokenStore.js';
+
+// MCP_GATEWAY_TOKEN_STORE=memory|file|mongo (default mongo)
+const storeType = process.env.MCP_GATEWAY_TOKEN_STORE || 'mongo';
+const tokenStore: TokenStoreConfig | undefined =
+    storeType === 'memory' ? { type: 'memory' } :
+        storeType === 'file' ? { type: 'file', path: process.env.MCP_GATEWAY_TOKEN_STORE_PATH || './data/gateway-tokens.jsonl' } :
+            undefined;
 
 // Load environment variables
 const config = {
     port: parseInt(process.env.MCP_GATEWAY_PORT || '3081'),
     host: process.env.MCP_GATEWAY_HOST || '0.0.0.0',
+    tokenStore,
     mongoUrl: process.env.MCP_GATEWAY_MONGO_URL || 'mongodb://localhost:27017',
     mongoDbName: process.env.MCP_GATEWAY_MONGO_DB_NAME || 'mcp_webui',
     jwtSecret: process.env.MCP_GATEWAY_JWT_SECRET || 'default-secret-change-me',
     proxyPrefix: process.env.MCP_GATEWAY_PROXY_PREFIX || '/mcp',
     enableLogging: process.env.MCP_GATEWAY_ENABLE_LOGGING !== 'false',
-    corsOrigins: process.env.MCP_GATEWAY_CORS_ORIGINS?.split(',') || ['*']
+    corsOrigins: process.env.MCP_GATEWAY_CORS_ORIGINS?.split(',') || ['*'],
+    requireControlPlaneAuth: process.env.MCP_GATEWAY_REQUIRE_AUTH !== 'false',
+    adminApiKey: process.env.MCP_GATEWAY_ADMIN_KEY,
+    metricsApiKey: process.env.MCP_GATEWAY_METRICS_KEY,
+    healthCheck: {
+        intervalMs: parseInt(process.env.MCP_GATEWAY_HEALTH_INTERVAL_MS || '15000'),
+        failureThreshold: parseInt(process.env.MCP_GATEWAY_HEALTH_FAILURE_THRESHOLD || '3')
+    },
+    // Set to 1 behind a load balancer, so each client is limited by its own address
+    trustedProxies: parseInt(process.env.MCP_GATEWAY_TRUSTED_PROXIES || '0'),
+    // MCP_GATEWAY_RATE_LIMIT=off turns rate limiting off
+    rateLimit: process.env.MCP_GATEWAY_RATE_LIMIT === 'off' ? false as const : {
+        perToken: parseInt(process.env.MCP_GATEWAY_RATE_LIMIT_PER_TOKEN || '600'),
+        perIp: parseInt(process.env.MCP_GATEWAY_RATE_LIMIT_PER_IP || '1200')
+    },
+    // Fits in the 30 second shutdown limit below
+    drain: {
+        delayMs: parseInt(process.env.MCP_GATEWAY_DRAIN_DELAY_MS || '5000'),
+        timeoutMs: parseInt(process.env.MCP_GATEWAY_DRAIN_TIMEOUT_MS || '15000')
+    }
 };
 
 console.log('🚀 Starting MCP Gateway Proxy Server...');
 console.log('Configuration:', {
     port: config.port,
     host: config.host,
-    mongoUrl: config.mongoUrl.replace(/\/\/.*@/, '//***:***@'), // Hide credentials
-    mongoDbName: config.mongoDbName,
+    tokenStore: tokenStore ? tokenStore.type : 'mongo',
+    mongoUrl: tokenStore ? undefined : config.mongoUrl.replace(/\/\/.*@/, '//***:***@'), // Hide credentials
+    mongoDbName: tokenStore ? undefined : config.mongoDbName,
     proxyPrefix: config.proxyPrefix,
-    enableLogging: config.enableLogging
+    enableLogging: config.enableLogging,
+    requireControlPlaneAuth: config.requireControlPlaneAuth,
+    adminApiKey: config.adminApiKey ? 'set' : 'not set',
+    metricsApiKey: config.metricsApiKey ? 'set' : 'not set',
+    healthCheck: config.healthCheck,
+    instanceId: process.env.MCP_GATEWAY_INSTANCE_ID || 'hostname-pid',
+    rateLimit: config.rateLimit,
+    trustedProxies: config.trustedProxies,
+    drain: config.drain
 });
 
 const gateway = new GatewayProxyServer(config);
@@ -66,7 +103,9 @@ gateway.start()
         console.log(`🌐 Gateway accessible at: http://${config.host}:${config.port}`);
         console.log(`🔗 Proxy endpoint: http://${config.host}:${config.port}${config.proxyPrefix}/:token/...`);
         console.log('📊 Health check: http://localhost:3081/health');
+        console.log('🚦 Readiness: http://localhost:3081/ready');
         console.log('📈 Stats: http://localhost:3081/stats');
+        console.log('📉 Metrics: http://localhost:3081/metrics');
     })
     .catch((error) => {
         console.error('❌ Failed to start gateway:', error);
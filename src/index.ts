@@ -5,12 +5,16 @@ export { MCPWebUI } from './MCPWebUI.js';
 
 // New Modular Architecture (recommended)
 export { GenericUIServer } from './server/GenericUIServer.js';
+export { SharedUIServer } from './server/SharedUIServer.js';
 export { UIServerConfig, UIServerConfigBuilder, DEFAULT_UI_SERVER_CONFIG } from './server/UIServerConfig.js';
 export { ResourceManager } from './server/ResourceManager.js';
 export { TemplateEngine } from './server/TemplateEngine.js';
 
 // Session management
 export { SessionManager } from './session/SessionManager.js';
+export * from './session/SessionScopes.js';
+export * from './session/SessionPolicy.js';
+export * from './session/SessionEvents.js';
 
 // Type definitions
 export * from './types/index.js';
@@ -18,6 +22,22 @@ export * from './types/index.js';
 // Gateway Proxy components
 export * from './proxy/index.js';
 
+// Audit trail of data changes
+export { AuditLog } from './audit/AuditLog.js';
+export type { AuditRecord } from './audit/AuditLog.js';
+export * from './audit/AuditSink.js';
+export { MemoryAuditSink } from './audit/MemoryAuditSink.js';
+export { FileAuditSink } from './audit/FileAuditSink.js';
+export { MongoAuditSink } from './audit/MongoAuditSink.js';
+
+// Structured logging and request IDs
+export * from './logging/Logger.js';
+
+// Prometheus metrics
+export * from './metrics/MetricsRegistry.js';
+export { UIMetrics } from './metrics/UIMetrics.js';
+export { MetricsServer } from './metrics/MetricsServer.js';
+
 // Utility functions for common UI schemas
 export const createTodoSchema = (title = "Todo List"): any => ({
     title,
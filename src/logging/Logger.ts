@@ -0,0 +1,182 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+/**
+ * Logger - Structured logs shared by the gateway, the UI servers and the session layer
+ *
+ * Writes one line per entry to stderr (stdout belongs to the MCP stdio transport):
+ * JSON by default, or human-readable with MCP_LOG_FORMAT=text. MCP_LOG_LEVEL sets the
+ * minimum level (default info). Tokens, API keys and secret-looking fields are redacted.
+ *
+ * Entries written while handling a request carry its request ID. The gateway makes one
+ * up, sends it to the backend as X-Request-Id, and both answer with it, so one click
+ * can be followed from the gateway through the UI server into onUpdate.
+ */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+export type LogFormat = 'json' | 'text';
+
+// The logger callback classes accept in their options - level in any case
+export type LogFunction = (level: string, message: string, data?: any) => void;
+
+export const REQUEST_ID_HEADER = 'x-request-id';
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// JWTs (session and share tokens), gateway API keys, bearer credentials, ?token= values and
+// Token= fields, and shared-port /s/<token>/ paths - direct-mode tokens are plain UUIDs
+const SECRET_TEXT = [
+    /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+    /mcpgw_[a-f0-9]{16}\.[A-Za-z0-9_-]+/g,
+    /(Bearer\s+)[^\s"',]+/gi,
+    /(\btoken=)[^&\s"',]+/gi,
+    /(\/s\/)(?!:)[^/\s"'?#]+/g
+];
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|api[-_]?key|authorization|cookie|credential/i;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage<{ requestId: string }>();
+
+/**
+ * New request ID - short enough to read out from an error notification
+ */
+export function createRequestId(): string {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * The request ID a caller sent (the gateway, or a load balancer in front of it), or a new one
+ */
+export function requestIdFrom(header: unknown): string {
+    return typeof header === 'string' && /^[A-Za-z0-9._-]{8,64}$/.test(header) ? header : createRequestId();
+}
+
+/**
+ * Run a function with a request ID that every entry logged inside it carries
+ */
+export function runWithRequestId<T>(requestId: string, fn: () => T): T {
+    return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * ID of the request being handled - for onUpdate handlers and data sources to log with
+ */
+export function currentRequestId(): string | undefined {
+    return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Copy of a value that is safe to log
+ */
+export function redact(value: any, depth = 0): any {
+    if (typeof value === 'string') {
+        return SECRET_TEXT.reduce((text, pattern) =>
+            text.replace(pattern, (match, prefix) => `${typeof prefix === 'string' ? prefix : ''}[redacted]`), value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (value instanceof Error) {
+        const code = (value as any).code;
+        return redact({ name: value.name, message: value.message, ...(code ? { code } : {}), stack: value.stack }, depth + 1);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const result: Record<string, any> = {};
+    for (const [key, field] of Object.entries(value)) {
+        result[key] = SECRET_KEY_PATTERN.test(key) && field !== undefined ? '[redacted]' : redact(field, depth + 1);
+    }
+    return result;
+}
+
+export interface LoggerOptions {
+    level?: LogLevel;   // Default: MCP_LOG_LEVEL, else 'info'
+    format?: LogFormat; // Default: MCP_LOG_FORMAT, else 'json'
+    write?: (line: string) => void; // Default: stderr
+}
+
+export class Logger {
+    /**
+     * @param component - Class or subsystem writing the entries, e.g. 'GatewayProxy'
+     * @param context - Fields every entry carries, e.g. { instanceId }
+     */
+    constructor(
+        readonly component: string,
+        private context: Record<string, unknown> = {},
+        private options: LoggerOptions = {}
+    ) { }
+
+    /**
+     * Logger for a part of this component, or with more context fields
+     */
+    child(component: string = this.component, context: Record<string, unknown> = {}): Logger {
+        return new Logger(component, { ...this.context, ...context }, this.options);
+    }
+
+    /**
+     * Write an entry - level in any case ('INFO', 'info'), unknown levels count as info
+     */
+    log(level: string, message: string, data?: any): void {
+        const normalized = (level.toLowerCase() in LEVELS ? level.toLowerCase() : 'info') as LogLevel;
+        if (LEVELS[normalized] < LEVELS[this.level]) {
+            return;
+        }
+
+        const requestId = currentRequestId();
+        const entry: Record<string, unknown> = {
+            time: new Date().toISOString(),
+            level: normalized,
+            component: this.component,
+            msg: redact(message),
+            ...(requestId ? { requestId } : {}),
+            ...redact(this.context),
+            ...(data !== undefined ? { data: redact(data) } : {})
+        };
+
+        const write = this.options.write || ((line: string) => process.stderr.write(line + '\n'));
+        write(this.format === 'text' ? formatText(entry) : JSON.stringify(entry));
+    }
+
+    debug(message: string, data?: any): void {
+        this.log('debug', message, data);
+    }
+
+    info(message: string, data?: any): void {
+        this.log('info', message, data);
+    }
+
+    warn(message: string, data?: any): void {
+        this.log('warn', message, data);
+    }
+
+    error(message: string, data?: any): void {
+        this.log('error', message, data);
+    }
+
+    // Read on each entry, so the environment can be set after loggers are created
+    private get level(): LogLevel {
+        const level = this.options.level || process.env.MCP_LOG_LEVEL?.toLowerCase();
+        return level && level in LEVELS ? level as LogLevel : 'info';
+    }
+
+    private get format(): LogFormat {
+        return this.options.format || (process.env.MCP_LOG_FORMAT === 'text' ? 'text' : 'json');
+    }
+}
+
+/**
+ * [time][LEVEL][component][requestId] message {context and data}
+ */
+function formatText(entry: Record<string, unknown>): string {
+    const { time, level, component, msg, requestId, ...rest } = entry;
+    const tags = [time, String(level).toUpperCase(), component, requestId].filter(Boolean).map(tag => `[${tag}]`).join('');
+    return `${tags} ${msg}${Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : ''}`;
+}
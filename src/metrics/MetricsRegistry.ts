@@ -0,0 +1,250 @@
+import { performance } from 'perf_hooks';
+
+/**
+ * MetricsRegistry - Counters, gauges and histograms in the Prometheus text format
+ *
+ * Just enough of a Prometheus client for the gateway and the UI servers to expose
+ * /metrics without a dependency. Label values are kept in memory per distinct set,
+ * so only label with values from a bounded set (routes, action names, server names).
+ */
+
+export type MetricLabels = Record<string, string | number>;
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - from a cached read to a slow data source
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+interface MetricOptions {
+    name: string;
+    help: string;
+    labelNames?: string[];
+}
+
+abstract class Metric<V> {
+    abstract readonly type: 'counter' | 'gauge' | 'histogram';
+    readonly name: string;
+    readonly help: string;
+    readonly labelNames: string[];
+    protected series = new Map<string, { labels: string[]; value: V }>();
+
+    constructor(options: MetricOptions) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(options.name)) {
+            throw new Error(`Invalid metric name: ${options.name}`);
+        }
+        this.name = options.name;
+        this.help = options.help;
+        this.labelNames = options.labelNames || [];
+    }
+
+    /**
+     * Forget every series - e.g. before a gauge is set from a fresh snapshot
+     */
+    reset(): void {
+        this.series.clear();
+    }
+
+    render(): string[] {
+        const lines = [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(...this.renderSeries(labels, value));
+        }
+        return lines;
+    }
+
+    protected abstract renderSeries(labels: string[], value: V): string[];
+
+    protected get(labels: MetricLabels, create: () => V): { labels: string[]; value: V } {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { labels: values, value: create() };
+            this.series.set(key, entry);
+        }
+        return entry;
+    }
+
+    protected sample(suffix: string, labels: string[], value: number, extra?: [string, string]): string {
+        const pairs = this.labelNames.map((name, i) => [name, labels[i]]);
+        if (extra) {
+            pairs.push(extra);
+        }
+        const labelText = pairs.length > 0
+            ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+            : '';
+        return `${this.name}${suffix}${labelText} ${formatValue(value)}`;
+    }
+}
+
+export class Counter extends Metric<number> {
+    readonly type = 'counter';
+
+    inc(labels: MetricLabels = {}, amount = 1): void {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} can only go up`);
+        }
+        this.get(labels, () => 0).value += amount;
+    }
+
+    protected renderSeries(labels: string[], value: number): string[] {
+        return [this.sample('', labels, value)];
+    }
+}
+
+export class Gauge extends Metric<number> {
+    readonly type = 'gauge';
+
+    set(labels: MetricLabels, value: number): void {
+        this.get(labels, () => 0).value = value;
+    }
+
+    inc(labels: MetricLabels = {}, amount = 1): void {
+        this.get(labels, () => 0).value += amount;
+    }
+
+    dec(labels: MetricLabels = {}, amount = 1): void {
+        this.get(labels, () => 0).value -= amount;
+    }
+
+    protected renderSeries(labels: string[], value: number): string[] {
+        return [this.sample('', labels, value)];
+    }
+}
+
+interface HistogramValue {
+    counts: number[]; // Per bucket, not cumulative
+    sum: number;
+    count: number;
+}
+
+export class Histogram extends Metric<HistogramValue> {
+    readonly type = 'histogram';
+    readonly buckets: number[];
+
+    constructor(options: MetricOptions & { buckets?: number[] }) {
+        super(options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    observe(labels: MetricLabels, value: number): void {
+        const entry = this.get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+        const bucket = this.buckets.findIndex(bound => value <= bound);
+        if (bucket >= 0) {
+            entry.counts[bucket]++;
+        }
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Start timing - call the returned function when done to observe the seconds taken
+     */
+    startTimer(labels: MetricLabels = {}): (extraLabels?: MetricLabels) => number {
+        const start = performance.now();
+        return (extraLabels = {}) => {
+            const seconds = (performance.now() - start) / 1000;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    protected renderSeries(labels: string[], value: HistogramValue): string[] {
+        let cumulative = 0;
+        const lines = this.buckets.map((bound, i) => {
+            cumulative += value.counts[i];
+            return this.sample('_bucket', labels, cumulative, ['le', formatValue(bound)]);
+        });
+        lines.push(this.sample('_bucket', labels, value.count, ['le', '+Inf']));
+        lines.push(this.sample('_sum', labels, value.sum));
+        lines.push(this.sample('_count', labels, value.count));
+        return lines;
+    }
+}
+
+type Collector = () => void | Promise<void>;
+
+export class MetricsRegistry {
+    private metrics = new Map<string, Metric<any>>();
+    private collectors = new Set<Collector>();
+
+    constructor(private logger?: (level: string, message: string, data?: any) => void) { }
+
+    counter(options: MetricOptions): Counter {
+        return this.register(Counter, options);
+    }
+
+    gauge(options: MetricOptions): Gauge {
+        return this.register(Gauge, options);
+    }
+
+    histogram(options: MetricOptions & { buckets?: number[] }): Histogram {
+        return this.register(Histogram, options);
+    }
+
+    /**
+     * Run a function before each scrape - for gauges read from elsewhere (session counts)
+     * @returns Removes the collector
+     */
+    addCollector(collector: Collector): () => void {
+        this.collectors.add(collector);
+        return () => this.collectors.delete(collector);
+    }
+
+    /**
+     * Every metric in the Prometheus text format
+     * A collector that fails is logged and its gauges keep their last values.
+     */
+    async render(): Promise<string> {
+        await Promise.all(Array.from(this.collectors, async collector => {
+            try {
+                await collector();
+            } catch (error) {
+                this.log('warn', `[MetricsRegistry] Metrics collector failed: ${error}`);
+            }
+        }));
+
+        const lines: string[] = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Create a metric, or return the one already registered under its name -
+     * so two components sharing a registry share their metrics
+     */
+    private register<M extends Metric<any>>(type: new (options: any) => M, options: MetricOptions & { buckets?: number[] }): M {
+        const existing = this.metrics.get(options.name);
+        if (existing) {
+            if (!(existing instanceof type) || existing.labelNames.join() !== (options.labelNames || []).join()) {
+                throw new Error(`Metric ${options.name} is already registered with a different type or labels`);
+            }
+            return existing;
+        }
+
+        const metric = new type(options);
+        this.metrics.set(options.name, metric);
+        return metric;
+    }
+
+    private log(level: string, message: string): void {
+        if (this.logger) {
+            this.logger(level, message);
+        }
+    }
+}
+
+function escapeLabelValue(value: string): string {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value: number): string {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
@@ -0,0 +1,68 @@
+import { createServer, Server } from 'http';
+import { MetricsRegistry, PROMETHEUS_CONTENT_TYPE } from './MetricsRegistry.js';
+
+/**
+ * MetricsServer - GET /metrics on a port of its own
+ *
+ * Session UI servers come and go on ephemeral ports (or Unix sockets), so Prometheus
+ * scrapes the web UI's metrics here instead.
+ */
+export class MetricsServer {
+    private server?: Server;
+
+    constructor(
+        private registry: MetricsRegistry,
+        readonly port: number,
+        private bindAddress: string,
+        private logger?: (level: string, message: string) => void
+    ) { }
+
+    async start(): Promise<void> {
+        if (this.server) {
+            return;
+        }
+
+        const server = createServer((req, res) => {
+            const path = (req.url || '/').split('?')[0];
+            if (req.method !== 'GET' || path !== '/metrics') {
+                res.statusCode = 404;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ success: false, error: 'Not found - metrics are served at /metrics', timestamp: new Date().toISOString() }));
+                return;
+            }
+
+            this.registry.render().then(text => {
+                res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+                res.end(text);
+            }, error => {
+                this.log('error', `Failed to render metrics: ${error}`);
+                res.statusCode = 500;
+                res.end();
+            });
+        });
+
+        await new Promise<void>((resolve, reject) => {
+            server.once('error', (error: any) => {
+                reject(error.code === 'EADDRINUSE' ? new Error(`Metrics port ${this.port} already in use`) : error);
+            });
+            server.listen(this.port, this.bindAddress, () => resolve());
+        });
+
+        this.server = server;
+        this.log('info', `Metrics served on http://${this.bindAddress}:${this.port}/metrics`);
+    }
+
+    async stop(): Promise<void> {
+        const server = this.server;
+        this.server = undefined;
+        if (server) {
+            await new Promise<void>(resolve => server.close(() => resolve()));
+        }
+    }
+
+    private log(level: string, message: string): void {
+        if (this.logger) {
+            this.logger(level, `[MetricsServer] ${message}`);
+        }
+    }
+}
@@ -0,0 +1,120 @@
+import { Counter, Gauge, Histogram, MetricsRegistry } from './MetricsRegistry.js';
+
+// Past this many distinct action names, new ones are counted as 'other' - with an
+// onUpdate catch-all, the browser decides what the action is called
+const MAX_ACTION_LABELS = 100;
+
+/**
+ * UIMetrics - What the web UI servers of one MCP server record
+ *
+ * One instance is shared by every session's GenericUIServer, so the numbers cover the
+ * whole process. Every series carries the MCP server's name.
+ */
+export class UIMetrics {
+    private requests: Counter;
+    private requestDuration: Histogram;
+    private actions: Counter;
+    private actionDuration: Histogram;
+    private dataSourceDuration: Histogram;
+    private dataSourceErrors: Counter;
+    private actionNames = new Set<string>();
+    private removeCollector: () => void;
+
+    /**
+     * @param activeSessions - Number of sessions with a running UI server, read on each scrape
+     */
+    constructor(
+        readonly registry: MetricsRegistry,
+        private serverName: string,
+        activeSessions: () => number
+    ) {
+        this.requests = registry.counter({
+            name: 'mcp_webui_http_requests_total',
+            help: 'HTTP requests answered by web UI servers',
+            labelNames: ['server', 'route', 'method', 'status']
+        });
+        this.requestDuration = registry.histogram({
+            name: 'mcp_webui_http_request_duration_seconds',
+            help: 'Time to answer HTTP requests, event streams excluded',
+            labelNames: ['server', 'route', 'method']
+        });
+        this.actions = registry.counter({
+            name: 'mcp_webui_actions_total',
+            help: 'Actions sent from the browser, by outcome (success, rejected or error)',
+            labelNames: ['server', 'action', 'channel', 'outcome']
+        });
+        this.actionDuration = registry.histogram({
+            name: 'mcp_webui_action_duration_seconds',
+            help: 'Time to run actions, including the onUpdate or action handler',
+            labelNames: ['server', 'action']
+        });
+        this.dataSourceDuration = registry.histogram({
+            name: 'mcp_webui_data_source_duration_seconds',
+            help: 'Time data sources took to return',
+            labelNames: ['server', 'source']
+        });
+        this.dataSourceErrors = registry.counter({
+            name: 'mcp_webui_data_source_errors_total',
+            help: 'Data source calls that threw',
+            labelNames: ['server', 'source']
+        });
+
+        const sessions = registry.gauge({
+            name: 'mcp_webui_active_sessions',
+            help: 'Sessions with a running UI server',
+            labelNames: ['server']
+        });
+        this.removeCollector = registry.addCollector(() => sessions.set({ server: this.serverName }, activeSessions()));
+    }
+
+    /**
+     * @param route - Route pattern, never the raw path (which can hold a token)
+     */
+    observeRequest(route: string, method: string, status: number, seconds: number | null): void {
+        this.requests.inc({ server: this.serverName, route, method, status });
+        if (seconds !== null) {
+            this.requestDuration.observe({ server: this.serverName, route, method }, seconds);
+        }
+    }
+
+    observeAction(action: string, channel: string, status: number, seconds: number): void {
+        const name = this.actionLabel(action);
+        const outcome = status < 400 ? 'success' : status < 500 ? 'rejected' : 'error';
+        this.actions.inc({ server: this.serverName, action: name, channel, outcome });
+        this.actionDuration.observe({ server: this.serverName, action: name }, seconds);
+    }
+
+    /**
+     * Time a data source call - the default source is labelled 'default'
+     */
+    async timeDataSource<T>(sourceName: string | undefined, fetch: () => Promise<T>): Promise<T> {
+        const source = sourceName || 'default';
+        const done = this.dataSourceDuration.startTimer({ server: this.serverName, source });
+        try {
+            return await fetch();
+        } catch (error) {
+            this.dataSourceErrors.inc({ server: this.serverName, source });
+            throw error;
+        } finally {
+            done();
+        }
+    }
+
+    /**
+     * Stop reporting this server's sessions - the registry may outlive it
+     */
+    close(): void {
+        this.removeCollector();
+    }
+
+    private actionLabel(action: string): string {
+        if (this.actionNames.has(action)) {
+            return action;
+        }
+        if (this.actionNames.size >= MAX_ACTION_LABELS) {
+            return 'other';
+        }
+        this.actionNames.add(action);
+        return action;
+    }
+}
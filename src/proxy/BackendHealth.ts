@@ -0,0 +1,284 @@
+import http from 'http';
+import type { EphemeralSession } from './TokenRegistry.js';
+
+/**
+ * BackendHealth - Health checks and circuit breaking for the gateway's backends
+ *
+ * Backends are the UI servers sessions and registered servers point at. Each one is
+ * probed with GET /api/health and has a circuit:
+ *
+ *   closed    - healthy, or not known to be down; requests are proxied
+ *   open      - failureThreshold probes or proxy attempts in a row failed; requests are
+ *               answered by the gateway until the cooldown passes
+ *   half-open - cooldown over, one probe decides: success closes the circuit, failure
+ *               opens it again with twice the cooldown (up to maxCooldownMs)
+ *
+ * So a dead port sees one probe per cooldown however many browsers keep asking for it.
+ */
+
+export interface BackendHealthConfig {
+    intervalMs?: number;       // Between probes of a backend that isn't open - default 15s
+    timeoutMs?: number;        // A probe that takes longer has failed - default 3s
+    failureThreshold?: number; // Failures in a row that open the circuit - default 3
+    cooldownMs?: number;       // Before the first retry of an open circuit - default 30s
+    maxCooldownMs?: number;    // Longest wait between retries - default 5 minutes
+    forgetAfterMs?: number;    // Stop probing a backend not used or registered for this long - default 30 minutes
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+type Backend = EphemeralSession['backend'];
+
+export interface BackendStatus {
+    key: string; // host:port, or unix:<socket path>
+    state: CircuitState;
+    consecutiveFailures: number;
+    lastCheckedAt?: Date;
+    lastHealthyAt?: Date;
+    lastError?: string;
+    openedAt?: Date;
+    retryAt?: Date; // Next probe of an open circuit
+}
+
+interface BackendEntry extends BackendStatus {
+    backend: Backend;
+    lastSeenAt: Date;
+    cooldownMs: number;
+    probing?: Promise<boolean>;
+}
+
+/**
+ * Identify a backend - null for backends the gateway can't reach itself (type 'gateway')
+ */
+export function backendKey(backend: Backend | undefined): string | null {
+    if (backend?.type === 'tcp' && backend.host && backend.port) {
+        return `${backend.host}:${backend.port}`;
+    }
+    if (backend?.type === 'unix' && backend.socketPath) {
+        return `unix:${backend.socketPath}`;
+    }
+    return null;
+}
+
+export class BackendHealth {
+    private backends = new Map<string, BackendEntry>();
+    private config: Required<BackendHealthConfig>;
+
+    constructor(
+        config: BackendHealthConfig = {},
+        private logger?: (level: string, message: string, data?: any) => void
+    ) {
+        this.config = {
+            intervalMs: 15000,
+            timeoutMs: 3000,
+            failureThreshold: 3,
+            cooldownMs: 30000,
+            maxCooldownMs: 5 * 60 * 1000,
+            forgetAfterMs: 30 * 60 * 1000,
+            ...config
+        };
+    }
+
+    /**
+     * Probe interval, for whoever runs check()
+     */
+    get intervalMs(): number {
+        return this.config.intervalMs;
+    }
+
+    /**
+     * Start tracking a backend, or note that it is still in use
+     */
+    watch(backend: Backend): void {
+        const key = backendKey(backend);
+        if (!key) {
+            return;
+        }
+
+        const entry = this.backends.get(key);
+        if (entry) {
+            entry.lastSeenAt = new Date();
+        } else {
+            this.backends.set(key, {
+                key,
+                backend,
+                state: 'closed',
+                consecutiveFailures: 0,
+                lastSeenAt: new Date(),
+                cooldownMs: this.config.cooldownMs
+            });
+        }
+    }
+
+    /**
+     * Whether requests may be proxied to a backend
+     * An open circuit whose cooldown has passed is probed first - concurrent callers
+     * share that one probe.
+     */
+    async isAvailable(backend: Backend): Promise<boolean> {
+        const entry = this.entryFor(backend);
+        if (!entry || entry.state === 'closed') {
+            return true;
+        }
+
+        if (entry.probing) {
+            return entry.probing;
+        }
+
+        return entry.retryAt && entry.retryAt <= new Date() ? this.probe(entry) : false;
+    }
+
+    /**
+     * Whether a backend is believed to be up - unknown backends are
+     */
+    isHealthy(backend: Backend): boolean {
+        const entry = this.entryFor(backend);
+        return !entry || entry.state === 'closed';
+    }
+
+    /**
+     * A request to the backend got a response
+     */
+    recordSuccess(backend: Backend): void {
+        const entry = this.entryFor(backend);
+        if (entry) {
+            this.succeeded(entry);
+        }
+    }
+
+    /**
+     * A request to the backend couldn't be completed
+     */
+    recordFailure(backend: Backend, error: unknown): void {
+        const key = backendKey(backend);
+        if (!key) {
+            return;
+        }
+
+        this.watch(backend);
+        this.failed(this.backends.get(key)!, error instanceof Error ? error.message : String(error));
+    }
+
+    /**
+     * Probe the backends that are due, and forget the ones nobody uses any more
+     * @param keep - Keys of backends to keep probing however long they go unused (registered servers)
+     */
+    async check(keep: Set<string> = new Set()): Promise<void> {
+        const now = Date.now();
+        const due: BackendEntry[] = [];
+
+        for (const [key, entry] of this.backends) {
+            if (!keep.has(key) && now - entry.lastSeenAt.getTime() > this.config.forgetAfterMs) {
+                this.backends.delete(key);
+                continue;
+            }
+
+            const nextProbe = entry.state === 'closed'
+                ? (entry.lastCheckedAt?.getTime() ?? 0) + this.config.intervalMs
+                : entry.retryAt?.getTime() ?? 0;
+            if (!entry.probing && nextProbe <= now) {
+                due.push(entry);
+            }
+        }
+
+        await Promise.all(due.map(entry => this.probe(entry)));
+    }
+
+    /**
+     * Every tracked backend and its circuit
+     */
+    getStatus(): BackendStatus[] {
+        return Array.from(this.backends.values(), ({ key, state, consecutiveFailures, lastCheckedAt, lastHealthyAt, lastError, openedAt, retryAt }) =>
+            ({ key, state, consecutiveFailures, lastCheckedAt, lastHealthyAt, lastError, openedAt, retryAt }));
+    }
+
+    private entryFor(backend: Backend): BackendEntry | undefined {
+        const key = backendKey(backend);
+        return key ? this.backends.get(key) : undefined;
+    }
+
+    private probe(entry: BackendEntry): Promise<boolean> {
+        if (entry.state === 'open') {
+            entry.state = 'half-open';
+        }
+
+        entry.probing = this.requestHealth(entry.backend)
+            .then(() => {
+                this.succeeded(entry);
+                return true;
+            }, error => {
+                this.failed(entry, error.message);
+                return false;
+            })
+            .finally(() => {
+                entry.probing = undefined;
+                entry.lastCheckedAt = new Date();
+            });
+
+        return entry.probing;
+    }
+
+    /**
+     * GET /api/health - resolves on a 2xx response
+     */
+    private requestHealth(backend: Backend): Promise<void> {
+        return new Promise((resolve, reject) => {
+            const target = backend.type === 'unix'
+                ? { socketPath: backend.socketPath }
+                : { host: backend.host, port: backend.port };
+
+            const req = http.request({ ...target, path: '/api/health', method: 'GET', timeout: this.config.timeoutMs }, res => {
+                res.resume();
+                const status = res.statusCode || 0;
+                if (status >= 200 && status < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`Health check returned ${status}`));
+                }
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`Health check timed out after ${this.config.timeoutMs}ms`)));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    private succeeded(entry: BackendEntry): void {
+        if (entry.state !== 'closed') {
+            this.log('info', `Backend ${entry.key} is healthy again - circuit closed`);
+        }
+
+        entry.state = 'closed';
+        entry.consecutiveFailures = 0;
+        entry.lastHealthyAt = new Date();
+        entry.lastError = undefined;
+        entry.openedAt = undefined;
+        entry.retryAt = undefined;
+        entry.cooldownMs = this.config.cooldownMs;
+    }
+
+    private failed(entry: BackendEntry, error: string): void {
+        entry.consecutiveFailures++;
+        entry.lastError = error;
+
+        if (entry.state === 'half-open') {
+            // The retry failed - wait longer before the next one
+            entry.cooldownMs = Math.min(entry.cooldownMs * 2, this.config.maxCooldownMs);
+        } else if (entry.state === 'closed' && entry.consecutiveFailures >= this.config.failureThreshold) {
+            entry.openedAt = new Date();
+            this.log('warn', `Backend ${entry.key} is unhealthy after ${entry.consecutiveFailures} failures - circuit open`, { error });
+        } else {
+            // Below the threshold, or already open (e.g. a WebSocket that was connected before)
+            return;
+        }
+
+        entry.state = 'open';
+        entry.retryAt = new Date(Date.now() + entry.cooldownMs);
+    }
+
+    private log(level: string, message: string, data?: any): void {
+        if (this.logger) {
+            this.logger(level, `[BackendHealth] ${message}`, data);
+        }
+    }
+}
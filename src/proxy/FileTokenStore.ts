@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { MemoryTokenStore, TokenStoreChange, TokenStoreRecord } from './MemoryTokenStore.js';
+import { Logger } from '../logging/Logger.js';
+
+// Fields stored as ISO strings that must come back as Dates
+const DATE_FIELDS: Record<TokenStoreRecord['kind'], string[]> = {
+    session: ['createdAt', 'expiresAt', 'lastAccessedAt', 'lastActivityAt'],
+    server: ['registeredAt', 'lastHeartbeat'],
+    apiKey: ['createdAt', 'lastUsedAt']
+};
+
+// Used when no logger is passed in
+const defaultLogger = new Logger('FileTokenStore');
+
+// Holders keep the lock for a few milliseconds - one this old was left by a crashed process
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 15 * 1000;
+const lockWait = new Int32Array(new SharedArrayBuffer(4));
+
+// Compaction renames a new file into place - the inode changes even when the size doesn't
+function fileIdentity(stats: fs.Stats): string {
+    return `${stats.ino}:${stats.birthtimeMs}`;
+}
+
+/**
+ * File-backed token store - a JSON-lines change log replayed into memory
+ *
+ * Every change is appended as one line, so a crash loses at most the line being
+ * written. The log is compacted on open and on each sweep once it holds mostly
+ * superseded entries. Other processes appending to the same file (e.g. a gateway
+ * and an MCP server on one machine) are picked up before each operation.
+ *
+ * Changes are made holding <filePath>.lock, so a check and the write it leads to -
+ * redeeming a share's last use, say - are one step for every process using the file.
+ *
+ * Rate limit counters stay out of the log. Each key and window gets a file in
+ * <filePath>.counters and each hit appends one byte to it, so every process using
+ * the store counts against the same limit.
+ */
+export class FileTokenStore extends MemoryTokenStore {
+    readonly type: string = 'file';
+
+    private countersDir: string;
+    private lockPath: string;
+    private fileId = '';
+    private offset = 0;
+    private lines = 0;
+    private logger?: (level: string, message: string, data?: any) => void;
+
+    constructor(
+        private filePath: string,
+        options: { sweepIntervalMs?: number; logger?: (level: string, message: string, data?: any) => void } = {}
+    ) {
+        super(options);
+        this.logger = options.logger;
+        this.countersDir = `${filePath}.counters`;
+        this.lockPath = `${filePath}.lock`;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.mkdirSync(this.countersDir, { recursive: true, mode: 0o700 });
+        this.reload();
+        this.compactIfSuperseded();
+    }
+
+    /**
+     * Ready while the log's directory is writable
+     */
+    async ping(): Promise<void> {
+        await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+    }
+
+    async incrementCounter(key: string, windowMs: number): Promise<{ count: number; resetAt: Date }> {
+        const resetAt = (Math.floor(Date.now() / windowMs) + 1) * windowMs;
+        const counterPath = path.join(this.countersDir, `${resetAt}-${crypto.createHash('sha256').update(key).digest('hex')}`);
+
+        // Appends of one byte don't interleave, so the size is the count across processes
+        await fs.promises.appendFile(counterPath, '1', { mode: 0o600 });
+        const { size } = await fs.promises.stat(counterPath);
+        return { count: size, resetAt: new Date(resetAt) };
+    }
+
+    protected sweepCounters(): void {
+        const now = Date.now();
+        for (const name of fs.readdirSync(this.countersDir)) {
+            if (Number(name.split('-')[0]) <= now) {
+                // Another process's sweep may get there first
+                fs.rmSync(path.join(this.countersDir, name), { force: true });
+            }
+        }
+    }
+
+    protected async sweep(): Promise<void> {
+        await super.sweep();
+        this.compactIfSuperseded();
+    }
+
+    protected sync(): void {
+        let stats: fs.Stats | undefined;
+        try {
+            stats = fs.statSync(this.filePath);
+        } catch {
+            stats = undefined;
+        }
+
+        const size = stats?.size ?? 0;
+        if ((stats ? fileIdentity(stats) : '') !== this.fileId || size < this.offset) {
+            // Replaced by another process's compaction, or created since we last looked
+            this.reload();
+        } else if (size > this.offset) {
+            this.readFrom(this.offset, size);
+        }
+    }
+
+    protected transaction<T>(fn: () => T): T {
+        this.lock();
+        try {
+            return super.transaction(fn);
+        } finally {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    protected applyChange(change: TokenStoreChange): void {
+        super.applyChange(change);
+
+        const line = JSON.stringify(change) + '\n';
+        fs.appendFileSync(this.filePath, line, { mode: 0o600 });
+        if (!this.fileId) {
+            this.fileId = fileIdentity(fs.statSync(this.filePath));
+        }
+        this.offset += Buffer.byteLength(line);
+        this.lines++;
+    }
+
+    /**
+     * Rewrite the log with one line per live record
+     */
+    compact(): void {
+        this.transaction(() => this.rewrite());
+    }
+
+    private rewrite(): void {
+        const now = new Date();
+        const records: TokenStoreRecord[] = [
+            ...Array.from(this.sessions.values())
+                .filter(session => session.expiresAt > now)
+                .map(value => ({ kind: 'session' as const, value })),
+            ...Array.from(this.servers.values()).map(value => ({ kind: 'server' as const, value })),
+            ...Array.from(this.apiKeys.values()).map(value => ({ kind: 'apiKey' as const, value }))
+        ];
+
+        const content = records.map(record => JSON.stringify(record) + '\n').join('');
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, content, { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+
+        const dropped = this.lines - records.length;
+        this.fileId = fileIdentity(fs.statSync(this.filePath));
+        this.offset = Buffer.byteLength(content);
+        this.lines = records.length;
+        this.log('info', `[FileTokenStore] Compacted ${this.filePath} (${dropped} superseded entries dropped)`);
+    }
+
+    private compactIfSuperseded(): void {
+        const live = this.sessions.size + this.servers.size + this.apiKeys.size;
+        if (this.lines > 2 * live + 100) {
+            this.compact();
+        }
+    }
+
+    private reload(): void {
+        this.sessions.clear();
+        this.servers.clear();
+        this.apiKeys.clear();
+        this.fileId = '';
+        this.offset = 0;
+        this.lines = 0;
+
+        if (fs.existsSync(this.filePath)) {
+            const stats = fs.statSync(this.filePath);
+            this.fileId = fileIdentity(stats);
+            this.readFrom(0, stats.size);
+        }
+    }
+
+    /**
+     * Take <filePath>.lock, waiting while another process holds it
+     */
+    private lock(): void {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(this.lockPath, 'wx', 0o600));
+                return;
+            } catch (error: any) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            try {
+                if (Date.now() - fs.statSync(this.lockPath).mtimeMs > LOCK_STALE_MS) {
+                    this.log('warn', `[FileTokenStore] Taking over stale lock ${this.lockPath}`);
+                    fs.rmSync(this.lockPath, { force: true });
+                    continue;
+                }
+            } catch {
+                continue; // Released while we looked
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for ${this.lockPath}`);
+            }
+            Atomics.wait(lockWait, 0, 0, 5);
+        }
+    }
+
+    /**
+     * Replay complete lines between two byte offsets
+     */
+    private readFrom(start: number, end: number): void {
+        const buffer = Buffer.alloc(end - start);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, start);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Leave a partially written last line for the next sync
+        const lastNewline = buffer.lastIndexOf(0x0a);
+        if (lastNewline === -1) {
+            return;
+        }
+
+        // Replayed lines only update memory - super.applyChange doesn't append
+        for (const line of buffer.subarray(0, lastNewline).toString('utf8').split('\n')) {
+            if (!line.trim()) continue;
+            this.lines++;
+            try {
+                super.applyChange(this.revive(JSON.parse(line)));
+            } catch (error) {
+                this.log('warn', `[FileTokenStore] Skipping unreadable line in ${this.filePath}`, error);
+            }
+        }
+
+        this.offset = start + lastNewline + 1;
+    }
+
+    private revive(change: TokenStoreChange): TokenStoreChange {
+        if (change.kind === 'delete') {
+            return change;
+        }
+
+        const value: Record<string, any> = change.value;
+        for (const field of DATE_FIELDS[change.kind]) {
+            if (typeof value[field] === 'string') {
+                value[field] = new Date(value[field]);
+            }
+        }
+        return change;
+    }
+
+    private log(level: string, message: string, data?: any): void {
+        if (this.logger) {
+            this.logger(level, message, data);
+        } else {
+            defaultLogger.log(level, message, data);
+        }
+    }
+}
@@ -0,0 +1,113 @@
+import { Counter, Gauge, Histogram, MetricsRegistry } from '../metrics/MetricsRegistry.js';
+import type { BackendHealth } from './BackendHealth.js';
+import type { TokenRegistry } from './TokenRegistry.js';
+
+/**
+ * GatewayMetrics - What the gateway records for /metrics
+ *
+ * Session counts are read from the token registry on each scrape, so replicas sharing
+ * a store all report the same numbers - aggregate them with max(), not sum().
+ */
+export class GatewayMetrics {
+    private requests: Counter;
+    private requestDuration: Histogram;
+    private proxyErrors: Counter;
+    private tokenFailures: Counter;
+    private rateLimited: Counter;
+
+    constructor(
+        readonly registry: MetricsRegistry,
+        sources: {
+            tokenRegistry: () => TokenRegistry | undefined;
+            health: BackendHealth;
+            webSockets: () => number;
+        }
+    ) {
+        this.requests = registry.counter({
+            name: 'mcp_gateway_http_requests_total',
+            help: 'HTTP requests answered by the gateway',
+            labelNames: ['route', 'method', 'status']
+        });
+        this.requestDuration = registry.histogram({
+            name: 'mcp_gateway_http_request_duration_seconds',
+            help: 'Time to answer HTTP requests, proxied ones included; event streams excluded',
+            labelNames: ['route', 'method']
+        });
+        this.proxyErrors = registry.counter({
+            name: 'mcp_gateway_proxy_errors_total',
+            help: 'Requests that could not be proxied to their backend',
+            labelNames: ['server', 'backend', 'channel', 'code']
+        });
+        this.tokenFailures = registry.counter({
+            name: 'mcp_gateway_token_validation_failures_total',
+            help: 'Requests with a session token that was invalid or expired, or lacked the scope for the route',
+            labelNames: ['reason', 'channel']
+        });
+        this.rateLimited = registry.counter({
+            name: 'mcp_gateway_rate_limited_total',
+            help: 'Requests rejected by the rate limiter',
+            labelNames: ['limit']
+        });
+
+        const sessions = registry.gauge({
+            name: 'mcp_gateway_active_sessions',
+            help: 'Unexpired sessions and share links in the token store',
+            labelNames: ['server']
+        });
+        const backends = registry.gauge({
+            name: 'mcp_gateway_backends',
+            help: 'Backends tracked by health checks, by circuit state',
+            labelNames: ['state']
+        });
+        const webSockets = registry.gauge({
+            name: 'mcp_gateway_websocket_connections',
+            help: 'WebSocket connections being proxied'
+        });
+
+        registry.addCollector(async () => {
+            const tokenRegistry = sources.tokenRegistry();
+            if (tokenRegistry) {
+                const stats = await tokenRegistry.getStats();
+                sessions.reset();
+                for (const [server, count] of Object.entries(stats.sessionsByServer)) {
+                    sessions.set({ server }, count);
+                }
+            }
+
+            const byState = { closed: 0, open: 0, 'half-open': 0 };
+            for (const backend of sources.health.getStatus()) {
+                byState[backend.state]++;
+            }
+            for (const [state, count] of Object.entries(byState)) {
+                backends.set({ state }, count);
+            }
+
+            webSockets.set({}, sources.webSockets());
+        });
+    }
+
+    /**
+     * @param route - Route pattern, never the raw path (which holds the token)
+     */
+    observeRequest(route: string, method: string, status: number, seconds: number | null): void {
+        this.requests.inc({ route, method, status });
+        if (seconds !== null) {
+            this.requestDuration.observe({ route, method }, seconds);
+        }
+    }
+
+    /**
+     * @param backend - host:port or unix:<path> (see backendKey)
+     */
+    proxyError(server: string, backend: string, channel: 'page' | 'api' | 'static' | 'websocket', error: Error): void {
+        this.proxyErrors.inc({ server, backend, channel, code: (error as any).code || 'error' });
+    }
+
+    tokenValidationFailed(reason: 'invalid' | 'scope', channel: 'http' | 'websocket'): void {
+        this.tokenFailures.inc({ reason, channel });
+    }
+
+    rateLimitExceeded(limit: 'ip' | 'token'): void {
+        this.rateLimited.inc({ limit });
+    }
+}
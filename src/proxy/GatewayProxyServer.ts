@@ -1,29 +1,79 @@
 import express, { Request, Response, NextFunction } from 'express';
 import { createProxyMiddleware, Options } from 'http-proxy-middleware';
-import { Server as HttpServer } from 'http';
+import { Server as HttpServer, IncomingMessage, ClientRequest } from 'http';
 import { Server as HttpsServer } from 'https';
-import { WebSocketServer } from 'ws';
-import { MongoClient, Db } from 'mongodb';
-import { TokenRegistry, EphemeralSession } from './TokenRegistry.js';
+import { Duplex } from 'stream';
+import { TokenRegistry, EphemeralSession, describeShare, validateShareOptions } from './TokenRegistry.js';
+import { TokenStore, TokenStoreConfig, createTokenStore } from './TokenStore.js';
+import { BackendHealth, BackendHealthConfig, backendKey } from './BackendHealth.js';
+import { RateLimiter, GatewayRateLimitConfig, RateLimitResult } from './RateLimiter.js';
+import { GatewayMetrics } from './GatewayMetrics.js';
+import { MetricsRegistry, PROMETHEUS_CONTENT_TYPE } from '../metrics/MetricsRegistry.js';
+import { Logger, REQUEST_ID_HEADER, requestIdFrom, runWithRequestId } from '../logging/Logger.js';
+import {
+    SESSION_SCOPES,
+    DEFAULT_SESSION_SCOPES,
+    SHARE_SCOPES_HEADER,
+    SHARE_TOKEN_HEADER,
+    hasScopes,
+    isValidScopeList,
+    normalizeScopes,
+    requiredRouteScope,
+    sameScopes
+} from '../session/SessionScopes.js';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
 
 export interface GatewayProxyConfig {
     // Server configuration
     port: number;
     host?: string;
 
-    // MongoDB configuration for token registry
-    mongoUrl: string;
+    // Token registry storage: memory, a JSON-lines file or MongoDB (or a store instance
+    // shared with an in-process MCPWebUI). Without it, mongoUrl selects MongoDB.
+    tokenStore?: TokenStoreConfig | TokenStore;
+    mongoUrl?: string;
     mongoDbName?: string;
 
     // Security configuration
     jwtSecret?: string;
     corsOrigins?: string[];
 
+    // Control plane authentication: MCP servers authenticate with their own API key
+    // (see TokenRegistry.createApiKey); the admin key can manage keys and read /stats
+    requireControlPlaneAuth?: boolean; // Default: true
+    adminApiKey?: string;
+    // Lets Prometheus read /metrics without the admin key
+    metricsApiKey?: string;
+
     // Proxy configuration
     proxyPrefix?: string; // Default: '/mcp'
 
+    // Backend health checks and circuit breaking (see BackendHealth)
+    healthCheck?: BackendHealthConfig;
+    // Server registrations without a heartbeat for this long are removed
+    serverStaleMinutes?: number; // Default: 10
+
+    // Replicas: gateways sharing a token store each serve every session, so they can sit
+    // behind one load balancer. Rate limits are counted in the store.
+    instanceId?: string; // Default: MCP_GATEWAY_INSTANCE_ID, else <hostname>-<pid>
+    rateLimit?: GatewayRateLimitConfig | false;
+    // Proxies in front of the gateway (e.g. 1 for a load balancer). The client address is the
+    // X-Forwarded-For entry the outermost of them added - entries further left come from the
+    // client and are ignored. Rate limits and logs use this address.
+    trustedProxies?: number; // Default: 0 - the address that connected
+    stickyCookie?: string | false; // Cookie naming this instance, for load balancer affinity - default 'mcp_gateway_instance'
+    drain?: {
+        delayMs?: number;   // stop() keeps serving this long after /ready fails, so load balancers notice - default 0
+        timeoutMs?: number; // Then in-flight requests get this long to finish - default 10s
+    };
+
+    // Prometheus metrics served at /metrics - pass a registry to add them to one of your own
+    metrics?: MetricsRegistry;
+
     // SSL configuration (optional)
     ssl?: {
         cert: string;
@@ -35,6 +85,43 @@ export interface GatewayProxyConfig {
     enableLogging?: boolean;
 }
 
+// Shown instead of a proxy error when the UI server behind a session is gone
+const UNAVAILABLE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Web UI unavailable</title>
+    <style>
+        body { font-family: system-ui, -apple-system, sans-serif; background: #f5f5f7; color: #1d1d1f; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+        main { background: #fff; border-radius: 12px; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08); padding: 2rem 2.5rem; max-width: 28rem; text-align: center; }
+        h1 { font-size: 1.3rem; margin: 0 0 0.75rem; }
+        p { color: #555; line-height: 1.5; margin: 0.5rem 0; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>This web UI is no longer available</h1>
+        <p>The server behind it has stopped or isn't responding.</p>
+        <p>Ask the assistant to reopen the web UI to get a new link.</p>
+    </main>
+</body>
+</html>`;
+
+/**
+ * Client address of a request that came through trustedProxies proxies - the same
+ * address Express gives as req.ip with 'trust proxy' set to that number
+ */
+function clientAddress(req: IncomingMessage, trustedProxies: number): string {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const forwarded = typeof forwardedFor === 'string'
+        ? forwardedFor.split(',').map(entry => entry.trim()).filter(Boolean)
+        : [];
+    // Nearest first: the address that connected, then what each proxy before it saw
+    const hops = [req.socket.remoteAddress || 'unknown', ...forwarded.reverse()];
+    return hops[Math.min(trustedProxies, hops.length - 1)];
+}
+
 /**
  * Gateway Proxy Server for ephemeral MCP Web UIs
  * 
@@ -42,22 +129,33 @@ export interface GatewayProxyConfig {
  * based on secure tokens. Supports HTTP, WebSocket, and SSE connections.
  * 
  * URL Pattern: /mcp/:token/*
- * - Validates token against MongoDB registry
+ * - Validates token against the token registry
  * - Routes to appropriate ephemeral backend
  * - Supports real-time bidirectional communication
  */
 export class GatewayProxyServer {
     private app: express.Application;
     private server?: HttpServer | HttpsServer;
-    private wss?: WebSocketServer;
-    private mongoClient?: MongoClient;
+    private webSocketProxy: ReturnType<typeof createProxyMiddleware>;
+    private proxiedSockets: Set<Duplex> = new Set();
+    private tokenStore?: TokenStore;
     private tokenRegistry?: TokenRegistry;
+    private health: BackendHealth;
+    private healthTimer?: NodeJS.Timeout;
+    private rateLimiter?: RateLimiter;
+    private metrics: GatewayMetrics;
+    private logger: Logger;
+    private draining = false;
     private config: GatewayProxyConfig & {
         host: string;
         mongoDbName: string;
         corsOrigins: string[];
         proxyPrefix: string;
         enableLogging: boolean;
+        requireControlPlaneAuth: boolean;
+        serverStaleMinutes: number;
+        instanceId: string;
+        stickyCookie: string | false;
     };
 
     constructor(config: GatewayProxyConfig) {
@@ -67,20 +165,55 @@ export class GatewayProxyServer {
             corsOrigins: ['*'],
             proxyPrefix: '/mcp',
             enableLogging: true,
+            requireControlPlaneAuth: true,
+            serverStaleMinutes: 10,
+            instanceId: process.env.MCP_GATEWAY_INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+            stickyCookie: 'mcp_gateway_instance',
+            trustedProxies: 0,
             ...config
         };
 
+        this.logger = new Logger('GatewayProxy', { instanceId: this.config.instanceId });
+        this.health = new BackendHealth(config.healthCheck, this.config.logger || this.log.bind(this));
+        this.metrics = new GatewayMetrics(config.metrics || new MetricsRegistry(this.log.bind(this)), {
+            tokenRegistry: () => this.tokenRegistry,
+            health: this.health,
+            webSockets: () => this.proxiedSockets.size
+        });
+
         this.app = express();
         this.setupMiddleware();
         this.setupRoutes();
+        this.webSocketProxy = this.createWebSocketProxyMiddleware();
     }
 
     /**
      * Setup Express middleware
      */
     private setupMiddleware(): void {
-        // Enable trust proxy for proper IP forwarding
-        this.app.set('trust proxy', true);
+        // req.ip is the client address seen by the outermost trusted proxy (see clientAddress)
+        this.app.set('trust proxy', this.config.trustedProxies);
+
+        // Request ID - made up here unless a load balancer sent one. The proxies forward it
+        // to the backend, and every log entry written while handling the request carries it.
+        this.app.use((req, res, next) => {
+            const requestId = requestIdFrom(req.get(REQUEST_ID_HEADER));
+            req.headers[REQUEST_ID_HEADER] = requestId;
+            res.setHeader('X-Request-Id', requestId);
+            runWithRequestId(requestId, next);
+        });
+
+        // Request counts and latency - first, so rejected requests are counted too
+        this.app.use((req, res, next) => {
+            const start = performance.now();
+            res.on('finish', () => {
+                // An event stream lasts as long as the page is open
+                const isEventStream = String(res.getHeader('Content-Type') || '').includes('text/event-stream');
+                this.metrics.observeRequest(this.metricsRoute(req), req.method, res.statusCode,
+                    isEventStream ? null : (performance.now() - start) / 1000);
+            });
+            next();
+        });
 
         // CORS middleware
         this.app.use((req, res, next) => {
@@ -90,7 +223,8 @@ export class GatewayProxyServer {
                 res.header('Access-Control-Allow-Origin', origin || '*');
             }
             res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control');
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, X-Request-Id');
+            res.header('Access-Control-Expose-Headers', 'X-Request-Id');
             res.header('Access-Control-Allow-Credentials', 'true');
 
             if (req.method === 'OPTIONS') {
@@ -100,6 +234,29 @@ export class GatewayProxyServer {
             }
         });
 
+        // Which replica answered - and while draining, make clients reconnect to another one
+        this.app.use((req, res, next) => {
+            res.setHeader('X-Gateway-Instance', this.config.instanceId);
+            if (this.draining) {
+                res.setHeader('Connection', 'close');
+            }
+            next();
+        });
+
+        // Per-IP rate limit, shared by all replicas - probes are exempt
+        this.app.use(async (req, res, next) => {
+            if (!this.rateLimiter || req.path === '/health' || req.path === '/ready') {
+                return next();
+            }
+
+            const result = await this.rateLimiter.checkIp(req.ip || req.socket.remoteAddress || 'unknown');
+            if (this.rejectRateLimited(res, result, 'ip')) {
+                this.log('warn', `Rate limit exceeded for ${req.ip}`);
+                return;
+            }
+            next();
+        });
+
         // Request logging (filter out polling noise)
         if (this.config.enableLogging) {
             this.app.use((req, res, next) => {
@@ -143,20 +300,46 @@ export class GatewayProxyServer {
         this.app.get('/health', (req, res) => {
             res.json({
                 status: 'healthy',
+                instanceId: this.config.instanceId,
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime()
             });
         });
 
+        // Readiness for load balancers - unlike /health, fails while draining or when the token store is unreachable
+        this.app.get('/ready', async (req, res) => {
+            const status = (state: string, error?: string) => ({
+                status: state,
+                instanceId: this.config.instanceId,
+                ...(error ? { error } : {}),
+                timestamp: new Date().toISOString()
+            });
+
+            if (this.draining) {
+                return res.status(503).json(status('draining'));
+            }
+            if (!this.tokenStore) {
+                return res.status(503).json(status('starting'));
+            }
+
+            try {
+                await this.tokenStore.ping();
+                res.json(status('ready'));
+            } catch (error) {
+                this.log('warn', 'Readiness check failed - token store unreachable:', error);
+                res.status(503).json(status('unavailable', 'Token store unreachable'));
+            }
+        });
+
         // Session creation endpoint for MCP servers
-        this.app.post('/create-session', async (req, res) => {
+        this.app.post('/create-session', this.createControlPlaneAuthMiddleware(req => req.body?.serverName), async (req, res) => {
             if (!this.tokenRegistry) {
                 return res.status(503).json({ error: 'Token registry not available' });
             }
 
             try {
 
-                const { userId, serverName, serverType, backend, ttlMinutes = 30 } = req.body;
+                const { userId, serverName, serverType, backend, ttlMinutes = 30, scopes } = req.body;
 
                 if (!userId || !serverName || !backend) {
                     return res.status(400).json({
@@ -165,8 +348,23 @@ export class GatewayProxyServer {
                     });
                 }
 
+                if (scopes !== undefined && !isValidScopeList(scopes)) {
+                    return res.status(400).json({
+                        error: 'Invalid scopes',
+                        allowed: SESSION_SCOPES
+                    });
+                }
+                const grantedScopes = scopes ? normalizeScopes(scopes) : DEFAULT_SESSION_SCOPES;
+
                 // Check for existing active session first using composite key
-                const existingSession = await this.tokenRegistry.findActiveSession(userId, serverName, serverType);
+                let existingSession = await this.tokenRegistry.findActiveSession(userId, serverName, serverType);
+
+                // A session with different scopes is replaced so the old link stops working
+                if (existingSession && !sameScopes(existingSession.scopes, grantedScopes)) {
+                    this.log('info', `Scopes changed for user ${userId}, server ${serverName} - replacing session`);
+                    await this.tokenRegistry.revokeSession(existingSession.token);
+                    existingSession = null;
+                }
 
                 let session;
                 if (existingSession) {
@@ -180,7 +378,8 @@ export class GatewayProxyServer {
                         serverName,
                         serverType,
                         backend,
-                        ttlMinutes
+                        ttlMinutes,
+                        scopes: grantedScopes
                     });
                 }
 
@@ -197,7 +396,7 @@ export class GatewayProxyServer {
         });
 
         // Server registration endpoint for MCP servers
-        this.app.post('/register-server', async (req, res) => {
+        this.app.post('/register-server', this.createControlPlaneAuthMiddleware(req => req.body?.serverName), async (req, res) => {
             if (!this.tokenRegistry) {
                 return res.status(503).json({ error: 'Token registry not available' });
             }
@@ -218,6 +417,11 @@ export class GatewayProxyServer {
                         error: 'TCP backend requires host and port'
                     });
                 }
+                if (backend.type === 'unix' && !backend.socketPath) {
+                    return res.status(400).json({
+                        error: 'Unix backend requires socketPath'
+                    });
+                }
 
                 // Register the server
                 await this.tokenRegistry.registerServer(serverName, backend, metadata);
@@ -238,8 +442,36 @@ export class GatewayProxyServer {
             }
         });
 
+        // Heartbeat endpoint - keeps a registration from being cleaned up as stale
+        this.app.post('/heartbeat/:serverName', this.createControlPlaneAuthMiddleware(req => req.params.serverName), async (req, res) => {
+            if (!this.tokenRegistry) {
+                return res.status(503).json({ error: 'Token registry not available' });
+            }
+
+            try {
+                const { serverName } = req.params;
+                const server = await this.tokenRegistry.getRegisteredServer(serverName);
+
+                if (!server || !(await this.tokenRegistry.updateServerHeartbeat(serverName))) {
+                    return res.status(404).json({
+                        error: 'Server not registered',
+                        hint: 'Register again with POST /register-server'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    serverName,
+                    healthy: this.health.isHealthy(server.backend)
+                });
+            } catch (error) {
+                this.log('error', 'Failed to record heartbeat:', error);
+                res.status(500).json({ error: 'Failed to record heartbeat' });
+            }
+        });
+
         // Server discovery endpoint - get registered server info
-        this.app.get('/discover-server/:serverName', async (req, res) => {
+        this.app.get('/discover-server/:serverName', this.createControlPlaneAuthMiddleware(req => req.params.serverName), async (req, res) => {
             if (!this.tokenRegistry) {
                 return res.status(503).json({ error: 'Token registry not available' });
             }
@@ -260,7 +492,8 @@ export class GatewayProxyServer {
                     serverName,
                     backend: serverInfo.backend,
                     metadata: serverInfo.metadata,
-                    registeredAt: serverInfo.registeredAt
+                    registeredAt: serverInfo.registeredAt,
+                    healthy: this.health.isHealthy(serverInfo.backend)
                 });
             } catch (error) {
                 this.log('error', 'Failed to discover server:', error);
@@ -268,8 +501,34 @@ export class GatewayProxyServer {
             }
         });
 
-        // Proxy stats endpoint (optional admin endpoint)
-        this.app.get('/stats', async (req, res) => {
+        // Revoke one of a server's sessions (and its share links) - e.g. when the assistant closes a UI
+        this.app.delete('/sessions/:token', this.createControlPlaneAuthMiddleware(req => req.query.serverName), async (req, res) => {
+            try {
+                const { serverName } = req.query;
+
+                if (typeof serverName !== 'string') {
+                    return res.status(400).json({
+                        error: 'Missing required fields',
+                        required: ['serverName']
+                    });
+                }
+
+                // Another server's sessions look the same as missing ones
+                const revoked = await this.tokenRegistry!.revokeSession(req.params.token, serverName);
+                if (!revoked) {
+                    return res.status(404).json({ error: 'Session not found' });
+                }
+
+                this.log('info', `Revoked session for server ${serverName}`);
+                res.json({ success: true });
+            } catch (error) {
+                this.log('error', 'Failed to revoke session:', error);
+                res.status(500).json({ error: 'Failed to revoke session' });
+            }
+        });
+
+        // Proxy stats endpoint (admin only)
+        this.app.get('/stats', this.createControlPlaneAuthMiddleware('admin'), async (req, res) => {
             if (!this.tokenRegistry) {
                 return res.status(503).json({ error: 'Token registry not available' });
             }
@@ -278,7 +537,9 @@ export class GatewayProxyServer {
                 const stats = await this.tokenRegistry.getStats();
                 res.json({
                     ...stats,
+                    backends: this.health.getStatus(),
                     server: {
+                        instanceId: this.config.instanceId,
                         uptime: process.uptime(),
                         timestamp: new Date().toISOString()
                     }
@@ -289,6 +550,141 @@ export class GatewayProxyServer {
             }
         });
 
+        // Prometheus metrics - the admin key or metricsApiKey
+        this.app.get('/metrics', this.createMetricsAuthMiddleware(), async (req, res) => {
+            try {
+                res.type(PROMETHEUS_CONTENT_TYPE).send(await this.metrics.registry.render());
+            } catch (error) {
+                this.log('error', 'Failed to render metrics:', error);
+                res.status(500).json({ error: 'Failed to render metrics' });
+            }
+        });
+
+        // API key management (admin only)
+        this.app.post('/api-keys', this.createControlPlaneAuthMiddleware('admin'), async (req, res) => {
+            try {
+                const { serverName, description } = req.body;
+
+                if (!serverName || typeof serverName !== 'string') {
+                    return res.status(400).json({
+                        error: 'Missing required fields',
+                        required: ['serverName']
+                    });
+                }
+
+                const key = await this.tokenRegistry!.createApiKey(serverName, typeof description === 'string' ? description : undefined);
+
+                res.status(201).json({
+                    success: true,
+                    ...key,
+                    hint: 'Store this key now - it cannot be shown again'
+                });
+            } catch (error) {
+                this.log('error', 'Failed to create API key:', error);
+                res.status(500).json({ error: 'Failed to create API key' });
+            }
+        });
+
+        this.app.get('/api-keys', this.createControlPlaneAuthMiddleware('admin'), async (req, res) => {
+            try {
+                const serverName = typeof req.query.serverName === 'string' ? req.query.serverName : undefined;
+                const keys = await this.tokenRegistry!.listApiKeys(serverName);
+                res.json({ success: true, keys });
+            } catch (error) {
+                this.log('error', 'Failed to list API keys:', error);
+                res.status(500).json({ error: 'Failed to list API keys' });
+            }
+        });
+
+        this.app.delete('/api-keys/:keyId', this.createControlPlaneAuthMiddleware('admin'), async (req, res) => {
+            try {
+                const revoked = await this.tokenRegistry!.revokeApiKey(req.params.keyId);
+
+                if (!revoked) {
+                    return res.status(404).json({ error: 'API key not found', keyId: req.params.keyId });
+                }
+
+                res.json({ success: true, keyId: req.params.keyId });
+            } catch (error) {
+                this.log('error', 'Failed to revoke API key:', error);
+                res.status(500).json({ error: 'Failed to revoke API key' });
+            }
+        });
+
+        // Share links - extra tokens for a session with their own scopes, lifetime and use limit
+        this.app.post('/shares', this.createControlPlaneAuthMiddleware(req => req.body?.serverName), async (req, res) => {
+            try {
+                const { serverName, sessionToken, scopes, ttlMinutes, maxUses, label } = req.body;
+
+                if (!serverName || !sessionToken || typeof sessionToken !== 'string') {
+                    return res.status(400).json({
+                        error: 'Missing required fields',
+                        required: ['serverName', 'sessionToken']
+                    });
+                }
+
+                const parent = await this.tokenRegistry!.validateToken(sessionToken);
+                if (!parent || parent.serverName !== serverName) {
+                    return res.status(404).json({ error: 'Session not found' });
+                }
+                if (parent.share) {
+                    return res.status(400).json({ error: 'Share links cannot be shared again' });
+                }
+
+                const options = { scopes, ttlMinutes, maxUses, label };
+                const invalid = validateShareOptions(options, parent.scopes);
+                if (invalid) {
+                    return res.status(400).json({ error: invalid, allowed: SESSION_SCOPES });
+                }
+
+                const share = await this.tokenRegistry!.createShare(parent, options);
+                this.log('info', `Created share ${share.share!.id} for user ${parent.userId}, server ${serverName}`);
+                res.status(201).json({ success: true, ...describeShare(share) });
+            } catch (error) {
+                this.log('error', 'Failed to create share:', error);
+                res.status(500).json({ error: 'Failed to create share' });
+            }
+        });
+
+        this.app.get('/shares', this.createControlPlaneAuthMiddleware(req => req.query.serverName), async (req, res) => {
+            try {
+                const { serverName, sessionToken } = req.query;
+
+                if (typeof serverName !== 'string' || typeof sessionToken !== 'string') {
+                    return res.status(400).json({
+                        error: 'Missing required fields',
+                        required: ['serverName', 'sessionToken']
+                    });
+                }
+
+                const shares = (await this.tokenRegistry!.listShares(sessionToken))
+                    .filter(share => share.serverName === serverName);
+                res.json({ success: true, shares: shares.map(describeShare) });
+            } catch (error) {
+                this.log('error', 'Failed to list shares:', error);
+                res.status(500).json({ error: 'Failed to list shares' });
+            }
+        });
+
+        this.app.delete('/shares/:shareId', this.createControlPlaneAuthMiddleware(req => req.query.serverName), async (req, res) => {
+            try {
+                const share = await this.tokenRegistry!.getShare(req.params.shareId);
+
+                // Another server's (or, with sessionToken, another session's) shares look the same as missing ones
+                const { serverName, sessionToken } = req.query;
+                if (!share || share.serverName !== serverName ||
+                    (sessionToken !== undefined && share.share?.parentToken !== sessionToken)) {
+                    return res.status(404).json({ error: 'Share not found', shareId: req.params.shareId });
+                }
+
+                await this.tokenRegistry!.revokeShare(req.params.shareId);
+                res.json({ success: true, shareId: req.params.shareId });
+            } catch (error) {
+                this.log('error', 'Failed to revoke share:', error);
+                res.status(500).json({ error: 'Failed to revoke share' });
+            }
+        });
+
         // Handle API routes specifically (highest priority)
         this.app.use(
             `${this.config.proxyPrefix}/:token/api/*`,
@@ -320,6 +716,103 @@ export class GatewayProxyServer {
         });
     }
 
+    /**
+     * Control plane authentication middleware
+     * Callers send "Authorization: Bearer <key>". A server API key only covers the
+     * server it was issued for; the admin key covers every route.
+     * @param scope - 'admin' for admin-only routes, otherwise reads the serverName the request acts on
+     */
+    private createControlPlaneAuthMiddleware(scope: 'admin' | ((req: Request) => unknown)) {
+        return async (req: Request, res: Response, next: NextFunction) => {
+            if (!this.tokenRegistry) {
+                return res.status(503).json({ error: 'Token registry not available' });
+            }
+
+            if (!this.config.requireControlPlaneAuth) {
+                return next();
+            }
+
+            const header = req.get('Authorization') || '';
+            const apiKey = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+            if (!apiKey) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({
+                    error: 'Authentication required',
+                    hint: 'Send the server API key as "Authorization: Bearer <key>"'
+                });
+            }
+
+            if (this.isAdminKey(apiKey)) {
+                (req as any).gatewayCaller = { admin: true };
+                return next();
+            }
+
+            try {
+                const key = await this.tokenRegistry.verifyApiKey(apiKey);
+
+                if (!key) {
+                    this.log('warn', `Rejected control plane request with an invalid API key: ${req.method} ${req.path}`, { ip: req.ip });
+                    res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+                    return res.status(401).json({ error: 'Invalid API key' });
+                }
+
+                if (scope === 'admin') {
+                    return res.status(403).json({ error: 'Admin API key required' });
+                }
+
+                // A missing serverName is left to the route's own validation
+                const serverName = scope(req);
+                if (serverName !== undefined && serverName !== key.serverName) {
+                    this.log('warn', `API key ${key.keyId} for ${key.serverName} tried to act on ${String(serverName)}`, { ip: req.ip });
+                    return res.status(403).json({
+                        error: 'Forbidden',
+                        message: `This API key is scoped to server "${key.serverName}"`
+                    });
+                }
+
+                (req as any).gatewayCaller = { admin: false, serverName: key.serverName, keyId: key.keyId };
+                next();
+            } catch (error) {
+                this.log('error', 'Control plane authentication error:', error);
+                res.status(500).json({ error: 'Authentication failed' });
+            }
+        };
+    }
+
+    /**
+     * /metrics accepts metricsApiKey as well as the admin key, so a scraper needn't hold the admin key
+     */
+    private createMetricsAuthMiddleware() {
+        const adminOnly = this.createControlPlaneAuthMiddleware('admin');
+        return (req: Request, res: Response, next: NextFunction) => {
+            const header = req.get('Authorization') || '';
+            const apiKey = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+            if (apiKey && this.keyMatches(apiKey, this.config.metricsApiKey)) {
+                return next();
+            }
+            return adminOnly(req, res, next);
+        };
+    }
+
+    /**
+     * Constant-time comparison against the configured admin key
+     */
+    private isAdminKey(apiKey: string): boolean {
+        return this.keyMatches(apiKey, this.config.adminApiKey);
+    }
+
+    private keyMatches(apiKey: string, configured: string | undefined): boolean {
+        if (!configured) {
+            return false;
+        }
+
+        const expected = crypto.createHash('sha256').update(configured).digest();
+        const presented = crypto.createHash('sha256').update(apiKey).digest();
+        return crypto.timingSafeEqual(expected, presented);
+    }
+
     /**
      * Token validation middleware
      */
@@ -336,15 +829,55 @@ export class GatewayProxyServer {
             }
 
             try {
-                const session = await this.tokenRegistry.validateToken(token);
+                const sessionPath = new URL(req.originalUrl, 'http://localhost').pathname
+                    .slice(`${this.config.proxyPrefix}/${token}`.length) || '/';
+
+                // Opening the page counts against a share link's maxUses; its API calls don't
+                const isPageLoad = req.method === 'GET' && sessionPath.replace(/\/+$/, '') === '';
+                const session = isPageLoad
+                    ? await this.tokenRegistry.redeemShare(token)
+                    : await this.tokenRegistry.validateToken(token);
 
                 if (!session) {
+                    this.metrics.tokenValidationFailed('invalid', 'http');
                     return res.status(401).json({
                         error: 'Invalid or expired token',
                         hint: 'Request a new web UI session'
                     });
                 }
 
+                if (this.rateLimiter && this.rejectRateLimited(res, await this.rateLimiter.checkToken(token), 'token')) {
+                    this.log('warn', `Rate limit exceeded for user ${session.userId}, server ${session.serverName}`);
+                    return;
+                }
+
+                // Route-level scope check - the backend checks each action's own scopes
+                const requiredScope = requiredRouteScope(req.method, sessionPath);
+                if (requiredScope && !hasScopes(session.scopes, [requiredScope])) {
+                    this.log('warn', `${req.method} ${sessionPath} denied for user ${session.userId} - missing ${requiredScope} scope`);
+                    this.metrics.tokenValidationFailed('scope', 'http');
+                    return res.status(403).json({
+                        error: `This session does not have the ${requiredScope} scope`
+                    });
+                }
+
+                // Don't proxy to a backend whose circuit is open
+                this.health.watch(session.backend);
+                if (!(await this.health.isAvailable(session.backend))) {
+                    this.log('debug', `Backend for user ${session.userId}, server ${session.serverName} is unavailable`);
+                    return this.sendBackendUnavailable(req, res, 503);
+                }
+
+                // Lets a load balancer keep the page, its API calls and its WebSocket on this replica
+                if (isPageLoad && this.config.stickyCookie) {
+                    res.cookie(this.config.stickyCookie, this.config.instanceId, {
+                        path: `${this.config.proxyPrefix}/${token}`,
+                        httpOnly: true,
+                        sameSite: 'lax',
+                        secure: !!this.config.ssl
+                    });
+                }
+
                 // Attach session info to request for proxy middleware
                 (req as any).mcpSession = session;
 
@@ -367,20 +900,7 @@ export class GatewayProxyServer {
             ws: false, // No WebSocket for static files
 
             // Dynamic target resolution
-            router: (req) => {
-                const session = (req as any).mcpSession as EphemeralSession;
-
-                if (session.backend.type === 'tcp') {
-                    // Always use HTTP for internal backend communication
-                    // The gateway handles HTTPS termination, backends run HTTP
-                    const protocol = 'http';
-                    return `http://${session.backend.host}:${session.backend.port}`;
-                } else if (session.backend.type === 'unix') {
-                    return `http://unix:${session.backend.socketPath}:`;
-                }
-
-                throw new Error(`Unsupported backend type: ${session.backend.type}`);
-            },
+            router: (req) => this.backendTarget((req as any).mcpSession as EphemeralSession),
 
             // Path rewriting - remove /mcp/:token prefix but keep /static/:filename
             pathRewrite: (path, req) => {
@@ -402,6 +922,7 @@ export class GatewayProxyServer {
             // Error handling
             onError: (err, req, res) => {
                 this.log('error', 'Static proxy error:', err);
+                this.recordProxyFailure(req, err, 'static');
 
                 if (!res.headersSent) {
                     res.status(502).json({
@@ -426,12 +947,7 @@ export class GatewayProxyServer {
                 // Forward the JWT token to the backend server
                 const token = (req as any).params?.token;
                 if (token) {
-                    // Add token as query parameter (preferred by GenericUIServer)
-                    const separator = proxyReq.path.includes('?') ? '&' : '?';
-                    proxyReq.path = `${proxyReq.path}${separator}token=${token}`;
-
-                    // Also add as Authorization header for compatibility
-                    proxyReq.setHeader('Authorization', `Bearer ${token}`);
+                    this.forwardSessionToken(proxyReq, session);
 
                     this.log('debug', `Added token to static proxy request: ${token.substring(0, 20)}...`);
                 }
@@ -447,32 +963,12 @@ export class GatewayProxyServer {
             target: 'http://placeholder', // Will be overridden by router
             changeOrigin: true,
             ws: false, // No WebSocket for API calls
+            xfwd: true, // Lets the backend's audit log record the browser's address
             timeout: 30000, // 30 second timeout
             proxyTimeout: 30000, // 30 second proxy timeout
 
             // Dynamic target resolution
-            router: (req) => {
-                const session = (req as any).mcpSession as EphemeralSession;
-
-                if (session.backend.type === 'gateway') {
-                    throw new Error('Gateway session - no backend server available');
-                } else if (session.backend.type === 'tcp') {
-                    if (!session.backend.host || !session.backend.port) {
-                        throw new Error('TCP backend missing host or port');
-                    }
-                    // Always use HTTP for internal backend communication
-                    // The gateway handles HTTPS termination, backends run HTTP
-                    const protocol = 'http';
-                    return `http://${session.backend.host}:${session.backend.port}`;
-                } else if (session.backend.type === 'unix') {
-                    if (!session.backend.socketPath) {
-                        throw new Error('Unix backend missing socket path');
-                    }
-                    return `http://unix:${session.backend.socketPath}:`;
-                }
-
-                throw new Error(`Unsupported backend type: ${session.backend.type}`);
-            },
+            router: (req) => this.backendTarget((req as any).mcpSession as EphemeralSession),
 
             // Path rewriting - remove /mcp/:token prefix
             pathRewrite: (path, req) => {
@@ -494,6 +990,7 @@ export class GatewayProxyServer {
             // Error handling
             onError: (err, req, res) => {
                 this.log('error', 'API proxy error:', err);
+                this.recordProxyFailure(req, err, 'api');
 
                 if (!res.headersSent) {
                     res.status(502).json({
@@ -510,6 +1007,7 @@ export class GatewayProxyServer {
             onProxyRes: (proxyRes, req, res) => {
                 const session = (req as any).mcpSession as EphemeralSession;
                 const token = (req as any).params?.token;
+                this.health.recordSuccess(session.backend);
 
                 // Enhanced logging for API responses (skip polling requests)
                 const isPollingRequest = req.method === 'GET' && (req.url?.includes('/api/data') || req.path?.includes('/api/data'));
@@ -538,8 +1036,10 @@ export class GatewayProxyServer {
                     });
                 }
 
-                // Log response body for debugging (skip polling requests)
-                if (this.config.enableLogging && !isPollingRequest) {
+                // Log response body for debugging (skip polling requests and
+                // event streams, which never end and would buffer indefinitely)
+                const isEventStream = contentType.includes('text/event-stream');
+                if (this.config.enableLogging && !isPollingRequest && !isEventStream) {
                     let responseBody = '';
                     proxyRes.on('data', (chunk) => {
                         responseBody += chunk.toString();
@@ -604,13 +1104,8 @@ export class GatewayProxyServer {
                 }
 
                 if (token) {
-                    // Add token as query parameter (preferred by GenericUIServer)
-                    const separator = proxyReq.path.includes('?') ? '&' : '?';
                     const oldPath = proxyReq.path;
-                    proxyReq.path = `${proxyReq.path}${separator}token=${token}`;
-
-                    // Also add as Authorization header for compatibility
-                    proxyReq.setHeader('Authorization', `Bearer ${token}`);
+                    this.forwardSessionToken(proxyReq, session);
 
                     // Debug: Log token addition (skip for polling requests)
                     if (!isPollingRequest) {
@@ -634,37 +1129,12 @@ export class GatewayProxyServer {
         return createProxyMiddleware({
             target: 'http://placeholder', // Will be overridden by router
             changeOrigin: true,
-            ws: true, // Enable WebSocket proxying
+            ws: false, // Upgrades are validated and proxied in handleUpgrade()
             timeout: 30000, // 30 second timeout
             proxyTimeout: 30000, // 30 second proxy timeout
 
             // Dynamic target resolution
-            router: (req) => {
-                const session = (req as any).mcpSession as EphemeralSession;
-
-                if (session.backend.type === 'gateway') {
-                    // Gateway-managed sessions don't have backend servers
-                    // For now, we'll redirect to a placeholder or serve a message
-                    // This could be enhanced to serve static content directly
-                    throw new Error('Gateway session - no backend server available');
-                } else if (session.backend.type === 'tcp') {
-                    if (!session.backend.host || !session.backend.port) {
-                        throw new Error('TCP backend missing host or port');
-                    }
-                    // Always use HTTP for internal backend communication
-                    // The gateway handles HTTPS termination, backends run HTTP
-                    const protocol = 'http';
-                    return `${protocol}://${session.backend.host}:${session.backend.port}`;
-                } else if (session.backend.type === 'unix') {
-                    // For UNIX sockets, we need special handling
-                    if (!session.backend.socketPath) {
-                        throw new Error('Unix backend missing socket path');
-                    }
-                    return `http://unix:${session.backend.socketPath}:`;
-                }
-
-                throw new Error(`Unsupported backend type: ${session.backend.type}`);
-            },
+            router: (req) => this.backendTarget((req as any).mcpSession as EphemeralSession),
 
             // Path rewriting - remove /mcp/:token prefix
             pathRewrite: (path, req) => {
@@ -686,13 +1156,10 @@ export class GatewayProxyServer {
             // Error handling
             onError: (err, req, res) => {
                 this.log('error', 'Proxy error:', err);
+                this.recordProxyFailure(req, err, 'page');
 
                 if (!res.headersSent) {
-                    res.status(502).json({
-                        error: 'Bad Gateway',
-                        message: 'Failed to connect to backend service',
-                        hint: 'The ephemeral service may have stopped or be unreachable'
-                    });
+                    this.sendBackendUnavailable(req, res, 502);
                 }
             },
 
@@ -700,6 +1167,7 @@ export class GatewayProxyServer {
             onProxyRes: (proxyRes, req, res) => {
                 const session = (req as any).mcpSession as EphemeralSession;
                 const token = (req as any).params?.token;
+                this.health.recordSuccess(session.backend);
 
                 // Debug logging for all responses
                 this.log('debug', `Backend response received`, {
@@ -806,20 +1274,58 @@ export class GatewayProxyServer {
                 // The backend expects either query.token or Authorization header
                 const token = (req as any).params?.token;
                 if (token) {
-                    // Add token as query parameter (preferred by GenericUIServer)
-                    const separator = proxyReq.path.includes('?') ? '&' : '?';
-                    proxyReq.path = `${proxyReq.path}${separator}token=${token}`;
-
-                    // Also add as Authorization header for compatibility
-                    proxyReq.setHeader('Authorization', `Bearer ${token}`);
+                    this.forwardSessionToken(proxyReq, session);
 
                     this.log('debug', `Added token to proxy request: ${token.substring(0, 20)}...`);
                 }
+            }
+        } as Options);
+    }
+
+    /**
+     * Create WebSocket proxy middleware
+     * Only used through its upgrade() handle, after handleUpgrade() has validated the token
+     */
+    private createWebSocketProxyMiddleware() {
+        return createProxyMiddleware({
+            target: 'http://placeholder', // Will be overridden by router
+            changeOrigin: true,
+            ws: true,
+            xfwd: true, // Lets the backend's audit log record the browser's address
+
+            // Dynamic target resolution
+            router: (req) => this.backendTarget((req as any).mcpSession as EphemeralSession),
+
+            // Path rewriting - remove /mcp/:token prefix
+            pathRewrite: (path, req) => {
+                const token = (req as any).params?.token || '';
+                const prefix = `${this.config.proxyPrefix}/${token}`;
+                return path.replace(prefix, '') || '/';
             },
 
-            // WebSocket upgrade handling
+            // Logging
+            logLevel: this.config.enableLogging ? 'info' : 'silent',
+            logProvider: () => ({
+                log: (message: string) => this.log('debug', `[WsProxy] ${message}`),
+                debug: (message: string) => this.log('debug', `[WsProxy] ${message}`),
+                info: (message: string) => this.log('info', `[WsProxy] ${message}`),
+                warn: (message: string) => this.log('warn', `[WsProxy] ${message}`),
+                error: (message: string) => this.log('error', `[WsProxy] ${message}`)
+            }),
+
+            // For WebSocket errors the third argument is the client socket, not a response
+            onError: (err, req, socket) => {
+                this.log('error', 'WebSocket proxy error:', err);
+                this.recordProxyFailure(req, err, 'websocket');
+                (socket as unknown as Duplex).destroy();
+            },
+
+            // Forward the token to the backend - the request path is already fixed
+            // at this point, so use the Authorization header rather than the query string
             onProxyReqWs: (proxyReq, req, socket, options, head) => {
                 const session = (req as any).mcpSession as EphemeralSession;
+                this.forwardSessionToken(proxyReq, session, false);
+
                 this.log('info', `WebSocket upgrade for user ${session.userId}`, {
                     serverName: session.serverName,
                     target: session.backend.type === 'tcp'
@@ -831,20 +1337,277 @@ export class GatewayProxyServer {
     }
 
     /**
-     * Initialize MongoDB connection and token registry
+     * Where to proxy a session's requests - backends run plain HTTP, the gateway terminates HTTPS
+     * A Unix socket target is an object, whose socketPath http-proxy hands to http.request.
+     */
+    private backendTarget(session: EphemeralSession): string | { socketPath: string; host: string; protocol: string } {
+        const { backend } = session;
+
+        if (backend.type === 'gateway') {
+            // Gateway-managed sessions don't have backend servers
+            throw new Error('Gateway session - no backend server available');
+        } else if (backend.type === 'tcp') {
+            if (!backend.host || !backend.port) {
+                throw new Error('TCP backend missing host or port');
+            }
+            return `http://${backend.host}:${backend.port}`;
+        } else if (backend.type === 'unix') {
+            if (!backend.socketPath) {
+                throw new Error('Unix backend missing socket path');
+            }
+            // host only fills the Host header that changeOrigin sets
+            return { socketPath: backend.socketPath, host: 'localhost', protocol: 'http:' };
+        }
+
+        throw new Error(`Unsupported backend type: ${backend.type}`);
+    }
+
+    /**
+     * Add the backend's session token to a proxied request
+     * A share token is swapped for its parent's token - the only one the backend knows -
+     * and the share's own token and scopes travel in headers the backend only uses to
+     * narrow access.
+     * @param inQuery - Also add ?token= (preferred by GenericUIServer); not possible once a WebSocket path is fixed
+     */
+    private forwardSessionToken(proxyReq: ClientRequest, session: EphemeralSession, inQuery = true): void {
+        const token = session.share ? session.share.parentToken : session.token;
+
+        if (inQuery) {
+            const separator = proxyReq.path.includes('?') ? '&' : '?';
+            proxyReq.path = `${proxyReq.path}${separator}token=${token}`;
+        }
+
+        // Also add as Authorization header for compatibility
+        proxyReq.setHeader('Authorization', `Bearer ${token}`);
+
+        if (session.share) {
+            proxyReq.setHeader(SHARE_TOKEN_HEADER, session.token);
+            proxyReq.setHeader(SHARE_SCOPES_HEADER, session.scopes.join(','));
+        } else {
+            proxyReq.removeHeader(SHARE_TOKEN_HEADER);
+            proxyReq.removeHeader(SHARE_SCOPES_HEADER);
+        }
+    }
+
+    /**
+     * Validate the token on WebSocket upgrade requests and proxy them to the backend
+     * URL pattern: /mcp/:token/api/ws
+     */
+    private async handleUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer): Promise<void> {
+        const pathname = new URL(req.url || '/', 'http://localhost').pathname;
+        const prefix = `${this.config.proxyPrefix}/`;
+        const suffix = '/api/ws';
+
+        if (!pathname.startsWith(prefix) || !pathname.endsWith(suffix)) {
+            this.rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+
+        const token = pathname.slice(prefix.length, -suffix.length);
+
+        if (!token || token.includes('/')) {
+            this.rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+
+        if (!this.tokenRegistry) {
+            this.rejectUpgrade(socket, 503, 'Service Unavailable');
+            return;
+        }
+
+        try {
+            const session = await this.tokenRegistry.validateToken(token);
+
+            if (!session) {
+                this.metrics.tokenValidationFailed('invalid', 'websocket');
+                this.rejectUpgrade(socket, 401, 'Unauthorized');
+                return;
+            }
+
+            if (!hasScopes(session.scopes, ['read'])) {
+                this.metrics.tokenValidationFailed('scope', 'websocket');
+                this.rejectUpgrade(socket, 403, 'Forbidden');
+                return;
+            }
+
+            if (this.draining) {
+                this.rejectUpgrade(socket, 503, 'Service Unavailable');
+                return;
+            }
+
+            if (this.rateLimiter) {
+                const ip = clientAddress(req, this.config.trustedProxies!);
+                const limited = !(await this.rateLimiter.checkIp(ip)).allowed ? 'ip'
+                    : !(await this.rateLimiter.checkToken(token)).allowed ? 'token'
+                    : null;
+                if (limited) {
+                    this.metrics.rateLimitExceeded(limited);
+                    this.rejectUpgrade(socket, 429, 'Too Many Requests');
+                    return;
+                }
+            }
+
+            this.health.watch(session.backend);
+            if (!(await this.health.isAvailable(session.backend))) {
+                this.rejectUpgrade(socket, 503, 'Service Unavailable');
+                return;
+            }
+
+            // Same request shape the HTTP proxy middlewares expect
+            (req as any).mcpSession = session;
+            (req as any).params = { token };
+
+            this.proxiedSockets.add(socket);
+            socket.on('close', () => this.proxiedSockets.delete(socket));
+
+            this.webSocketProxy.upgrade!(req as Request, socket as any, head);
+        } catch (error) {
+            this.log('error', 'WebSocket token validation error:', error);
+            this.rejectUpgrade(socket, 500, 'Internal Server Error');
+        }
+    }
+
+    /**
+     * Add the rate limit headers, and answer 429 if the limit is exceeded
+     * @returns Whether the request was rejected
+     */
+    private rejectRateLimited(res: Response, result: RateLimitResult, limit: 'ip' | 'token'): boolean {
+        const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+        res.setHeader('RateLimit-Limit', result.limit);
+        res.setHeader('RateLimit-Remaining', result.remaining);
+        res.setHeader('RateLimit-Reset', resetSeconds);
+
+        if (result.allowed) {
+            return false;
+        }
+
+        this.metrics.rateLimitExceeded(limit);
+        res.setHeader('Retry-After', resetSeconds);
+        res.status(429).json({
+            error: 'Too many requests',
+            hint: `Try again in ${resetSeconds} seconds`
+        });
+        return true;
+    }
+
+    /**
+     * Count a failed proxy attempt against the session's backend
+     */
+    private recordProxyFailure(req: IncomingMessage, error: Error, channel: 'page' | 'api' | 'static' | 'websocket'): void {
+        const session = (req as any).mcpSession as EphemeralSession | undefined;
+        if (session) {
+            this.health.recordFailure(session.backend, error);
+            this.metrics.proxyError(session.serverName, backendKey(session.backend) || session.backend.type, channel, error);
+        }
+    }
+
+    /**
+     * Route pattern of a request for metrics - proxied paths hold the token, so they are
+     * reduced to the route they were served by
+     */
+    private metricsRoute(req: Request): string {
+        if (req.route?.path) {
+            return req.route.path;
+        }
+
+        const prefix = `${this.config.proxyPrefix}/`;
+        const path = req.originalUrl.split('?')[0];
+        if (!path.startsWith(prefix)) {
+            return 'unmatched';
+        }
+
+        const sessionPath = path.slice(prefix.length).replace(/^[^/]*/, '');
+        if (sessionPath.startsWith('/api/')) {
+            return `${prefix}:token/api/*`;
+        }
+        if (sessionPath.startsWith('/static/')) {
+            return `${prefix}:token/static/:filename`;
+        }
+        return `${prefix}:token`;
+    }
+
+    /**
+     * Answer a request whose backend is down - the browser opening the UI gets a page
+     * saying what to do, API calls and static resources get JSON
+     */
+    private sendBackendUnavailable(req: Request, res: Response, status: 502 | 503): void {
+        const path = req.originalUrl.split('?')[0];
+        const isPage = req.method === 'GET' && !path.includes('/api/') && !path.includes('/static/') && !!req.accepts('html');
+
+        res.setHeader('Cache-Control', 'no-store');
+        if (isPage) {
+            res.status(status).type('html').send(UNAVAILABLE_PAGE);
+        } else {
+            res.status(status).json({
+                error: 'Web UI unavailable',
+                hint: 'The UI server for this session has stopped - ask the assistant to reopen the web UI'
+            });
+        }
+    }
+
+    /**
+     * Probe backends and drop stale server registrations, every healthCheck.intervalMs
+     */
+    private startHealthChecks(): void {
+        const run = async () => {
+            if (!this.tokenRegistry) {
+                return;
+            }
+
+            try {
+                await this.tokenRegistry.cleanupStaleServers(this.config.serverStaleMinutes);
+
+                // Registered servers are probed even while no session is using them
+                const registered = new Set<string>();
+                for (const server of await this.tokenRegistry.getRegisteredServers()) {
+                    const key = backendKey(server.backend);
+                    if (key) {
+                        this.health.watch(server.backend);
+                        registered.add(key);
+                    }
+                }
+
+                await this.health.check(registered);
+            } catch (error) {
+                this.log('error', 'Backend health check failed:', error);
+            }
+        };
+
+        this.healthTimer = setInterval(run, this.health.intervalMs);
+        this.healthTimer.unref();
+        run();
+    }
+
+    /**
+     * Refuse an upgrade request with a plain HTTP status
+     */
+    private rejectUpgrade(socket: Duplex, status: number, reason: string): void {
+        this.log('warn', `WebSocket upgrade rejected: ${status} ${reason}`);
+        socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+        socket.destroy();
+    }
+
+    /**
+     * Open the token store and token registry
      */
     private async initializeDatabase(): Promise<void> {
         try {
-            this.mongoClient = new MongoClient(this.config.mongoUrl);
-            await this.mongoClient.connect();
+            const logger = this.config.logger || this.log.bind(this);
+            this.tokenStore = await createTokenStore(this.config.tokenStore, {
+                mongoUrl: this.config.mongoUrl,
+                mongoDbName: this.config.mongoDbName
+            }, logger);
 
-            const db = this.mongoClient.db(this.config.mongoDbName);
-            this.tokenRegistry = new TokenRegistry(db, {
+            this.tokenRegistry = new TokenRegistry(this.tokenStore, {
                 jwtSecret: this.config.jwtSecret,
-                logger: this.config.logger || this.log.bind(this)
+                logger
             });
 
-            this.log('info', `Connected to MongoDB: ${this.config.mongoDbName}`);
+            if (this.config.rateLimit !== false) {
+                this.rateLimiter = new RateLimiter(this.tokenStore, this.config.rateLimit, logger);
+            }
+
+            this.log('info', `Token registry using ${this.tokenStore.type} store`);
         } catch (error) {
             this.log('error', 'Failed to initialize database:', error);
             throw error;
@@ -855,6 +1618,8 @@ export class GatewayProxyServer {
      * Start the gateway proxy server
      */
     async start(): Promise<void> {
+        this.draining = false;
+
         try {
             // Initialize database first
             await this.initializeDatabase();
@@ -873,8 +1638,17 @@ export class GatewayProxyServer {
                 this.log('info', 'Created HTTP server');
             }
 
-            // Setup WebSocket server for WebSocket proxying
-            this.wss = new WebSocketServer({ server: this.server });
+            // Proxy WebSocket upgrades after validating the session token
+            this.server.on('upgrade', (req, socket, head) => {
+                // Forwarded to the backend with the upgrade, like for HTTP requests
+                const requestId = requestIdFrom(req.headers[REQUEST_ID_HEADER]);
+                req.headers[REQUEST_ID_HEADER] = requestId;
+
+                runWithRequestId(requestId, () => this.handleUpgrade(req, socket, head)).catch(error => {
+                    this.log('error', 'WebSocket upgrade failed:', error);
+                    socket.destroy();
+                });
+            });
 
             // Start listening
             await new Promise<void>((resolve, reject) => {
@@ -885,6 +1659,14 @@ export class GatewayProxyServer {
                 this.server!.on('error', reject);
             });
 
+            this.startHealthChecks();
+
+            if (!this.config.requireControlPlaneAuth) {
+                this.log('warn', 'Control plane authentication is disabled - anyone who can reach the gateway can create sessions and register servers');
+            } else if (!this.config.adminApiKey) {
+                this.log('info', 'No admin API key configured - server API keys must be issued with TokenRegistry.createApiKey()');
+            }
+
             const protocol = this.config.ssl ? 'https' : 'http';
             this.log('info', `Gateway Proxy Server started on ${protocol}://${this.config.host}:${this.config.port}`);
             this.log('info', `Proxy endpoint: ${protocol}://${this.config.host}:${this.config.port}${this.config.proxyPrefix}/:token/...`);
@@ -897,56 +1679,82 @@ export class GatewayProxyServer {
 
     /**
      * Stop the gateway proxy server
+     * Drains first: /ready fails straight away, and for drain.delayMs everything is still
+     * served so load balancers can take this replica out. Then new connections are refused,
+     * proxied WebSockets are closed (browsers reconnect through another replica) and
+     * in-flight requests get drain.timeoutMs to finish.
      */
     async stop(): Promise<void> {
         this.log('info', 'Stopping Gateway Proxy Server...');
+        this.draining = true;
 
-        try {
-            // Close WebSocket server with timeout
-            if (this.wss) {
-                this.log('debug', 'Closing WebSocket server...');
-                await Promise.race([
-                    new Promise<void>((resolve) => {
-                        this.wss!.close(() => resolve());
-                    }),
-                    new Promise<void>((resolve) => setTimeout(resolve, 5000)) // 5 second timeout
-                ]);
-                this.wss = undefined;
-                this.log('debug', 'WebSocket server closed');
-            }
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = undefined;
+        }
 
-            // Close HTTP server with timeout
+        try {
             if (this.server) {
+                const server = this.server;
+                const { delayMs = 0, timeoutMs = 10000 } = this.config.drain || {};
+
+                if (delayMs > 0) {
+                    this.log('info', `Draining - still serving for ${delayMs}ms while load balancers notice /ready failing`);
+                    await new Promise(resolve => setTimeout(resolve, delayMs));
+                }
+
                 this.log('debug', 'Closing HTTP server...');
-                await Promise.race([
-                    new Promise<void>((resolve) => {
-                        this.server!.close(() => resolve());
-                    }),
-                    new Promise<void>((resolve) => setTimeout(resolve, 10000)) // 10 second timeout
+                const closed = new Promise<void>(resolve => server.close(() => resolve()));
+                server.closeIdleConnections();
+
+                // Close proxied WebSocket connections so the HTTP server can close
+                if (this.proxiedSockets.size > 0) {
+                    this.log('debug', `Closing ${this.proxiedSockets.size} proxied WebSocket connections...`);
+                    for (const socket of this.proxiedSockets) {
+                        socket.destroy();
+                    }
+                    this.proxiedSockets.clear();
+                }
+
+                // Whatever outlasts the timeout - typically event streams - is cut
+                let timer: NodeJS.Timeout | undefined;
+                const finished = await Promise.race([
+                    closed.then(() => true),
+                    new Promise<boolean>(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); })
                 ]);
+                clearTimeout(timer);
+
+                if (!finished) {
+                    this.log('warn', `Drain timed out after ${timeoutMs}ms - closing remaining connections`);
+                    server.closeAllConnections();
+                    await closed;
+                }
+
                 this.server = undefined;
                 this.log('debug', 'HTTP server closed');
             }
 
-            // Close MongoDB connection with timeout
-            if (this.mongoClient) {
-                this.log('debug', 'Closing MongoDB connection...');
-                await Promise.race([
-                    this.mongoClient.close(),
-                    new Promise<void>((resolve) => setTimeout(resolve, 5000)) // 5 second timeout
-                ]);
-                this.mongoClient = undefined;
+            // Close the token store with timeout - a store instance passed in config belongs to the caller
+            if (this.tokenStore) {
+                if (this.tokenStore !== this.config.tokenStore) {
+                    this.log('debug', `Closing ${this.tokenStore.type} token store...`);
+                    await Promise.race([
+                        this.tokenStore.close(),
+                        new Promise<void>((resolve) => setTimeout(resolve, 5000)) // 5 second timeout
+                    ]);
+                }
+                this.tokenStore = undefined;
                 this.tokenRegistry = undefined;
-                this.log('debug', 'MongoDB connection closed');
+                this.log('debug', 'Token store closed');
             }
 
             this.log('info', 'Gateway Proxy Server stopped successfully');
         } catch (error) {
             this.log('error', 'Error during shutdown:', error);
             // Force cleanup even if there were errors
-            this.wss = undefined;
+            this.proxiedSockets.clear();
             this.server = undefined;
-            this.mongoClient = undefined;
+            this.tokenStore = undefined;
             this.tokenRegistry = undefined;
             throw error;
         }
@@ -971,7 +1779,9 @@ export class GatewayProxyServer {
 
         return {
             ...registryStats,
+            backends: this.health.getStatus(),
             server: {
+                instanceId: this.config.instanceId,
                 uptime: process.uptime(),
                 port: this.config.port,
                 host: this.config.host,
@@ -988,11 +1798,7 @@ export class GatewayProxyServer {
         if (this.config.logger) {
             this.config.logger(level, message, data);
         } else if (this.config.enableLogging) {
-            const timestamp = new Date().toISOString();
-            console.error(`[${timestamp}][${level.toUpperCase()}][GatewayProxy] ${message}`);
-            if (data) {
-                console.error(JSON.stringify(data, null, 2));
-            }
+            this.logger.log(level, message, data);
         }
     }
 
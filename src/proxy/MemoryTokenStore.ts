@@ -0,0 +1,265 @@
+import { EphemeralSession, RegisteredServer, ServerApiKey } from './TokenRegistry.js';
+import { TokenStore, SessionFilter, matchesSessionFilter } from './TokenStore.js';
+
+export type TokenStoreRecord =
+    | { kind: 'session'; value: EphemeralSession }
+    | { kind: 'server'; value: RegisteredServer }
+    | { kind: 'apiKey'; value: ServerApiKey };
+
+export type TokenStoreChange =
+    | TokenStoreRecord
+    | { kind: 'delete'; collection: TokenStoreRecord['kind']; id: string };
+
+/**
+ * In-process token store for single-process deployments and tests
+ * Nothing survives a restart. Expired sessions are hidden from reads and
+ * swept on a timer, standing in for MongoDB's TTL index.
+ */
+export class MemoryTokenStore implements TokenStore {
+    readonly type: string = 'memory';
+
+    protected sessions = new Map<string, EphemeralSession>();
+    protected servers = new Map<string, RegisteredServer>();
+    protected apiKeys = new Map<string, ServerApiKey>();
+    private counters = new Map<string, { count: number; resetAt: Date }>();
+    private sweepTimer?: NodeJS.Timeout;
+
+    constructor(options: { sweepIntervalMs?: number } = {}) {
+        const interval = options.sweepIntervalMs ?? 60 * 1000;
+        if (interval > 0) {
+            this.sweepTimer = setInterval(() => {
+                this.sweep().catch(() => { /* retried next sweep */ });
+            }, interval);
+            this.sweepTimer.unref();
+        }
+    }
+
+    async insertSession(session: EphemeralSession): Promise<void> {
+        return this.transaction(() => {
+            if (this.sessions.has(session.token)) {
+                throw new Error('Duplicate session token');
+            }
+
+            // sessionKey is unique - an expired session for the same key may linger until the sweep
+            for (const existing of this.sessions.values()) {
+                if (session.sessionKey && existing.sessionKey === session.sessionKey) {
+                    this.removeSession(existing.token);
+                }
+            }
+
+            this.applyChange({ kind: 'session', value: { ...session } });
+        });
+    }
+
+    async findSessions(filter: SessionFilter): Promise<EphemeralSession[]> {
+        this.sync();
+        return Array.from(this.sessions.values())
+            .filter(session => matchesSessionFilter(session, filter))
+            .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime())
+            .map(session => ({ ...session }));
+    }
+
+    async updateSession(token: string, changes: Partial<Pick<EphemeralSession, 'expiresAt' | 'lastAccessedAt' | 'lastActivityAt' | 'share'>>): Promise<boolean> {
+        return this.transaction(() => {
+            const session = this.sessions.get(token);
+            if (!session) {
+                return false;
+            }
+
+            this.applyChange({ kind: 'session', value: { ...session, ...changes } });
+            return true;
+        });
+    }
+
+    async redeemShare(token: string): Promise<EphemeralSession | null> {
+        return this.transaction(() => {
+            const session = this.sessions.get(token);
+            const share = session?.share;
+            if (!share || (share.maxUses !== undefined && share.uses >= share.maxUses)) {
+                return null;
+            }
+
+            const redeemed = { ...session, share: { ...share, uses: share.uses + 1 } };
+            this.applyChange({ kind: 'session', value: redeemed });
+            return { ...redeemed };
+        });
+    }
+
+    async deleteSessions(filter: SessionFilter): Promise<number> {
+        return this.transaction(() => {
+            const matching = Array.from(this.sessions.values()).filter(session => matchesSessionFilter(session, filter));
+            matching.forEach(session => this.removeSession(session.token));
+            return matching.length;
+        });
+    }
+
+    async upsertServer(server: RegisteredServer): Promise<void> {
+        return this.transaction(() => {
+            this.applyChange({ kind: 'server', value: { ...server } });
+        });
+    }
+
+    async findServer(serverName: string): Promise<RegisteredServer | null> {
+        this.sync();
+        const server = this.servers.get(serverName);
+        return server ? { ...server } : null;
+    }
+
+    async listServers(): Promise<RegisteredServer[]> {
+        this.sync();
+        return Array.from(this.servers.values()).map(server => ({ ...server }));
+    }
+
+    async updateServerHeartbeat(serverName: string, at: Date): Promise<boolean> {
+        return this.transaction(() => {
+            const server = this.servers.get(serverName);
+            if (!server) {
+                return false;
+            }
+
+            this.applyChange({ kind: 'server', value: { ...server, lastHeartbeat: at } });
+            return true;
+        });
+    }
+
+    async deleteServers(filter: { serverName?: string; heartbeatBefore?: Date }): Promise<number> {
+        return this.transaction(() => {
+            const matching = Array.from(this.servers.values()).filter(server =>
+                (filter.serverName === undefined || server.serverName === filter.serverName) &&
+                (filter.heartbeatBefore === undefined || (!!server.lastHeartbeat && server.lastHeartbeat < filter.heartbeatBefore)));
+
+            matching.forEach(server => this.applyChange({ kind: 'delete', collection: 'server', id: server.serverName }));
+            return matching.length;
+        });
+    }
+
+    async insertApiKey(key: ServerApiKey): Promise<void> {
+        return this.transaction(() => {
+            if (this.apiKeys.has(key.keyId)) {
+                throw new Error('Duplicate API key id');
+            }
+            this.applyChange({ kind: 'apiKey', value: { ...key } });
+        });
+    }
+
+    async findApiKey(keyId: string): Promise<ServerApiKey | null> {
+        this.sync();
+        const key = this.apiKeys.get(keyId);
+        return key ? { ...key } : null;
+    }
+
+    async listApiKeys(serverName?: string): Promise<ServerApiKey[]> {
+        this.sync();
+        return Array.from(this.apiKeys.values())
+            .filter(key => serverName === undefined || key.serverName === serverName)
+            .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime())
+            .map(key => ({ ...key }));
+    }
+
+    async updateApiKeyLastUsed(keyId: string, at: Date): Promise<void> {
+        return this.transaction(() => {
+            const key = this.apiKeys.get(keyId);
+            if (key) {
+                this.applyChange({ kind: 'apiKey', value: { ...key, lastUsedAt: at } });
+            }
+        });
+    }
+
+    async deleteApiKey(keyId: string): Promise<boolean> {
+        return this.transaction(() => {
+            if (!this.apiKeys.has(keyId)) {
+                return false;
+            }
+            this.applyChange({ kind: 'delete', collection: 'apiKey', id: keyId });
+            return true;
+        });
+    }
+
+    async incrementCounter(key: string, windowMs: number): Promise<{ count: number; resetAt: Date }> {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt.getTime() <= now) {
+            counter = { count: 0, resetAt: new Date((Math.floor(now / windowMs) + 1) * windowMs) };
+            this.counters.set(key, counter);
+        }
+
+        counter.count++;
+        return { ...counter };
+    }
+
+    async ping(): Promise<void> { }
+
+    async close(): Promise<void> {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = undefined;
+        }
+    }
+
+    /**
+     * Called before every operation - lets file-backed subclasses pick up other writers' changes
+     */
+    protected sync(): void { }
+
+    /**
+     * Run a check and the changes it leads to as one step. Nothing in fn may await -
+     * the file store holds a lock across processes for the duration.
+     */
+    protected transaction<T>(fn: () => T): T {
+        this.sync();
+        return fn();
+    }
+
+    /**
+     * Apply a change to the in-memory maps - subclasses override to persist it as well
+     */
+    protected applyChange(change: TokenStoreChange): void {
+        switch (change.kind) {
+            case 'session':
+                this.sessions.set(change.value.token, change.value);
+                break;
+            case 'server':
+                this.servers.set(change.value.serverName, change.value);
+                break;
+            case 'apiKey':
+                this.apiKeys.set(change.value.keyId, change.value);
+                break;
+            case 'delete':
+                this.collectionFor(change.collection).delete(change.id);
+                break;
+        }
+    }
+
+    /**
+     * Drop expired sessions and spent counters - called on the sweep timer
+     */
+    protected async sweep(): Promise<void> {
+        await this.deleteSessions({ expiredBefore: new Date() });
+        this.sweepCounters();
+    }
+
+    /**
+     * Drop counters whose window has passed
+     */
+    protected sweepCounters(): void {
+        const now = new Date();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+
+    private removeSession(token: string): void {
+        this.applyChange({ kind: 'delete', collection: 'session', id: token });
+    }
+
+    private collectionFor(kind: TokenStoreRecord['kind']): Map<string, unknown> {
+        switch (kind) {
+            case 'session': return this.sessions;
+            case 'server': return this.servers;
+            case 'apiKey': return this.apiKeys;
+        }
+    }
+}
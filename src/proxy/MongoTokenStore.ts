@@ -0,0 +1,229 @@
+import { MongoClient, Db, Collection, Filter } from 'mongodb';
+import { EphemeralSession, RegisteredServer, ServerApiKey } from './TokenRegistry.js';
+import { TokenStore, SessionFilter } from './TokenStore.js';
+import { Logger } from '../logging/Logger.js';
+
+// Used when no logger is passed in
+const defaultLogger = new Logger('MongoTokenStore');
+
+/**
+ * MongoDB token store - sessions expire through a TTL index
+ * Collections: ephemeral_webui_sessions, registered_mcp_servers, gateway_api_keys,
+ * gateway_rate_limits (one document per key and window, also removed by a TTL index)
+ */
+export class MongoTokenStore implements TokenStore {
+    readonly type: string = 'mongo';
+
+    private collection: Collection<EphemeralSession>;
+    private serverCollection: Collection<RegisteredServer>;
+    private apiKeyCollection: Collection<ServerApiKey>;
+    private counterCollection: Collection<{ _id: string; count: number; resetAt: Date }>;
+
+    /**
+     * @param db - Connected database
+     * @param client - Closed by close() when the store owns the connection
+     */
+    constructor(
+        private db: Db,
+        private client?: MongoClient,
+        private logger?: (level: string, message: string, data?: any) => void
+    ) {
+        this.collection = db.collection<EphemeralSession>('ephemeral_webui_sessions');
+        this.serverCollection = db.collection<RegisteredServer>('registered_mcp_servers');
+        this.apiKeyCollection = db.collection<ServerApiKey>('gateway_api_keys');
+        this.counterCollection = db.collection<{ _id: string; count: number; resetAt: Date }>('gateway_rate_limits');
+        this.setupIndexes();
+    }
+
+    /**
+     * Connect and return a store that owns the connection
+     */
+    static async connect(url: string, dbName: string, logger?: (level: string, message: string, data?: any) => void): Promise<MongoTokenStore> {
+        const client = new MongoClient(url);
+        await client.connect();
+        return new MongoTokenStore(client.db(dbName), client, logger);
+    }
+
+    /**
+     * Setup MongoDB indexes for efficient queries and TTL
+     */
+    private async setupIndexes(): Promise<void> {
+        try {
+            // TTL index for automatic cleanup
+            await this.collection.createIndex(
+                { expiresAt: 1 },
+                { expireAfterSeconds: 0 }
+            );
+
+            // Performance indexes
+            await this.collection.createIndex({ token: 1 }, { unique: true });
+            await this.collection.createIndex({ userId: 1 });
+            await this.collection.createIndex({ serverName: 1 });
+            await this.collection.createIndex({ sessionKey: 1 }, { unique: true }); // Composite key index
+            await this.collection.createIndex({ createdAt: 1 });
+            await this.collection.createIndex({ 'share.parentToken': 1 }, { sparse: true });
+            await this.apiKeyCollection.createIndex({ keyId: 1 }, { unique: true });
+            await this.apiKeyCollection.createIndex({ serverName: 1 });
+            await this.counterCollection.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+            this.log('info', '[MongoTokenStore] MongoDB indexes created successfully');
+        } catch (error) {
+            this.log('error', '[MongoTokenStore] Failed to create indexes:', error);
+        }
+    }
+
+    async insertSession(session: EphemeralSession): Promise<void> {
+        // The TTL monitor runs once a minute, so an expired session may still hold the unique sessionKey
+        if (session.sessionKey) {
+            await this.collection.deleteMany({ sessionKey: session.sessionKey, expiresAt: { $lte: new Date() } });
+        }
+        await this.collection.insertOne({ ...session });
+    }
+
+    async findSessions(filter: SessionFilter): Promise<EphemeralSession[]> {
+        return await this.collection
+            .find(this.toQuery(filter), { projection: { _id: 0 } })
+            .sort({ createdAt: -1 })
+            .toArray();
+    }
+
+    async updateSession(token: string, changes: Partial<Pick<EphemeralSession, 'expiresAt' | 'lastAccessedAt' | 'lastActivityAt' | 'share'>>): Promise<boolean> {
+        const result = await this.collection.updateOne({ token }, { $set: changes });
+        return result.matchedCount > 0;
+    }
+
+    async redeemShare(token: string): Promise<EphemeralSession | null> {
+        return await this.collection.findOneAndUpdate(
+            {
+                token,
+                share: { $exists: true },
+                // An unlimited share's maxUses is missing, or null when stored as undefined
+                $or: [
+                    { 'share.maxUses': null },
+                    { $expr: { $lt: ['$share.uses', '$share.maxUses'] } }
+                ]
+            },
+            { $inc: { 'share.uses': 1 } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+
+    async deleteSessions(filter: SessionFilter): Promise<number> {
+        const result = await this.collection.deleteMany(this.toQuery(filter));
+        return result.deletedCount;
+    }
+
+    async upsertServer(server: RegisteredServer): Promise<void> {
+        await this.serverCollection.replaceOne(
+            { serverName: server.serverName },
+            server,
+            { upsert: true }
+        );
+    }
+
+    async findServer(serverName: string): Promise<RegisteredServer | null> {
+        return await this.serverCollection.findOne({ serverName }, { projection: { _id: 0 } });
+    }
+
+    async listServers(): Promise<RegisteredServer[]> {
+        return await this.serverCollection.find({}, { projection: { _id: 0 } }).toArray();
+    }
+
+    async updateServerHeartbeat(serverName: string, at: Date): Promise<boolean> {
+        const result = await this.serverCollection.updateOne(
+            { serverName },
+            { $set: { lastHeartbeat: at } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    async deleteServers(filter: { serverName?: string; heartbeatBefore?: Date }): Promise<number> {
+        const query: Filter<RegisteredServer> = {};
+        if (filter.serverName !== undefined) query.serverName = filter.serverName;
+        if (filter.heartbeatBefore !== undefined) query.lastHeartbeat = { $lt: filter.heartbeatBefore };
+
+        const result = await this.serverCollection.deleteMany(query);
+        return result.deletedCount;
+    }
+
+    async insertApiKey(key: ServerApiKey): Promise<void> {
+        await this.apiKeyCollection.insertOne({ ...key });
+    }
+
+    async findApiKey(keyId: string): Promise<ServerApiKey | null> {
+        return await this.apiKeyCollection.findOne({ keyId }, { projection: { _id: 0 } });
+    }
+
+    async listApiKeys(serverName?: string): Promise<ServerApiKey[]> {
+        return await this.apiKeyCollection
+            .find(serverName ? { serverName } : {}, { projection: { _id: 0 } })
+            .sort({ createdAt: -1 })
+            .toArray();
+    }
+
+    async updateApiKeyLastUsed(keyId: string, at: Date): Promise<void> {
+        await this.apiKeyCollection.updateOne({ keyId }, { $set: { lastUsedAt: at } });
+    }
+
+    async deleteApiKey(keyId: string): Promise<boolean> {
+        const result = await this.apiKeyCollection.deleteOne({ keyId });
+        return result.deletedCount > 0;
+    }
+
+    async incrementCounter(key: string, windowMs: number): Promise<{ count: number; resetAt: Date }> {
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const resetAt = new Date(windowStart + windowMs);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const counter = await this.counterCollection.findOneAndUpdate(
+                    { _id: `${key}:${windowStart}` },
+                    { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+                    { upsert: true, returnDocument: 'after' }
+                );
+                return { count: counter?.count ?? 1, resetAt };
+            } catch (error: any) {
+                // Two replicas opened the same window at once - the loser's retry is a plain update
+                if (error.code !== 11000 || attempt > 0) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async ping(): Promise<void> {
+        await this.db.command({ ping: 1 });
+    }
+
+    async close(): Promise<void> {
+        if (this.client) {
+            await this.client.close();
+            this.client = undefined;
+        }
+    }
+
+    private toQuery(filter: SessionFilter): Filter<EphemeralSession> {
+        const query: Filter<EphemeralSession> = {};
+        if (filter.token !== undefined) query.token = filter.token;
+        if (filter.userId !== undefined) query.userId = filter.userId;
+        if (filter.serverName !== undefined) query.serverName = filter.serverName;
+        if (filter.sessionKey !== undefined) query.sessionKey = filter.sessionKey;
+        if (filter.shareId !== undefined) query['share.id'] = filter.shareId;
+        if (filter.shareOf !== undefined) query['share.parentToken'] = filter.shareOf;
+        if (filter.activeAt !== undefined || filter.expiredBefore !== undefined) {
+            query.expiresAt = {
+                ...(filter.activeAt !== undefined ? { $gt: filter.activeAt } : {}),
+                ...(filter.expiredBefore !== undefined ? { $lt: filter.expiredBefore } : {})
+            };
+        }
+        return query;
+    }
+
+    private log(level: string, message: string, data?: any): void {
+        if (this.logger) {
+            this.logger(level, message, data);
+        } else {
+            defaultLogger.log(level, message, data);
+        }
+    }
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import type { TokenStore } from './TokenStore.js';
+
+/**
+ * RateLimiter - Per-token and per-IP request limits for the gateway
+ *
+ * Counts live in the token store, so every gateway replica sharing the store
+ * enforces one limit (see TokenStore.incrementCounter). Windows are fixed:
+ * a client may send up to the limit in each windowMs.
+ *
+ * If the store can't be reached requests are let through - the gateway should
+ * stay usable when only the counters are unavailable.
+ */
+
+export interface GatewayRateLimitConfig {
+    windowMs?: number; // Default: 60s
+    perToken?: number; // Requests per session or share token per window - default 600 (a page polls every 2s)
+    perIp?: number;    // Requests per client address per window - default 1200
+}
+
+export interface RateLimitResult {
+    allowed: boolean;
+    limit: number;
+    remaining: number;
+    resetAt: Date;
+}
+
+export class RateLimiter {
+    private config: Required<GatewayRateLimitConfig>;
+
+    constructor(
+        private store: TokenStore,
+        config: GatewayRateLimitConfig = {},
+        private logger?: (level: string, message: string, data?: any) => void
+    ) {
+        this.config = {
+            windowMs: 60 * 1000,
+            perToken: 600,
+            perIp: 1200,
+            ...config
+        };
+    }
+
+    /**
+     * Count a request from a client address
+     */
+    checkIp(ip: string): Promise<RateLimitResult> {
+        return this.check('ip', ip, this.config.perIp);
+    }
+
+    /**
+     * Count a request made with a session or share token
+     */
+    checkToken(token: string): Promise<RateLimitResult> {
+        return this.check('token', token, this.config.perToken);
+    }
+
+    private async check(kind: 'ip' | 'token', id: string, limit: number): Promise<RateLimitResult> {
+        // Tokens are credentials - only a hash of one is stored
+        const key = `ratelimit:${kind}:${crypto.createHash('sha256').update(id).digest('hex').substring(0, 32)}`;
+
+        try {
+            const { count, resetAt } = await this.store.incrementCounter(key, this.config.windowMs);
+            return { allowed: count <= limit, limit, remaining: Math.max(0, limit - count), resetAt };
+        } catch (error) {
+            this.log('warn', `Rate limit counter unavailable, allowing request: ${error}`);
+            return { allowed: true, limit, remaining: limit, resetAt: new Date(Date.now() + this.config.windowMs) };
+        }
+    }
+
+    private log(level: string, message: string): void {
+        if (this.logger) {
+            this.logger(level, `[RateLimiter] ${message}`);
+        }
+    }
+}
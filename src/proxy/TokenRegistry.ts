@@ -1,6 +1,10 @@
-import { MongoClient, Db, Collection } from 'mongodb';
+import { Db } from 'mongodb';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { TokenStore } from './TokenStore.js';
+import { MongoTokenStore } from './MongoTokenStore.js';
+import { DEFAULT_SESSION_SCOPES, SESSION_SCOPES, hasScopes, isValidScopeList, normalizeScopes } from '../session/SessionScopes.js';
+import { Logger } from '../logging/Logger.js';
 
 export interface EphemeralSession {
     token: string;
@@ -17,17 +21,58 @@ export interface EphemeralSession {
     createdAt: Date;
     expiresAt: Date;
     lastAccessedAt: Date;
+    lastActivityAt?: Date; // Last use the web UI recorded - unlike lastAccessedAt, polling doesn't move it
     scopes: string[];
+    share?: SessionShareInfo; // Set on share tokens minted from another session
     metadata?: Record<string, any>;
 }
 
+/**
+ * Where a share token came from and how often it has been opened
+ */
+export interface SessionShareInfo {
+    id: string;
+    parentToken: string;
+    maxUses?: number; // Page loads allowed - omit for unlimited
+    uses: number;
+    label?: string;
+}
+
+export interface CreateShareOptions {
+    scopes?: string[]; // Default: read only
+    ttlMinutes?: number; // Default: one day
+    maxUses?: number;
+    label?: string;
+}
+
+/**
+ * A share token as reported to the session owner
+ */
+export interface ShareSummary {
+    id: string;
+    token: string;
+    scopes: string[];
+    createdAt: Date;
+    expiresAt: Date;
+    maxUses?: number;
+    uses: number;
+    label?: string;
+}
+
+// Share link lifetime bounds, in minutes
+const SHARE_TTL_DEFAULT = 24 * 60;
+const SHARE_TTL_MAX = 7 * 24 * 60;
+
+// How stale a stored lastAccessedAt may get
+const ACCESS_WRITE_INTERVAL_MS = 60 * 1000;
+
 export interface CreateSessionOptions {
     userId: string;
     serverName: string;
     serverType?: string; // Additional context for session isolation
     backend: EphemeralSession['backend'];
     ttlMinutes?: number;
-    scopes?: string[];
+    scopes?: string[]; // See SessionScopes - defaults to read, write and delete
     metadata?: Record<string, any>;
 }
 
@@ -40,53 +85,104 @@ export interface RegisteredServer {
 }
 
 /**
- * MongoDB-based token registry for ephemeral web UI sessions
- * Handles secure token generation, validation, and automatic cleanup
+ * Control-plane credential for one MCP server
+ * Only a hash of the secret is stored - the full key is shown once, when it's created
+ */
+export interface ServerApiKey {
+    keyId: string;
+    serverName: string;
+    secretHash: string;
+    createdAt: Date;
+    lastUsedAt?: Date;
+    description?: string;
+}
+
+export interface CreatedApiKey {
+    keyId: string;
+    serverName: string;
+    apiKey: string;
+    createdAt: Date;
+}
+
+/**
+ * Check share options before minting a share token
+ * @param parentScopes - Scopes of the session being shared; a share can't exceed them
+ * @returns An error message, or null when the options are valid
+ */
+export function validateShareOptions(options: CreateShareOptions, parentScopes?: string[]): string | null {
+    const { scopes, ttlMinutes, maxUses, label } = options;
+
+    if (scopes !== undefined && (!isValidScopeList(scopes) || scopes.length === 0)) {
+        return `Share scopes must be a non-empty list of: ${SESSION_SCOPES.join(', ')}`;
+    }
+    if (scopes && !hasScopes(parentScopes, scopes)) {
+        return 'A share link cannot grant scopes the session does not hold';
+    }
+    if (ttlMinutes !== undefined && (typeof ttlMinutes !== 'number' || ttlMinutes < 1 || ttlMinutes > SHARE_TTL_MAX)) {
+        return `Share lifetime must be between 1 and ${SHARE_TTL_MAX} minutes`;
+    }
+    if (maxUses !== undefined && (!Number.isInteger(maxUses) || maxUses < 1)) {
+        return 'maxUses must be a positive integer';
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+        return 'Share labels are limited to 100 characters';
+    }
+    return null;
+}
+
+/**
+ * Summarize a share token's session record
+ */
+export function describeShare(session: EphemeralSession): ShareSummary {
+    const share = session.share!;
+    return {
+        id: share.id,
+        token: session.token,
+        scopes: session.scopes,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        maxUses: share.maxUses,
+        uses: share.uses,
+        label: share.label
+    };
+}
+
+// mcpgw_<keyId>.<secret>
+const API_KEY_PATTERN = /^mcpgw_([a-f0-9]{16})\.([A-Za-z0-9_-]{43})$/;
+
+// Used when no logger is passed in
+const defaultLogger = new Logger('TokenRegistry');
+
+/**
+ * Token registry for ephemeral web UI sessions
+ * Handles secure token generation, validation, and automatic cleanup.
+ * Records live in a TokenStore (memory, file or MongoDB - see createTokenStore).
  */
 export class TokenRegistry {
-    private db: Db;
-    private collection: Collection<EphemeralSession>;
-    private serverCollection: Collection<RegisteredServer>;
+    private store: TokenStore;
     private jwtSecret: string;
     private logger?: (level: string, message: string, data?: any) => void;
 
+    /**
+     * @param store - Token store, or a MongoDB database (wrapped in a MongoTokenStore)
+     */
     constructor(
-        db: Db,
+        store: TokenStore | Db,
         options: {
             jwtSecret?: string;
             logger?: (level: string, message: string, data?: any) => void;
         } = {}
     ) {
-        this.db = db;
-        this.collection = db.collection<EphemeralSession>('ephemeral_webui_sessions');
-        this.serverCollection = db.collection<RegisteredServer>('registered_mcp_servers');
-        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
         this.logger = options.logger;
-        this.setupIndexes();
+        this.store = store instanceof Db ? new MongoTokenStore(store, undefined, options.logger) : store;
+        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
     }
 
     /**
-     * Setup MongoDB indexes for efficient queries and TTL
+     * The store holding this registry's records
      */
-    private async setupIndexes(): Promise<void> {
-        try {
-            // TTL index for automatic cleanup
-            await this.collection.createIndex(
-                { expiresAt: 1 },
-                { expireAfterSeconds: 0 }
-            );
-
-            // Performance indexes
-            await this.collection.createIndex({ token: 1 }, { unique: true });
-            await this.collection.createIndex({ userId: 1 });
-            await this.collection.createIndex({ serverName: 1 });
-            await this.collection.createIndex({ sessionKey: 1 }, { unique: true }); // Composite key index
-            await this.collection.createIndex({ createdAt: 1 });
-
-            this.log('info', '[TokenRegistry] MongoDB indexes created successfully');
-        } catch (error) {
-            this.log('error', '[TokenRegistry] Failed to create indexes:', error);
-        }
+    getStore(): TokenStore {
+        return this.store;
     }
 
     /**
@@ -107,17 +203,14 @@ export class TokenRegistry {
         try {
             const sessionKey = this.generateSessionKey(userId, serverName, serverType);
 
-            const session = await this.collection.findOne({
+            const [session = null] = await this.store.findSessions({
                 sessionKey,
-                expiresAt: { $gt: new Date() } // Only active (non-expired) sessions
+                activeAt: new Date() // Only active (non-expired) sessions
             });
 
             if (session) {
                 // Update last accessed time
-                await this.collection.updateOne(
-                    { token: session.token },
-                    { $set: { lastAccessedAt: new Date() } }
-                );
+                await this.store.updateSession(session.token, { lastAccessedAt: new Date() });
 
                 this.log('info', `[TokenRegistry] Found existing session for composite key ${sessionKey}`, {
                     token: session.token.substring(0, 16) + '...',
@@ -145,7 +238,7 @@ export class TokenRegistry {
             serverType,
             backend,
             ttlMinutes = 30,
-            scopes = ['view', 'interact'],
+            scopes = DEFAULT_SESSION_SCOPES,
             metadata = {}
         } = options;
 
@@ -177,11 +270,12 @@ export class TokenRegistry {
             createdAt: now,
             expiresAt,
             lastAccessedAt: now,
+            lastActivityAt: now,
             scopes,
             metadata
         };
 
-        await this.collection.insertOne(session);
+        await this.store.insertSession(session);
 
         this.log('info', `[TokenRegistry] Created session for composite key ${sessionKey}`, {
             token: token.substring(0, 16) + '...',
@@ -198,7 +292,7 @@ export class TokenRegistry {
     async validateToken(token: string): Promise<EphemeralSession | null> {
         try {
             // First, try to find the session in the database (for UUID tokens)
-            const session = await this.collection.findOne({ token });
+            const [session] = await this.store.findSessions({ token });
 
             if (!session) {
                 this.log('warn', `[TokenRegistry] Session not found for token: ${token.substring(0, 16)}...`);
@@ -208,7 +302,7 @@ export class TokenRegistry {
             // Check if session has expired
             if (session.expiresAt < new Date()) {
                 this.log('warn', `[TokenRegistry] Session expired for user ${session.userId}`);
-                await this.collection.deleteOne({ token });
+                await this.store.deleteSessions({ token });
                 return null;
             }
 
@@ -222,11 +316,10 @@ export class TokenRegistry {
                 }
             }
 
-            // Update last accessed timestamp
-            await this.collection.updateOne(
-                { token },
-                { $set: { lastAccessedAt: new Date() } }
-            );
+            // Every proxied request validates - don't write each one to the store
+            if (Date.now() - session.lastAccessedAt.getTime() > ACCESS_WRITE_INTERVAL_MS) {
+                await this.store.updateSession(token, { lastAccessedAt: new Date() });
+            }
 
             return session;
         } catch (error) {
@@ -246,17 +339,12 @@ export class TokenRegistry {
 
         const newExpiresAt = new Date(Date.now() + additionalMinutes * 60 * 1000);
 
-        const result = await this.collection.updateOne(
-            { token },
-            {
-                $set: {
-                    expiresAt: newExpiresAt,
-                    lastAccessedAt: new Date()
-                }
-            }
-        );
+        const updated = await this.store.updateSession(token, {
+            expiresAt: newExpiresAt,
+            lastAccessedAt: new Date()
+        });
 
-        if (result.modifiedCount > 0) {
+        if (updated) {
             this.log('info', `[TokenRegistry] Extended session for user ${session.userId} by ${additionalMinutes} minutes`);
             return true;
         }
@@ -265,12 +353,14 @@ export class TokenRegistry {
     }
 
     /**
-     * Revoke a specific session
+     * Revoke a specific session, along with any share tokens minted from it
+     * @param serverName - When given, only a session of that server is revoked
      */
-    async revokeSession(token: string): Promise<boolean> {
-        const result = await this.collection.deleteOne({ token });
+    async revokeSession(token: string, serverName?: string): Promise<boolean> {
+        const deleted = await this.store.deleteSessions({ token, ...(serverName ? { serverName } : {}) });
 
-        if (result.deletedCount > 0) {
+        if (deleted > 0) {
+            await this.store.deleteSessions({ shareOf: token });
             this.log('info', `[TokenRegistry] Revoked session: ${token.substring(0, 16)}...`);
             return true;
         }
@@ -278,30 +368,156 @@ export class TokenRegistry {
         return false;
     }
 
+    /**
+     * Mint a share token for an existing session
+     * The share reaches the same backend with its own scopes and lifetime, and is
+     * revoked with the parent session.
+     * @param parent - The session being shared (share tokens can't be re-shared)
+     * @throws If the options are invalid or the parent is itself a share
+     */
+    async createShare(parent: EphemeralSession, options: CreateShareOptions = {}): Promise<EphemeralSession> {
+        if (parent.share) {
+            throw new Error('Share links cannot be shared again');
+        }
+
+        const error = validateShareOptions(options, parent.scopes);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const now = new Date();
+        const shareId = crypto.randomBytes(8).toString('hex');
+        const expiresAt = new Date(now.getTime() + (options.ttlMinutes ?? SHARE_TTL_DEFAULT) * 60 * 1000);
+
+        const token = jwt.sign({
+            userId: parent.userId,
+            serverName: parent.serverName,
+            serverType: parent.serverType || 'mcp-webui',
+            shareId,
+            iat: Math.floor(now.getTime() / 1000),
+            exp: Math.floor(expiresAt.getTime() / 1000)
+        }, this.jwtSecret, { algorithm: 'HS256' });
+
+        const share: EphemeralSession = {
+            token,
+            userId: parent.userId,
+            serverName: parent.serverName,
+            serverType: parent.serverType || 'mcp-webui',
+            sessionKey: `share:${shareId}`,
+            backend: parent.backend,
+            createdAt: now,
+            expiresAt,
+            lastAccessedAt: now,
+            scopes: normalizeScopes(options.scopes || ['read']),
+            share: {
+                id: shareId,
+                parentToken: parent.token,
+                maxUses: options.maxUses,
+                uses: 0,
+                label: options.label
+            }
+        };
+
+        await this.store.insertSession(share);
+
+        this.log('info', `[TokenRegistry] Created share ${shareId} for user ${parent.userId}`, {
+            scopes: share.scopes,
+            expiresAt: expiresAt.toISOString(),
+            maxUses: options.maxUses
+        });
+
+        return share;
+    }
+
+    /**
+     * Active share tokens minted from a session, newest first
+     */
+    async listShares(parentToken: string): Promise<EphemeralSession[]> {
+        return await this.store.findSessions({ shareOf: parentToken, activeAt: new Date() });
+    }
+
+    /**
+     * Find a share by id
+     */
+    async getShare(shareId: string): Promise<EphemeralSession | null> {
+        const [share = null] = await this.store.findSessions({ shareId });
+        return share;
+    }
+
+    /**
+     * Revoke a share token by id
+     * @param parentToken - When given, only a share of that session is revoked
+     */
+    async revokeShare(shareId: string, parentToken?: string): Promise<boolean> {
+        const deleted = await this.store.deleteSessions({ shareId, ...(parentToken ? { shareOf: parentToken } : {}) });
+
+        if (deleted > 0) {
+            this.log('info', `[TokenRegistry] Revoked share ${shareId}`);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Count one opening of a share link
+     * Tokens that aren't shares pass through unchanged.
+     * @returns The session, or null when the token is invalid or the share is used up
+     */
+    async redeemShare(token: string): Promise<EphemeralSession | null> {
+        const session = await this.validateToken(token);
+        if (!session?.share) {
+            return session;
+        }
+
+        const redeemed = await this.store.redeemShare(token);
+        if (!redeemed) {
+            this.log('warn', `[TokenRegistry] Share ${session.share.id} has no uses left`);
+            return null;
+        }
+
+        return redeemed;
+    }
+
     /**
      * Revoke all sessions for a user
      */
     async revokeUserSessions(userId: string): Promise<number> {
-        const result = await this.collection.deleteMany({ userId });
+        const deleted = await this.store.deleteSessions({ userId });
 
-        if (result.deletedCount > 0) {
-            this.log('info', `[TokenRegistry] Revoked ${result.deletedCount} sessions for user ${userId}`);
+        if (deleted > 0) {
+            this.log('info', `[TokenRegistry] Revoked ${deleted} sessions for user ${userId}`);
         }
 
-        return result.deletedCount;
+        return deleted;
+    }
+
+    /**
+     * Note that someone used a session, for its idle timeout
+     */
+    async recordActivity(token: string, at: Date = new Date()): Promise<boolean> {
+        return await this.store.updateSession(token, { lastActivityAt: at });
+    }
+
+    /**
+     * Every session of one server, expired ones the store still holds included
+     * Lets the web UI end sessions by its own policy - idle timeout and max lifetime.
+     */
+    async getServerSessions(serverName: string): Promise<EphemeralSession[]> {
+        const sessions = await this.store.findSessions({ serverName });
+        return sessions.filter(session => !session.share);
     }
 
     /**
      * Get active sessions for a user
      */
     async getUserSessions(userId: string): Promise<EphemeralSession[]> {
-        return await this.collection
-            .find({
-                userId,
-                expiresAt: { $gt: new Date() }
-            })
-            .sort({ createdAt: -1 })
-            .toArray();
+        const sessions = await this.store.findSessions({
+            userId,
+            activeAt: new Date()
+        });
+        // Share tokens are the user's sessions as seen by someone else
+        return sessions.filter(session => !session.share);
     }
 
     /**
@@ -315,9 +531,7 @@ export class TokenRegistry {
         newestSession: Date | null;
     }> {
         const now = new Date();
-        const activeSessions = await this.collection
-            .find({ expiresAt: { $gt: now } })
-            .toArray();
+        const activeSessions = await this.store.findSessions({ activeAt: now });
 
         const stats = {
             totalActiveSessions: activeSessions.length,
@@ -351,15 +565,15 @@ export class TokenRegistry {
      * Cleanup expired sessions (manual cleanup, TTL should handle this automatically)
      */
     async cleanupExpiredSessions(): Promise<number> {
-        const result = await this.collection.deleteMany({
-            expiresAt: { $lt: new Date() }
+        const deleted = await this.store.deleteSessions({
+            expiredBefore: new Date()
         });
 
-        if (result.deletedCount > 0) {
-            this.log('info', `[TokenRegistry] Cleaned up ${result.deletedCount} expired sessions`);
+        if (deleted > 0) {
+            this.log('info', `[TokenRegistry] Cleaned up ${deleted} expired sessions`);
         }
 
-        return result.deletedCount;
+        return deleted;
     }
 
     /**
@@ -381,11 +595,7 @@ export class TokenRegistry {
         };
 
         // Upsert (update if exists, insert if doesn't)
-        await this.serverCollection.replaceOne(
-            { serverName },
-            serverRegistration,
-            { upsert: true }
-        );
+        await this.store.upsertServer(serverRegistration);
 
         this.log('info', `[TokenRegistry] Registered server: ${serverName}`, {
             backend: backend.type === 'tcp' ? `${backend.host}:${backend.port}` : backend.socketPath,
@@ -397,39 +607,34 @@ export class TokenRegistry {
      * Get registered server information
      */
     async getRegisteredServer(serverName: string): Promise<RegisteredServer | null> {
-        return await this.serverCollection.findOne({ serverName });
+        return await this.store.findServer(serverName);
     }
 
     /**
      * Update server heartbeat
      */
     async updateServerHeartbeat(serverName: string): Promise<boolean> {
-        const result = await this.serverCollection.updateOne(
-            { serverName },
-            { $set: { lastHeartbeat: new Date() } }
-        );
-
-        return result.modifiedCount > 0;
+        return await this.store.updateServerHeartbeat(serverName, new Date());
     }
 
     /**
      * Get all registered servers
      */
     async getRegisteredServers(): Promise<RegisteredServer[]> {
-        return await this.serverCollection.find({}).toArray();
+        return await this.store.listServers();
     }
 
     /**
      * Unregister a server
      */
     async unregisterServer(serverName: string): Promise<boolean> {
-        const result = await this.serverCollection.deleteOne({ serverName });
+        const deleted = await this.store.deleteServers({ serverName });
 
-        if (result.deletedCount > 0) {
+        if (deleted > 0) {
             this.log('info', `[TokenRegistry] Unregistered server: ${serverName}`);
         }
 
-        return result.deletedCount > 0;
+        return deleted > 0;
     }
 
     /**
@@ -438,15 +643,94 @@ export class TokenRegistry {
     async cleanupStaleServers(staleMinutes: number = 10): Promise<number> {
         const staleThreshold = new Date(Date.now() - staleMinutes * 60 * 1000);
 
-        const result = await this.serverCollection.deleteMany({
-            lastHeartbeat: { $lt: staleThreshold }
+        const deleted = await this.store.deleteServers({
+            heartbeatBefore: staleThreshold
         });
 
-        if (result.deletedCount > 0) {
-            this.log('info', `[TokenRegistry] Cleaned up ${result.deletedCount} stale server registrations`);
+        if (deleted > 0) {
+            this.log('info', `[TokenRegistry] Cleaned up ${deleted} stale server registrations`);
         }
 
-        return result.deletedCount;
+        return deleted;
+    }
+
+    /**
+     * Issue an API key that lets an MCP server register itself and create sessions
+     * under its own serverName. The returned apiKey can't be recovered later.
+     */
+    async createApiKey(serverName: string, description?: string): Promise<CreatedApiKey> {
+        const keyId = crypto.randomBytes(8).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const createdAt = new Date();
+
+        await this.store.insertApiKey({
+            keyId,
+            serverName,
+            secretHash: this.hashSecret(secret),
+            createdAt,
+            ...(description ? { description } : {})
+        });
+
+        this.log('info', `[TokenRegistry] Created API key ${keyId} for server: ${serverName}`);
+
+        return { keyId, serverName, apiKey: `mcpgw_${keyId}.${secret}`, createdAt };
+    }
+
+    /**
+     * Look up the key record for a presented API key
+     * @returns The key, or null when it's malformed, unknown or revoked
+     */
+    async verifyApiKey(apiKey: string): Promise<ServerApiKey | null> {
+        const match = API_KEY_PATTERN.exec(apiKey);
+        if (!match) {
+            return null;
+        }
+
+        const [, keyId, secret] = match;
+        const key = await this.store.findApiKey(keyId);
+        if (!key) {
+            this.log('warn', `[TokenRegistry] Unknown API key: ${keyId}`);
+            return null;
+        }
+
+        const expected = Buffer.from(key.secretHash, 'hex');
+        const presented = Buffer.from(this.hashSecret(secret), 'hex');
+        if (!crypto.timingSafeEqual(expected, presented)) {
+            this.log('warn', `[TokenRegistry] Wrong secret for API key: ${keyId}`);
+            return null;
+        }
+
+        await this.store.updateApiKeyLastUsed(keyId, new Date());
+
+        return key;
+    }
+
+    /**
+     * List API keys, optionally for one server - secret hashes are left out
+     */
+    async listApiKeys(serverName?: string): Promise<Omit<ServerApiKey, 'secretHash'>[]> {
+        const keys = await this.store.listApiKeys(serverName);
+        return keys.map(({ secretHash, ...key }) => key);
+    }
+
+    /**
+     * Revoke an API key - requests using it are rejected from now on
+     */
+    async revokeApiKey(keyId: string): Promise<boolean> {
+        const deleted = await this.store.deleteApiKey(keyId);
+
+        if (deleted) {
+            this.log('info', `[TokenRegistry] Revoked API key: ${keyId}`);
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Keys are 256 bits of randomness, so a plain SHA-256 is enough to store them
+     */
+    private hashSecret(secret: string): string {
+        return crypto.createHash('sha256').update(secret).digest('hex');
     }
 
     /**
@@ -456,11 +740,7 @@ export class TokenRegistry {
         if (this.logger) {
             this.logger(level, message, data);
         } else {
-            const timestamp = new Date().toISOString();
-            console.error(`[${timestamp}][${level.toUpperCase()}] ${message}`);
-            if (data && process.env.DEBUG) {
-                console.error(JSON.stringify(data, null, 2));
-            }
+            defaultLogger.log(level, message, data);
         }
     }
 }
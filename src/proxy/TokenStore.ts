@@ -0,0 +1,113 @@
+import { EphemeralSession, RegisteredServer, ServerApiKey } from './TokenRegistry.js';
+
+/**
+ * TokenStore - Persistence behind TokenRegistry
+ *
+ * The registry owns token signing, validation and logging; a store only keeps
+ * sessions, registered servers and control plane API keys. Stores without native
+ * TTL support must treat expired sessions as gone and sweep them in code.
+ * Gateway replicas share a store, and with it their rate limit counters - the
+ * file store shares them between processes on one machine, MongoDB across machines.
+ */
+export interface TokenStore {
+    readonly type: string;
+
+    insertSession(session: EphemeralSession): Promise<void>;
+    findSessions(filter: SessionFilter): Promise<EphemeralSession[]>; // Newest first
+    updateSession(token: string, changes: Partial<Pick<EphemeralSession, 'expiresAt' | 'lastAccessedAt' | 'lastActivityAt' | 'share'>>): Promise<boolean>;
+    deleteSessions(filter: SessionFilter): Promise<number>;
+    // Count one use of a share token unless its maxUses are spent - in one step, so concurrent
+    // page loads can't go over. Null when the token isn't a share or has no uses left.
+    redeemShare(token: string): Promise<EphemeralSession | null>;
+
+    upsertServer(server: RegisteredServer): Promise<void>;
+    findServer(serverName: string): Promise<RegisteredServer | null>;
+    listServers(): Promise<RegisteredServer[]>;
+    updateServerHeartbeat(serverName: string, at: Date): Promise<boolean>;
+    deleteServers(filter: { serverName?: string; heartbeatBefore?: Date }): Promise<number>;
+
+    insertApiKey(key: ServerApiKey): Promise<void>;
+    findApiKey(keyId: string): Promise<ServerApiKey | null>;
+    listApiKeys(serverName?: string): Promise<ServerApiKey[]>; // Newest first
+    updateApiKeyLastUsed(keyId: string, at: Date): Promise<void>;
+    deleteApiKey(keyId: string): Promise<boolean>;
+
+    // Count a hit in the current fixed window of windowMs - windows start on multiples of windowMs
+    incrementCounter(key: string, windowMs: number): Promise<{ count: number; resetAt: Date }>;
+
+    // Resolves when the store can serve requests, for readiness checks
+    ping(): Promise<void>;
+
+    close(): Promise<void>;
+}
+
+/**
+ * Session query - all given fields must match
+ */
+export interface SessionFilter {
+    token?: string;
+    userId?: string;
+    serverName?: string;
+    sessionKey?: string;
+    shareId?: string;
+    shareOf?: string; // Share tokens minted from this session token
+    activeAt?: Date; // Only sessions expiring after this time
+    expiredBefore?: Date; // Only sessions that expired before this time
+}
+
+export type TokenStoreConfig =
+    | { type: 'mongo'; url: string; dbName?: string }
+    | { type: 'memory'; sweepIntervalMs?: number }
+    | { type: 'file'; path: string; sweepIntervalMs?: number };
+
+/**
+ * Whether a session matches a filter - shared by the stores that filter in code
+ */
+export function matchesSessionFilter(session: EphemeralSession, filter: SessionFilter): boolean {
+    return (filter.token === undefined || session.token === filter.token) &&
+        (filter.userId === undefined || session.userId === filter.userId) &&
+        (filter.serverName === undefined || session.serverName === filter.serverName) &&
+        (filter.sessionKey === undefined || session.sessionKey === filter.sessionKey) &&
+        (filter.shareId === undefined || session.share?.id === filter.shareId) &&
+        (filter.shareOf === undefined || session.share?.parentToken === filter.shareOf) &&
+        (filter.activeAt === undefined || session.expiresAt > filter.activeAt) &&
+        (filter.expiredBefore === undefined || session.expiresAt < filter.expiredBefore);
+}
+
+/**
+ * Build a store from configuration
+ * Falls back to MongoDB when only the legacy mongoUrl/mongoDbName settings are given.
+ */
+export async function createTokenStore(
+    config: TokenStoreConfig | TokenStore | undefined,
+    legacy: { mongoUrl?: string; mongoDbName?: string } = {},
+    logger?: (level: string, message: string, data?: any) => void
+): Promise<TokenStore> {
+    if (config && 'insertSession' in config) {
+        return config;
+    }
+
+    const resolved: TokenStoreConfig | undefined = config ||
+        (legacy.mongoUrl ? { type: 'mongo', url: legacy.mongoUrl, dbName: legacy.mongoDbName } : undefined);
+
+    if (!resolved) {
+        throw new Error('A token store is required - set tokenStore (memory, file or mongo) or mongoUrl');
+    }
+
+    switch (resolved.type) {
+        case 'memory': {
+            const { MemoryTokenStore } = await import('./MemoryTokenStore.js');
+            return new MemoryTokenStore({ sweepIntervalMs: resolved.sweepIntervalMs });
+        }
+        case 'file': {
+            const { FileTokenStore } = await import('./FileTokenStore.js');
+            return new FileTokenStore(resolved.path, { sweepIntervalMs: resolved.sweepIntervalMs, logger });
+        }
+        case 'mongo': {
+            const { MongoTokenStore } = await import('./MongoTokenStore.js');
+            return await MongoTokenStore.connect(resolved.url, resolved.dbName || 'mcp_webui', logger);
+        }
+        default:
+            throw new Error(`Unknown token store type: ${(resolved as { type: string }).type}`);
+    }
+}
@@ -1,10 +1,38 @@
 // Proxy module exports for mcp-web-ui-standalone
-export { TokenRegistry } from './TokenRegistry.js';
+export { TokenRegistry, describeShare, validateShareOptions } from './TokenRegistry.js';
 export { GatewayProxyServer } from './GatewayProxyServer.js';
+export { BackendHealth, backendKey } from './BackendHealth.js';
+export { RateLimiter } from './RateLimiter.js';
+export { GatewayMetrics } from './GatewayMetrics.js';
+export { createTokenStore, matchesSessionFilter } from './TokenStore.js';
+export { MemoryTokenStore } from './MemoryTokenStore.js';
+export { FileTokenStore } from './FileTokenStore.js';
+export { MongoTokenStore } from './MongoTokenStore.js';
 export type {
     EphemeralSession,
-    CreateSessionOptions
+    CreateSessionOptions,
+    ServerApiKey,
+    CreatedApiKey,
+    SessionShareInfo,
+    CreateShareOptions,
+    ShareSummary
 } from './TokenRegistry.js';
 export type {
     GatewayProxyConfig
 } from './GatewayProxyServer.js';
+
+export type {
+    BackendHealthConfig,
+    BackendStatus,
+    CircuitState
+} from './BackendHealth.js';
+
+export type {
+    GatewayRateLimitConfig,
+    RateLimitResult
+} from './RateLimiter.js';
+export type {
+    TokenStore,
+    TokenStoreConfig,
+    SessionFilter
+} from './TokenStore.js';
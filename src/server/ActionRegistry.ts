@@ -0,0 +1,188 @@
+/**
+ * ActionRegistry - Typed actions for POST /api/update and the /api/ws channel
+ * Looks up each action by name, checks the session's scopes and validates the
+ * payload against the action's JSON-schema-style description before the
+ * handler runs, so MCP servers don't hand-roll a switch statement and validation
+ */
+
+import { ActionDefinition, ActionPayloadSchema } from '../types/index.js';
+import { hasScopes, requiredActionScopes } from '../session/SessionScopes.js';
+
+export interface ActionValidationResult {
+    data: any; // Payload with form strings coerced to the declared types
+    fieldErrors: Record<string, string>;
+}
+
+export class ActionRegistry {
+    private actions = new Map<string, ActionDefinition>();
+
+    constructor(definitions: ActionDefinition[] = []) {
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Add an action
+     * @throws If the name is taken or the definition has no handler
+     */
+    register(definition: ActionDefinition): void {
+        if (!definition.name || typeof definition.name !== 'string') {
+            throw new Error('Action definitions need a name');
+        }
+        if (typeof definition.handler !== 'function') {
+            throw new Error(`Action "${definition.name}" needs a handler function`);
+        }
+        if (this.actions.has(definition.name)) {
+            throw new Error(`Action "${definition.name}" is already registered`);
+        }
+
+        this.actions.set(definition.name, definition);
+    }
+
+    get(name: string): ActionDefinition | undefined {
+        return this.actions.get(name);
+    }
+
+    get size(): number {
+        return this.actions.size;
+    }
+
+    /**
+     * Whether a session with the given scopes may run the action
+     * Sessions without a scope list are unrestricted; actions without declared
+     * scopes need write (and delete when the name reads as a deletion)
+     */
+    isAllowed(definition: ActionDefinition, scopes?: string[]): boolean {
+        return hasScopes(scopes, requiredActionScopes(definition.name, definition.scopes));
+    }
+
+    /**
+     * Scopes each registered action needs - sent to the browser so it can hide controls
+     */
+    describeScopes(): Record<string, string[]> {
+        const described: Record<string, string[]> = {};
+        for (const definition of this.actions.values()) {
+            described[definition.name] = requiredActionScopes(definition.name, definition.scopes);
+        }
+        return described;
+    }
+
+    /**
+     * Validate a payload against the action's schema
+     * Numeric and boolean strings (as submitted by HTML forms) are coerced first
+     */
+    validate(definition: ActionDefinition, data: any): ActionValidationResult {
+        const fieldErrors: Record<string, string> = {};
+
+        if (!definition.payload) {
+            return { data, fieldErrors };
+        }
+
+        const coerced = this.validateValue(definition.payload, data ?? {}, '', fieldErrors);
+        return { data: coerced, fieldErrors };
+    }
+
+    private validateValue(schema: ActionPayloadSchema, value: any, path: string, errors: Record<string, string>): any {
+        const field = path || 'payload';
+        value = this.coerce(schema, value);
+
+        if (schema.type && !this.matchesType(schema.type, value)) {
+            errors[field] = `Must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`;
+            return value;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors[field] = `Must be one of: ${schema.enum.join(', ')}`;
+            return value;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors[field] = schema.minLength === 1 ? 'Required' : `Must be at least ${schema.minLength} characters`;
+            } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors[field] = `Must be at most ${schema.maxLength} characters`;
+            } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors[field] = 'Invalid format';
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors[field] = `Must be at least ${schema.minimum}`;
+            } else if (schema.maximum !== undefined && value > schema.maximum) {
+                errors[field] = `Must be at most ${schema.maximum}`;
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            return value.map((item, index) => this.validateValue(schema.items!, item, this.joinPath(path, String(index)), errors));
+        }
+
+        if (schema.type === 'object' || schema.properties) {
+            return this.validateObject(schema, value, path, errors);
+        }
+
+        return value;
+    }
+
+    private validateObject(schema: ActionPayloadSchema, value: any, path: string, errors: Record<string, string>): any {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return value;
+        }
+
+        const result: Record<string, any> = { ...value };
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null || value[key] === '') {
+                errors[this.joinPath(path, key)] = 'Required';
+            }
+        }
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            const fieldPath = this.joinPath(path, key);
+            if (value[key] !== undefined && !errors[fieldPath]) {
+                result[key] = this.validateValue(propertySchema, value[key], fieldPath, errors);
+            }
+        }
+
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+                    errors[this.joinPath(path, key)] = 'Unexpected field';
+                }
+            }
+        }
+
+        return result;
+    }
+
+    private matchesType(type: NonNullable<ActionPayloadSchema['type']>, value: any): boolean {
+        switch (type) {
+            case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    private coerce(schema: ActionPayloadSchema, value: any): any {
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        if ((schema.type === 'number' || schema.type === 'integer') && value.trim() !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+
+        if (schema.type === 'boolean' && ['true', 'false', 'on'].includes(value)) {
+            return value !== 'false';
+        }
+
+        return value;
+    }
+
+    private joinPath(path: string, key: string): string {
+        return path ? `${path}.${key}` : key;
+    }
+}
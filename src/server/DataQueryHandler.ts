@@ -0,0 +1,137 @@
+/**
+ * DataQueryHandler - Server-side paging, sorting and filtering for /api/data
+ * Parses ?page=&pageSize=&sort=&filter= into a DataQuery for the data source,
+ * and applies the query in memory when a source returns a plain array
+ */
+
+import { DataPage, DataQuery } from '../types/index.js';
+
+const QUERY_PARAMS = ['page', 'pageSize', 'sort', 'filter'];
+const SORT_FIELD_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.]*$/;
+
+export class DataQueryHandler {
+    constructor(
+        private defaultPageSize = 20,
+        private maxPageSize = 500,
+        private maxFilterLength = 200
+    ) { }
+
+    /**
+     * Parse query-string parameters into a DataQuery
+     * sort is `<field>` or `<field>:asc|desc`
+     * @returns No query when none of the parameters are present, or an error for invalid values
+     */
+    parse(params: Record<string, unknown>): { query?: DataQuery; error?: string } {
+        if (!QUERY_PARAMS.some(name => params[name] !== undefined)) {
+            return {};
+        }
+
+        const page = this.parseInteger(params.page, 1);
+        if (page === null || page < 1) {
+            return { error: 'page must be a positive integer' };
+        }
+
+        const pageSize = this.parseInteger(params.pageSize, this.defaultPageSize);
+        if (pageSize === null || pageSize < 1 || pageSize > this.maxPageSize) {
+            return { error: `pageSize must be between 1 and ${this.maxPageSize}` };
+        }
+
+        const query: DataQuery = { page, pageSize };
+
+        if (params.sort !== undefined && params.sort !== '') {
+            if (typeof params.sort !== 'string') {
+                return { error: 'sort must be a string' };
+            }
+
+            const [field, direction = 'asc'] = params.sort.split(':');
+            if (!SORT_FIELD_PATTERN.test(field) || (direction !== 'asc' && direction !== 'desc')) {
+                return { error: 'sort must be <field> or <field>:asc|desc' };
+            }
+            query.sort = { field, direction };
+        }
+
+        if (params.filter !== undefined && params.filter !== '') {
+            if (typeof params.filter !== 'string') {
+                return { error: 'filter must be a string' };
+            }
+            query.filter = params.filter.trim().slice(0, this.maxFilterLength);
+        }
+
+        return { query };
+    }
+
+    /**
+     * Turn a data source result into the requested page
+     * Sources that already returned a DataPage are trusted to have applied the query
+     */
+    apply<T>(result: T[] | DataPage<T>, query: DataQuery): DataPage<T> {
+        if (!Array.isArray(result)) {
+            return result;
+        }
+
+        let items = result;
+
+        if (query.filter) {
+            const term = query.filter.toLowerCase();
+            items = items.filter(item => this.matchesFilter(item, term));
+        }
+
+        if (query.sort) {
+            const { field, direction } = query.sort;
+            items = [...items].sort((a, b) => {
+                const comparison = this.compareValues(this.getFieldValue(a, field), this.getFieldValue(b, field));
+                return direction === 'asc' ? comparison : -comparison;
+            });
+        }
+
+        const start = (query.page - 1) * query.pageSize;
+        return {
+            items: items.slice(start, start + query.pageSize),
+            total: items.length
+        };
+    }
+
+    /**
+     * Items from a data source result, whether or not it was paged
+     */
+    static toItems<T>(result: T[] | DataPage<T>): T[] {
+        return Array.isArray(result) ? result : result.items;
+    }
+
+    private parseInteger(value: unknown, fallback: number): number | null {
+        if (value === undefined || value === '') return fallback;
+        if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Case-insensitive substring match against the item's top-level values
+     */
+    private matchesFilter(item: any, term: string): boolean {
+        if (item === null || typeof item !== 'object') {
+            return String(item).toLowerCase().includes(term);
+        }
+
+        return Object.values(item).some(value =>
+            value !== null && typeof value !== 'object' && String(value).toLowerCase().includes(term));
+    }
+
+    private getFieldValue(item: any, field: string): any {
+        return field.split('.').reduce((value, key) => value == null ? undefined : value[key], item);
+    }
+
+    /**
+     * Same ordering as the browser components: nulls after values, numbers numerically, everything else as text
+     */
+    private compareValues(a: any, b: any): number {
+        if (a == null && b == null) return 0;
+        if (a == null) return 1;
+        if (b == null) return -1;
+
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a - b;
+        }
+
+        return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+    }
+}
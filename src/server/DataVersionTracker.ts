@@ -0,0 +1,174 @@
+/**
+ * DataVersionTracker - Versioned change tracking for delta updates
+ * Remembers which version each item was added or last changed in, plus
+ * tombstones for removed items, so /api/data?since=<version> can return
+ * just the items that changed instead of the full dataset
+ */
+
+import { DataPatch } from '../types/index.js';
+
+type ItemId = string | number;
+
+interface TrackedItem {
+    id: ItemId;
+    hash: string;
+    addedIn: number;
+    changedIn: number;
+}
+
+interface Tombstone {
+    id: ItemId;
+    addedIn: number;
+    removedIn: number;
+}
+
+export class DataVersionTracker {
+    private version: number;
+    private items = new Map<string, TrackedItem>();
+    private tombstones: Tombstone[] = [];
+    private oldestPatchableVersion: number;
+    private keyed = true;
+
+    constructor(private maxTombstones = 1000) {
+        // Versions count up from the time the tracker was created, so a page still holding a
+        // version from a server that has since restarted gets a full snapshot, not a bogus patch
+        this.version = Date.now();
+        this.oldestPatchableVersion = this.version;
+    }
+
+    /**
+     * Current data version
+     */
+    getVersion(): number {
+        return this.version;
+    }
+
+    /**
+     * Record a fresh snapshot of the data source
+     * Bumps the version if anything was added, changed or removed
+     * @returns The current version
+     */
+    track(data: any[]): number {
+        const ids = data.map(item => this.getItemId(item));
+        const keyed = ids.every(id => id !== undefined) &&
+            new Set(ids.map(id => String(id))).size === ids.length;
+
+        // Items without unique ids can't be patched - fall back to whole-snapshot versioning
+        if (!keyed) {
+            const hash = JSON.stringify(data);
+            const previous = this.items.get('*');
+            if (this.keyed || !previous || previous.hash !== hash) {
+                this.version++;
+                this.items.clear();
+                this.tombstones = [];
+                this.items.set('*', { id: '*', hash, addedIn: this.version, changedIn: this.version });
+            }
+            this.keyed = false;
+            this.oldestPatchableVersion = this.version;
+            return this.version;
+        }
+
+        if (!this.keyed) {
+            // Switching back from unkeyed data - start a clean history that
+            // clients can only join with a full fetch
+            this.items.clear();
+            this.keyed = true;
+            this.oldestPatchableVersion = this.version + 1;
+        }
+
+        const nextVersion = this.version + 1;
+        const seen = new Set<string>();
+        let changed = false;
+
+        data.forEach((item, index) => {
+            const id = ids[index] as ItemId;
+            const key = String(id);
+            const hash = JSON.stringify(item);
+            const tracked = this.items.get(key);
+            seen.add(key);
+
+            if (!tracked) {
+                this.items.set(key, { id, hash, addedIn: nextVersion, changedIn: nextVersion });
+                changed = true;
+            } else if (tracked.hash !== hash) {
+                tracked.hash = hash;
+                tracked.changedIn = nextVersion;
+                changed = true;
+            }
+        });
+
+        for (const [key, tracked] of this.items) {
+            if (!seen.has(key)) {
+                this.items.delete(key);
+                this.tombstones.push({ id: tracked.id, addedIn: tracked.addedIn, removedIn: nextVersion });
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.version = nextVersion;
+            this.pruneTombstones();
+        }
+
+        return this.version;
+    }
+
+    /**
+     * Build a patch from `since` to the current version
+     * Call track() with the same data first
+     * @returns The patch, or null if the client needs the full dataset
+     */
+    getPatch(data: any[], since: number): DataPatch | null {
+        if (!this.keyed || !Number.isInteger(since) || since < this.oldestPatchableVersion || since > this.version) {
+            return null;
+        }
+
+        const patch: DataPatch = {
+            since,
+            version: this.version,
+            added: [],
+            changed: [],
+            removed: []
+        };
+
+        for (const item of data) {
+            const tracked = this.items.get(String(this.getItemId(item)));
+            if (!tracked) continue;
+
+            if (tracked.addedIn > since) {
+                patch.added.push(item);
+            } else if (tracked.changedIn > since) {
+                patch.changed.push(item);
+            }
+        }
+
+        // Items added and removed after `since` never reached the client
+        patch.removed = this.tombstones
+            .filter(tombstone => tombstone.removedIn > since && tombstone.addedIn <= since)
+            .map(tombstone => tombstone.id);
+
+        return patch;
+    }
+
+    /**
+     * Item identity used for patches - matches the client's BaseComponent.getPatchKey()
+     */
+    private getItemId(item: any): ItemId | undefined {
+        if (!item || typeof item !== 'object') return undefined;
+        const id = item.id ?? item._id;
+        return typeof id === 'string' || typeof id === 'number' ? id : undefined;
+    }
+
+    /**
+     * Drop the oldest tombstones once over the limit
+     * Patches from before the dropped removals are no longer possible
+     */
+    private pruneTombstones(): void {
+        if (this.tombstones.length <= this.maxTombstones) {
+            return;
+        }
+
+        const dropped = this.tombstones.splice(0, this.tombstones.length - this.maxTombstones);
+        this.oldestPatchableVersion = dropped[dropped.length - 1].removedIn;
+    }
+}
@@ -17,17 +17,40 @@
  */
 
 import express, { Request, Response } from 'express';
-import { Server } from 'http';
+import { Server, IncomingMessage, IncomingHttpHeaders, ServerResponse } from 'http';
 import { Server as HttpsServer } from 'https';
+import { Duplex } from 'stream';
+import { WebSocketServer, WebSocket, RawData } from 'ws';
 import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
 
 import { UIServerConfig, DEFAULT_UI_SERVER_CONFIG } from './UIServerConfig.js';
 import { ResourceManager } from './ResourceManager.js';
 import { TemplateEngine } from './TemplateEngine.js';
+import { DataVersionTracker } from './DataVersionTracker.js';
+import { DataQueryHandler } from './DataQueryHandler.js';
+import { ActionRegistry } from './ActionRegistry.js';
+import { IdempotencyCache } from './IdempotencyCache.js';
+import { UndoTokenStore } from './UndoTokenStore.js';
+import type { SharedUIServer } from './SharedUIServer.js';
 import { SessionManager } from '../session/SessionManager.js';
+import {
+    SHARE_SCOPES_HEADER,
+    SHARE_TOKEN_HEADER,
+    hasScopes,
+    requiredActionScopes,
+    requiredRouteScope
+} from '../session/SessionScopes.js';
+import { SessionEndReason, idleExpiresAt, lifetimeEndsAt, sessionEndReason } from '../session/SessionPolicy.js';
+import { SessionEvents } from '../session/SessionEvents.js';
+import { EphemeralSession, validateShareOptions } from '../proxy/TokenRegistry.js';
+import { AuditLog } from '../audit/AuditLog.js';
+import { AUDIT_ORIGINS, AuditOrigin } from '../audit/AuditSink.js';
+import { UIMetrics } from '../metrics/UIMetrics.js';
+import { Logger, REQUEST_ID_HEADER, createRequestId, currentRequestId, requestIdFrom, runWithRequestId } from '../logging/Logger.js';
 
 import {
     WebUISession,
@@ -50,6 +73,25 @@ export interface UIServerPlugin {
     cleanup?(): Promise<void>;
 }
 
+/**
+ * Who a request is acting as - the session owner, or someone holding a share link
+ */
+interface SessionAccess {
+    token: string; // Rendered into the page, so a share link's page keeps using the share token
+    scopes?: string[];
+    shared?: boolean; // Opened through a share link
+}
+
+/**
+ * Where an action came from - checked against its scopes and written to the audit log
+ */
+interface ActionCaller {
+    scopes?: string[];
+    shared?: boolean;
+    channel: 'http' | 'websocket' | 'undo';
+    clientIp?: string;
+}
+
 /**
  * GenericUIServer - The new modular, configurable UI server
  */
@@ -59,25 +101,53 @@ export class GenericUIServer {
     private dataPollingInterval: NodeJS.Timeout | null = null;
     private useHttps: boolean = false;
 
+    // Server-Sent Events clients subscribed to /api/events
+    private eventClients: Set<Response> = new Set();
+    private eventKeepAliveInterval: NodeJS.Timeout | null = null;
+    private eventId = 0;
+
+    // WebSocket clients connected to /api/ws
+    private wsServer: WebSocketServer = new WebSocketServer({ noServer: true });
+    private socketClients: Set<WebSocket> = new Set();
+
     // Modular components
     private resourceManager: ResourceManager;
     private templateEngine: TemplateEngine;
+    private dataVersions: Map<string, DataVersionTracker> = new Map();
+    private dataQueries = new DataQueryHandler();
+    private actionResults = new IdempotencyCache<{ status: number; response: APIResponse }>();
+    private undoTokens = new UndoTokenStore();
     private plugins: Map<string, UIServerPlugin> = new Map();
 
+    // Sent to the browser, so an open page can tell when the server behind it was recreated
+    private readonly instanceId = crypto.randomUUID();
+    private opened = false; // Whether 'session:opened' was emitted
+
+    // What registerWithGateway() registered, so stop() can end its heartbeats
+    private gatewayRegistration?: { serverName: string; backend: EphemeralSession['backend'] };
+
     // Computed properties
     private projectRoot: string;
+    private logger: Logger;
 
     constructor(
         private session: WebUISession,
         private schema: UISchema,
-        private dataSource: DataSourceFunction,
-        private onUpdate: UpdateHandler,
+        private dataSource: DataSourceFunction | undefined,
+        private onUpdate: UpdateHandler | undefined,
         private sessionManager: SessionManager,
         private config: UIServerConfig = DEFAULT_UI_SERVER_CONFIG,
         private pollInterval = 2000,
         private bindAddress = 'localhost',
-        private protocol: 'http' | 'https' = 'http'
+        private protocol: 'http' | 'https' = 'http',
+        private dataSources: Record<string, DataSourceFunction> = {},
+        private actionRegistry: ActionRegistry = new ActionRegistry(),
+        private auditLog?: AuditLog,
+        private host?: SharedUIServer, // Serve from the shared server under /s/:token/ instead of session.port
+        private events?: SessionEvents,
+        private metrics?: UIMetrics
     ) {
+        this.logger = new Logger('GenericUIServer', { sessionId: session.id.substring(0, 8), schema: schema.title });
         this.app = express();
         this.projectRoot = this.findProjectRoot();
         this.useHttps = protocol === 'https';
@@ -89,6 +159,13 @@ export class GenericUIServer {
         this.resourceManager = new ResourceManager(this.config, this.projectRoot, staticBasePath);
         this.templateEngine = new TemplateEngine(this.config, this.resourceManager);
 
+        // Warn early about components bound to sources that don't exist
+        for (const component of this.schema.components) {
+            if (!this.getDataSource(component.dataSource)) {
+                this.log('WARN', `Component ${component.id} has no data source${component.dataSource ? ` named "${component.dataSource}"` : ''}`);
+            }
+        }
+
         // Setup server
         this.initializePlugins();
         this.setupMiddleware();
@@ -99,13 +176,20 @@ export class GenericUIServer {
 
     /**
      * Start the server
+     * With a shared host, mounts the session there instead of listening on its own port
      */
     async start(): Promise<void> {
         // TEMPORARY: Force binding to all interfaces for testing
         // TODO: Fix environment variable inheritance issue
         let bindAddress = '0.0.0.0';
 
-        this.log('INFO', `Starting GenericUIServer on ${bindAddress}:${this.session.port}`);
+        // Behind the gateway a session may listen on a Unix socket instead of a port
+        const socketPath = this.session.socketPath;
+        const address = socketPath || `${bindAddress}:${this.session.port}`;
+
+        this.log('INFO', this.host
+            ? `Starting GenericUIServer on shared port ${this.host.port} at ${this.host.basePath}/:token/`
+            : `Starting GenericUIServer on ${address}`);
 
         // Validate resources before starting
         const validation = this.resourceManager.validateResources(this.schema);
@@ -115,12 +199,24 @@ export class GenericUIServer {
             this.log('INFO', `Resource validation passed`);
         }
 
+        if (this.host) {
+            await this.host.start();
+            this.host.mount(this);
+            this.log('INFO', `Serving schema: ${this.schema.title}`);
+
+            this.startDataPolling();
+            this.registerWithGateway().catch(error => {
+                this.log('WARN', `Failed to register with gateway: ${error.message}`);
+            });
+            return;
+        }
+
         return new Promise((resolve, reject) => {
             try {
-                this.log('INFO', `Attempting to bind to ${bindAddress}:${this.session.port}`);
+                this.log('INFO', `Attempting to bind to ${address}`);
 
-                this.server = this.app.listen(this.session.port, bindAddress, () => {
-                    this.log('INFO', `✅ Server started successfully on ${bindAddress}:${this.session.port}`);
+                const onListening = () => {
+                    this.log('INFO', `✅ Server started successfully on ${address}`);
                     this.log('INFO', `Serving schema: ${this.schema.title}`);
                     this.log('INFO', `Theme detection: ${this.getActiveThemes().join(', ') || 'default'}`);
 
@@ -132,16 +228,28 @@ export class GenericUIServer {
                     });
 
                     resolve();
+                };
+
+                if (socketPath) {
+                    this.removeStaleSocket(socketPath);
+                    this.server = this.app.listen(socketPath, onListening);
+                } else {
+                    this.server = this.app.listen(this.session.port, bindAddress, onListening);
+                }
+
+                this.server.on('upgrade', (req, socket, head) => {
+                    this.handleUpgrade(req, socket, head);
                 });
 
                 this.server.on('error', (error: any) => {
                     this.log('ERROR', `Server startup failed: ${error.message}`);
                     if (error.code === 'EADDRINUSE') {
-                        this.log('ERROR', `Port ${this.session.port} already in use`);
-                        reject(new Error(`Port ${this.session.port} already in use`));
+                        const inUse = socketPath ? `Socket ${socketPath}` : `Port ${this.session.port}`;
+                        this.log('ERROR', `${inUse} already in use`);
+                        reject(new Error(`${inUse} already in use`));
                     } else if (error.code === 'EACCES') {
-                        this.log('ERROR', `Permission denied binding to ${bindAddress}:${this.session.port}`);
-                        reject(new Error(`Permission denied binding to ${bindAddress}:${this.session.port}`));
+                        this.log('ERROR', `Permission denied binding to ${address}`);
+                        reject(new Error(`Permission denied binding to ${address}`));
                     } else {
                         this.log('ERROR', `Unknown server error: ${error.code} - ${error.message}`);
                         reject(error);
@@ -154,6 +262,19 @@ export class GenericUIServer {
         });
     }
 
+    /**
+     * Remove a socket file left by a server that didn't shut down cleanly - it would make listen() fail
+     */
+    private removeStaleSocket(socketPath: string): void {
+        try {
+            if (fs.statSync(socketPath).isSocket()) {
+                fs.unlinkSync(socketPath);
+            }
+        } catch {
+            // Nothing there
+        }
+    }
+
     /**
      * Stop the server and cleanup
      */
@@ -165,6 +286,17 @@ export class GenericUIServer {
                 this.dataPollingInterval = null;
             }
 
+            // Stop heartbeats - the gateway drops the registration once it goes stale
+            if (this.gatewayRegistration) {
+                this.sessionManager.stopGatewayRegistration(this.gatewayRegistration.serverName, this.gatewayRegistration.backend);
+                this.gatewayRegistration = undefined;
+            }
+
+            // Close open event streams and sockets so server.close() can complete
+            this.host?.unmount(this);
+            this.closeEventStreams();
+            this.closeSocketClients();
+
             // Cleanup plugins
             for (const plugin of this.plugins.values()) {
                 if (plugin.cleanup) {
@@ -179,7 +311,7 @@ export class GenericUIServer {
             // Close HTTP server
             if (this.server) {
                 this.server.close(() => {
-                    this.log('INFO', `Server stopped on port ${this.session.port}`);
+                    this.log('INFO', `Server stopped on ${this.session.socketPath || `port ${this.session.port}`}`);
                     resolve();
                 });
             } else {
@@ -202,6 +334,29 @@ export class GenericUIServer {
         }
     }
 
+    /**
+     * Push a change notification to every connected event stream and WebSocket client
+     * Clients re-fetch their data when they receive it, so payload is optional
+     * @returns Number of clients notified
+     */
+    notifyChange(payload?: any): number {
+        return this.broadcastChange(payload);
+    }
+
+    /**
+     * Handle a request routed here by a SharedUIServer, with the /s/:token prefix removed
+     */
+    handleRequest(req: IncomingMessage, res: ServerResponse): void {
+        this.app(req, res);
+    }
+
+    /**
+     * Get the session served by this server
+     */
+    getSession(): WebUISession {
+        return this.session;
+    }
+
     /**
      * Add custom route (for plugins)
      */
@@ -220,6 +375,29 @@ export class GenericUIServer {
      * Setup Express middleware with configuration-driven approach
      */
     private setupMiddleware(): void {
+        // Request ID - the gateway's, when it sent one. Returned to the browser and
+        // carried by every log entry written while handling the request.
+        this.app.use((req, res, next) => {
+            const requestId = requestIdFrom(req.get(REQUEST_ID_HEADER));
+            res.setHeader('X-Request-Id', requestId);
+            runWithRequestId(requestId, next);
+        });
+
+        // Request counts and latency by route pattern - the path itself can hold a token
+        if (this.metrics) {
+            const metrics = this.metrics;
+            this.app.use((req, res, next) => {
+                const start = performance.now();
+                res.on('finish', () => {
+                    const route = req.route?.path ?? (req.path.startsWith('/static/') ? '/static/*' : 'unmatched');
+                    // An event stream lasts as long as the page is open
+                    const isEventStream = String(res.getHeader('Content-Type') || '').includes('text/event-stream');
+                    metrics.observeRequest(route, req.method, res.statusCode, isEventStream ? null : (performance.now() - start) / 1000);
+                });
+                next();
+            });
+        }
+
         // Security middleware (configurable)
         if (this.config.security.enableCSP) {
             this.app.use((req, res, next) => {
@@ -277,7 +455,7 @@ export class GenericUIServer {
         });
 
         // Authentication middleware
-        this.app.use((req, res, next) => {
+        this.app.use(async (req, res, next) => {
             // Allow static files and health check without token
             if (req.path.startsWith('/static/') || req.path === '/api/health') {
                 return next();
@@ -294,23 +472,44 @@ export class GenericUIServer {
                 });
             }
 
-            // Timing-safe token comparison
-            const expectedToken = this.session.token;
-            if (!this.timingSafeEquals(token, expectedToken)) {
+            // Opening the page counts against a share link's maxUses
+            const access = await this.resolveAccess(req.headers, token, req.method === 'GET' && req.path === '/');
+            if (!access) {
                 return res.status(403).json({
                     success: false,
                     error: 'Invalid token',
                     timestamp: new Date().toISOString()
                 });
             }
+            res.locals.access = access;
+
+            const ended = this.sessionEnded();
+            if (ended) {
+                return res.status(401).json({
+                    success: false,
+                    error: ended === 'idle' ? 'Session ended after inactivity' : 'Session has expired',
+                    reason: ended,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Route-level scope check - /api/update is checked per action in runAction()
+            const requiredScope = requiredRouteScope(req.method, req.path);
+            if (requiredScope && !hasScopes(access.scopes, [requiredScope])) {
+                this.log('WARN', `${req.method} ${req.path} denied - missing ${requiredScope} scope`);
+                return res.status(403).json({
+                    success: false,
+                    error: `This session does not have the ${requiredScope} scope`,
+                    timestamp: new Date().toISOString()
+                });
+            }
 
-            // Update session activity for user actions
+            // Update session activity for user actions - opening the page counts, polling doesn't
             const isUserAction = req.method === 'POST' ||
-                req.path.includes('/update') ||
-                req.path.includes('/extend');
+                (req.method === 'GET' && req.path === '/');
 
             if (isUserAction) {
-                this.session.lastActivity = new Date();
+                await this.sessionManager.recordActivity(this.session);
                 this.log('INFO', `User action: ${req.method} ${req.path}`);
             }
 
@@ -318,6 +517,62 @@ export class GenericUIServer {
         });
     }
 
+    /**
+     * Work out who a token acts as
+     * Share links reach us through the gateway under the session's own token, with the
+     * share's token and scopes in headers, or straight from the browser in direct mode.
+     * @param redeem - Count this as an opening of a share link presented directly
+     * @returns Null when the token is neither the session's nor one of its share links
+     */
+    private async resolveAccess(headers: IncomingHttpHeaders, token: string, redeem = false): Promise<SessionAccess | null> {
+        if (this.timingSafeEquals(token, this.session.token)) {
+            const shareToken = headers[SHARE_TOKEN_HEADER];
+            const shareScopes = headers[SHARE_SCOPES_HEADER];
+
+            if (typeof shareToken === 'string' && typeof shareScopes === 'string') {
+                return { token: shareToken, scopes: this.narrowScopes(shareScopes.split(',')), shared: true };
+            }
+            return { token, scopes: this.session.scopes };
+        }
+
+        try {
+            const share = await this.sessionManager.resolveShare(token, this.session.token, { redeem });
+            return share ? { token, scopes: this.narrowScopes(share.scopes), shared: true } : null;
+        } catch (error) {
+            this.log('ERROR', `Share lookup failed: ${error}`);
+            return null;
+        }
+    }
+
+    /**
+     * A share link's scopes, limited to what the session itself holds
+     */
+    private narrowScopes(scopes: string[]): string[] {
+        return scopes.filter(scope => hasScopes(this.session.scopes, [scope]));
+    }
+
+    /**
+     * Describe who is sending actions on a request
+     */
+    private actionCaller(access: SessionAccess, channel: ActionCaller['channel'], req: IncomingMessage): ActionCaller {
+        return { scopes: access.scopes, shared: access.shared, channel, clientIp: this.clientIp(req) };
+    }
+
+    /**
+     * The browser's address - taken from X-Forwarded-For when the gateway connects over loopback.
+     * Only the last entry, the one the gateway added, can be believed: the browser writes the rest.
+     */
+    private clientIp(req: IncomingMessage): string | undefined {
+        const remote = req.socket.remoteAddress;
+        const forwarded = req.headers['x-forwarded-for'];
+        const isLoopback = remote === '127.0.0.1' || remote === '::1' || remote === '::ffff:127.0.0.1';
+
+        if (isLoopback && typeof forwarded === 'string' && forwarded.trim()) {
+            return forwarded.split(',').pop()!.trim() || remote;
+        }
+        return remote;
+    }
+
     /**
      * Setup API routes with dynamic resource handling
      */
@@ -325,16 +580,21 @@ export class GenericUIServer {
         // Main UI route - uses TemplateEngine
         this.app.get('/', async (req, res) => {
             try {
-                const templateData = await this.buildTemplateData(res.locals.nonce);
+                const templateData = await this.buildTemplateData(res.locals.nonce, res.locals.access);
                 const html = await this.templateEngine.render(templateData);
                 res.send(html);
+
+                if (!this.opened) {
+                    this.opened = true;
+                    await this.events?.emit('session:opened', { session: this.session, viaShare: !!res.locals.access?.shared });
+                }
             } catch (error) {
                 this.log('ERROR', `Failed to render UI: ${error}`);
                 res.status(500).send(await this.templateEngine.render({
                     session: this.session,
                     schema: this.schema,
                     initialData: [],
-                    config: { pollInterval: this.pollInterval, apiBase: this.determineApiBasePath() },
+                    config: { pollInterval: this.pollInterval, apiBase: this.determineApiBasePath(res.locals.access?.token) },
                     nonce: res.locals.nonce
                 }));
             }
@@ -445,61 +705,184 @@ export class GenericUIServer {
      * Setup API routes
      */
     private setupAPIRoutes(): void {
-        // Get current data
-        this.app.get('/api/data', async (req, res) => {
-            try {
-                const data = await this.dataSource(this.session.userId);
-                const response: APIResponse = {
-                    success: true,
-                    data,
+        // Get current data - with ?since=<version>, only what changed since then
+        this.app.get('/api/data', (req, res) => this.handleDataRequest(req, res));
+
+        // Get data from a named source (UIComponent.dataSource)
+        this.app.get('/api/data/:sourceName', (req, res) => this.handleDataRequest(req, res, req.params.sourceName));
+
+        // Handle updates
+        this.app.post('/api/update', async (req, res) => {
+            const { action, data } = req.body;
+
+            if (!action || typeof action !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid action parameter',
                     timestamp: new Date().toISOString()
-                };
-                res.json(response);
-            } catch (error) {
-                const response: APIResponse = {
+                });
+            }
+
+            const caller = this.actionCaller(res.locals.access, 'http', req);
+            const { status, response, replayed } = await this.runIdempotentAction(action, data, req.get('Idempotency-Key'), caller);
+            if (replayed) {
+                res.setHeader('Idempotent-Replayed', 'true');
+            }
+            res.status(status).json(response);
+        });
+
+        // Reverse an earlier action using the undoToken from its response
+        this.app.post('/api/undo', async (req, res) => {
+            const { token } = req.body || {};
+
+            if (!token || typeof token !== 'string') {
+                return res.status(400).json({
                     success: false,
-                    error: error instanceof Error ? error.message : 'Unknown error',
+                    error: 'Invalid undo token',
                     timestamp: new Date().toISOString()
-                };
-                res.status(500).json(response);
+                });
+            }
+
+            const undo = this.undoTokens.take(token);
+            if (!undo) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Nothing to undo - the change was already undone or has expired',
+                    timestamp: new Date().toISOString()
+                });
             }
+
+            // The inverse goes through the same registry checks as any other action,
+            // and can return its own undo (which the browser uses for redo)
+            this.log('INFO', `Undoing via ${undo.action}`);
+            const { status, response } = await this.runAction(undo.action, undo.data, this.actionCaller(res.locals.access, 'undo', req));
+            res.status(status).json(response);
         });
 
-        // Handle updates
-        this.app.post('/api/update', async (req, res) => {
-            try {
-                const { action, data } = req.body;
+        // Server-Sent Events push channel
+        this.app.get('/api/events', (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Disable nginx response buffering
+            });
 
-                if (!action || typeof action !== 'string') {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid action parameter',
-                        timestamp: new Date().toISOString()
-                    });
-                }
+            // Tell the browser how long to wait before reconnecting
+            res.write(`retry: ${this.pollInterval}\n`);
+            res.write(`event: connected\ndata: ${JSON.stringify({ timestamp: new Date().toISOString() })}\n\n`);
 
-                const sanitizedData = this.sanitizeUpdateData(data);
-                const result = await this.onUpdate(action, sanitizedData, this.session.userId);
+            this.eventClients.add(res);
+            this.startEventKeepAlive();
+            this.log('INFO', `Event stream opened (${this.eventClients.size} connected)`);
 
-                const response: APIResponse = {
-                    success: true,
-                    data: result,
+            req.on('close', () => {
+                this.eventClients.delete(res);
+                this.stopEventKeepAlive();
+                this.log('INFO', `Event stream closed (${this.eventClients.size} connected)`);
+            });
+        });
+
+        // Audit trail of this user's changes, newest first - ?limit=&action=&origin=&since=&before=
+        this.app.get('/api/audit', this.requireOwner, async (req, res) => {
+            if (!this.auditLog) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Audit log is disabled',
                     timestamp: new Date().toISOString()
-                };
-                res.json(response);
+                });
+            }
+
+            const { action, origin, since, before } = req.query;
+            const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+            const sinceDate = typeof since === 'string' ? new Date(since) : undefined;
+            const beforeDate = typeof before === 'string' ? new Date(before) : undefined;
+
+            const invalid =
+                (!Number.isInteger(limit) || limit < 1 || limit > 500) ? 'limit must be between 1 and 500' :
+                (origin !== undefined && !AUDIT_ORIGINS.includes(origin as AuditOrigin)) ? `origin must be one of: ${AUDIT_ORIGINS.join(', ')}` :
+                (action !== undefined && typeof action !== 'string') ? 'Invalid action filter' :
+                (sinceDate && isNaN(sinceDate.getTime())) || (beforeDate && isNaN(beforeDate.getTime())) ? 'since and before must be ISO dates' :
+                null;
+
+            if (invalid) {
+                return res.status(400).json({
+                    success: false,
+                    error: invalid,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            try {
+                const entries = await this.auditLog.query({
+                    userId: this.session.userId,
+                    serverName: this.session.serverName || 'mcp-webui',
+                    action: action as string | undefined,
+                    origin: origin as AuditOrigin | undefined,
+                    since: sinceDate,
+                    before: beforeDate,
+                    limit
+                });
+                res.json({ success: true, data: entries, timestamp: new Date().toISOString() });
             } catch (error) {
-                this.log('ERROR', `Update failed: ${error}`);
-                const response: APIResponse = {
+                this.log('ERROR', `Failed to read audit log: ${error}`);
+                res.status(500).json({ success: false, error: 'Failed to read audit log', timestamp: new Date().toISOString() });
+            }
+        });
+
+        // Share links for this session - only the session owner can mint, list or revoke them
+        this.app.post('/api/shares', this.requireOwner, async (req, res) => {
+            const { scopes, ttlMinutes, maxUses, label } = req.body || {};
+            const options = { scopes, ttlMinutes, maxUses, label };
+
+            const invalid = validateShareOptions(options, this.session.scopes);
+            if (invalid) {
+                return res.status(400).json({
                     success: false,
-                    error: error instanceof Error ? error.message : 'Update operation failed',
+                    error: invalid,
                     timestamp: new Date().toISOString()
-                };
-                res.status(500).json(response);
+                });
+            }
+
+            try {
+                const share = await this.sessionManager.createShare(this.session.token, options);
+                this.log('INFO', `Share link ${share.id} created (${share.scopes.join(', ')})`);
+                res.status(201).json({ success: true, data: share, timestamp: new Date().toISOString() });
+            } catch (error) {
+                this.log('ERROR', `Failed to create share link: ${error}`);
+                res.status(500).json({
+                    success: false,
+                    error: error instanceof Error ? error.message : 'Failed to create share link',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        this.app.get('/api/shares', this.requireOwner, async (req, res) => {
+            try {
+                const shares = await this.sessionManager.listShares(this.session.token);
+                res.json({ success: true, data: shares, timestamp: new Date().toISOString() });
+            } catch (error) {
+                this.log('ERROR', `Failed to list share links: ${error}`);
+                res.status(500).json({ success: false, error: 'Failed to list share links', timestamp: new Date().toISOString() });
+            }
+        });
+
+        this.app.delete('/api/shares/:shareId', this.requireOwner, async (req, res) => {
+            try {
+                const revoked = await this.sessionManager.revokeShare(this.session.token, req.params.shareId);
+                if (!revoked) {
+                    return res.status(404).json({ success: false, error: 'Share link not found', timestamp: new Date().toISOString() });
+                }
+                res.json({ success: true, data: { id: req.params.shareId }, timestamp: new Date().toISOString() });
+            } catch (error) {
+                this.log('ERROR', `Failed to revoke share link: ${error}`);
+                res.status(500).json({ success: false, error: 'Failed to revoke share link', timestamp: new Date().toISOString() });
             }
         });
 
         // Extend session
-        this.app.post('/api/extend-session', async (req, res) => {
+        this.app.post('/api/extend-session', this.requireOwner, async (req, res) => {
             const { minutes = 30 } = req.body;
 
             if (typeof minutes !== 'number' || minutes < 5 || minutes > 120) {
@@ -518,16 +901,19 @@ export class GenericUIServer {
                 });
             }
 
-            // Update local session copy
-            this.session.expiresAt = new Date(this.session.expiresAt.getTime() + minutes * 60 * 1000);
-            this.session.lastActivity = new Date();
+            const maxExpiresAt = lifetimeEndsAt(this.session, this.sessionManager.getSessionPolicy());
+            if (maxExpiresAt && this.session.expiresAt >= maxExpiresAt) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Session has reached its maximum lifetime',
+                    timestamp: new Date().toISOString()
+                });
+            }
 
-            // CRITICAL FIX: Also update the SessionManager's authoritative copy
+            // Extends the SessionManager's copy - the same object this server holds
             const sessionExtended = await this.sessionManager.extendSessionByToken(this.session.token, minutes);
 
             if (!sessionExtended) {
-                // If SessionManager couldn't extend, revert local changes
-                this.session.expiresAt = new Date(this.session.expiresAt.getTime() - minutes * 60 * 1000);
                 return res.status(500).json({
                     success: false,
                     error: 'Failed to extend session in session manager',
@@ -535,30 +921,243 @@ export class GenericUIServer {
                 });
             }
 
+            res.json(this.sessionTimingResponse());
+        });
+
+        // When the session ends - asked by the page before it warns about inactivity, so
+        // it doesn't count as activity
+        this.app.get('/api/session', (req, res) => {
+            res.json(this.sessionTimingResponse());
+        });
+
+        // "Stay signed in" - a POST, so the middleware has already recorded the activity
+        this.app.post('/api/keep-alive', (req, res) => {
+            res.json(this.sessionTimingResponse());
+        });
+    }
+
+    /**
+     * Why the session has ended under the session policy, or null while it is valid
+     */
+    private sessionEnded(): SessionEndReason | null {
+        return sessionEndReason(this.session, this.sessionManager.getSessionPolicy());
+    }
+
+    /**
+     * The session's deadlines - null where the policy sets no limit
+     */
+    private sessionTimingResponse(): APIResponse {
+        const policy = this.sessionManager.getSessionPolicy();
+        return {
+            success: true,
+            data: {
+                expiresAt: this.session.expiresAt,
+                idleExpiresAt: idleExpiresAt(this.session, policy),
+                maxExpiresAt: lifetimeEndsAt(this.session, policy),
+                lastActivity: this.session.lastActivity
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Route guard for requests a share link must not make
+     */
+    private requireOwner = (req: Request, res: Response, next: express.NextFunction): void => {
+        if (res.locals.access?.shared) {
+            res.status(403).json({
+                success: false,
+                error: 'Not available through a share link',
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+        next();
+    };
+
+    /**
+     * Serve data from the default or a named data source
+     * With ?since=<version>, responds with a patch when one can be built
+     * With ?page=&pageSize=&sort=&filter=, responds with one page plus the total
+     */
+    private async handleDataRequest(req: Request, res: Response, sourceName?: string): Promise<void> {
+        const dataSource = this.getDataSource(sourceName);
+
+        if (!dataSource) {
+            const response: APIResponse = {
+                success: false,
+                error: sourceName ? `Unknown data source: ${sourceName}` : 'No default data source configured',
+                timestamp: new Date().toISOString()
+            };
+            res.status(404).json(response);
+            return;
+        }
+
+        const { query, error } = this.dataQueries.parse(req.query);
+        if (error) {
+            const response: APIResponse = {
+                success: false,
+                error,
+                timestamp: new Date().toISOString()
+            };
+            res.status(400).json(response);
+            return;
+        }
+
+        try {
+            if (query) {
+                // Pages aren't versioned - serverSide components refetch the page on every change
+                const page = this.dataQueries.apply(await this.fetchData(sourceName, () => dataSource(this.session.userId, query)), query);
+                const response: APIResponse = {
+                    success: true,
+                    data: page.items,
+                    total: page.total,
+                    page: query.page,
+                    pageSize: query.pageSize,
+                    instance: this.instanceId,
+                    timestamp: new Date().toISOString()
+                };
+                res.json(response);
+                return;
+            }
+
+            const data = await this.loadData(dataSource, sourceName);
+            const tracker = this.getVersionTracker(sourceName);
+            const version = tracker.track(data);
+
+            if (req.query.since !== undefined) {
+                const patch = tracker.getPatch(data, Number(req.query.since));
+                if (patch) {
+                    const response: APIResponse = {
+                        success: true,
+                        data: patch,
+                        delta: true,
+                        version,
+                        instance: this.instanceId,
+                        timestamp: new Date().toISOString()
+                    };
+                    res.json(response);
+                    return;
+                }
+            }
+
+            // No usable patch (first fetch, unknown version, items without ids) - send everything
             const response: APIResponse = {
                 success: true,
-                data: { expiresAt: this.session.expiresAt },
+                data,
+                version,
+                instance: this.instanceId,
                 timestamp: new Date().toISOString()
             };
             res.json(response);
-        });
+        } catch (error) {
+            const response: APIResponse = {
+                success: false,
+                error: error instanceof Error ? error.message : 'Unknown error',
+                timestamp: new Date().toISOString()
+            };
+            res.status(500).json(response);
+        }
+    }
+
+    /**
+     * Resolve a data source by name - no name means the default dataSource
+     */
+    private getDataSource(sourceName?: string): DataSourceFunction | undefined {
+        if (!sourceName) {
+            return this.dataSource;
+        }
+        return Object.prototype.hasOwnProperty.call(this.dataSources, sourceName)
+            ? this.dataSources[sourceName]
+            : undefined;
+    }
+
+    /**
+     * Load a data source's full dataset
+     */
+    private async loadData(dataSource: DataSourceFunction, sourceName?: string): Promise<any[]> {
+        return DataQueryHandler.toItems(await this.fetchData(sourceName, () => dataSource(this.session.userId)));
+    }
+
+    /**
+     * Call a data source, timed when metrics are on
+     */
+    private fetchData<T>(sourceName: string | undefined, call: () => Promise<T>): Promise<T> {
+        return this.metrics ? this.metrics.timeDataSource(sourceName, call) : call();
+    }
+
+    /**
+     * Whether the page should embed a source's data
+     * Sources only bound to serverSide components are fetched page-by-page instead
+     */
+    private needsInitialData(sourceName?: string): boolean {
+        const bound = this.schema.components.filter(component => component.dataSource === sourceName);
+        if (bound.length === 0) {
+            return !sourceName;
+        }
+        return bound.some(component => !component.serverSide);
+    }
+
+    /**
+     * Version tracker for a data source, created on first use
+     */
+    private getVersionTracker(sourceName?: string): DataVersionTracker {
+        const key = sourceName ? `source:${sourceName}` : 'default';
+        let tracker = this.dataVersions.get(key);
+        if (!tracker) {
+            tracker = new DataVersionTracker();
+            this.dataVersions.set(key, tracker);
+        }
+        return tracker;
     }
 
     /**
      * Build template data for rendering
+     * Loads the default source plus every named source the schema's components use
      */
-    private async buildTemplateData(nonce: string): Promise<TemplateData> {
-        const initialData = await this.dataSource(this.session.userId);
+    private async buildTemplateData(nonce: string, access: SessionAccess = { token: this.session.token, scopes: this.session.scopes }): Promise<TemplateData> {
+        let initialData: any[] = [];
+        let dataVersion: number | undefined;
+
+        if (this.dataSource && this.needsInitialData()) {
+            initialData = await this.loadData(this.dataSource);
+            dataVersion = this.getVersionTracker().track(initialData);
+        }
+
+        const initialSources: Record<string, any[]> = {};
+        const dataVersions: Record<string, number> = {};
+        const sourceNames = new Set(
+            this.schema.components
+                .map(component => component.dataSource)
+                .filter((name): name is string => !!name)
+        );
+
+        for (const sourceName of sourceNames) {
+            const dataSource = this.getDataSource(sourceName);
+            if (!dataSource || !this.needsInitialData(sourceName)) continue;
+
+            initialSources[sourceName] = await this.loadData(dataSource, sourceName);
+            dataVersions[sourceName] = this.getVersionTracker(sourceName).track(initialSources[sourceName]);
+        }
 
         return {
-            session: this.session,
+            session: { ...this.session, token: access.token },
             schema: this.schema,
             initialData,
+            initialSources,
             config: {
                 pollInterval: this.pollInterval,
-                apiBase: this.determineApiBasePath()
+                apiBase: this.determineApiBasePath(access.token),
+                dataVersion,
+                dataVersions,
+                scopes: access.scopes,
+                actionScopes: this.actionRegistry.describeScopes(),
+                sharedView: access.shared,
+                serverInstance: this.instanceId,
+                idleExpiresAt: idleExpiresAt(this.session, this.sessionManager.getSessionPolicy())?.toISOString()
             },
-            nonce
+            nonce,
+            staticBasePath: this.determineStaticBasePath(access.token)
         };
     }
 
@@ -614,6 +1213,364 @@ export class GenericUIServer {
         }
     }
 
+    /**
+     * Send a change notification to push clients, optionally skipping the socket that caused it
+     */
+    private broadcastChange(payload?: any, exclude?: WebSocket): number {
+        const change = {
+            payload: payload ?? null,
+            timestamp: new Date().toISOString()
+        };
+        let notified = 0;
+
+        if (this.eventClients.size > 0) {
+            this.eventId++;
+            const message = `id: ${this.eventId}\nevent: change\ndata: ${JSON.stringify(change)}\n\n`;
+            for (const client of this.eventClients) {
+                client.write(message);
+                notified++;
+            }
+        }
+
+        const socketMessage = JSON.stringify({ type: 'change', ...change });
+        for (const socket of this.socketClients) {
+            if (socket !== exclude && socket.readyState === WebSocket.OPEN) {
+                socket.send(socketMessage);
+                notified++;
+            }
+        }
+
+        if (notified > 0) {
+            this.log('INFO', `Change notification sent to ${notified} push client(s)`);
+        }
+        return notified;
+    }
+
+    /**
+     * Send periodic keep-alives so proxies don't time out idle push connections
+     * Must stay below the gateway's 30 second proxy timeout
+     */
+    private startEventKeepAlive(): void {
+        if (this.eventKeepAliveInterval) {
+            return;
+        }
+
+        this.eventKeepAliveInterval = setInterval(() => {
+            for (const client of this.eventClients) {
+                client.write(': keep-alive\n\n');
+            }
+            for (const socket of this.socketClients) {
+                socket.ping();
+            }
+        }, 15000);
+    }
+
+    /**
+     * Stop the keep-alive timer once no push clients remain
+     */
+    private stopEventKeepAlive(): void {
+        if (this.eventClients.size > 0 || this.socketClients.size > 0) {
+            return;
+        }
+
+        if (this.eventKeepAliveInterval) {
+            clearInterval(this.eventKeepAliveInterval);
+            this.eventKeepAliveInterval = null;
+        }
+    }
+
+    /**
+     * Authenticate and accept WebSocket upgrades on /api/ws
+     * Browsers can't set headers on WebSocket requests, so the token comes from
+     * the query string (direct mode) or the Authorization header (added by the gateway)
+     * Also called by a SharedUIServer for upgrades it routes here.
+     */
+    handleUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer): void {
+        const url = new URL(req.url || '/', 'http://localhost');
+
+        if (url.pathname !== '/api/ws') {
+            this.rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+
+        const token = url.searchParams.get('token') || req.headers.authorization?.replace('Bearer ', '');
+
+        if (!token) {
+            this.rejectUpgrade(socket, 401, 'Unauthorized');
+            return;
+        }
+
+        this.resolveAccess(req.headers, token).then(access => {
+            if (!access || !hasScopes(access.scopes, ['read'])) {
+                this.rejectUpgrade(socket, 403, 'Forbidden');
+                return;
+            }
+            if (this.sessionEnded()) {
+                this.rejectUpgrade(socket, 401, 'Unauthorized');
+                return;
+            }
+
+            const caller = this.actionCaller(access, 'websocket', req);
+            this.wsServer.handleUpgrade(req, socket, head, (ws) => {
+                this.handleSocketConnection(ws, caller);
+            });
+        }).catch(error => {
+            this.log('ERROR', `WebSocket upgrade failed: ${error}`);
+            this.rejectUpgrade(socket, 500, 'Internal Server Error');
+        });
+    }
+
+    /**
+     * Refuse an upgrade request with a plain HTTP status
+     */
+    private rejectUpgrade(socket: Duplex, status: number, reason: string): void {
+        this.log('WARN', `WebSocket upgrade rejected: ${status} ${reason}`);
+        socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+        socket.destroy();
+    }
+
+    /**
+     * Track a connected WebSocket client and route its messages
+     */
+    private handleSocketConnection(ws: WebSocket, caller: ActionCaller): void {
+        this.socketClients.add(ws);
+        this.startEventKeepAlive();
+        this.log('INFO', `WebSocket opened (${this.socketClients.size} connected)`);
+
+        ws.send(JSON.stringify({ type: 'connected', timestamp: new Date().toISOString() }));
+
+        // Each message is a request of its own
+        ws.on('message', (raw) => runWithRequestId(createRequestId(), () => {
+            this.handleSocketMessage(ws, raw, caller).catch(error => {
+                this.log('ERROR', `WebSocket message handling failed: ${error}`);
+            });
+        }));
+
+        ws.on('close', () => {
+            this.socketClients.delete(ws);
+            this.stopEventKeepAlive();
+            this.log('INFO', `WebSocket closed (${this.socketClients.size} connected)`);
+        });
+
+        ws.on('error', (error) => {
+            this.log('WARN', `WebSocket error: ${error.message}`);
+        });
+    }
+
+    /**
+     * Handle a message from a WebSocket client
+     * Actions go through the same runAction() path as POST /api/update, and
+     * other connected clients are told the data changed
+     */
+    private async handleSocketMessage(ws: WebSocket, raw: RawData, caller: ActionCaller): Promise<void> {
+        let message: any;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch {
+            ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON', timestamp: new Date().toISOString() }));
+            return;
+        }
+
+        if (message?.type === 'ping') {
+            ws.send(JSON.stringify({ type: 'pong', timestamp: new Date().toISOString() }));
+            return;
+        }
+
+        if (message?.type !== 'action') {
+            ws.send(JSON.stringify({ type: 'error', id: message?.id, error: 'Unknown message type', timestamp: new Date().toISOString() }));
+            return;
+        }
+
+        const { id, action, data, idempotencyKey } = message;
+
+        if (!action || typeof action !== 'string') {
+            ws.send(JSON.stringify({ type: 'result', id, success: false, error: 'Invalid action parameter', timestamp: new Date().toISOString() }));
+            return;
+        }
+
+        if (this.sessionEnded()) {
+            ws.send(JSON.stringify({ type: 'result', id, success: false, error: 'Session has ended', timestamp: new Date().toISOString() }));
+            ws.close(4401, 'Session ended');
+            return;
+        }
+
+        await this.sessionManager.recordActivity(this.session);
+        this.log('INFO', `User action: WS ${action}`);
+
+        const { response, replayed } = await this.runIdempotentAction(action, data, idempotencyKey, caller);
+
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'result', id, ...response, ...(replayed ? { replayed } : {}) }));
+        }
+
+        if (response.success && !replayed) {
+            this.broadcastChange({ action }, ws);
+        }
+    }
+
+    /**
+     * Run an action at most once per idempotency key
+     * Replays from a browser's offline outbox get the original result back
+     * @param caller - Who is asking (the session owner or a share link) and through which channel
+     * @returns The response, its HTTP status, and whether it came from an earlier run
+     */
+    private async runIdempotentAction(action: string, data: any, idempotencyKey: unknown, caller: ActionCaller): Promise<{ status: number; response: APIResponse; replayed: boolean }> {
+        if (idempotencyKey === undefined || idempotencyKey === '') {
+            return { ...(await this.runAction(action, data, caller)), replayed: false };
+        }
+
+        if (typeof idempotencyKey !== 'string' || !/^[A-Za-z0-9_-]{8,128}$/.test(idempotencyKey)) {
+            return {
+                status: 400,
+                response: { success: false, error: 'Invalid idempotency key', timestamp: new Date().toISOString() },
+                replayed: false
+            };
+        }
+
+        // Server errors aren't remembered so the client's retry can still succeed
+        const { result, replayed } = await this.actionResults.run(
+            idempotencyKey,
+            () => this.runAction(action, data, caller),
+            outcome => outcome.status < 500
+        );
+
+        if (replayed) {
+            this.log('INFO', `Duplicate action ${action} ignored (idempotency key ${idempotencyKey})`);
+        }
+
+        return { ...result, replayed };
+    }
+
+    /**
+     * Run an action and record the outcome in the audit log
+     * Replayed idempotent requests don't come through here, so each change is recorded once.
+     * @returns The response and the HTTP status to send it with
+     */
+    private async runAction(action: string, data: any, caller: ActionCaller): Promise<{ status: number; response: APIResponse }> {
+        const start = performance.now();
+        const outcome = await this.executeAction(action, data, caller.scopes);
+        this.metrics?.observeAction(action, caller.channel, outcome.status, (performance.now() - start) / 1000);
+
+        // A reference the browser can show with the error, to find this request in the logs
+        const requestId = currentRequestId();
+        if (!outcome.response.success && requestId) {
+            outcome.response.requestId = requestId;
+        }
+
+        await this.auditLog?.record({
+            origin: 'ui',
+            userId: this.session.userId,
+            serverName: this.session.serverName || 'mcp-webui',
+            sessionId: this.session.id,
+            action,
+            payload: data,
+            status: outcome.status,
+            success: outcome.response.success,
+            error: outcome.response.error,
+            clientIp: caller.clientIp,
+            channel: caller.channel,
+            viaShare: caller.shared,
+            requestId
+        });
+
+        // Not awaited - a slow listener shouldn't hold up the browser
+        this.events?.emit('action', {
+            session: this.session,
+            action,
+            data,
+            success: outcome.response.success,
+            status: outcome.status,
+            error: outcome.response.error,
+            channel: caller.channel,
+            viaShare: !!caller.shared
+        });
+
+        return outcome;
+    }
+
+    /**
+     * Run an action through the typed registry, or the onUpdate catch-all when none are registered
+     * Unknown actions and invalid payloads are rejected before any handler runs
+     * @param scopes - Scopes of the caller (the session's, or a share link's)
+     * @returns The response and the HTTP status to send it with
+     */
+    private async executeAction(action: string, data: any, scopes: string[] | undefined): Promise<{ status: number; response: APIResponse }> {
+        const reject = (status: number, error: string, fieldErrors?: Record<string, string>) => ({
+            status,
+            response: { success: false, error, fieldErrors, timestamp: new Date().toISOString() } as APIResponse
+        });
+
+        try {
+            let result: any;
+
+            if (this.actionRegistry.size > 0) {
+                const definition = this.actionRegistry.get(action);
+                if (!definition) {
+                    return reject(400, `Unknown action: ${action}`);
+                }
+
+                if (!this.actionRegistry.isAllowed(definition, scopes)) {
+                    this.log('WARN', `Action ${action} denied - missing scope`);
+                    return reject(403, `Action ${action} is not permitted for this session`);
+                }
+
+                const validation = this.actionRegistry.validate(definition, data);
+                if (Object.keys(validation.fieldErrors).length > 0) {
+                    return reject(400, 'Invalid action payload', validation.fieldErrors);
+                }
+
+                result = await definition.handler(this.sanitizeUpdateData(validation.data), this.session.userId);
+            } else if (this.onUpdate) {
+                if (!hasScopes(scopes, requiredActionScopes(action))) {
+                    this.log('WARN', `Action ${action} denied - missing scope`);
+                    return reject(403, `Action ${action} is not permitted for this session`);
+                }
+
+                result = await this.onUpdate(action, this.sanitizeUpdateData(data), this.session.userId);
+            } else {
+                return reject(400, `Unknown action: ${action}`);
+            }
+
+            // Handlers opt into undo by returning the inverse action with their result
+            let undoToken: string | undefined;
+            if (result && typeof result === 'object' && UndoTokenStore.isUndoAction(result.undo)) {
+                const { undo, ...rest } = result;
+                undoToken = this.undoTokens.issue(undo);
+                result = rest;
+            }
+
+            return {
+                status: 200,
+                response: { success: true, data: result, undoToken, timestamp: new Date().toISOString() }
+            };
+        } catch (error) {
+            this.log('ERROR', `Update failed: ${error}`);
+            return reject(500, error instanceof Error ? error.message : 'Update operation failed');
+        }
+    }
+
+    /**
+     * Close all WebSocket clients
+     */
+    private closeSocketClients(): void {
+        for (const socket of this.socketClients) {
+            socket.close(1001, 'Server shutting down');
+        }
+        this.socketClients.clear();
+        this.stopEventKeepAlive();
+    }
+
+    /**
+     * End all open event streams
+     */
+    private closeEventStreams(): void {
+        for (const client of this.eventClients) {
+            client.end();
+        }
+        this.eventClients.clear();
+        this.stopEventKeepAlive();
+    }
+
     /**
      * Find project root directory
      */
@@ -754,9 +1711,11 @@ export class GenericUIServer {
     /**
      * Determine the static base path based on session type
      * - Gateway mode: /mcp/:token/static (for proxy routing)
+     * - Shared server: /s/:token/static
      * - Direct mode: /static (traditional path)
+     * @param token - Token the page was opened with (a share link's, or the session's)
      */
-    private determineStaticBasePath(): string {
+    private determineStaticBasePath(token: string = this.session.token): string {
         // Check if this is a gateway session by examining the session token and URL structure
         const isGatewaySession = this.session.token &&
             this.session.url &&
@@ -766,19 +1725,32 @@ export class GenericUIServer {
         if (isGatewaySession) {
             // Extract token from session and create gateway static path
             const proxyPrefix = process.env.MCP_WEB_UI_PROXY_PREFIX || '/mcp';
-            return `${proxyPrefix}/${this.session.token}/static`;
+            return `${proxyPrefix}/${token}/static`;
+        } else if (this.servedUnderToken()) {
+            // Shared server - every session lives under its own token
+            return `${this.host!.basePath}/${token}/static`;
         } else {
             // Direct mode - use traditional static path
             return '/static';
         }
     }
 
+    /**
+     * Whether the session's link is a shared server's /s/:token/ route
+     * A session restored onto its own old port is hosted too, but keeps its original link.
+     */
+    private servedUnderToken(): boolean {
+        return !!this.host && this.session.url.includes(`${this.host.basePath}/${this.session.token}/`);
+    }
+
     /**
      * Determine the API base path based on session type
      * - Gateway mode: /api (relative path for proxy routing)
+     * - Shared server: /s/:token/api
      * - Direct mode: /api (traditional path)
+     * @param token - Token the page was opened with (a share link's, or the session's)
      */
-    private determineApiBasePath(): string {
+    private determineApiBasePath(token: string = this.session.token): string {
         // Check if this is a gateway session by examining the session token and URL structure
         const isGatewaySession = this.session.token &&
             this.session.url &&
@@ -789,7 +1761,9 @@ export class GenericUIServer {
             // Gateway mode - use full gateway API path
             // Frontend needs to call the gateway with the full path
             const proxyPrefix = process.env.MCP_WEB_UI_PROXY_PREFIX || '/mcp';
-            return `${proxyPrefix}/${this.session.token}/api`;
+            return `${proxyPrefix}/${token}/api`;
+        } else if (this.servedUnderToken()) {
+            return `${this.host!.basePath}/${token}/api`;
         } else {
             // Direct mode - use traditional API path
             return '/api';
@@ -798,6 +1772,7 @@ export class GenericUIServer {
 
     /**
      * Register this server with the gateway
+     * SessionManager keeps the registration alive with heartbeats until stop()
      */
     private async registerWithGateway(): Promise<void> {
         // Only register if using gateway mode
@@ -806,101 +1781,36 @@ export class GenericUIServer {
             return;
         }
 
-        const gatewayUrl = process.env.MCP_WEB_UI_GATEWAY_URL || 'http://localhost:3081';
         const serverName = this.config.serverName || this.schema.title.toLowerCase().replace(/\s+/g, '-');
 
-        // Get the backend host that the gateway can reach
-        const backendHost = this.sessionManager['resolveBackendHost'](); // Access private method
-
-        const registrationData = {
-            serverName,
-            backend: {
-                type: 'tcp',
-                host: backendHost,
-                port: this.session.port
-            },
-            metadata: {
-                schemaTitle: this.schema.title,
-                version: '2.0.0',
-                features: ['api', 'static', 'websocket'],
-                registeredBy: 'GenericUIServer',
-                pid: process.pid
-            }
+        // The socket this server listens on, or the host and port the gateway can reach
+        const backend: EphemeralSession['backend'] = this.session.socketPath
+            ? { type: 'unix', socketPath: this.session.socketPath }
+            : { type: 'tcp', host: this.sessionManager['resolveBackendHost'](), port: this.session.port }; // Access private method
+
+        const metadata = {
+            schemaTitle: this.schema.title,
+            version: '2.0.0',
+            features: ['api', 'static', 'websocket'],
+            registeredBy: 'GenericUIServer',
+            pid: process.pid
         };
 
         try {
-            this.log('INFO', `Registering with gateway at ${gatewayUrl}/register-server`);
-            this.log('INFO', `Server registration data: ${JSON.stringify(registrationData, null, 2)}`);
-
-            const response = await fetch(`${gatewayUrl}/register-server`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(registrationData)
-            });
-
-            if (!response.ok) {
-                throw new Error(`Gateway registration failed: ${response.statusText}`);
-            }
-
-            const result = await response.json();
-            this.log('INFO', `✅ Successfully registered with gateway: ${JSON.stringify(result)}`);
-
-            // Start heartbeat to keep registration alive
-            this.startGatewayHeartbeat(gatewayUrl, serverName);
-
+            this.log('INFO', `Registering ${serverName} with gateway, backend ${backend.socketPath || `${backend.host}:${backend.port}`}`);
+            await this.sessionManager.keepRegisteredWithGateway(serverName, backend, metadata);
+            this.gatewayRegistration = { serverName, backend };
+            this.log('INFO', `✅ Successfully registered with gateway`);
         } catch (error: any) {
             this.log('ERROR', `Failed to register with gateway: ${error.message}`);
             throw error;
         }
     }
 
-    /**
-     * Start periodic heartbeat to gateway
-     */
-    private startGatewayHeartbeat(gatewayUrl: string, serverName: string): void {
-        const heartbeatInterval = 30000; // 30 seconds
-
-        setInterval(async () => {
-            try {
-                // Send heartbeat by re-registering (updates lastHeartbeat)
-                const backendHost = this.sessionManager['resolveBackendHost']();
-
-                const heartbeatData = {
-                    serverName,
-                    backend: {
-                        type: 'tcp',
-                        host: backendHost,
-                        port: this.session.port
-                    },
-                    metadata: {
-                        schemaTitle: this.schema.title,
-                        lastHeartbeat: new Date().toISOString(),
-                        uptime: Date.now() - this.session.startTime.getTime()
-                    }
-                };
-
-                const response = await fetch(`${gatewayUrl}/register-server`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(heartbeatData)
-                });
-
-                if (!response.ok) {
-                    this.log('WARN', `Gateway heartbeat failed: ${response.statusText}`);
-                }
-            } catch (error: any) {
-                this.log('WARN', `Gateway heartbeat error: ${error.message}`);
-            }
-        }, heartbeatInterval);
-    }
-
     /**
      * Enhanced logging with component context
      */
     private log(level: 'INFO' | 'WARN' | 'ERROR', message: string): void {
-        const timestamp = new Date().toISOString();
-        const sessionInfo = `Session:${this.session.id.substring(0, 8)}`;
-        const schemaInfo = `Schema:${this.schema.title}`;
-        console.log(`[${timestamp}][${level}][GenericUIServer][${sessionInfo}][${schemaInfo}] ${message}`);
+        this.logger.log(level, message);
     }
 } 
\ No newline at end of file
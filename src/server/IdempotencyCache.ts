@@ -0,0 +1,78 @@
+/**
+ * IdempotencyCache - Remembers action results by idempotency key
+ * Browsers replaying their offline outbox resend actions that may already have
+ * reached the server before the connection dropped; a repeated key gets the
+ * original result instead of running the handler twice
+ */
+
+interface CacheEntry<T> {
+    promise: Promise<T>;
+    expiresAt: number;
+}
+
+export class IdempotencyCache<T> {
+    private entries = new Map<string, CacheEntry<T>>();
+
+    constructor(
+        private maxEntries = 1000,
+        private ttlMs = 24 * 60 * 60 * 1000
+    ) { }
+
+    /**
+     * Run `task` once per key
+     * Concurrent and later calls with the same key share the first call's result.
+     * Results rejected by `shouldKeep` (e.g. server errors worth retrying) are forgotten.
+     */
+    async run(key: string, task: () => Promise<T>, shouldKeep: (result: T) => boolean = () => true): Promise<{ result: T; replayed: boolean }> {
+        const existing = this.entries.get(key);
+        if (existing && existing.expiresAt > Date.now()) {
+            return { result: await existing.promise, replayed: true };
+        }
+
+        const promise = task();
+        this.entries.delete(key);
+        this.entries.set(key, { promise, expiresAt: Date.now() + this.ttlMs });
+        this.evict();
+
+        try {
+            const result = await promise;
+            if (!shouldKeep(result)) {
+                this.forget(key, promise);
+            }
+            return { result, replayed: false };
+        } catch (error) {
+            this.forget(key, promise);
+            throw error;
+        }
+    }
+
+    get size(): number {
+        return this.entries.size;
+    }
+
+    /**
+     * Drop a key, unless a newer run has replaced it
+     */
+    private forget(key: string, promise: Promise<T>): void {
+        if (this.entries.get(key)?.promise === promise) {
+            this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Drop expired entries, then the oldest ones once over the limit
+     */
+    private evict(): void {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value as string;
+            this.entries.delete(oldest);
+        }
+    }
+}
@@ -26,8 +26,9 @@ export class ResourceManager {
     /**
      * Determine which resources to load based on UI schema
      * This replaces hardcoded resource loading
+     * @param staticBasePath - Overrides the configured path, e.g. for a page served under a share token
      */
-    getRequiredResources(schema: UISchema): LoadedResources {
+    getRequiredResources(schema: UISchema, staticBasePath: string = this.staticBasePath): LoadedResources {
         const result: LoadedResources = {
             css: [],
             javascript: [],
@@ -36,18 +37,18 @@ export class ResourceManager {
         };
 
         // 1. Load theme CSS from MCP server (this includes styles.css)
-        const themeCSS = this.getThemeCSS(schema);
+        const themeCSS = this.getThemeCSS(schema, staticBasePath);
         result.css.push(...themeCSS);
 
         // 3. Load required JavaScript components
-        const requiredJS = this.getRequiredJavaScript(schema);
+        const requiredJS = this.getRequiredJavaScript(schema, staticBasePath);
         result.javascript.push(...requiredJS);
 
         // 4. Generate inline CSS for runtime customization
         result.inlineCSS = this.generateInlineCSS(schema);
 
         // 5. Generate preload links for performance
-        result.preloadLinks = this.generatePreloadLinks(schema);
+        result.preloadLinks = this.generatePreloadLinks(schema, staticBasePath);
 
         return result;
     }
@@ -57,12 +58,12 @@ export class ResourceManager {
      * Simple: always load styles.css if MCP CSS directory is configured
      * Uses configurable static base path for gateway proxy compatibility
      */
-    private getThemeCSS(schema: UISchema): string[] {
+    private getThemeCSS(schema: UISchema, staticBasePath: string = this.staticBasePath): string[] {
         const css: string[] = [];
 
         // If MCP server directory is configured, load app styles
         if (this.config.resources.css.mcpServerDirectory) {
-            css.push(`${this.staticBasePath}/styles.css`);
+            css.push(`${staticBasePath}/styles.css`);
         }
 
         return css;
@@ -71,17 +72,17 @@ export class ResourceManager {
     /**
      * Dynamic JavaScript loading based on schema requirements
      */
-    private getRequiredJavaScript(schema: UISchema): string[] {
+    private getRequiredJavaScript(schema: UISchema, staticBasePath: string = this.staticBasePath): string[] {
         const js: string[] = [];
 
         // If bundling is enabled, only load the bundled file
         if (this.config.resources.javascript.enableBundling) {
-            js.push(`${this.staticBasePath}/mcp-framework.js`);
+            js.push(`${staticBasePath}/mcp-framework.js`);
         } else {
             // Load individual files only if bundling is disabled
             for (const componentConfig of this.config.resources.javascript.components) {
                 if (componentConfig.loadCondition(schema)) {
-                    js.push(...componentConfig.files.map(file => `${this.staticBasePath}/${file}`));
+                    js.push(...componentConfig.files.map(file => `${staticBasePath}/${file}`));
                 }
             }
         }
@@ -159,11 +160,11 @@ export class ResourceManager {
     /**
      * Generate preload links for performance
      */
-    private generatePreloadLinks(schema: UISchema): string[] {
+    private generatePreloadLinks(schema: UISchema, staticBasePath: string = this.staticBasePath): string[] {
         const preloads: string[] = [];
 
         // Preload theme CSS (this includes styles.css)
-        const themeCSS = this.getThemeCSS(schema);
+        const themeCSS = this.getThemeCSS(schema, staticBasePath);
         for (const css of themeCSS) {
             preloads.push(`<link rel="preload" href="${css}" as="style">`);
         }
@@ -0,0 +1,201 @@
+/**
+ * SharedUIServer - One HTTP server for every session
+ *
+ * Instead of a port per session, each session's GenericUIServer is mounted here and
+ * served under /s/:token/. Requests without that prefix are routed by the token in
+ * the query string or Authorization header, which is how the gateway forwards them.
+ * Share links are routed to the session they were made from.
+ *
+ * Sessions restored after a restart have no UI server until someone opens them; the
+ * resume callback starts one on the first request. MCPWebUI also uses this class to
+ * listen on a restored session's own port until then.
+ */
+
+import { createServer, Server, IncomingMessage, ServerResponse } from 'http';
+import { Duplex } from 'stream';
+import { SessionManager } from '../session/SessionManager.js';
+import type { GenericUIServer } from './GenericUIServer.js';
+import { Logger } from '../logging/Logger.js';
+
+const logger = new Logger('SharedUIServer');
+
+export class SharedUIServer {
+    readonly basePath = '/s';
+
+    private server?: Server;
+    private starting?: Promise<void>;
+    private sessions = new Map<string, GenericUIServer>(); // By session token
+
+    /**
+     * @param resume - Starts the UI server of a session that isn't mounted, if it has one
+     * @param fallbackToken - Session for requests that carry no token (e.g. /static), when the
+     *                        port serves a single restored session
+     */
+    constructor(
+        readonly port: number,
+        private bindAddress: string,
+        private sessionManager: SessionManager,
+        private resume?: (token: string) => Promise<GenericUIServer | null>,
+        private fallbackToken?: string
+    ) { }
+
+    /**
+     * Start listening - safe to call again once started
+     */
+    async start(): Promise<void> {
+        if (!this.starting) {
+            this.starting = this.listen().catch(error => {
+                this.starting = undefined;
+                throw error;
+            });
+        }
+        return this.starting;
+    }
+
+    /**
+     * Stop listening
+     * Mounted sessions should be stopped first so their event streams and sockets are closed.
+     */
+    async stop(): Promise<void> {
+        const server = this.server;
+        this.server = undefined;
+        this.starting = undefined;
+        this.sessions.clear();
+
+        if (server) {
+            await new Promise<void>(resolve => server.close(() => resolve()));
+            this.log('INFO', `Shared server stopped on port ${this.port}`);
+        }
+    }
+
+    /**
+     * Serve a session's UI - called by GenericUIServer.start()
+     */
+    mount(uiServer: GenericUIServer): void {
+        this.sessions.set(uiServer.getSession().token, uiServer);
+    }
+
+    /**
+     * Stop serving a session's UI - called by GenericUIServer.stop()
+     */
+    unmount(uiServer: GenericUIServer): void {
+        const token = uiServer.getSession().token;
+        if (this.sessions.get(token) === uiServer) {
+            this.sessions.delete(token);
+        }
+    }
+
+    /**
+     * Number of sessions being served
+     */
+    getSessionCount(): number {
+        return this.sessions.size;
+    }
+
+    private listen(): Promise<void> {
+        return new Promise((resolve, reject) => {
+            const server = createServer((req, res) => {
+                this.handleRequest(req, res).catch(error => {
+                    this.log('ERROR', `Request handling failed: ${error}`);
+                    if (!res.headersSent) {
+                        this.sendError(res, 500, 'Internal server error');
+                    }
+                });
+            });
+
+            server.on('upgrade', (req, socket, head) => {
+                this.handleUpgrade(req, socket, head).catch(error => {
+                    this.log('ERROR', `Upgrade handling failed: ${error}`);
+                    socket.destroy();
+                });
+            });
+
+            server.once('error', (error: any) => {
+                if (error.code === 'EADDRINUSE') {
+                    reject(new Error(`Port ${this.port} already in use`));
+                } else if (error.code === 'EACCES') {
+                    reject(new Error(`Permission denied binding to ${this.bindAddress}:${this.port}`));
+                } else {
+                    reject(error);
+                }
+            });
+
+            server.listen(this.port, this.bindAddress, () => {
+                this.server = server;
+                this.log('INFO', `✅ Shared server listening on ${this.bindAddress}:${this.port} - sessions under ${this.basePath}/:token/`);
+                resolve();
+            });
+        });
+    }
+
+    private async handleRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
+        // The gateway probes /api/health, which a session's own server also answers
+        if (req.url === '/health' || req.url === '/api/health') {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ status: 'healthy', sessions: this.sessions.size, timestamp: new Date().toISOString() }));
+            return;
+        }
+
+        const uiServer = await this.route(req);
+        if (!uiServer) {
+            this.sendError(res, 404, 'Session not found');
+            return;
+        }
+
+        uiServer.handleRequest(req, res);
+    }
+
+    private async handleUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer): Promise<void> {
+        const uiServer = await this.route(req);
+        if (!uiServer) {
+            socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        uiServer.handleUpgrade(req, socket, head);
+    }
+
+    /**
+     * Find the session a request is for
+     * Strips the /s/:token prefix so the session's server sees its usual paths, and
+     * lets the token in the path authenticate the request when it carries no other.
+     */
+    private async route(req: IncomingMessage): Promise<GenericUIServer | null> {
+        const url = new URL(req.url || '/', 'http://localhost');
+        const match = url.pathname.match(/^\/s\/([^/]+)(\/.*)?$/);
+        let token: string | null;
+
+        if (match) {
+            token = decodeURIComponent(match[1]);
+            req.url = (match[2] || '/') + url.search;
+            if (!url.searchParams.has('token') && !req.headers.authorization) {
+                req.headers.authorization = `Bearer ${token}`;
+            }
+        } else {
+            token = url.searchParams.get('token') || req.headers.authorization?.replace('Bearer ', '') || this.fallbackToken || null;
+        }
+
+        if (!token) {
+            return null;
+        }
+
+        const uiServer = this.sessions.get(token);
+        if (uiServer) {
+            return uiServer;
+        }
+
+        const sessionToken = await this.sessionManager.findShareParent(token) || token;
+        return this.sessions.get(sessionToken) || (this.resume ? await this.resume(sessionToken) : null);
+    }
+
+    private sendError(res: ServerResponse, status: number, error: string): void {
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ success: false, error, timestamp: new Date().toISOString() }));
+    }
+
+    private log(level: 'INFO' | 'WARN' | 'ERROR', message: string): void {
+        logger.log(level, message);
+    }
+}
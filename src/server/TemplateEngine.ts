@@ -14,6 +14,7 @@ export interface TemplateContext {
     config: any;
     nonce: string;
     initialData?: any[];
+    initialSources?: Record<string, any[]>;
 }
 
 export interface TemplateRenderer {
@@ -105,6 +106,14 @@ export class VanillaTemplateRenderer implements TemplateRenderer {
         .mcp-notification-success { border-left: 4px solid #10b981; }
         .mcp-notification-error { border-left: 4px solid #dc2626; }
         .mcp-notification-info { border-left: 4px solid #3b82f6; }
+        .mcp-notification-action {
+            margin-left: 0.75rem;
+            background: none;
+            border: none;
+            color: #2563eb;
+            font-weight: 600;
+            cursor: pointer;
+        }
         @keyframes slideIn {
             from { transform: translateX(100%); opacity: 0; }
             to { transform: translateX(0); opacity: 1; }
@@ -113,9 +122,14 @@ export class VanillaTemplateRenderer implements TemplateRenderer {
     }
 
     private renderBody(context: TemplateContext): string {
-        const { schema } = context;
+        const { schema, config } = context;
         const safeDescription = schema.description ? this.escapeHtml(schema.description) : '';
 
+        // Extending the session and minting share links are for the session owner
+        const ownerControls = config.sharedView ? '' : `
+                <button id="extend-btn" class="btn-extend">Extend</button>
+                <button id="share-btn" class="btn-extend">Share</button>`;
+
         return `
     <!-- Vanilla JS MCP UI Container -->
     <div id="mcp-app">
@@ -123,8 +137,7 @@ export class VanillaTemplateRenderer implements TemplateRenderer {
             <h1>${this.escapeHtml(schema.title)}</h1>
             ${safeDescription ? `<p class="description">${safeDescription}</p>` : ''}
             <div class="session-info">
-                <span>Session expires: <span id="expire-time">Loading...</span></span>
-                <button id="extend-btn" class="btn-extend">Extend</button>
+                <span>Session expires: <span id="expire-time">Loading...</span></span>${ownerControls}
             </div>
         </header>
 
@@ -169,6 +182,12 @@ export class VanillaTemplateRenderer implements TemplateRenderer {
             sessionToken: session.token,
             pollInterval: config.pollInterval,
             apiBase: config.apiBase,
+            dataVersion: config.dataVersion,
+            dataVersions: config.dataVersions,
+            scopes: config.scopes,
+            actionScopes: config.actionScopes,
+            serverInstance: config.serverInstance,
+            idleExpiresAt: config.idleExpiresAt,
             userId: session.userId,
             security: {
                 sanitizeInput: true,
@@ -181,6 +200,9 @@ export class VanillaTemplateRenderer implements TemplateRenderer {
         // Initial data (safely embedded) - get from template data, not session
         const mcpInitialData = ${this.safeJsonStringify(context.initialData || [])};
 
+        // Initial data for named data sources, keyed by source name
+        const mcpInitialSources = ${this.safeJsonStringify(context.initialSources || {})};
+
         // UI Schema (for component initialization)
         const mcpSchema = ${this.safeJsonStringify(schema)};
 
@@ -191,12 +213,13 @@ export class VanillaTemplateRenderer implements TemplateRenderer {
                 console.log('📊 Initial data:', mcpInitialData);
 
                 // Initialize components from schema
-                const components = MCP.initFromSchema(mcpSchema, { default: mcpInitialData }, mcpConfig);
+                const components = MCP.initFromSchema(mcpSchema, { default: mcpInitialData, sources: mcpInitialSources }, mcpConfig);
                 
                 console.log('✅ MCP Components initialized:', components.length);
 
                 // Setup session management
                 MCP.updateExpirationTime('${session.expiresAt.toISOString()}');
+                MCP.watchIdleTimeout(mcpConfig.idleExpiresAt, mcpConfig);
 
                 // Setup extend session button
                 const extendBtn = document.getElementById('extend-btn');
@@ -222,6 +245,60 @@ export class VanillaTemplateRenderer implements TemplateRenderer {
                     });
                 }
 
+                // Setup share button - mints a link with its own access level and lifetime
+                const shareBtn = document.getElementById('share-btn');
+                if (shareBtn) {
+                    shareBtn.addEventListener('click', async function() {
+                        const result = await MCP.form({
+                            title: 'Share this view',
+                            fields: [
+                                {
+                                    name: 'access',
+                                    label: 'Access',
+                                    type: 'select',
+                                    options: [
+                                        { value: 'read', label: 'View only' },
+                                        { value: 'read,write', label: 'View and edit' }
+                                    ]
+                                },
+                                {
+                                    name: 'ttlMinutes',
+                                    label: 'Link expires after',
+                                    type: 'select',
+                                    default: '1440',
+                                    options: [
+                                        { value: '60', label: '1 hour' },
+                                        { value: '1440', label: '1 day' },
+                                        { value: '10080', label: '7 days' }
+                                    ]
+                                },
+                                {
+                                    name: 'maxUses',
+                                    label: 'Maximum opens',
+                                    type: 'number',
+                                    placeholder: 'Unlimited'
+                                }
+                            ],
+                            onSubmit: (data) => MCP.createShare({
+                                scopes: data.access.split(','),
+                                ttlMinutes: Number(data.ttlMinutes),
+                                maxUses: data.maxUses ? Number(data.maxUses) : undefined
+                            }, mcpConfig)
+                        });
+
+                        const share = result && result.action === 'submit' ? result.result : null;
+                        if (!share) return;
+
+                        if (navigator.clipboard) {
+                            navigator.clipboard.writeText(share.url).catch(() => { /* link is shown below */ });
+                        }
+                        await MCP.alert({
+                            title: 'Share link created',
+                            message: share.url + ' (expires ' + new Date(share.expiresAt).toLocaleString() + ')'
+                        });
+                    });
+                }
+
                 // Show success notification
                 MCP.utils.showNotification('UI loaded successfully!', 'success', 2000);
 
@@ -300,7 +377,7 @@ export class TemplateEngine {
     async render(templateData: TemplateData): Promise<string> {
         try {
             // Get required resources based on schema
-            const resources = this.resourceManager.getRequiredResources(templateData.schema);
+            const resources = this.resourceManager.getRequiredResources(templateData.schema, templateData.staticBasePath);
 
             const context: TemplateContext = {
                 schema: templateData.schema,
@@ -308,7 +385,8 @@ export class TemplateEngine {
                 resources,
                 config: templateData.config,
                 nonce: templateData.nonce || this.generateNonce(),
-                initialData: templateData.initialData
+                initialData: templateData.initialData,
+                initialSources: templateData.initialSources
             };
 
             // Find appropriate renderer
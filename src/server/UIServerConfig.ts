@@ -147,6 +147,8 @@ export const DEFAULT_UI_SERVER_CONFIG: UIServerConfig = {
 
         javascript: {
             framework: [
+                'core/ActionOutbox.js',
+                'core/ActionHistory.js',
                 'core/BaseComponent.js',
                 'components/ModalComponent.js',
                 'MCPFramework.js'
@@ -169,6 +171,19 @@ export const DEFAULT_UI_SERVER_CONFIG: UIServerConfig = {
                     files: ['components/StatsComponent.js'],
                     dependencies: ['BaseComponent'],
                     loadCondition: (schema) => schema.components.some((c: { type: string }) => c.type === 'stats')
+                },
+                {
+                    name: 'ScheduleDisplayComponent',
+                    files: ['components/ScheduleDisplayComponent.js'],
+                    dependencies: ['BaseComponent'],
+                    loadCondition: (schema) => schema.components.some((c: { type: string }) =>
+                        c.type === 'schedule' || c.type === 'schedule-display')
+                },
+                {
+                    name: 'AuditTimelineComponent',
+                    files: ['components/AuditTimelineComponent.js'],
+                    dependencies: ['BaseComponent'],
+                    loadCondition: (schema) => schema.components.some((c: { type: string }) => c.type === 'audit-timeline')
                 }
             ],
             enableBundling: true
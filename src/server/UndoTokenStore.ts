@@ -0,0 +1,71 @@
+/**
+ * UndoTokenStore - Inverse actions for POST /api/undo
+ * Handlers that opt into undo return the action that reverses theirs; the
+ * browser only gets an opaque single-use token, so the inverse (which may carry
+ * a whole deleted record) stays on the server and can't be edited client-side
+ */
+
+import crypto from 'crypto';
+import { UndoAction } from '../types/index.js';
+
+interface StoredUndo {
+    undo: UndoAction;
+    expiresAt: number;
+}
+
+export class UndoTokenStore {
+    private entries = new Map<string, StoredUndo>();
+
+    constructor(
+        private maxEntries = 200,
+        private ttlMs = 30 * 60 * 1000
+    ) { }
+
+    /**
+     * Keep an inverse action and return the token that redeems it
+     */
+    issue(undo: UndoAction): string {
+        const token = crypto.randomBytes(16).toString('hex');
+        this.entries.set(token, { undo, expiresAt: Date.now() + this.ttlMs });
+        this.evict();
+        return token;
+    }
+
+    /**
+     * Redeem a token - each token works once
+     * @returns The inverse action, or undefined if the token is unknown or expired
+     */
+    take(token: string): UndoAction | undefined {
+        const entry = this.entries.get(token);
+        this.entries.delete(token);
+        return entry && entry.expiresAt > Date.now() ? entry.undo : undefined;
+    }
+
+    /**
+     * Whether a handler result opts into undo
+     */
+    static isUndoAction(value: unknown): value is UndoAction {
+        return !!value && typeof value === 'object' && typeof (value as UndoAction).action === 'string' && (value as UndoAction).action.length > 0;
+    }
+
+    get size(): number {
+        return this.entries.size;
+    }
+
+    /**
+     * Drop expired tokens, then the oldest ones once over the limit
+     */
+    private evict(): void {
+        const now = Date.now();
+        for (const [token, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(token);
+            }
+        }
+
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value as string;
+            this.entries.delete(oldest);
+        }
+    }
+}
@@ -0,0 +1,101 @@
+import { EventEmitter } from 'events';
+import type { WebUISession } from '../types/index.js';
+import type { SessionEndReason } from './SessionPolicy.js';
+import { Logger } from '../logging/Logger.js';
+
+// Used when no logger is passed in
+const defaultLogger = new Logger('SessionEvents');
+
+// Why a session was terminated
+export type SessionTerminationReason =
+    | 'closed'   // terminateSession() - e.g. the user closed the UI through an MCP tool
+    | 'revoked'  // revokeAllSessions() / close_web_ui
+    | 'replaced' // The user opened a new UI on this server
+    | SessionEndReason; // 'expired' or 'idle' - ended by the session policy
+
+export interface SessionEventMap {
+    // Started and reachable at session.url
+    'session:created': { session: WebUISession };
+    // Page loaded in a browser for the first time since its UI server started
+    'session:opened': { session: WebUISession; viaShare: boolean };
+    'session:extended': { session: WebUISession; minutes: number; expiresAt: Date };
+    // Past its expiry or idle timeout - followed by 'session:terminated'
+    'session:expired': { session: WebUISession; reason: SessionEndReason };
+    'session:terminated': { session: WebUISession; reason: SessionTerminationReason };
+    // An action sent from the browser, after it ran (or was rejected)
+    'action': {
+        session: WebUISession;
+        action: string;
+        data: any;
+        success: boolean;
+        status: number; // HTTP status it was answered with
+        error?: string;
+        channel: 'http' | 'websocket' | 'undo';
+        viaShare: boolean;
+    };
+    // MCPWebUI is shutting down - its UI servers are still running
+    'shutdown': { sessions: WebUISession[] };
+}
+
+export type SessionEventName = keyof SessionEventMap;
+
+export type SessionEventListener<E extends SessionEventName> = (event: SessionEventMap[E]) => void | Promise<void>;
+
+/**
+ * SessionEvents - Lifecycle events of web UI sessions
+ * Fed by SessionManager and GenericUIServer; MCPWebUI lets the host MCP server listen.
+ * Listeners may be async and emit() waits for them, so teardown waits for a listener
+ * that persists drafts. A listener that fails is logged, never allowed to fail the
+ * session operation that emitted the event.
+ */
+export class SessionEvents {
+    private emitter = new EventEmitter();
+
+    constructor(private logger?: (level: string, message: string, data?: any) => void) {
+        // One listener per interested tool or integration - no leak warnings
+        this.emitter.setMaxListeners(0);
+    }
+
+    on<E extends SessionEventName>(name: E, listener: SessionEventListener<E>): void {
+        this.emitter.on(name, listener);
+    }
+
+    once<E extends SessionEventName>(name: E, listener: SessionEventListener<E>): void {
+        this.emitter.once(name, listener);
+    }
+
+    off<E extends SessionEventName>(name: E, listener: SessionEventListener<E>): void {
+        this.emitter.off(name, listener);
+    }
+
+    listenerCount(name: SessionEventName): number {
+        return this.emitter.listenerCount(name);
+    }
+
+    /**
+     * Call every listener of an event and wait for them all
+     */
+    async emit<E extends SessionEventName>(name: E, event: SessionEventMap[E]): Promise<void> {
+        const listeners = this.emitter.rawListeners(name) as Array<SessionEventListener<E>>;
+        if (listeners.length === 0) {
+            return;
+        }
+
+        await Promise.all(listeners.map(async listener => {
+            try {
+                // rawListeners keeps once() wrappers, which remove themselves when called
+                await listener.call(this.emitter, event);
+            } catch (error) {
+                this.log('error', `[SessionEvents] ${name} listener failed: ${error}`);
+            }
+        }));
+    }
+
+    private log(level: string, message: string): void {
+        if (this.logger) {
+            this.logger(level, message);
+        } else {
+            defaultLogger.log(level, message);
+        }
+    }
+}
@@ -1,14 +1,26 @@
 import { v4 as uuidv4 } from 'uuid';
-import { WebUISession } from '../types/index.js';
-import { TokenRegistry, EphemeralSession } from '../proxy/TokenRegistry.js';
-import { MongoClient, Db } from 'mongodb';
+import { WebUISession, SessionShare } from '../types/index.js';
+import { TokenRegistry, EphemeralSession, CreateShareOptions, ShareSummary, describeShare } from '../proxy/TokenRegistry.js';
+import { backendKey } from '../proxy/BackendHealth.js';
+import { TokenStore, TokenStoreConfig, createTokenStore } from '../proxy/TokenStore.js';
+import { MemoryTokenStore } from '../proxy/MemoryTokenStore.js';
+import { SESSION_SCOPES, isValidScopeList, normalizeScopes, sameScopes } from './SessionScopes.js';
+import { SessionEndReason, SessionPolicy, capExpiry, sessionEndReason, validateSessionPolicy } from './SessionPolicy.js';
+import { SessionEvents, SessionTerminationReason } from './SessionEvents.js';
 import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Logger, REQUEST_ID_HEADER, currentRequestId } from '../logging/Logger.js';
+
+const logger = new Logger('SessionManager');
 
 /**
  * Session Manager that handles both direct and proxy modes
  * 
- * Direct Mode: Uses local memory for session management
- * Proxy Mode: Uses TokenRegistry (MongoDB) for distributed session management
+ * Direct Mode: Uses local memory for session management, optionally persisted to a token
+ * store so sessions survive a restart
+ * Proxy Mode: Uses TokenRegistry (memory, file or MongoDB store) for distributed session management
  */
 export class SessionManager {
     // Version tracking for debugging
@@ -22,13 +34,32 @@ export class SessionManager {
     private baseUrl: string;
     private protocol: string;
     private userSessionLimits = new Map<string, { count: number; lastCreated: Date }>();
+    private sharedPort?: number; // Every session is served from this port under /s/:token/
+    private socketDir?: string; // Gateway-routed sessions listen on a Unix socket in here instead of a port
+    private sessionTimeout: number;
+    private sessionPolicy: SessionPolicy;
+    private events?: SessionEvents;
 
     // Proxy mode components
     private tokenRegistry?: TokenRegistry;
-    private mongoClient?: MongoClient;
+    private tokenStore?: TokenStore;
+    private ownsTokenStore = false;
     private proxyMode: boolean = false;
     private serverName: string;
 
+    // Share links - kept by the gateway for its sessions, else in the proxy-mode registry,
+    // else in a registry of our own created on first use
+    private gatewayTokens = new Set<string>();
+    private localShares?: TokenRegistry;
+
+    // Direct-mode sessions kept across restarts - the share registry uses the same store
+    private sessionStore?: TokenStore;
+    private ownsSessionStore = false;
+    private sessionStoreReady: Promise<void> = Promise.resolve();
+
+    // UI servers kept registered with the gateway, by serverName
+    private gatewayRegistrations = new Map<string, { backend: EphemeralSession['backend']; timer: NodeJS.Timeout }>();
+
     constructor(
         sessionTimeout: number = 30 * 60 * 1000,
         portRange: [number, number] = [3000, 65535],
@@ -37,10 +68,16 @@ export class SessionManager {
         blockedPorts: number[] = [],
         options: {
             proxyMode?: boolean;
+            tokenStore?: TokenStoreConfig | TokenStore;
             mongoUrl?: string;
             mongoDbName?: string;
             jwtSecret?: string;
             serverName?: string;
+            sharedPort?: number;
+            socketDir?: string;
+            sessionStore?: TokenStoreConfig | TokenStore;
+            sessionPolicy?: SessionPolicy;
+            events?: SessionEvents; // Told when sessions are extended and terminated
             logger?: (level: string, message: string, data?: any) => void;
         } = {}
     ) {
@@ -54,6 +91,19 @@ export class SessionManager {
         this.blockedPorts = new Set(blockedPorts);
         this.portRange = portRange;
         this.serverName = options.serverName || 'mcp-webui';
+        this.sharedPort = options.sharedPort;
+        if (options.socketDir) {
+            this.socketDir = path.resolve(options.socketDir);
+            // sun_path holds 108 bytes on Linux, 104 on macOS - leave room for the file name
+            if (Buffer.byteLength(path.join(this.socketDir, this.socketFileName())) > 103) {
+                throw new Error(`socketDir ${this.socketDir} is too long for Unix socket paths - use a shorter directory`);
+            }
+            fs.mkdirSync(this.socketDir, { recursive: true });
+        }
+        this.sessionTimeout = sessionTimeout;
+        this.sessionPolicy = options.sessionPolicy || {};
+        validateSessionPolicy(this.sessionPolicy);
+        this.events = options.events;
 
         // Check if we're in development mode
         const isDevelopment = process.env.NODE_ENV === 'development' ||
@@ -103,13 +153,71 @@ export class SessionManager {
             this.initializeProxyMode(options).catch(error => {
                 this.log('ERROR', 'Failed to initialize proxy mode:', error);
             });
+        } else {
+            this.sessionStoreReady = this.initializeSessionStore(options);
+        }
+    }
+
+    /**
+     * Open the store direct-mode sessions are persisted to, if one is configured
+     * MCP_WEB_UI_SESSION_STORE=file|mongo selects a store when none is configured.
+     * Without one, sessions live in memory and end with the process.
+     */
+    private async initializeSessionStore(options: {
+        sessionStore?: TokenStoreConfig | TokenStore;
+        mongoUrl?: string;
+        mongoDbName?: string;
+        jwtSecret?: string;
+        logger?: (level: string, message: string, data?: any) => void;
+    }): Promise<void> {
+        let storeConfig: TokenStoreConfig | TokenStore | undefined = options.sessionStore;
+
+        if (!storeConfig) {
+            switch (process.env.MCP_WEB_UI_SESSION_STORE) {
+                case 'file':
+                    storeConfig = { type: 'file', path: process.env.MCP_WEB_UI_SESSION_STORE_PATH || './data/webui-sessions.jsonl' };
+                    break;
+                case 'mongo': {
+                    const url = options.mongoUrl || process.env.MCP_WEB_UI_MONGO_URL;
+                    if (!url) {
+                        this.log('ERROR', 'MCP_WEB_UI_SESSION_STORE=mongo requires mongoUrl or MCP_WEB_UI_MONGO_URL - sessions will not be persisted');
+                        return;
+                    }
+                    storeConfig = { type: 'mongo', url, dbName: options.mongoDbName || process.env.MCP_WEB_UI_MONGO_DB_NAME || 'mcp_webui' };
+                    break;
+                }
+                default:
+                    return;
+            }
+        }
+
+        try {
+            const store = await createTokenStore(storeConfig, {}, options.logger);
+            // A store instance passed in belongs to the caller
+            this.ownsSessionStore = store !== options.sessionStore;
+            this.sessionStore = store;
+
+            // Share tokens are signed - with a random secret they would all fail after a restart
+            const jwtSecret = options.jwtSecret || process.env.MCP_WEB_UI_JWT_SECRET;
+            if (!jwtSecret) {
+                this.log('WARN', 'No JWT secret configured - share links will stop working when the server restarts');
+            }
+            this.localShares = new TokenRegistry(store, {
+                jwtSecret,
+                logger: (level, message, data) => this.log(level.toUpperCase(), message, data)
+            });
+            this.log('INFO', `Persisting sessions to ${store.type} session store`);
+        } catch (error) {
+            this.log('ERROR', 'Failed to open session store - sessions will not survive a restart:', error);
         }
     }
 
     /**
-     * Initialize proxy mode with MongoDB connection
+     * Initialize proxy mode with the configured token store
+     * MCP_WEB_UI_TOKEN_STORE=memory|file selects a store when none is configured
      */
     private async initializeProxyMode(options: {
+        tokenStore?: TokenStoreConfig | TokenStore;
         mongoUrl?: string;
         mongoDbName?: string;
         jwtSecret?: string;
@@ -119,8 +227,14 @@ export class SessionManager {
         const mongoDbName = options.mongoDbName || process.env.MCP_WEB_UI_MONGO_DB_NAME || 'mcp_webui';
         const jwtSecret = options.jwtSecret || process.env.MCP_WEB_UI_JWT_SECRET;
 
-        if (!mongoUrl) {
-            throw new Error('MongoDB URL is required for proxy mode');
+        const envStore = process.env.MCP_WEB_UI_TOKEN_STORE;
+        const storeConfig: TokenStoreConfig | TokenStore | undefined = options.tokenStore ||
+            (envStore === 'memory' ? { type: 'memory' } :
+                envStore === 'file' ? { type: 'file', path: process.env.MCP_WEB_UI_TOKEN_STORE_PATH || './data/webui-tokens.jsonl' } :
+                    undefined);
+
+        if (!storeConfig && !mongoUrl) {
+            throw new Error('A token store or MongoDB URL is required for proxy mode');
         }
 
         if (!jwtSecret) {
@@ -128,11 +242,10 @@ export class SessionManager {
         }
 
         try {
-            this.mongoClient = new MongoClient(mongoUrl);
-            await this.mongoClient.connect();
-
-            const db = this.mongoClient.db(mongoDbName);
-            this.tokenRegistry = new TokenRegistry(db, { jwtSecret });
+            this.tokenStore = await createTokenStore(storeConfig, { mongoUrl, mongoDbName }, options.logger);
+            // A store instance passed in belongs to the caller (e.g. shared with an in-process gateway)
+            this.ownsTokenStore = this.tokenStore !== options.tokenStore;
+            this.tokenRegistry = new TokenRegistry(this.tokenStore, { jwtSecret });
 
             this.log('INFO', 'Proxy mode initialized successfully');
         } catch (error) {
@@ -179,8 +292,15 @@ export class SessionManager {
     /**
      * Create a new session for a user
      * Automatically terminates any existing session for the same user
+     * @param options.scopes - What the session may do (read, write, delete, admin); omit for unrestricted
+     * @throws If a scope is unknown
      */
-    async createSession(userId: string): Promise<WebUISession> {
+    async createSession(userId: string, options: { scopes?: string[] } = {}): Promise<WebUISession> {
+        if (options.scopes !== undefined && !isValidScopeList(options.scopes)) {
+            throw new Error(`Invalid session scopes - expected any of: ${SESSION_SCOPES.join(', ')}`);
+        }
+        const scopes = options.scopes && normalizeScopes(options.scopes);
+
         this.log('INFO', `[GATEWAY-DEBUG] SessionManager VERSION: ${this.VERSION}`);
         this.log('INFO', `[GATEWAY-DEBUG] SessionManager.createSession() called for user: ${userId}`);
 
@@ -199,17 +319,17 @@ export class SessionManager {
 
         if (useGateway) {
             this.log('INFO', `[GATEWAY-DEBUG] Using gateway mode, calling createGatewaySession`);
-            return this.createGatewaySession(userId, gatewayUrl);
+            return this.createGatewaySession(userId, gatewayUrl, scopes);
         }
 
         this.log('INFO', `[GATEWAY-DEBUG] Using direct mode, calling createDirectSession`);
-        return this.createDirectSession(userId);
+        return this.createDirectSession(userId, scopes);
     }
 
     /**
      * Create a session through the gateway
      */
-    private async createGatewaySession(userId: string, gatewayUrl: string): Promise<WebUISession> {
+    private async createGatewaySession(userId: string, gatewayUrl: string, scopes?: string[]): Promise<WebUISession> {
         let allocatedPort: number = 0;
         try {
             this.log('INFO', `[GATEWAY-DEBUG] Starting gateway session creation for user ${userId}`);
@@ -222,7 +342,7 @@ export class SessionManager {
                 // Clear all local sessions and used ports when gateway is down
                 // This prevents reusing ports from previous gateway sessions that are outside the configured range
                 this.clearStaleSessions();
-                return this.createDirectSession(userId);
+                return this.createDirectSession(userId, scopes);
             }
 
             // Cleanup expired sessions for this user
@@ -240,7 +360,11 @@ export class SessionManager {
 
             const existingSession = this.findSessionByCompositeKey(userId, this.serverName, 'mcp-webui');
 
-            if (existingSession) {
+            if (existingSession && !sameScopes(existingSession.scopes, scopes)) {
+                // Different access was asked for - the old link must stop working
+                this.log('INFO', `[GATEWAY-DEBUG] Scopes changed for composite key ${sessionKey}, replacing session ${existingSession.id}`);
+                await this.terminateSession(existingSession.id, 'replaced');
+            } else if (existingSession) {
                 this.log('INFO', `[GATEWAY-DEBUG] Reusing existing session for composite key ${sessionKey}: ${existingSession.token.substring(0, 20)}...`);
                 return existingSession;
             } else {
@@ -251,16 +375,38 @@ export class SessionManager {
             const serverName = this.serverName || 'mcp-webui';
             let backend;
 
-            try {
-                this.log('INFO', `[GATEWAY-DEBUG] Attempting to discover registered server: ${serverName}`);
-                const discoveredServer = await this.discoverRegisteredServer(serverName);
-
-                if (discoveredServer) {
-                    // Check if the discovered server's port is available
-                    const discoveredPort = discoveredServer.backend.port;
-                    if (discoveredPort && this.usedPorts.has(discoveredPort)) {
-                        this.log('WARN', `[GATEWAY-DEBUG] Discovered server port ${discoveredPort} is already in use, allocating new port`);
-                        // Allocate a new port instead
+            if (this.socketDir) {
+                // Each UI server listens on a socket of its own - no port to discover or allocate
+                backend = { type: 'unix', socketPath: this.allocateSocketPath() };
+            } else {
+                try {
+                    this.log('INFO', `[GATEWAY-DEBUG] Attempting to discover registered server: ${serverName}`);
+                    const discoveredServer = await this.discoverRegisteredServer(serverName);
+
+                    if (discoveredServer) {
+                        // Check if the discovered server's port is available
+                        const discoveredPort = discoveredServer.backend.port;
+                        if (discoveredPort && this.usedPorts.has(discoveredPort)) {
+                            this.log('WARN', `[GATEWAY-DEBUG] Discovered server port ${discoveredPort} is already in use, allocating new port`);
+                            // Allocate a new port instead
+                            allocatedPort = this.allocatePort();
+                            const resolvedBackendHost = this.resolveBackendHost();
+                            backend = {
+                                type: 'tcp',
+                                host: resolvedBackendHost,
+                                port: allocatedPort
+                            };
+                        } else {
+                            backend = discoveredServer.backend;
+                            // Mark the discovered port as used
+                            if (discoveredPort) {
+                                this.usedPorts.add(discoveredPort);
+                            }
+                            this.log('INFO', `[GATEWAY-DEBUG] Using discovered server: ${JSON.stringify(backend)}`);
+                        }
+                    } else {
+                        this.log('WARN', `[GATEWAY-DEBUG] No registered server found for ${serverName}, falling back to port allocation`);
+                        // Fallback to old behavior
                         allocatedPort = this.allocatePort();
                         const resolvedBackendHost = this.resolveBackendHost();
                         backend = {
@@ -268,16 +414,9 @@ export class SessionManager {
                             host: resolvedBackendHost,
                             port: allocatedPort
                         };
-                    } else {
-                        backend = discoveredServer.backend;
-                        // Mark the discovered port as used
-                        if (discoveredPort) {
-                            this.usedPorts.add(discoveredPort);
-                        }
-                        this.log('INFO', `[GATEWAY-DEBUG] Using discovered server: ${JSON.stringify(backend)}`);
                     }
-                } else {
-                    this.log('WARN', `[GATEWAY-DEBUG] No registered server found for ${serverName}, falling back to port allocation`);
+                } catch (error) {
+                    this.log('ERROR', `[GATEWAY-DEBUG] Server discovery failed: ${error}, falling back to port allocation`);
                     // Fallback to old behavior
                     allocatedPort = this.allocatePort();
                     const resolvedBackendHost = this.resolveBackendHost();
@@ -287,16 +426,6 @@ export class SessionManager {
                         port: allocatedPort
                     };
                 }
-            } catch (error) {
-                this.log('ERROR', `[GATEWAY-DEBUG] Server discovery failed: ${error}, falling back to port allocation`);
-                // Fallback to old behavior
-                allocatedPort = this.allocatePort();
-                const resolvedBackendHost = this.resolveBackendHost();
-                backend = {
-                    type: 'tcp',
-                    host: resolvedBackendHost,
-                    port: allocatedPort
-                };
             }
 
             const requestBody = {
@@ -304,7 +433,8 @@ export class SessionManager {
                 serverName,
                 serverType: 'mcp-webui',
                 backend,
-                ttlMinutes: 30
+                ttlMinutes: 30,
+                scopes
             };
 
             this.log('INFO', `[GATEWAY-DEBUG] Request body:`, requestBody);
@@ -313,7 +443,7 @@ export class SessionManager {
             // Call gateway to create session
             const response = await fetch(`${gatewayUrl}/create-session`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.gatewayHeaders(),
                 body: JSON.stringify(requestBody)
             });
 
@@ -353,16 +483,19 @@ export class SessionManager {
                 userId,
                 url: sessionUrl,
                 port: backend.port || allocatedPort, // UI server will bind to this port
+                ...(backend.socketPath ? { socketPath: backend.socketPath } : {}),
                 startTime: new Date(),
                 lastActivity: new Date(),
                 expiresAt: new Date(Date.now() + 30 * 60 * 1000),
                 isActive: true,
                 serverName: this.serverName || 'mcp-webui',
-                serverType: 'mcp-webui'
+                serverType: 'mcp-webui',
+                scopes
             };
 
             // Store the session in local memory for future reuse
             this.localSessions.set(session.id, session);
+            this.gatewayTokens.add(token);
 
             const createdSessionKey = this.generateSessionKey(userId, this.serverName, 'mcp-webui');
             this.log('INFO', `Created gateway session ${session.id} for composite key ${createdSessionKey} (user: ${userId}, server: ${this.serverName})`);
@@ -385,7 +518,7 @@ export class SessionManager {
 
             // Fallback to direct session
             try {
-                const fallback = await this.createDirectSession(userId);
+                const fallback = await this.createDirectSession(userId, scopes);
                 return fallback;
             } catch (fallbackError) {
                 throw fallbackError;
@@ -467,6 +600,7 @@ export class SessionManager {
 
         // Clear all local sessions
         this.localSessions.clear();
+        this.gatewayTokens.clear();
 
         // Clear all used ports - this is critical to prevent reusing ports from previous gateway sessions
         this.usedPorts.clear();
@@ -474,6 +608,24 @@ export class SessionManager {
         this.log('INFO', `[GATEWAY-CLEANUP] Stale sessions and ports cleared successfully`);
     }
 
+    /**
+     * Headers for gateway control plane requests, authenticated with this server's
+     * API key (MCP_WEB_UI_GATEWAY_API_KEY) when one is configured
+     */
+    private gatewayHeaders(): Record<string, string> {
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        const apiKey = process.env.MCP_WEB_UI_GATEWAY_API_KEY;
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        // Ties the gateway's log entries to the request that asked for them
+        const requestId = currentRequestId();
+        if (requestId) {
+            headers[REQUEST_ID_HEADER] = requestId;
+        }
+        return headers;
+    }
+
     /**
      * Discover a registered server from the gateway
      */
@@ -483,9 +635,9 @@ export class SessionManager {
         try {
             this.log('INFO', `[GATEWAY-DEBUG] Querying gateway for server: ${serverName}`);
 
-            const response = await fetch(`${gatewayUrl}/discover-server/${serverName}`, {
+            const response = await fetch(`${gatewayUrl}/discover-server/${encodeURIComponent(serverName)}`, {
                 method: 'GET',
-                headers: { 'Content-Type': 'application/json' }
+                headers: this.gatewayHeaders()
             });
 
             if (response.status === 404) {
@@ -500,6 +652,12 @@ export class SessionManager {
             const result = await response.json();
             this.log('INFO', `[GATEWAY-DEBUG] Gateway discovery result:`, result);
 
+            // The gateway's health checks found the server down - don't send a new session there
+            if (result.healthy === false) {
+                this.log('WARN', `[GATEWAY-DEBUG] Registered server ${serverName} is unhealthy, not reusing it`);
+                return null;
+            }
+
             return result;
         } catch (error: any) {
             this.log('ERROR', `[GATEWAY-DEBUG] Failed to discover server from gateway: ${error.message}`);
@@ -507,10 +665,79 @@ export class SessionManager {
         }
     }
 
+    /**
+     * Keep a UI server registered with the gateway
+     * Registers it, then sends a heartbeat every intervalMs so the gateway doesn't drop the
+     * registration as stale, registering again if the gateway has forgotten it (restarted,
+     * or heartbeats were missed). Replaces the registration kept for the same serverName.
+     * @throws If the first registration fails
+     */
+    async keepRegisteredWithGateway(
+        serverName: string,
+        backend: EphemeralSession['backend'],
+        metadata: Record<string, any> = {},
+        intervalMs = 30000
+    ): Promise<void> {
+        this.stopGatewayRegistration(serverName);
+
+        const register = async () => {
+            try {
+                await this.callGateway('POST', '/register-server', { serverName, backend, metadata });
+            } catch (error: any) {
+                if (error.status === 401 || error.status === 403) {
+                    throw new Error(`Gateway registration refused (${error.status}) - check MCP_WEB_UI_GATEWAY_API_KEY is a key issued for "${serverName}"`);
+                }
+                throw error;
+            }
+        };
+
+        await register();
+        this.log('INFO', `Registered ${serverName} with the gateway`);
+
+        const timer = setInterval(async () => {
+            try {
+                const result = await this.callGateway('POST', `/heartbeat/${encodeURIComponent(serverName)}`);
+                if (result.healthy === false) {
+                    this.log('WARN', `Gateway cannot reach ${serverName} - its health checks are failing`);
+                }
+            } catch (error: any) {
+                if (error.status !== 404) {
+                    this.log('WARN', `Gateway heartbeat for ${serverName} failed: ${error.message}`);
+                    return;
+                }
+
+                this.log('INFO', `Gateway no longer knows ${serverName}, registering again`);
+                await register().catch(registerError =>
+                    this.log('WARN', `Gateway registration for ${serverName} failed: ${registerError.message}`));
+            }
+        }, intervalMs);
+        timer.unref();
+
+        this.gatewayRegistrations.set(serverName, { backend, timer });
+    }
+
+    /**
+     * Stop the heartbeat of a gateway registration - the gateway drops it once it goes stale
+     * @param backend - Only stop if the registration is still for this backend
+     */
+    stopGatewayRegistration(serverName: string, backend?: EphemeralSession['backend']): void {
+        const registration = this.gatewayRegistrations.get(serverName);
+        if (!registration) {
+            return;
+        }
+
+        if (backend && backendKey(registration.backend) !== backendKey(backend)) {
+            return;
+        }
+
+        clearInterval(registration.timer);
+        this.gatewayRegistrations.delete(serverName);
+    }
+
     /**
      * Create a direct session (original logic)
      */
-    private async createDirectSession(userId: string): Promise<WebUISession> {
+    private async createDirectSession(userId: string, scopes?: string[]): Promise<WebUISession> {
         // Rate limiting: max 5 sessions per user per hour
         const sessionTime = new Date();
         const userLimits = this.userSessionLimits.get(userId);
@@ -536,25 +763,27 @@ export class SessionManager {
         if (existingSession) {
             const sessionKey = this.generateSessionKey(userId, this.serverName, 'mcp-webui');
             this.log('INFO', `Terminating existing session ${existingSession.id} for composite key ${sessionKey} before creating new one`);
-            await this.terminateSession(existingSession.id);
+            await this.terminateSession(existingSession.id, 'replaced');
         }
 
         const sessionId = uuidv4();
-        const port = this.allocatePort();
         const now = new Date();
-        const expiresAt = new Date(now.getTime() + 30 * 60 * 1000); // 30 minutes
+        const expiresAt = capExpiry({ startTime: now }, new Date(now.getTime() + this.sessionTimeout), this.sessionPolicy);
 
         if (this.proxyMode && this.tokenRegistry) {
             // Proxy mode: Create session through TokenRegistry
-            const resolvedBackendHost = this.resolveBackendHost();
+            // The gateway reaches the UI server on its Unix socket, or else on a port of this host
+            const socketPath = this.socketDir ? this.allocateSocketPath() : undefined;
+            const port = socketPath ? 0 : this.allocatePort();
             const proxySession = await this.tokenRegistry.createSession({
                 userId,
                 serverName: this.serverName,
-                backend: {
-                    type: 'tcp',
-                    host: resolvedBackendHost,  // ✅ Add the missing host
-                    port
-                },
+                backend: socketPath
+                    ? { type: 'unix', socketPath }
+                    : { type: 'tcp', host: this.resolveBackendHost(), port },
+                ttlMinutes: (expiresAt.getTime() - now.getTime()) / (60 * 1000),
+                // Unrestricted sessions keep the registry's default scopes
+                ...(scopes ? { scopes } : {}),
                 metadata: { sessionId }
             });
 
@@ -568,21 +797,24 @@ export class SessionManager {
                 userId,
                 url: sessionUrl,
                 port,
+                ...(socketPath ? { socketPath } : {}),
                 startTime: now,
                 lastActivity: now,
                 expiresAt,
                 isActive: true,
                 serverName: this.serverName || 'mcp-webui',
-                serverType: 'mcp-webui'
+                serverType: 'mcp-webui',
+                scopes
             };
 
             // Store locally for port management
             this.localSessions.set(sessionId, session);
-            this.log('INFO', `Created proxy session ${sessionId} for user ${userId} on port ${port}`);
+            this.log('INFO', `Created proxy session ${sessionId} for user ${userId} on ${socketPath || `port ${port}`}`);
 
             return session;
         } else {
-            // Direct mode: Create local session
+            // Direct mode: Create local session - browsers connect to it, so always on a port
+            const port = this.allocatePort();
             const token = uuidv4();
 
             // Check if we should use gateway proxy route instead of direct port access
@@ -594,19 +826,23 @@ export class SessionManager {
                 // Use gateway proxy route: /mcp/<token>/ (token-based routing)
                 // In direct mode fallback, we still use the actual token
                 sessionUrl = `${this.protocol}://${this.baseUrl}${proxyPrefix}/${token}/`;
-                this.log('INFO', `Using gateway proxy route (direct fallback): ${sessionUrl}`);
+                this.log('INFO', `Using gateway proxy route (direct fallback) for session ${sessionId}`);
+            } else if (this.sharedPort) {
+                // Use the shared server: :port/s/<token>/
+                sessionUrl = `${this.protocol}://${this.baseUrl}:${port}/s/${token}/`;
+                this.log('INFO', `Using shared server route for session ${sessionId}`);
             } else if (proxyPrefix && proxyPrefix.trim().length > 0) {
                 // Use nginx proxy route: /mcp/ui/<port>/?token=... (legacy)
                 sessionUrl = `${this.protocol}://${this.baseUrl}${proxyPrefix}/${port}/?token=${token}`;
-                this.log('INFO', `Using nginx proxy route: ${sessionUrl}`);
+                this.log('INFO', `Using nginx proxy route for session ${sessionId}`);
             } else {
                 // Use direct port access: :port/?token=...
                 sessionUrl = `${this.protocol}://${this.baseUrl}:${port}?token=${token}`;
-                this.log('INFO', `Using direct port access: ${sessionUrl}`);
+                this.log('INFO', `Using direct port access for session ${sessionId}`);
             }
 
             // Debug logging for URL generation
-            this.log('INFO', `Direct mode URL generation - protocol: "${this.protocol}", baseUrl: "${this.baseUrl}", port: ${port}, proxyPrefix: "${proxyPrefix}", final URL: "${sessionUrl}"`);
+            this.log('INFO', `Direct mode URL generation - protocol: "${this.protocol}", baseUrl: "${this.baseUrl}", port: ${port}, proxyPrefix: "${proxyPrefix}"`);
 
             const session: WebUISession = {
                 id: sessionId,
@@ -619,16 +855,56 @@ export class SessionManager {
                 expiresAt,
                 isActive: true,
                 serverName: this.serverName || 'mcp-webui',
-                serverType: 'mcp-webui'
+                serverType: 'mcp-webui',
+                scopes
             };
 
             this.localSessions.set(sessionId, session);
+            await this.persist(`session ${sessionId}`, store => store.insertSession(this.toStoredSession(session)));
             this.log('INFO', `Created direct session ${sessionId} for user ${userId} on port ${port}`);
 
             return session;
         }
     }
 
+    /**
+     * Load the sessions an earlier run of this server persisted
+     * Their UI servers aren't running - MCPWebUI starts each one when its link is next used.
+     * @returns The sessions restored, empty when sessions aren't persisted
+     */
+    async restoreSessions(): Promise<WebUISession[]> {
+        await this.sessionStoreReady;
+        if (!this.sessionStore) {
+            return [];
+        }
+
+        const stored = await this.sessionStore.findSessions({ serverName: this.serverName, activeAt: new Date() });
+        const restored: WebUISession[] = [];
+
+        for (const record of stored) {
+            // Share links are restored with the store itself - only sessions need a UI server
+            if (record.share || !record.metadata?.sessionId || this.localSessions.has(record.metadata.sessionId)) {
+                continue;
+            }
+
+            const session = this.fromStoredSession(record);
+            if (sessionEndReason(session, this.sessionPolicy)) {
+                continue; // Idle for too long, or past its max lifetime, while we were down
+            }
+
+            this.localSessions.set(session.id, session);
+            if (session.port !== this.sharedPort) {
+                this.usedPorts.add(session.port);
+            }
+            restored.push(session);
+        }
+
+        if (restored.length > 0) {
+            this.log('INFO', `Restored ${restored.length} session(s) from the ${this.sessionStore.type} session store`);
+        }
+        return restored;
+    }
+
     /**
      * Get session by token (for authentication)
      */
@@ -641,27 +917,13 @@ export class SessionManager {
             }
 
             // Convert to WebUISession format
-            const proxyPrefix = process.env.MCP_WEB_UI_PROXY_PREFIX || '/mcp';
-            const proxyBaseUrl = process.env.MCP_WEB_UI_PROXY_BASE_URL || this.baseUrl;
-            const sessionUrl = `${this.protocol}://${proxyBaseUrl}${proxyPrefix}/${token}/`;
-
-            return {
-                id: proxySession.metadata?.sessionId || proxySession.token.substring(0, 8),
-                token,
-                userId: proxySession.userId,
-                url: sessionUrl,
-                port: proxySession.backend.port || 0,
-                startTime: proxySession.createdAt,
-                lastActivity: proxySession.lastAccessedAt,
-                expiresAt: proxySession.expiresAt,
-                isActive: true
-            };
+            return this.fromProxySession(proxySession);
         } else {
             // Direct mode: Search local sessions
             for (const session of this.localSessions.values()) {
                 if (session.token === token && session.isActive) {
                     if (updateActivity) {
-                        session.lastActivity = new Date();
+                        await this.recordActivity(session);
                     }
                     return session;
                 }
@@ -675,18 +937,15 @@ export class SessionManager {
      */
     async getSession(sessionId: string): Promise<WebUISession | null> {
         if (this.proxyMode && this.tokenRegistry) {
-            // Proxy mode: Search through TokenRegistry
-            // For session ID lookup, we need to search through all sessions
-            // This is not ideal for performance, but TokenRegistry doesn't have a direct ID lookup
-            const stats = await this.tokenRegistry.getStats();
-            if (stats.totalActiveSessions === 0) {
-                return null;
+            // Proxy mode: our own sessions first, then those other processes of this server created
+            const local = this.localSessions.get(sessionId);
+            if (local) {
+                return local;
             }
 
-            // For now, return null for proxy mode session ID lookup
-            // In a real implementation, you might want to add an index on metadata.sessionId
-            this.log('WARN', 'Session ID lookup not supported in proxy mode - use token lookup instead');
-            return null;
+            const sessions = await this.tokenRegistry.getServerSessions(this.serverName || 'mcp-webui');
+            const proxySession = sessions.find(session => session.metadata?.sessionId === sessionId);
+            return proxySession ? this.fromProxySession(proxySession) : null;
         } else {
             // Direct mode: Search local sessions
             return this.localSessions.get(sessionId) || null;
@@ -708,25 +967,7 @@ export class SessionManager {
 
             // Return the most recent session for the user
             const proxySession = sessions[0]; // getUserSessions returns sorted by createdAt desc
-
-            // Convert to WebUISession format
-            const proxyPrefix = process.env.MCP_WEB_UI_PROXY_PREFIX || '/mcp';
-            const proxyBaseUrl = process.env.MCP_WEB_UI_PROXY_BASE_URL || this.baseUrl;
-            const sessionUrl = `${this.protocol}://${proxyBaseUrl}${proxyPrefix}/${proxySession.token}/`;
-
-            return {
-                id: proxySession.metadata?.sessionId || proxySession.token.substring(0, 8),
-                token: proxySession.token,
-                userId: proxySession.userId,
-                url: sessionUrl,
-                port: proxySession.backend.port || 0,
-                startTime: proxySession.createdAt,
-                lastActivity: proxySession.lastAccessedAt,
-                expiresAt: proxySession.expiresAt,
-                isActive: true,
-                serverName: this.serverName || 'mcp-webui',
-                serverType: 'mcp-webui'
-            };
+            return this.fromProxySession(proxySession);
         } else {
             // Direct mode: Search local sessions (returns first active session)
             for (const session of this.localSessions.values()) {
@@ -739,22 +980,72 @@ export class SessionManager {
     }
 
     /**
-     * Get all active sessions
+     * A user's live sessions on this server, most recently used first
+     * In proxy mode this includes sessions other processes of this server created.
      */
-    async getActiveSessions(): Promise<WebUISession[]> {
+    async listUserSessions(userId: string): Promise<WebUISession[]> {
+        let sessions: WebUISession[];
+
         if (this.proxyMode && this.tokenRegistry) {
-            // Proxy mode: Get from TokenRegistry
-            // Note: TokenRegistry doesn't have a direct getAllActiveSessions method
-            // We'll need to implement this differently or use stats
-            const stats = await this.tokenRegistry.getStats();
-            if (stats.totalActiveSessions === 0) {
-                return [];
+            const serverName = this.serverName || 'mcp-webui';
+            sessions = (await this.tokenRegistry.getUserSessions(userId))
+                .filter(session => session.serverName === serverName)
+                .map(session => this.fromProxySession(session));
+        } else {
+            const now = new Date();
+            sessions = Array.from(this.localSessions.values())
+                .filter(session => session.userId === userId && session.isActive && !sessionEndReason(session, this.sessionPolicy, now));
+        }
+
+        return sessions.sort((a, b) => b.lastActivity.getTime() - a.lastActivity.getTime());
+    }
+
+    /**
+     * Revoke a user's sessions on this server, along with their share links
+     * @param sessionId - When given, only that session is revoked
+     * @returns The sessions that were revoked
+     */
+    async revokeUserSessions(userId: string, sessionId?: string): Promise<WebUISession[]> {
+        const sessions = (await this.listUserSessions(userId))
+            .filter(session => sessionId === undefined || session.id === sessionId);
+        const revoked: WebUISession[] = [];
+
+        for (const session of sessions) {
+            if (this.proxyMode && this.tokenRegistry) {
+                // The registry is the source of truth - the local copy only tracks the port
+                if (!await this.tokenRegistry.revokeSession(session.token)) {
+                    continue;
+                }
+                const local = this.localSessions.get(session.id);
+                if (local) {
+                    local.isActive = false;
+                    this.localSessions.delete(session.id);
+                    this.freePort(local.port);
+                }
+                await this.events?.emit('session:terminated', { session: local || session, reason: 'revoked' });
+            } else if (!await this.terminateSession(session.id, 'revoked')) {
+                continue;
             }
+            revoked.push(session);
+        }
 
-            // For now, return empty array in proxy mode
-            // In a real implementation, you might want to add a method to get all sessions
-            this.log('WARN', 'getActiveSessions not fully supported in proxy mode');
-            return [];
+        if (revoked.length > 0) {
+            this.log('INFO', `Revoked ${revoked.length} session(s) for user ${userId}`);
+        }
+        return revoked;
+    }
+
+    /**
+     * Get all active sessions
+     */
+    async getActiveSessions(): Promise<WebUISession[]> {
+        if (this.proxyMode && this.tokenRegistry) {
+            // Proxy mode: our sessions whose tokens the registry still honours
+            const now = new Date();
+            const live = new Set((await this.tokenRegistry.getServerSessions(this.serverName || 'mcp-webui'))
+                .filter(session => session.expiresAt > now)
+                .map(session => session.token));
+            return Array.from(this.localSessions.values()).filter(session => session.isActive && live.has(session.token));
         } else {
             // Direct mode: Return local sessions
             return Array.from(this.localSessions.values()).filter(session => session.isActive);
@@ -763,8 +1054,9 @@ export class SessionManager {
 
     /**
      * Terminate a session
+     * @param reason - Passed on to 'session:terminated' listeners
      */
-    async terminateSession(sessionId: string): Promise<boolean> {
+    async terminateSession(sessionId: string, reason: SessionTerminationReason = 'closed'): Promise<boolean> {
         if (this.proxyMode && this.tokenRegistry) {
             // Proxy mode: Terminate through TokenRegistry
             const session = await this.getSession(sessionId);
@@ -772,13 +1064,20 @@ export class SessionManager {
                 return false;
             }
 
-            const success = await this.tokenRegistry.revokeSession(session.token);
-            if (success) {
-                // Free the port
-                this.freePort(session.port);
-                this.log('INFO', `Terminated proxy session ${sessionId}`);
+            // The token may already be gone (swept, or revoked at the gateway) - our copy still has a port
+            const revoked = await this.tokenRegistry.revokeSession(session.token);
+            const local = this.localSessions.get(sessionId);
+            if (local) {
+                local.isActive = false;
+                this.localSessions.delete(sessionId);
+                this.freePort(local.port);
+            } else if (!revoked) {
+                return false;
             }
-            return success;
+
+            this.log('INFO', `Terminated proxy session ${sessionId}`);
+            await this.events?.emit('session:terminated', { session, reason });
+            return true;
         } else {
             // Direct mode: Terminate local session
             const session = this.localSessions.get(sessionId);
@@ -789,18 +1088,83 @@ export class SessionManager {
             session.isActive = false;
             this.freePort(session.port);
             this.localSessions.delete(sessionId);
+            // Also drops the persisted session, when sessions are persisted
+            await this.sessionStoreReady;
+            await this.localShares?.revokeSession(session.token);
+
+            // The gateway would otherwise keep routing the token to a stopped server
+            if (this.gatewayTokens.delete(session.token)) {
+                const query = new URLSearchParams({ serverName: this.serverName || 'mcp-webui' });
+                await this.callGateway('DELETE', `/sessions/${encodeURIComponent(session.token)}?${query}`).catch(error =>
+                    this.log('WARN', `Failed to revoke gateway session ${sessionId}: ${error.message}`));
+            }
+
             this.log('INFO', `Terminated direct session ${sessionId}`);
+            await this.events?.emit('session:terminated', { session, reason });
             return true;
         }
     }
 
+    /**
+     * Policy deciding when sessions end
+     */
+    getSessionPolicy(): SessionPolicy {
+        return this.sessionPolicy;
+    }
+
+    /**
+     * Note that someone used a session - opened its page or acted on it
+     * Restarts the idle timeout and, with sliding expiry, pushes expiresAt back out to a
+     * full session timeout (never past the max lifetime). Polling should not be recorded.
+     */
+    async recordActivity(session: WebUISession): Promise<void> {
+        const now = new Date();
+        // Stored at most once a minute - after a restart it only needs to be roughly right
+        const storeDue = now.getTime() - session.lastActivity.getTime() > 60 * 1000;
+        session.lastActivity = now;
+
+        if (this.sessionPolicy.sliding) {
+            const slid = capExpiry(session, new Date(now.getTime() + this.sessionTimeout), this.sessionPolicy);
+            if (slid > session.expiresAt) {
+                session.expiresAt = slid;
+            }
+        }
+
+        if (!storeDue) {
+            return;
+        }
+
+        if (this.proxyMode && this.tokenRegistry) {
+            await this.tokenRegistry.recordActivity(session.token, now).catch(error =>
+                this.log('WARN', `Failed to record activity of session ${session.id}: ${error}`));
+            if (this.sessionPolicy.sliding) {
+                const minutes = (session.expiresAt.getTime() - now.getTime()) / (60 * 1000);
+                await this.tokenRegistry.extendSession(session.token, minutes).catch(error =>
+                    this.log('WARN', `Failed to slide expiry of session ${session.id}: ${error}`));
+            }
+        } else {
+            await this.persist(`activity of session ${session.id}`, store =>
+                store.updateSession(session.token, { lastAccessedAt: now, expiresAt: session.expiresAt }));
+        }
+    }
+
     /**
      * Extend session by token
+     * Extensions stop at the session's max lifetime, if the policy sets one.
      */
     async extendSessionByToken(token: string, extensionMinutes: number): Promise<boolean> {
         if (this.proxyMode && this.tokenRegistry) {
-            // Proxy mode: Extend through TokenRegistry
-            return await this.tokenRegistry.extendSession(token, extensionMinutes);
+            // Proxy mode: the registry extends from now - keep our copy in step with it
+            const session = Array.from(this.localSessions.values()).find(local => local.token === token);
+            const requested = new Date(Date.now() + extensionMinutes * 60 * 1000);
+            const expiresAt = session ? capExpiry(session, requested, this.sessionPolicy) : requested;
+
+            const extended = await this.tokenRegistry.extendSession(token, (expiresAt.getTime() - Date.now()) / (60 * 1000));
+            if (extended && session) {
+                session.expiresAt = expiresAt;
+                await this.events?.emit('session:extended', { session, minutes: extensionMinutes, expiresAt });
+            }
+            return extended;
         } else {
             // Direct mode: Extend local session
             const session = await this.getSessionByToken(token);
@@ -808,12 +1172,246 @@ export class SessionManager {
                 return false;
             }
 
-            session.expiresAt = new Date(session.expiresAt.getTime() + extensionMinutes * 60 * 1000);
+            session.expiresAt = capExpiry(session, new Date(session.expiresAt.getTime() + extensionMinutes * 60 * 1000), this.sessionPolicy);
+            await this.persist(`expiry of session ${session.id}`, store => store.updateSession(token, { expiresAt: session.expiresAt }));
             this.log('INFO', `Extended session ${session.id} by ${extensionMinutes} minutes`);
+            await this.events?.emit('session:extended', { session, minutes: extensionMinutes, expiresAt: session.expiresAt });
             return true;
         }
     }
 
+    /**
+     * Mint a share link for a session
+     * The link opens the same UI under its own token - read only unless other scopes are
+     * given - and stops working once it expires, runs out of uses, is revoked, or the
+     * session is terminated.
+     * @throws If the session doesn't exist or the options are invalid
+     */
+    async createShare(sessionToken: string, options: CreateShareOptions = {}): Promise<SessionShare> {
+        const session = await this.getSessionByToken(sessionToken);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        if (this.gatewayTokens.has(sessionToken)) {
+            const result = await this.callGateway('POST', '/shares', {
+                serverName: this.serverName,
+                sessionToken,
+                ...options
+            });
+            this.log('INFO', `Created gateway share ${result.id} for session ${session.id}`);
+            return this.toSessionShare(session, result);
+        }
+
+        await this.sessionStoreReady;
+        const registry = this.getShareRegistry();
+        const parent = this.tokenRegistry
+            ? await this.tokenRegistry.validateToken(sessionToken)
+            : this.toShareParent(session);
+        if (!parent) {
+            throw new Error('Session not found');
+        }
+
+        const share = await registry.createShare(parent, options);
+        this.log('INFO', `Created share ${share.share!.id} for session ${session.id}`);
+        return this.toSessionShare(session, describeShare(share));
+    }
+
+    /**
+     * Active share links for a session, newest first
+     */
+    async listShares(sessionToken: string): Promise<SessionShare[]> {
+        const session = await this.getSessionByToken(sessionToken);
+        if (!session) {
+            return [];
+        }
+
+        if (this.gatewayTokens.has(sessionToken)) {
+            const query = new URLSearchParams({ serverName: this.serverName, sessionToken });
+            const result = await this.callGateway('GET', `/shares?${query}`);
+            return result.shares.map((share: ShareSummary) => this.toSessionShare(session, share));
+        }
+
+        await this.sessionStoreReady;
+        const shares = await this.getShareRegistry().listShares(sessionToken);
+        return shares.map(share => this.toSessionShare(session, describeShare(share)));
+    }
+
+    /**
+     * Revoke one of a session's share links
+     * @returns False when the session has no share with that id
+     */
+    async revokeShare(sessionToken: string, shareId: string): Promise<boolean> {
+        if (this.gatewayTokens.has(sessionToken)) {
+            const query = new URLSearchParams({ serverName: this.serverName, sessionToken });
+            try {
+                await this.callGateway('DELETE', `/shares/${encodeURIComponent(shareId)}?${query}`);
+                return true;
+            } catch (error) {
+                if ((error as any).status === 404) {
+                    return false;
+                }
+                throw error;
+            }
+        }
+
+        await this.sessionStoreReady;
+        return await this.getShareRegistry().revokeShare(shareId, sessionToken);
+    }
+
+    /**
+     * Look up a share token presented straight to a UI server (no gateway in front)
+     * @param parentToken - Token of the session the UI server belongs to
+     * @param options.redeem - Count this as an opening of the link
+     * @returns The share's session record, or null if it isn't a live share of that session
+     */
+    async resolveShare(token: string, parentToken: string, options: { redeem?: boolean } = {}): Promise<EphemeralSession | null> {
+        await this.sessionStoreReady;
+        const registry = this.tokenRegistry || this.localShares;
+        if (!registry) {
+            return null;
+        }
+
+        const share = await registry.validateToken(token);
+        if (share?.share?.parentToken !== parentToken) {
+            return null;
+        }
+        return options.redeem ? await registry.redeemShare(token) : share;
+    }
+
+    /**
+     * Session token a share link was made from - lets a shared server route share links
+     * @returns Null when the token isn't a live share
+     */
+    async findShareParent(token: string): Promise<string | null> {
+        await this.sessionStoreReady;
+        const registry = this.tokenRegistry || this.localShares;
+        if (!registry) {
+            return null;
+        }
+
+        const share = await registry.validateToken(token);
+        return share?.share?.parentToken ?? null;
+    }
+
+    /**
+     * Registry holding this manager's share tokens when the gateway isn't keeping them
+     */
+    private getShareRegistry(): TokenRegistry {
+        if (this.tokenRegistry) {
+            return this.tokenRegistry;
+        }
+        if (!this.localShares) {
+            this.localShares = new TokenRegistry(new MemoryTokenStore(), {
+                logger: (level, message, data) => this.log(level.toUpperCase(), message, data)
+            });
+        }
+        return this.localShares;
+    }
+
+    /**
+     * Registry record standing in for a local session when minting its shares
+     */
+    private toShareParent(session: WebUISession): EphemeralSession {
+        return {
+            token: session.token,
+            userId: session.userId,
+            serverName: this.serverName,
+            backend: { type: 'tcp', host: null, port: session.port },
+            createdAt: session.startTime,
+            expiresAt: session.expiresAt,
+            lastAccessedAt: session.lastActivity,
+            // Unrestricted sessions can share any scope
+            scopes: session.scopes || ['admin']
+        };
+    }
+
+    /**
+     * Session store record for a local session
+     */
+    private toStoredSession(session: WebUISession): EphemeralSession {
+        return {
+            ...this.toShareParent(session),
+            serverType: session.serverType,
+            sessionKey: this.generateSessionKey(session.userId, session.serverName, session.serverType),
+            metadata: {
+                sessionId: session.id,
+                url: session.url,
+                // Stored scopes are never empty, so remember that the session had none
+                ...(session.scopes ? {} : { unrestricted: true })
+            }
+        };
+    }
+
+    /**
+     * Local session from a session store record
+     */
+    private fromStoredSession(stored: EphemeralSession): WebUISession {
+        return {
+            id: stored.metadata!.sessionId,
+            token: stored.token,
+            userId: stored.userId,
+            url: stored.metadata!.url,
+            port: stored.backend.port || 0,
+            startTime: stored.createdAt,
+            lastActivity: stored.lastAccessedAt,
+            expiresAt: stored.expiresAt,
+            isActive: true,
+            serverName: stored.serverName,
+            serverType: stored.serverType || 'mcp-webui',
+            scopes: stored.metadata!.unrestricted ? undefined : stored.scopes
+        };
+    }
+
+    /**
+     * Apply a change to the session store, when sessions are persisted
+     * Failures are logged, not thrown - the session in memory stays good for this run.
+     */
+    private async persist(description: string, change: (store: TokenStore) => Promise<unknown>): Promise<void> {
+        await this.sessionStoreReady;
+        if (!this.sessionStore) {
+            return;
+        }
+
+        try {
+            await change(this.sessionStore);
+        } catch (error) {
+            this.log('WARN', `Failed to persist ${description}: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    /**
+     * Give a share its link - the session's URL with the share token in place of the session's
+     */
+    private toSessionShare(session: WebUISession, share: ShareSummary): SessionShare {
+        return {
+            ...share,
+            createdAt: new Date(share.createdAt),
+            expiresAt: new Date(share.expiresAt),
+            url: session.url.replace(session.token, share.token)
+        };
+    }
+
+    /**
+     * Call a gateway control plane endpoint
+     * @throws With the gateway's error message (and HTTP status) on failure
+     */
+    private async callGateway(method: string, path: string, body?: unknown): Promise<any> {
+        const gatewayUrl = process.env.MCP_WEB_UI_GATEWAY_URL || 'http://localhost:3082';
+        const response = await fetch(`${gatewayUrl}${path}`, {
+            method,
+            headers: this.gatewayHeaders(),
+            ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+            signal: AbortSignal.timeout(10000)
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw Object.assign(new Error(result.error || `Gateway request failed: ${response.statusText}`), { status: response.status });
+        }
+        return result;
+    }
+
     /**
      * Get session statistics
      */
@@ -854,9 +1452,13 @@ export class SessionManager {
     }
 
     /**
-     * Allocate a random port from the available range
+     * Allocate a random port from the available range - or the shared port, which every session uses
      */
     private allocatePort(): number {
+        if (this.sharedPort) {
+            return this.sharedPort;
+        }
+
         const [minPort, maxPort] = this.portRange;
         let attempts = 0;
         const maxAttempts = 100;
@@ -875,6 +1477,17 @@ export class SessionManager {
         throw new Error(`Unable to allocate port after ${maxAttempts} attempts`);
     }
 
+    /**
+     * A new socket path in socketDir - random, so a restarted server can't collide with sockets left behind
+     */
+    private allocateSocketPath(): string {
+        return path.join(this.socketDir!, this.socketFileName());
+    }
+
+    private socketFileName(): string {
+        return `webui-${crypto.randomBytes(8).toString('hex')}.sock`;
+    }
+
     /**
      * Free a port when session is terminated
      */
@@ -883,35 +1496,65 @@ export class SessionManager {
     }
 
     /**
-     * Clean up expired sessions
+     * Sessions the policy has ended - expired, past their max lifetime, or idle for too long
+     * In proxy mode these come from the token registry, so they include sessions of other
+     * processes of this server, and the store's expiry never has to know the policy.
      */
-    async cleanupExpiredSessions(): Promise<void> {
+    async findEndedSessions(now = new Date()): Promise<Array<{ session: WebUISession; reason: SessionEndReason }>> {
+        const candidates = Array.from(this.localSessions.values());
+
         if (this.proxyMode && this.tokenRegistry) {
-            // Proxy mode: MongoDB TTL handles cleanup automatically
-            // Just clean up local port tracking
-            // Note: We can't easily get all active sessions in proxy mode
-            // so we'll skip port cleanup for now
-            this.log('INFO', 'Proxy mode cleanup: MongoDB TTL handles session cleanup automatically');
-        } else {
-            // Direct mode: Clean up expired local sessions
-            const now = new Date();
-            for (const [sessionId, session] of this.localSessions.entries()) {
-                if (session.expiresAt < now) {
-                    this.log('INFO', `Cleaning up expired session ${sessionId}`);
-                    session.isActive = false;
-                    this.freePort(session.port);
-                    this.localSessions.delete(sessionId);
+            // Our own copies know activity not stored yet - the registry only hears of it once a minute
+            const tokens = new Set(candidates.map(session => session.token));
+            for (const proxySession of await this.tokenRegistry.getServerSessions(this.serverName || 'mcp-webui')) {
+                if (!tokens.has(proxySession.token)) {
+                    candidates.push(this.fromProxySession(proxySession));
                 }
             }
         }
+
+        const ended: Array<{ session: WebUISession; reason: SessionEndReason }> = [];
+        for (const session of candidates) {
+            const reason = sessionEndReason(session, this.sessionPolicy, now);
+            if (reason) {
+                ended.push({ session, reason });
+            }
+        }
+        return ended;
+    }
+
+    /**
+     * Clean up expired sessions
+     * MCPWebUI does this itself, so it can stop each session's UI server first.
+     */
+    async cleanupExpiredSessions(): Promise<void> {
+        for (const { session, reason } of await this.findEndedSessions()) {
+            this.log('INFO', `Cleaning up ${reason} session ${session.id}`);
+            await this.events?.emit('session:expired', { session, reason });
+            await this.terminateSession(session.id, reason);
+        }
     }
 
     /**
      * Shutdown the session manager
      */
     async shutdown(): Promise<void> {
-        if (this.mongoClient) {
-            await this.mongoClient.close();
+        for (const serverName of Array.from(this.gatewayRegistrations.keys())) {
+            this.stopGatewayRegistration(serverName);
+        }
+
+        if (this.tokenStore && this.ownsTokenStore) {
+            await this.tokenStore.close();
+        }
+
+        // Persisted sessions stay in the store, to be restored by the next run
+        await this.sessionStoreReady;
+        if (this.sessionStore) {
+            if (this.ownsSessionStore) {
+                await this.sessionStore.close();
+            }
+        } else {
+            await this.localShares?.getStore().close();
         }
 
         // Clear all sessions
@@ -922,15 +1565,36 @@ export class SessionManager {
         this.log('INFO', 'SessionManager shutdown complete');
     }
 
+    /**
+     * Convert a token registry session to WebUISession format
+     */
+    private fromProxySession(proxySession: EphemeralSession): WebUISession {
+        const proxyPrefix = process.env.MCP_WEB_UI_PROXY_PREFIX || '/mcp';
+        const proxyBaseUrl = process.env.MCP_WEB_UI_PROXY_BASE_URL || this.baseUrl;
+        const sessionUrl = `${this.protocol}://${proxyBaseUrl}${proxyPrefix}/${proxySession.token}/`;
+
+        return {
+            id: proxySession.metadata?.sessionId || proxySession.token.substring(0, 8),
+            token: proxySession.token,
+            userId: proxySession.userId,
+            url: sessionUrl,
+            port: proxySession.backend.port || 0,
+            ...(proxySession.backend.socketPath ? { socketPath: proxySession.backend.socketPath } : {}),
+            startTime: proxySession.createdAt,
+            // lastAccessedAt moves with every poll, so it says nothing about idleness
+            lastActivity: proxySession.lastActivityAt ?? proxySession.createdAt,
+            expiresAt: proxySession.expiresAt,
+            isActive: true,
+            serverName: proxySession.serverName || this.serverName || 'mcp-webui',
+            serverType: proxySession.serverType || 'mcp-webui',
+            scopes: proxySession.scopes
+        };
+    }
+
     /**
      * Log messages with optional data
      */
     private log(level: string, message: string, data?: any): void {
-        const timestamp = new Date().toISOString();
-        if (data) {
-            console.log(`[${timestamp}][${level}][SessionManager] ${message}`, data);
-        } else {
-            console.log(`[${timestamp}][${level}][SessionManager] ${message}`);
-        }
+        logger.log(level, message, data);
     }
 } 
\ No newline at end of file
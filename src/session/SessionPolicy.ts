@@ -0,0 +1,77 @@
+/**
+ * SessionPolicy - When a web UI session ends
+ * Shared by SessionManager, GenericUIServer and MCPWebUI so expiry is worked out the
+ * same way everywhere. Without a policy a session lasts until its expiresAt.
+ *
+ *   idleTimeoutMinutes - end after this long without user activity (opening the page,
+ *                        actions, keep-alives - polling and event streams don't count)
+ *   maxLifetimeMinutes - end this long after creation, however often it is extended
+ *   sliding            - each user activity pushes expiresAt back out to a full session timeout
+ */
+
+import type { WebUISession } from '../types/index.js';
+
+export interface SessionPolicy {
+    idleTimeoutMinutes?: number;
+    maxLifetimeMinutes?: number;
+    sliding?: boolean;
+}
+
+export type SessionEndReason = 'expired' | 'idle';
+
+/**
+ * Check a policy's limits
+ * @throws If a limit isn't a positive number, or the idle timeout leaves no room for the warning
+ */
+export function validateSessionPolicy(policy: SessionPolicy): void {
+    const { idleTimeoutMinutes, maxLifetimeMinutes } = policy;
+
+    if (idleTimeoutMinutes !== undefined && (!Number.isFinite(idleTimeoutMinutes) || idleTimeoutMinutes < 2)) {
+        throw new Error(`idleTimeoutMinutes must be at least 2 minutes, got ${idleTimeoutMinutes}`);
+    }
+    if (maxLifetimeMinutes !== undefined && (!Number.isFinite(maxLifetimeMinutes) || maxLifetimeMinutes <= 0)) {
+        throw new Error(`maxLifetimeMinutes must be a positive number of minutes, got ${maxLifetimeMinutes}`);
+    }
+}
+
+/**
+ * When the session ends if nobody uses it - null without an idle timeout
+ */
+export function idleExpiresAt(session: Pick<WebUISession, 'lastActivity'>, policy: SessionPolicy): Date | null {
+    return policy.idleTimeoutMinutes
+        ? new Date(session.lastActivity.getTime() + policy.idleTimeoutMinutes * 60 * 1000)
+        : null;
+}
+
+/**
+ * When the session ends however it is extended - null without a max lifetime
+ */
+export function lifetimeEndsAt(session: Pick<WebUISession, 'startTime'>, policy: SessionPolicy): Date | null {
+    return policy.maxLifetimeMinutes
+        ? new Date(session.startTime.getTime() + policy.maxLifetimeMinutes * 60 * 1000)
+        : null;
+}
+
+/**
+ * An expiry time, brought forward to the end of the session's max lifetime
+ */
+export function capExpiry(session: Pick<WebUISession, 'startTime'>, expiresAt: Date, policy: SessionPolicy): Date {
+    const limit = lifetimeEndsAt(session, policy);
+    return limit && limit < expiresAt ? limit : expiresAt;
+}
+
+/**
+ * Why a session has ended, or null while it is still valid
+ */
+export function sessionEndReason(
+    session: Pick<WebUISession, 'startTime' | 'lastActivity' | 'expiresAt'>,
+    policy: SessionPolicy,
+    now = new Date()
+): SessionEndReason | null {
+    if (now >= capExpiry(session, session.expiresAt, policy)) {
+        return 'expired';
+    }
+
+    const idleDeadline = idleExpiresAt(session, policy);
+    return idleDeadline && now >= idleDeadline ? 'idle' : null;
+}
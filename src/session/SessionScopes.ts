@@ -0,0 +1,98 @@
+/**
+ * SessionScopes - What a web UI session may do
+ * Shared by GenericUIServer and GatewayProxyServer so both layers apply the same
+ * rules. A session without a scope list is unrestricted.
+ *
+ *   read   - load the page, fetch data, open the event stream and WebSocket
+ *   write  - run actions, undo them
+ *   delete - run delete/remove actions
+ *   admin  - everything above
+ */
+
+export const SESSION_SCOPES = ['read', 'write', 'delete', 'admin'] as const;
+
+export type SessionScope = typeof SESSION_SCOPES[number];
+
+// Granted when a session is created without an explicit list
+export const DEFAULT_SESSION_SCOPES: SessionScope[] = ['read', 'write', 'delete'];
+
+// Set by the gateway when it forwards a share token's request under the parent session's
+// token - the backend only uses them to narrow access and to render the share's own links
+export const SHARE_TOKEN_HEADER = 'x-mcp-share-token';
+export const SHARE_SCOPES_HEADER = 'x-mcp-share-scopes';
+
+// Scope names issued before read/write/delete existed
+const LEGACY_SCOPES: Record<string, SessionScope[]> = {
+    view: ['read'],
+    interact: ['write', 'delete']
+};
+
+// Undeclared actions whose name reads as a deletion need the delete scope
+const DELETE_ACTION_PATTERN = /(^|[-_.])(delete|remove|clear)([-_.]|$)/i;
+
+/**
+ * Whether every entry is a known scope (or a legacy alias)
+ */
+export function isValidScopeList(scopes: unknown): scopes is string[] {
+    return Array.isArray(scopes) && scopes.every(scope =>
+        typeof scope === 'string' && ((SESSION_SCOPES as readonly string[]).includes(scope) || scope in LEGACY_SCOPES));
+}
+
+/**
+ * Resolve legacy aliases and drop duplicates - admin stays as given, hasScopes expands it
+ */
+export function normalizeScopes(scopes: string[]): string[] {
+    return Array.from(new Set(scopes.flatMap(scope => LEGACY_SCOPES[scope] || [scope])));
+}
+
+/**
+ * Whether a session holding `granted` has every scope in `required`
+ * Undefined `granted` means an unrestricted session.
+ */
+export function hasScopes(granted: string[] | undefined, required: string[]): boolean {
+    if (!granted) {
+        return true;
+    }
+
+    const scopes = normalizeScopes(granted);
+    return scopes.includes('admin') || required.every(scope => scopes.includes(scope));
+}
+
+/**
+ * Scopes an action needs - its declared scopes, or write (plus delete for delete-like names)
+ */
+export function requiredActionScopes(action: string, declared?: string[]): string[] {
+    if (declared && declared.length > 0) {
+        return declared;
+    }
+    return DELETE_ACTION_PATTERN.test(action) ? ['write', 'delete'] : ['write'];
+}
+
+/**
+ * Scope a request needs, given its path below the session root (e.g. /api/data)
+ * POST /api/update is checked per action once the body is parsed, so it needs none here.
+ */
+export function requiredRouteScope(method: string, path: string): SessionScope | null {
+    const route = path.replace(/\/+$/, '') || '/';
+
+    if (method === 'POST' && route === '/api/update') {
+        return null;
+    }
+    if (method === 'POST' && route === '/api/undo') {
+        return 'write';
+    }
+    return 'read';
+}
+
+/**
+ * Whether two scope lists grant the same access (undefined = unrestricted)
+ */
+export function sameScopes(a: string[] | undefined, b: string[] | undefined): boolean {
+    if (!a || !b) {
+        return !a && !b;
+    }
+
+    const left = normalizeScopes(a).sort();
+    const right = normalizeScopes(b).sort();
+    return left.length === right.length && left.every((scope, i) => scope === right[i]);
+}
@@ -1,4 +1,9 @@
 import { Request, Response } from 'express';
+import { TokenStore, TokenStoreConfig } from '../proxy/TokenStore.js';
+import { ShareSummary } from '../proxy/TokenRegistry.js';
+import { AuditSink, AuditSinkConfig } from '../audit/AuditSink.js';
+import { SessionPolicy } from '../session/SessionPolicy.js';
+import { MetricsRegistry } from '../metrics/MetricsRegistry.js';
 
 // Core session management types
 export interface WebUISession {
@@ -6,13 +11,20 @@ export interface WebUISession {
     token: string;
     userId: string;
     url: string;
-    port: number;
+    port: number; // 0 when the UI server listens on socketPath
+    socketPath?: string; // Unix socket the UI server listens on, for the gateway to reach it (see MCPWebUIConfig.socketDir)
     startTime: Date;
     lastActivity: Date;
     expiresAt: Date;
     isActive: boolean;
     serverName?: string; // MCP server name for session isolation
     serverType?: string; // Server type for additional context
+    scopes?: string[]; // Granted scopes: read, write, delete, admin (see SessionScopes); omit for unrestricted
+}
+
+// Share link for a session - its own token, scopes, lifetime and use limit
+export interface SessionShare extends ShareSummary {
+    url: string;
 }
 
 // UI Schema definition for configuration-driven interfaces
@@ -28,9 +40,11 @@ export interface UISchema {
 }
 
 export interface UIComponent {
-    type: 'list' | 'form' | 'table' | 'card' | 'stats';
+    type: 'list' | 'form' | 'table' | 'card' | 'stats' | 'schedule' | 'schedule-display' | 'audit-timeline';
     id: string;
     title?: string;
+    dataSource?: string; // Name of an entry in MCPWebUIConfig.dataSources; omit for the default dataSource
+    serverSide?: boolean; // Page, sort and filter on the server instead of shipping the whole dataset
     config: ComponentConfig;
 }
 
@@ -72,19 +86,72 @@ export interface UIAction {
 
 // Data source and update handling
 export interface DataSourceFunction<T = any> {
-    (userId?: string): Promise<T[]>;
+    (userId?: string, query?: DataQuery): Promise<T[] | DataPage<T>>;
+}
+
+// Paging, sorting and filtering requested by a serverSide component
+export interface DataQuery {
+    page: number; // 1-based
+    pageSize: number;
+    sort?: { field: string; direction: 'asc' | 'desc' };
+    filter?: string; // Free-text search
 }
 
+// One page of a queried data source - return this to page in the database
+export interface DataPage<T = any> {
+    items: T[];
+    total: number; // Matching items across all pages
+}
+
+// Handlers return `{ ..., undo: UndoAction }` to make an action undoable;
+// the browser gets an undoToken for POST /api/undo instead of the inverse itself
 export interface UpdateHandler {
     (action: string, data: any, userId: string): Promise<any>;
 }
 
+// The action that reverses another one, e.g. { action: 'restore-item', data: { item } }
+export interface UndoAction {
+    action: string;
+    data?: any;
+}
+
+// JSON-schema-style description of an action payload
+export interface ActionPayloadSchema {
+    type?: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean';
+    properties?: Record<string, ActionPayloadSchema>;
+    required?: string[];
+    additionalProperties?: boolean; // default true
+    items?: ActionPayloadSchema;
+    enum?: any[];
+    minLength?: number;
+    maxLength?: number;
+    minimum?: number;
+    maximum?: number;
+    pattern?: string;
+}
+
+export interface ActionHandler<P = any> {
+    (data: P, userId: string): Promise<any>;
+}
+
+// A typed action accepted by POST /api/update and the /api/ws channel
+export interface ActionDefinition<P = any> {
+    name: string;
+    description?: string;
+    payload?: ActionPayloadSchema; // Validated before the handler runs; omit to accept any object
+    scopes?: string[]; // Scopes the session must hold - defaults to write (write + delete for delete-like names)
+    handler: ActionHandler<P>;
+}
+
 // Main configuration interface
 export interface MCPWebUIConfig<T = any> {
-    dataSource: DataSourceFunction<T>;
+    dataSource?: DataSourceFunction<T>; // Default source for components without a dataSource key
+    dataSources?: Record<string, DataSourceFunction<any>>; // Named sources, served at /api/data/:sourceName
     schema: UISchema;
-    onUpdate: UpdateHandler;
+    onUpdate?: UpdateHandler; // Catch-all handler, used when no actions are registered
+    actions?: ActionDefinition[]; // Typed action registry - unknown actions and invalid payloads get a 400
     sessionTimeout?: number; // milliseconds, default 30 minutes
+    sessionPolicy?: SessionPolicy; // Idle timeout, max lifetime and sliding expiry - none by default
     pollInterval?: number; // milliseconds, default 2 seconds
     portRange?: [number, number]; // default [3000, 65535]
     blockedPorts?: number[]; // ports to skip when finding available port, default []
@@ -94,12 +161,23 @@ export interface MCPWebUIConfig<T = any> {
     bindAddress?: string; // address to bind server to, default 'localhost' or '0.0.0.0' for all
     cssPath?: string; // Path to MCP server's CSS directory (e.g., './static' or '../todoodles/src/web-ui/static')
     serverName?: string; // Explicit server name override (e.g., 'todoodles', 'grocery') - used for CSS file naming if not auto-detected
+    sharedPort?: number; // Serve every session from this one port under /s/:token/ instead of a port per session
+    socketDir?: string; // Behind the gateway, listen on a Unix socket per session in this directory instead of a port
+    sessionStore?: TokenStoreConfig | TokenStore; // Keep direct-mode sessions here (file or mongo) so their links survive a restart
 
     // Proxy mode configuration
     proxyMode?: boolean; // Enable proxy mode with token registry
-    mongoUrl?: string; // MongoDB URL for token registry (required in proxy mode)
+    tokenStore?: TokenStoreConfig | TokenStore; // Token registry storage: memory, file or mongo; defaults to MongoDB via mongoUrl
+    mongoUrl?: string; // MongoDB URL for token registry (used when tokenStore is not set)
     mongoDbName?: string; // MongoDB database name, default: 'mcp_webui'
     jwtSecret?: string; // JWT secret for token signing
+
+    // Audit trail of data changes, served at /api/audit
+    audit?: AuditSinkConfig | AuditSink | false; // memory (default), file, mongo or callback; false turns it off
+
+    // Prometheus metrics - see getMetrics()
+    metrics?: MetricsRegistry | false; // A registry to add the web UI's metrics to (e.g. the host's own); false turns them off
+    metricsPort?: number; // Serve GET /metrics on this port
 }
 
 // Server management types
@@ -110,17 +188,44 @@ export interface APIResponse<T = any> {
     success: boolean;
     data?: T;
     error?: string;
+    version?: number; // Data version for /api/data?since=<version>
+    delta?: boolean; // True when data is a DataPatch rather than the full dataset
+    fieldErrors?: Record<string, string>; // Payload validation errors by field path, e.g. 'items.0.name'
+    total?: number; // Matching items across all pages for paged (DataQuery) requests
+    page?: number;
+    pageSize?: number;
+    undoToken?: string; // Single-use token for POST /api/undo when the handler returned an UndoAction
+    instance?: string; // Id of the UI server that answered - changes when the session's server is recreated
+    requestId?: string; // On failed actions - the reference to look the request up in the logs
     timestamp: string;
 }
 
+// Changes to a dataset since a given version, keyed by item id
+export interface DataPatch<T = any> {
+    since: number;
+    version: number;
+    added: T[];
+    changed: T[];
+    removed: Array<string | number>;
+}
+
 // Template data passed to UI
 export interface TemplateData {
     session: WebUISession;
     schema: UISchema;
     initialData: any[];
+    initialSources?: Record<string, any[]>; // Initial data for named data sources
     config: {
         pollInterval: number;
         apiBase: string;
+        dataVersion?: number;
+        dataVersions?: Record<string, number>; // Versions of the named sources in initialSources
+        scopes?: string[]; // Session scopes, for hiding controls the session can't use
+        actionScopes?: Record<string, string[]>; // Scopes each registered action needs
+        sharedView?: boolean; // Page opened through a share link - hides the owner's Share and Extend buttons
+        serverInstance?: string; // Id of the UI server that rendered the page
+        idleExpiresAt?: string; // When the session ends without activity - the page warns a minute before
     };
     nonce?: string;
+    staticBasePath?: string; // Where the page loads /static resources from, when not the server default
 } 
\ No newline at end of file
@@ -236,6 +236,32 @@ MCP.ScheduleDisplay = function (selector, data = {}, config = {}) {
     return component;
 };
 
+/**
+ * Create an AuditTimeline component showing recent changes from /api/audit
+ * @param {string|HTMLElement} selector - CSS selector or DOM element
+ * @param {Array} data - Audit entries to show before the first fetch
+ * @param {Object} config - Component configuration
+ * @returns {AuditTimelineComponent} Initialized component instance
+ */
+MCP.AuditTimeline = function (selector, data = [], config = {}) {
+    const element = typeof selector === 'string'
+        ? document.querySelector(selector)
+        : selector;
+
+    if (!element) {
+        console.error('MCP.AuditTimeline: Element not found:', selector);
+        return null;
+    }
+
+    const mergedConfig = MCP.utils.mergeConfig(MCP.defaults, config);
+    const component = new AuditTimelineComponent(element, data, mergedConfig);
+
+    // Register component for management
+    MCP.registerComponent(element.id || 'audit-' + Date.now(), component);
+
+    return component;
+};
+
 /**
  * Create a GroceryList component for managing grocery items
  * @param {string|HTMLElement} selector - CSS selector or DOM element
@@ -486,6 +512,9 @@ MCP.initFromHTML = function (initialData = {}, globalConfig = {}) {
                 case 'ScheduleDisplay':
                     component = MCP.ScheduleDisplay(element, componentData, finalConfig);
                     break;
+                case 'AuditTimeline':
+                    component = MCP.AuditTimeline(element, componentData, finalConfig);
+                    break;
                 case 'GroceryList':
                     component = MCP.GroceryList(element, componentData, finalConfig);
                     break;
@@ -520,7 +549,7 @@ MCP.initFromHTML = function (initialData = {}, globalConfig = {}) {
  * Create components from a UI schema definition (matches the TypeScript interface)
  * 
  * @param {Object} schema - UI schema definition
- * @param {Object} initialData - Initial data for components
+ * @param {Object} initialData - Initial data for components (`default`, per-id, and `sources` keyed by data source name)
  * @param {Object} globalConfig - Global configuration
  * @returns {Array} Array of initialized components
  */
@@ -540,18 +569,33 @@ MCP.initFromSchema = function (schema, initialData = {}, globalConfig = {}) {
                 return;
             }
 
+            // Components bound to a named data source fetch from it and track its version
+            const baseConfig = componentDef.dataSource
+                ? {
+                    ...globalConfig,
+                    dataSource: componentDef.dataSource,
+                    dataVersion: globalConfig.dataVersions?.[componentDef.dataSource] ?? null
+                }
+                : { ...globalConfig };
+
+            // serverSide components page, sort and filter through /data queries
+            if (componentDef.serverSide) {
+                baseConfig.serverSide = true;
+            }
+
             // Merge component configuration
-            const componentConfig = MCP.utils.mergeConfig(globalConfig, componentDef.config || {});
+            const componentConfig = MCP.utils.mergeConfig(baseConfig, componentDef.config || {});
 
             // Get component data
-            const componentData = initialData[componentDef.id] || initialData.default || [];
+            const componentData = (componentDef.dataSource && initialData.sources?.[componentDef.dataSource]) ||
+                initialData[componentDef.id] || initialData.default || [];
 
             // Initialize based on component type
             let component = null;
             switch (componentDef.type) {
                 case 'list':
                     // Wrap config for ListComponent which expects config.list
-                    const listConfig = { ...globalConfig, list: componentDef.config || {} };
+                    const listConfig = { ...baseConfig, list: componentDef.config || {} };
                     // Pass component title from schema to main config
                     if (componentDef.title) {
                         listConfig.title = componentDef.title;
@@ -576,7 +620,7 @@ MCP.initFromSchema = function (schema, initialData = {}, globalConfig = {}) {
                     break;
                 case 'stats':
                     // Wrap config for StatsComponent which expects config.stats
-                    const statsConfig = { ...globalConfig, stats: componentDef.config || {} };
+                    const statsConfig = { ...baseConfig, stats: componentDef.config || {} };
                     console.log('=== MCP FRAMEWORK DEBUG ===');
                     console.log('Initializing stats component:', componentDef.id);
                     console.log('Component definition:', JSON.stringify(componentDef, null, 2));
@@ -590,28 +634,33 @@ MCP.initFromSchema = function (schema, initialData = {}, globalConfig = {}) {
                     break;
                 case 'dashboard':
                     // Wrap config for DashboardComponent which expects config.dashboard
-                    const dashboardConfig = { ...globalConfig, dashboard: componentDef.config || {} };
+                    const dashboardConfig = { ...baseConfig, dashboard: componentDef.config || {} };
                     component = MCP.Dashboard(element, componentData, dashboardConfig);
                     break;
                 case 'status':
                     // Wrap config for StatusComponent which expects config.status
-                    const statusConfig = { ...globalConfig, status: componentDef.config || {} };
+                    const statusConfig = { ...baseConfig, status: componentDef.config || {} };
                     component = MCP.Status(element, componentData, statusConfig);
                     break;
                 case 'schedule':
                 case 'schedule-display':
                     // Wrap config for ScheduleDisplayComponent which expects config.schedule
-                    const scheduleConfig = { ...globalConfig, schedule: componentDef.config || {} };
+                    const scheduleConfig = { ...baseConfig, schedule: componentDef.config || {} };
                     component = MCP.ScheduleDisplay(element, componentData, scheduleConfig);
                     break;
+                case 'audit-timeline':
+                    // Wrap config for AuditTimelineComponent which expects config.audit
+                    const auditConfig = { ...baseConfig, audit: componentDef.config || {} };
+                    component = MCP.AuditTimeline(element, componentData, auditConfig);
+                    break;
                 case 'grocery-list':
                     // Wrap config for GroceryListComponent which expects config.grocery
-                    const groceryConfig = { ...globalConfig, grocery: componentDef.config || {} };
+                    const groceryConfig = { ...baseConfig, grocery: componentDef.config || {} };
                     component = MCP.GroceryList(element, componentData, groceryConfig);
                     break;
                 case 'grocery-stats':
                     // Wrap config for GroceryStatsComponent which expects config.groceryStats
-                    const groceryStatsConfig = { ...globalConfig, groceryStats: componentDef.config || {} };
+                    const groceryStatsConfig = { ...baseConfig, groceryStats: componentDef.config || {} };
                     component = MCP.GroceryStats(element, componentData, groceryStatsConfig);
                     break;
                 default:
@@ -914,13 +963,177 @@ MCP.extendSession = async function (minutes = 30, sessionToken = '') {
     }
 };
 
+// Pending idle timeout check - see MCP.watchIdleTimeout
+let idleTimer = null;
+
+// How long before an idle session ends the page warns about it
+MCP.IDLE_WARNING_MS = 60 * 1000;
+
+/**
+ * Call one of the session's own endpoints (/session, /keep-alive)
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API base
+ * @param {Object} config - Page config with apiBase and sessionToken
+ * @returns {Promise<Object>} The response - throws with error.status when refused
+ */
+async function sessionRequest(method, path, config) {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    if (config.sessionToken) {
+        headers['Authorization'] = `Bearer ${config.sessionToken}`;
+    }
+
+    const response = await fetch(`${config.apiBase || '/api'}${path}`, { method, headers });
+    const result = await response.json();
+
+    if (!result.success) {
+        const error = new Error(result.error || 'Session request failed');
+        error.status = response.status;
+        throw error;
+    }
+    return result;
+}
+
+/**
+ * Warn before the session ends for inactivity
+ * A minute before the deadline the server is asked for the current one - actions since
+ * the page loaded move it - and, if it still stands, a modal offers to stay signed in.
+ * @param {string} idleExpiresAt - ISO date string, or nothing when sessions don't idle out
+ * @param {Object} config - Page config with apiBase and sessionToken
+ */
+MCP.watchIdleTimeout = function (idleExpiresAt, config = {}) {
+    if (idleTimer) {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+    }
+    if (!idleExpiresAt) return;
+
+    const warnIn = new Date(idleExpiresAt).getTime() - MCP.IDLE_WARNING_MS - Date.now();
+    idleTimer = setTimeout(() => {
+        idleTimer = null;
+        MCP.checkIdleTimeout(config);
+    }, Math.max(0, warnIn));
+};
+
+/**
+ * Look up the idle deadline and warn if it is close
+ * @param {Object} config - Page config with apiBase and sessionToken
+ */
+MCP.checkIdleTimeout = async function (config = {}) {
+    let result;
+    try {
+        result = await sessionRequest('GET', '/session', config);
+    } catch (error) {
+        if (error.status === 401) {
+            MCP.endIdleSession();
+        } else {
+            // Server unreachable - ask again shortly rather than sign the user out
+            console.warn('Failed to check session timeout:', error);
+            idleTimer = setTimeout(() => MCP.checkIdleTimeout(config), 10 * 1000);
+        }
+        return;
+    }
+
+    const { expiresAt, idleExpiresAt } = result.data;
+    MCP.updateExpirationTime(expiresAt);
+    if (!idleExpiresAt) return;
+
+    // Measured against the server's clock, which decides when the session ends
+    const remaining = new Date(idleExpiresAt).getTime() - new Date(result.timestamp).getTime();
+    if (remaining > MCP.IDLE_WARNING_MS + 5000) {
+        // Someone used the session since we looked
+        MCP.watchIdleTimeout(idleExpiresAt, config);
+        return;
+    }
+
+    let choice = null;
+    try {
+        choice = await MCP.confirm({
+            title: 'Are you still there?',
+            message: 'You will be signed out in a minute because of inactivity.',
+            confirmText: 'Stay signed in',
+            cancelText: 'Dismiss',
+            autoClose: Math.max(1000, remaining)
+        });
+    } catch (error) {
+        console.warn('Failed to show session timeout warning:', error);
+    }
+
+    if (!choice || choice.action !== 'confirm') {
+        // Look again at the deadline - the session ends then unless it was used in between
+        idleTimer = setTimeout(() => MCP.checkIdleTimeout(config), Math.max(0, new Date(idleExpiresAt).getTime() - Date.now()));
+        return;
+    }
+
+    try {
+        const kept = await sessionRequest('POST', '/keep-alive', config);
+        MCP.updateExpirationTime(kept.data.expiresAt);
+        MCP.watchIdleTimeout(kept.data.idleExpiresAt, config);
+    } catch (error) {
+        if (error.status === 401) {
+            MCP.endIdleSession();
+        } else {
+            console.error('Failed to keep session alive:', error);
+            MCP.utils.showNotification('Failed to keep session alive', 'error');
+            idleTimer = setTimeout(() => MCP.checkIdleTimeout(config), 10 * 1000);
+        }
+    }
+};
+
+/**
+ * Stop the page once its session has ended for inactivity
+ * Components stop polling and the expiry display reads Expired; the server already
+ * refuses the session's token.
+ */
+MCP.endIdleSession = function () {
+    if (idleTimer) {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+    }
+
+    MCP.destroyAll();
+    MCP.updateExpirationTime(new Date().toISOString());
+    MCP.utils.showNotification('Signed out after inactivity - ask for a new link to continue', 'info', 10000);
+};
+
+/**
+ * Create a share link for the current session
+ * @param {Object} options - { scopes, ttlMinutes, maxUses, label } - read only for a day by default
+ * @param {Object} config - Page config with apiBase and sessionToken
+ * @returns {Promise<Object>} The share link - { id, url, scopes, expiresAt, maxUses, uses }
+ */
+MCP.createShare = async function (options = {}, config = {}) {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    if (config.sessionToken) {
+        headers['Authorization'] = `Bearer ${config.sessionToken}`;
+    }
+
+    const response = await fetch(`${config.apiBase || '/api'}/shares`, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(options)
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error || 'Failed to create share link');
+    }
+    return result.data;
+};
+
 /**
  * Show a temporary notification
  * @param {string} message - Notification message
  * @param {string} type - Notification type (success, error, info)
  * @param {number} duration - Duration in milliseconds
+ * @param {Object} options - { actionLabel, onAction } adds a button (e.g. "Undo") that runs onAction and closes the notification
  */
-MCP.utils.showNotification = function (message, type = 'info', duration = 3000) {
+MCP.utils.showNotification = function (message, type = 'info', duration = 3000, options = {}) {
     // Create or get notification container
     let container = document.getElementById('mcp-notifications');
     if (!container) {
@@ -935,6 +1148,18 @@ MCP.utils.showNotification = function (message, type = 'info', duration = 3000)
     notification.className = `mcp-notification mcp-notification-${type}`;
     notification.textContent = message;
 
+    if (options.actionLabel && typeof options.onAction === 'function') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'mcp-notification-action';
+        button.textContent = options.actionLabel;
+        button.addEventListener('click', () => {
+            notification.remove();
+            options.onAction();
+        });
+        notification.appendChild(button);
+    }
+
     // Add to container
     container.appendChild(notification);
 
@@ -0,0 +1,238 @@
+/**
+ * AuditTimelineComponent - Timeline of recent data changes
+ *
+ * This component shows the audit trail served at /api/audit: who changed what, when,
+ * and whether it worked. Each entry is marked as made by a person in the web UI or by
+ * the assistant through an MCP tool, so it's clear which changes the model made.
+ * Entries are loaded from the server and refreshed whenever the component polls or
+ * the data changes; only the session owner can read the trail.
+ *
+ * Features:
+ * - Person / assistant / system badges on every entry
+ * - Rejected changes shown with their HTTP status and error
+ * - One-line payload summaries, with secrets already redacted by the server
+ * - Filtering by action and origin
+ * - Relative or absolute timestamps
+ * - Built-in accessibility support
+ *
+ * Usage Example:
+ * const timeline = new AuditTimelineComponent(element, [], {
+ *   audit: {
+ *     limit: 25,
+ *     origin: 'assistant',
+ *     dateFormat: 'relative'
+ *   }
+ * });
+ */
+class AuditTimelineComponent extends BaseComponent {
+    /**
+     * Constructor for AuditTimelineComponent
+     * @param {HTMLElement} element - The DOM element to attach this component to
+     * @param {Array} data - Audit entries to show before the first fetch
+     * @param {Object} config - Configuration object
+     */
+    constructor(element, data = [], config = {}) {
+        config = config || {};
+
+        // Component-specific configuration with sensible defaults
+        const componentConfig = {
+            limit: 50, // Entries to fetch (the server allows up to 500)
+            action: undefined, // Only show this action
+            origin: undefined, // 'ui' | 'assistant' | 'system'
+            dateFormat: 'relative', // 'relative' | 'absolute'
+            locale: 'en-US',
+            showPayload: true,
+            showFailures: true,
+            emptyMessage: 'No changes yet',
+            unavailableMessage: 'Activity is not available',
+            ...config.audit
+        };
+
+        super(element, AuditTimelineComponent.normalizeEntries(data), config);
+        this.componentConfig = componentConfig;
+        this.unavailable = false;
+        this.initialized = false;
+
+        // Initialize component after configuration is set up
+        this.init();
+    }
+
+    /**
+     * Initialize once - BaseComponent also schedules init() after construction
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+        super.init();
+        this.fetchData();
+    }
+
+    /**
+     * Keep only well-formed audit entries - schema data for other components is ignored
+     * @param {*} data - Raw data
+     * @returns {Array} Audit entries
+     */
+    static normalizeEntries(data) {
+        return Array.isArray(data)
+            ? data.filter(entry => entry && typeof entry.action === 'string' && entry.timestamp)
+            : [];
+    }
+
+    /**
+     * Load the trail from /api/audit
+     * Replaces the data fetch of BaseComponent, so polling and change events refresh the timeline
+     */
+    async fetchData() {
+        if (this.isDestroyed || this.unavailable) return;
+
+        const { limit, action, origin } = this.componentConfig;
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (action) params.set('action', action);
+        if (origin) params.set('origin', origin);
+
+        try {
+            const result = await this.apiCall(`/audit?${params.toString()}`);
+            if (this.isDestroyed) return;
+
+            if (result.success && Array.isArray(result.data)) {
+                this.update(AuditTimelineComponent.normalizeEntries(result.data));
+            }
+        } catch (error) {
+            // Disabled, or opened through a share link - stop asking
+            if (error.status === 403 || error.status === 404) {
+                this.unavailable = true;
+                this.render();
+                return;
+            }
+            this.log('WARN', `Failed to load audit trail: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render the timeline, newest change first
+     */
+    render() {
+        if (this.isDestroyed) return;
+
+        try {
+            const entries = this.componentConfig.showFailures
+                ? this.data
+                : this.data.filter(entry => entry.success !== false);
+
+            let content;
+            if (this.unavailable) {
+                content = this.html`<div class="audit-empty">${this.componentConfig.unavailableMessage}</div>`;
+            } else if (entries.length === 0) {
+                content = this.html`<div class="audit-empty">${this.componentConfig.emptyMessage}</div>`;
+            } else {
+                content = entries.map(entry => this.renderEntry(entry)).join('');
+            }
+
+            this.element.innerHTML = this.html`
+                <div class="component component-audit-timeline">
+                    <ol class="audit-timeline" aria-label="Recent changes">
+                        ${this.trustedHtml(content)}
+                    </ol>
+                </div>
+            `;
+        } catch (error) {
+            this.log('ERROR', `Failed to render audit timeline: ${error.message}`);
+            this.element.innerHTML = this.html`
+                <div class="component component-audit-timeline">
+                    <div class="audit-error" role="alert">⚠️ Could not show activity</div>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Render a single entry
+     * @param {Object} entry - Audit entry
+     * @returns {string} HTML string
+     */
+    renderEntry(entry) {
+        const origin = AuditTimelineComponent.ORIGINS[entry.origin] || AuditTimelineComponent.ORIGINS.system;
+        const failed = entry.success === false;
+        const payload = this.componentConfig.showPayload ? this.summarizePayload(entry.payload) : '';
+
+        return this.html`
+            <li class="audit-entry audit-origin-${entry.origin} ${failed ? 'audit-failed' : ''}" data-audit-id="${entry.id}">
+                <span class="audit-badge" title="${origin.label}" aria-label="${origin.label}">${origin.icon}</span>
+                <div class="audit-body">
+                    <div class="audit-summary">
+                        <span class="audit-actor">${origin.label}</span>
+                        <span class="audit-action">${entry.action}</span>
+                        ${entry.channel === 'undo' ? this.trustedHtml('<span class="audit-tag">undo</span>') : ''}
+                        ${entry.viaShare ? this.trustedHtml('<span class="audit-tag">shared link</span>') : ''}
+                        ${failed ? this.trustedHtml(this.html`<span class="audit-status" role="status">Rejected (${entry.status})</span>`) : ''}
+                    </div>
+                    ${failed && entry.error ? this.trustedHtml(this.html`<div class="audit-error-message">${entry.error}</div>`) : ''}
+                    ${payload ? this.trustedHtml(this.html`<div class="audit-payload">${payload}</div>`) : ''}
+                    <time class="audit-time" datetime="${this.toIsoString(entry.timestamp)}" title="${this.formatAbsolute(entry.timestamp)}">
+                        ${this.formatTimestamp(entry.timestamp)}
+                    </time>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * One line describing what a change carried, e.g. "id: 3, text: Buy milk"
+     * @param {*} payload - Sanitized payload from the server
+     * @returns {string} Plain text summary (escaped when rendered)
+     */
+    summarizePayload(payload) {
+        if (payload === null || payload === undefined) return '';
+        if (typeof payload !== 'object') return this.truncate(String(payload));
+
+        const parts = Object.entries(payload).map(([key, value]) => {
+            const shown = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return `${key}: ${shown}`;
+        });
+        return this.truncate(parts.join(', '));
+    }
+
+    truncate(text, max = 120) {
+        return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+    }
+
+    toIsoString(timestamp) {
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? '' : date.toISOString();
+    }
+
+    formatAbsolute(timestamp) {
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? '' : date.toLocaleString(this.componentConfig.locale);
+    }
+
+    /**
+     * Timestamp in the configured format - "5 min ago" or a locale date and time
+     * @param {string|Date} timestamp - When the change happened
+     * @returns {string}
+     */
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return '';
+        if (this.componentConfig.dateFormat === 'absolute') return this.formatAbsolute(timestamp);
+
+        const seconds = Math.round((Date.now() - date.getTime()) / 1000);
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+        return this.formatAbsolute(timestamp);
+    }
+}
+
+AuditTimelineComponent.ORIGINS = {
+    ui: { icon: '👤', label: 'Person' },
+    assistant: { icon: '🤖', label: 'Assistant' },
+    system: { icon: '⚙️', label: 'System' }
+};
+
+// Make the component available globally for tests and framework
+if (typeof global !== 'undefined') {
+    global.AuditTimelineComponent = AuditTimelineComponent;
+} else if (typeof window !== 'undefined') {
+    window.AuditTimelineComponent = AuditTimelineComponent;
+}
@@ -55,6 +55,12 @@
  *   }
  * });
  * 
+ * // Large dataset paged on the server (set serverSide in the config or schema)
+ * const ordersList = new ListComponent(element, [], {
+ *   serverSide: true,
+ *   list: { enableSearch: true, enablePagination: true, itemsPerPage: 50 }
+ * });
+ * 
  * // Multi-section list with section-specific actions
  * const multiSectionList = new ListComponent(element, data, {
  *   list: {
@@ -415,6 +421,34 @@ class ListComponent extends BaseComponent {
     render() {
         if (this.isDestroyed) return;
 
+        this.element.innerHTML = this.renderMarkup();
+
+        this.postRenderSetup();
+    }
+
+    /**
+     * Apply a data patch by morphing the existing DOM
+     * Unchanged items keep their nodes, so the search box keeps focus,
+     * the list keeps its scroll position and checkboxes keep their state
+     */
+    renderPatch(patch, oldData) {
+        if (this.isDestroyed) return;
+
+        // Drop selections for items that no longer exist
+        (patch.removed || []).forEach(id => {
+            this.listState.selectedItems.delete(id);
+            this.listState.selectedItems.delete(String(id));
+        });
+
+        this.morphElement(this.renderMarkup());
+
+        this.postRenderSetup();
+    }
+
+    /**
+     * Build the complete component markup
+     */
+    renderMarkup() {
         // Update sections data if in multi-section mode
         if (this.listConfig.mode === 'multi') {
             this.updateSectionsData();
@@ -422,7 +456,7 @@ class ListComponent extends BaseComponent {
 
         const modeClass = this.listConfig.mode === 'multi' ? 'multi-section' : 'single-section';
 
-        this.element.innerHTML = this.html`
+        return this.html`
             <div class="component component-list component-${this.listConfig.layout} ${modeClass}">
                 ${this.trustedHtml(this.renderHeader())}
                 ${this.trustedHtml(this.renderToolbar())}
@@ -430,8 +464,6 @@ class ListComponent extends BaseComponent {
                 ${this.trustedHtml(this.renderFooter())}
             </div>
         `;
-
-        this.postRenderSetup();
     }
 
     /**
@@ -447,6 +479,7 @@ class ListComponent extends BaseComponent {
                     ${this.listConfig.showItemCount ? this.trustedHtml(`
                         <span class="item-count">(${stats.total} ${this.getItemLabel(stats.total)})</span>
                     `) : ''}
+                    ${this.trustedHtml(this.renderSyncBadge())}
                 </div>
                 
                 ${this.listConfig.showStats ? this.trustedHtml(this.renderStats(stats)) : ''}
@@ -492,7 +525,7 @@ class ListComponent extends BaseComponent {
      * Render global actions
      */
     renderGlobalActions() {
-        const actions = this.listConfig.actions.global;
+        const actions = this.getPermittedActions('global');
         if (!actions || actions.length === 0) return '';
 
         return this.html`
@@ -902,6 +935,7 @@ class ListComponent extends BaseComponent {
                                 data-action="toggle-item" 
                                 data-id="${itemId}"
                                 ${item.completed ? 'checked' : ''}
+                                ${this.canPerform('toggle-item') ? '' : 'disabled'}
                                 title="${item.completed ? 'Mark as incomplete' : 'Mark as complete'}"
                             >
                         </div>
@@ -1025,7 +1059,7 @@ class ListComponent extends BaseComponent {
      * Render item actions
      */
     renderItemActions(item) {
-        const actions = this.listConfig.actions.item;
+        const actions = this.getPermittedActions('item');
         const itemId = this.getItemId(item);
 
         return actions.map(action => {
@@ -1049,7 +1083,7 @@ class ListComponent extends BaseComponent {
      */
     renderSectionActions(sectionId) {
         const sectionActions = this.listConfig.sectionActions[sectionId] || {};
-        const globalActions = sectionActions.global || [];
+        const globalActions = (sectionActions.global || []).filter(action => this.canPerform(action));
 
         if (globalActions.length === 0) return '';
 
@@ -1099,11 +1133,35 @@ class ListComponent extends BaseComponent {
         `;
     }
 
+    /**
+     * Render previous/next pagination controls
+     */
+    renderPagination() {
+        const totalPages = this.getTotalPages();
+        if (totalPages <= 1) return '';
+
+        const currentPage = this.listState.currentPage;
+
+        return this.html`
+            <div class="list-pagination">
+                <button class="btn btn-secondary" data-action="page" data-page="${currentPage - 1}"
+                    ${currentPage <= 1 ? 'disabled' : ''}>
+                    ‹ Previous
+                </button>
+                <span class="pagination-info">Page ${currentPage} of ${totalPages}</span>
+                <button class="btn btn-secondary" data-action="page" data-page="${currentPage + 1}"
+                    ${currentPage >= totalPages ? 'disabled' : ''}>
+                    Next ›
+                </button>
+            </div>
+        `;
+    }
+
     /**
      * Render bulk actions
      */
     renderBulkActions() {
-        const actions = this.listConfig.actions.bulk;
+        const actions = this.getPermittedActions('bulk');
         const selectedCount = this.listState.selectedItems.size;
 
         return this.html`
@@ -1221,6 +1279,14 @@ class ListComponent extends BaseComponent {
             });
         }
 
+        // Pagination
+        if (this.listConfig.enablePagination) {
+            this.on('click', '[data-action="page"]', (e) => {
+                const page = parseInt(e.target.dataset.page, 10);
+                this.goToPage(page);
+            });
+        }
+
         // Section toggles (for multi-section mode)
         if (this.listConfig.mode === 'multi') {
             this.on('click', '[data-action="toggle-section"]', (e) => {
@@ -1312,38 +1378,26 @@ class ListComponent extends BaseComponent {
         const item = this.findItemById(id);
         if (!item) return;
 
-        try {
-            // Update the item locally first for responsive UI
-            item.completed = completed;
-            if (completed) {
-                item.completedAt = new Date().toISOString();
-            } else {
-                delete item.completedAt;
-            }
+        const completedAt = completed ? new Date().toISOString() : null;
+        const previous = { completed: !!item.completed, completedAt: item.completedAt || null };
 
+        try {
             // Update the server - use 'toggle-item' action to match backend handler
-            await this.handleAction('toggle-item', {
-                id,
-                completed,
-                completedAt: completed ? item.completedAt : null
+            // The checkbox flips immediately and is undone if the server rejects it
+            await this.handleAction('toggle-item', { id, completed, completedAt }, {
+                optimistic: { type: 'update', id, changes: { completed, completedAt } },
+                undo: {
+                    label: completed ? 'Item completed' : 'Item reopened',
+                    action: 'toggle-item',
+                    data: { id, ...previous },
+                    optimistic: { type: 'update', id, changes: previous }
+                }
             });
 
             this.log('INFO', `Item ${completed ? 'completed' : 'uncompleted'}: ${id}`);
-
-            // Re-render to apply sorting and move completed items to bottom
-            this.render();
         } catch (error) {
-            // Revert local change if server update failed
-            item.completed = !completed;
-            if (!completed) {
-                item.completedAt = new Date().toISOString();
-            } else {
-                delete item.completedAt;
-            }
-
-            // Re-render to show the reverted state
-            this.render();
-            this.handleError(error);
+            // handleAction already rolled back and notified the user
+            this.log('ERROR', `Toggle failed for item ${id}: ${error.message}`);
         }
     }
 
@@ -1373,10 +1427,49 @@ class ListComponent extends BaseComponent {
         }
 
         try {
-            await this.handleAction('delete', { id });
+            // Undoable when the server's delete handler returns a restore action
+            await this.handleAction('delete', { id }, {
+                optimistic: { type: 'remove', id },
+                undo: { label: 'Item deleted' }
+            });
             this.log('INFO', `Item deleted: ${id}`);
         } catch (error) {
-            this.handleError(error);
+            // handleAction already restored the item and notified the user
+            this.log('ERROR', `Delete failed for item ${id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the selected items in one action
+     * Undoable when the server's bulk-delete handler returns a restore action
+     */
+    async handleBulkDelete(ids) {
+        if (ids.length === 0) return;
+
+        const label = `${ids.length} ${this.getItemLabel(ids.length)}`;
+        if (this.listConfig.confirmDeletes) {
+            const message = `Delete ${label}?`;
+            if (!window.MCPModal) {
+                if (!confirm(message)) return;
+            } else {
+                const confirmed = await window.MCPModal.confirm({
+                    title: 'Confirm Delete',
+                    message,
+                    confirmText: 'Delete',
+                    cancelText: 'Cancel'
+                });
+
+                if (!confirmed || confirmed.action !== 'confirm') return;
+            }
+        }
+
+        try {
+            await this.handleAction('bulk-delete', { ids }, { undo: { label: `Deleted ${label}` } });
+            this.listState.selectedItems.clear();
+            this.render();
+            this.log('INFO', `Bulk deleted ${ids.length} items`);
+        } catch (error) {
+            this.log('ERROR', `Bulk delete failed: ${error.message}`);
         }
     }
 
@@ -1404,6 +1497,46 @@ class ListComponent extends BaseComponent {
         this.listState.filterQuery = query.trim();
         this.listState.currentPage = 1; // Reset to first page
         this.render();
+        this.refreshServerData(true);
+    }
+
+    /**
+     * Go to a page of results
+     */
+    goToPage(page) {
+        if (!Number.isInteger(page) || page < 1 || page > this.getTotalPages()) return;
+
+        this.listState.currentPage = page;
+        this.render();
+        this.refreshServerData();
+    }
+
+    /**
+     * Fetch the page for the current search, sort and page in server-side mode
+     * @param {boolean} debounce - Wait for typing to pause first
+     */
+    refreshServerData(debounce = false) {
+        if (!this.config.serverSide) return;
+
+        if (debounce) {
+            this.scheduleFetch(this.listConfig.search.debounceMs);
+        } else {
+            this.fetchData();
+        }
+    }
+
+    /**
+     * Server query for the current page, sort and search
+     */
+    getDataQuery() {
+        const { currentPage, sortColumn, sortDirection, filterQuery } = this.listState;
+
+        return {
+            page: currentPage,
+            pageSize: this.listConfig.itemsPerPage,
+            sort: sortColumn ? `${sortColumn}:${sortDirection}` : null,
+            filter: filterQuery
+        };
     }
 
     /**
@@ -1476,7 +1609,9 @@ class ListComponent extends BaseComponent {
                         const errors = this.validateFormData(formData);
                         if (Object.keys(errors).length > 0) {
                             // Return validation errors to modal
-                            throw new Error('Validation failed: ' + Object.values(errors).join(', '));
+                            const validationError = new Error('Validation failed: ' + Object.values(errors).join(', '));
+                            validationError.fieldErrors = errors;
+                            throw validationError;
                         }
 
                         // Submit to server
@@ -1486,7 +1621,19 @@ class ListComponent extends BaseComponent {
                             : formData;
 
                         console.log(`DEBUG: Calling handleAction('${action}') with payload:`, payload);
-                        const actionResult = await this.handleAction(action, payload);
+                        // Show the new or edited item right away; undone if the server rejects it
+                        const optimistic = type === 'edit'
+                            ? { type: 'update', id: item.id, changes: formData }
+                            : { type: 'insert', item: payload };
+                        // Edits are undone by writing the previous values back; adds only
+                        // when the server's handler returns an undo action
+                        const previous = type === 'edit'
+                            ? Object.fromEntries(Object.keys(formData).map(key => [key, item[key] ?? null]))
+                            : null;
+                        const undo = type === 'edit'
+                            ? { label: 'Item updated', action, data: { ...previous, id: item.id }, optimistic: { type: 'update', id: item.id, changes: previous } }
+                            : { label: 'Item added' };
+                        const actionResult = await this.handleAction(action, payload, { optimistic, undo });
 
                         if (actionResult.success) {
                             this.log('INFO', `${type} completed successfully`);
@@ -1515,6 +1662,11 @@ class ListComponent extends BaseComponent {
      * Get processed items (filtered, sorted, paginated)
      */
     getProcessedItems() {
+        // The server already searched, sorted and paged
+        if (this.config.serverSide) {
+            return [...this.data];
+        }
+
         let items = [...this.data];
 
         // Apply search filter
@@ -1535,6 +1687,25 @@ class ListComponent extends BaseComponent {
         return items;
     }
 
+    /**
+     * Apply pagination
+     */
+    applyPagination(items) {
+        const start = (this.listState.currentPage - 1) * this.listConfig.itemsPerPage;
+        return items.slice(start, start + this.listConfig.itemsPerPage);
+    }
+
+    /**
+     * Number of pages for the current search
+     */
+    getTotalPages() {
+        const total = this.config.serverSide
+            ? (this.serverTotal ?? this.data.length)
+            : (this.listState.filterQuery ? this.applySearch(this.data) : this.data).length;
+
+        return Math.max(1, Math.ceil(total / this.listConfig.itemsPerPage));
+    }
+
     /**
      * Apply search filter
      */
@@ -1605,7 +1776,25 @@ class ListComponent extends BaseComponent {
     }
 
     hasItemActions() {
-        return this.listConfig.actions.item.length > 0;
+        return this.getPermittedActions('item').length > 0;
+    }
+
+    /**
+     * Actions of one kind (global, item, bulk) the session may run
+     * Read-only sessions get none, so their buttons are never rendered
+     */
+    getPermittedActions(kind) {
+        return (this.listConfig.actions[kind] || [])
+            .filter(action => this.canPerform(this.getServerAction(kind, action)));
+    }
+
+    /**
+     * Name of the server action a list control sends
+     */
+    getServerAction(kind, action) {
+        if (kind === 'bulk') return `bulk-${action}`;
+        if (kind === 'item' && action === 'edit') return 'update';
+        return action;
     }
 
     /**
@@ -1880,11 +2069,14 @@ class ListComponent extends BaseComponent {
         }
 
         this.render();
+        this.refreshServerData();
     }
 
     handleClearSearch() {
         this.listState.filterQuery = '';
+        this.listState.currentPage = 1;
         this.render();
+        this.refreshServerData();
     }
 
     /**
@@ -1894,6 +2086,7 @@ class ListComponent extends BaseComponent {
         if (this.listState.sortColumn) {
             this.listState.sortDirection = this.listState.sortDirection === 'asc' ? 'desc' : 'asc';
             this.render();
+            this.refreshServerData();
         }
     }
 
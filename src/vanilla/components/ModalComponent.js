@@ -620,6 +620,7 @@ class Modal {
         try {
             const formData = new FormData(event.target);
             const data = Object.fromEntries(formData.entries());
+            this.clearValidationErrors();
 
             // Validate form data
             if (this.config.validate) {
@@ -641,16 +642,36 @@ class Modal {
 
         } catch (error) {
             this.log('ERROR', 'Form submission failed:', error);
-            this.showError(error.message || 'Submission failed');
+            // Server-side payload validation reports errors per field
+            if (error.fieldErrors) {
+                this.showValidationErrors(error.fieldErrors);
+            }
+            // The request ID finds the failure in the server's logs
+            const message = error.message || 'Submission failed';
+            this.showError(error.requestId ? `${message} (ref ${error.requestId})` : message);
         }
     }
 
+    /**
+     * Remove field and general errors left from a previous submit
+     */
+    clearValidationErrors() {
+        this.element.querySelectorAll('.mcp-form-group.has-error').forEach(group => {
+            group.classList.remove('has-error');
+            const errorDiv = group.querySelector('.mcp-form-error');
+            if (errorDiv) errorDiv.remove();
+        });
+
+        const generalError = this.element.querySelector('.mcp-modal-error');
+        if (generalError) generalError.remove();
+    }
+
     /**
      * Show validation errors
      */
     showValidationErrors(errors) {
         Object.keys(errors).forEach(fieldName => {
-            const field = this.element.querySelector(`[name="${fieldName}"]`);
+            const field = Array.from(this.element.querySelectorAll('[name]')).find(input => input.name === fieldName);
             if (field) {
                 const group = field.closest('.mcp-form-group');
                 if (group) {
@@ -0,0 +1,780 @@
+/**
+ * ScheduleDisplayComponent - Scheduled task display component
+ *
+ * This component renders scheduling information in plain language: one-off and
+ * recurring schedules, intervals and cron expressions, when a task runs next and
+ * how its last run went. Given an array of tasks it renders one row per task,
+ * with enable/disable toggles and "Run now" buttons for tasks that have an id.
+ *
+ * Features:
+ * - Human readable descriptions for every schedule type (including common cron patterns)
+ * - Next-run countdowns that refresh while the component is visible
+ * - Last-run status (succeeded, failed, running, skipped)
+ * - Enable/disable toggle and run-now actions routed through handleAction
+ * - Multiple display modes (compact, expanded, minimal)
+ * - Locale, time zone and 12/24 hour formatting
+ * - Built-in accessibility support
+ *
+ * Usage Example:
+ * const schedule = new ScheduleDisplayComponent(element, {
+ *   id: 'backup',
+ *   name: 'Nightly backup',
+ *   type: 'daily',
+ *   time: '02:00',
+ *   nextRun: '2024-01-16T02:00:00Z',
+ *   lastRun: { at: '2024-01-15T02:00:00Z', status: 'success' },
+ *   enabled: true
+ * }, {
+ *   schedule: {
+ *     mode: 'expanded',
+ *     dateFormat: 'relative',
+ *     toggleAction: 'toggle-task',
+ *     runAction: 'run-task'
+ *   }
+ * });
+ */
+class ScheduleDisplayComponent extends BaseComponent {
+    /**
+     * Constructor for ScheduleDisplayComponent
+     * @param {HTMLElement} element - The DOM element to attach this component to
+     * @param {Object|Array} data - A schedule object, or an array of scheduled tasks
+     * @param {Object} config - Configuration object
+     */
+    constructor(element, data = {}, config = {}) {
+        config = config || {};
+
+        // Component-specific configuration with sensible defaults
+        const componentConfig = {
+            showIcon: true,
+            showNextRun: true,
+            showLastRun: true,
+            showActions: true,
+            showTooltip: true,
+            mode: 'compact', // 'compact' | 'expanded' | 'minimal'
+            dateFormat: 'short', // 'short' | 'long' | 'relative'
+            timeFormat: '12h', // '12h' | '24h'
+            locale: 'en-US',
+            timezone: undefined, // IANA zone, defaults to the browser's
+            highlightUpcoming: false,
+            upcomingThreshold: 60, // Minutes before a run counts as upcoming
+            clickable: false,
+            refreshInterval: 30000, // How often next-run countdowns refresh (ms)
+            toggleAction: 'toggle-enabled',
+            runAction: 'run-now',
+            emptyMessage: 'No scheduled tasks',
+            ...config.schedule
+        };
+
+        super(element, data, config);
+        this.componentConfig = componentConfig;
+        this.updateInterval = null;
+        this.initialized = false;
+
+        // Initialize component after configuration is set up
+        this.init();
+    }
+
+    /**
+     * Initialize once - BaseComponent also schedules init() after construction
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+        super.init();
+    }
+
+    /**
+     * Render the schedule, or one row per task when given an array
+     */
+    render() {
+        if (this.isDestroyed) return;
+
+        try {
+            const { mode } = this.componentConfig;
+            let content;
+
+            if (Array.isArray(this.data)) {
+                const schedules = this.data.map(task => this.validateScheduleData(task));
+                content = schedules.length > 0
+                    ? schedules.map(schedule => this.renderSchedule(schedule))
+                    : this.html`<div class="schedule-empty">${this.componentConfig.emptyMessage}</div>`;
+                this.element.innerHTML = this.html`
+                    <div class="component component-schedule schedule-list mode-${mode}" role="list">
+                        ${this.trustedHtml(Array.isArray(content) ? content.join('') : content)}
+                    </div>
+                `;
+            } else {
+                const schedule = this.validateScheduleData(this.data);
+                this.element.innerHTML = this.html`
+                    <div class="component component-schedule mode-${mode}">
+                        ${this.trustedHtml(this.renderSchedule(schedule))}
+                    </div>
+                `;
+            }
+
+            this.syncAutoUpdate();
+        } catch (error) {
+            this.log('ERROR', `Failed to render schedule: ${error.message}`);
+            this.element.innerHTML = this.html`
+                <div class="component component-schedule">
+                    <div class="schedule-error" role="alert">⚠️ Invalid schedule</div>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Render a single schedule
+     * @param {Object} schedule - Validated schedule data
+     * @returns {string} HTML string
+     */
+    renderSchedule(schedule) {
+        const config = this.componentConfig;
+        const readable = this.generateHumanReadable(schedule);
+        const enabled = schedule.enabled !== false;
+
+        const classes = ['schedule-display', enabled ? 'schedule-enabled' : 'schedule-disabled'];
+        if (schedule.nextRun && enabled) {
+            if (config.highlightUpcoming && this.isUpcoming(schedule.nextRun)) {
+                classes.push('schedule-upcoming');
+            }
+            if (this.isOverdue(schedule.nextRun)) {
+                classes.push('schedule-overdue');
+            }
+        }
+
+        const attributes = [`data-schedule-type="${this.sanitize(schedule.type)}"`];
+        if (schedule.id !== undefined) {
+            attributes.push(`data-id="${this.sanitize(String(schedule.id))}"`);
+        }
+        if (Array.isArray(this.data)) {
+            attributes.push('role="listitem"');
+        } else if (config.clickable) {
+            attributes.push('role="button"', 'tabindex="0"', `aria-label="${this.sanitize(readable)}"`);
+        }
+        if (config.showTooltip) {
+            attributes.push(`title="${this.sanitize(this.generateTooltipText(schedule))}"`);
+        }
+
+        const icon = config.showIcon
+            ? this.html`<span class="schedule-icon" aria-hidden="true">${this.getScheduleIcon(schedule.type)}</span>`
+            : '';
+
+        let details;
+        if (config.mode === 'minimal') {
+            details = this.html`<span class="schedule-description">${readable}</span>`;
+        } else {
+            const frequency = config.mode === 'expanded' ? this.calculateFrequency(schedule) : '';
+            details = this.html`
+                ${schedule.name ? this.trustedHtml(this.html`<span class="schedule-name">${schedule.name}</span>`) : ''}
+                <span class="schedule-description">${readable}</span>
+                ${frequency ? this.trustedHtml(this.html`<span class="schedule-frequency">${frequency}</span>`) : ''}
+                ${config.showNextRun && schedule.nextRun ? this.trustedHtml(this.renderNextRun(schedule.nextRun)) : ''}
+                ${config.showLastRun && schedule.lastRun ? this.trustedHtml(this.renderLastRun(schedule.lastRun)) : ''}
+            `;
+        }
+
+        return `<div class="${classes.join(' ')}" ${attributes.join(' ')}>${icon}<div class="schedule-details">${details}</div>${this.renderActions(schedule)}</div>`;
+    }
+
+    /**
+     * Render the next run line
+     * @param {string} nextRun - ISO date string
+     * @returns {string} HTML string
+     */
+    renderNextRun(nextRun) {
+        return this.html`
+            <span class="next-run">
+                <span class="next-run-label">Next run:</span>
+                <time datetime="${nextRun}">${this.formatNextRun(nextRun)}</time>
+            </span>
+        `;
+    }
+
+    /**
+     * Render the last run line with its outcome
+     * @param {Object} lastRun - { at, status, message }
+     * @returns {string} HTML string
+     */
+    renderLastRun(lastRun) {
+        const labels = {
+            success: '✓ Succeeded',
+            failed: '✗ Failed',
+            running: '⟳ Running',
+            skipped: '– Skipped'
+        };
+        const when = lastRun.at ? this.formatRelativeTime(new Date(lastRun.at).getTime() - Date.now()) : '';
+
+        return this.html`
+            <span class="last-run">
+                <span class="last-run-label">Last run:</span>
+                ${when}
+                ${lastRun.status ? this.trustedHtml(this.html`<span class="last-run-status status-${lastRun.status}">${labels[lastRun.status]}</span>`) : ''}
+                ${lastRun.message ? this.trustedHtml(this.html`<span class="last-run-message">${lastRun.message}</span>`) : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * Render the enable/disable toggle and run-now button for a task
+     * @param {Object} schedule - Validated schedule data
+     * @returns {string} HTML string
+     */
+    renderActions(schedule) {
+        if (!this.componentConfig.showActions || this.componentConfig.mode === 'minimal' || schedule.id === undefined) {
+            return '';
+        }
+
+        // Read-only sessions still see the state, just not the controls
+        const canToggle = this.canPerform(this.componentConfig.toggleAction);
+        const canRun = this.canPerform(this.componentConfig.runAction);
+        if (!canToggle && !canRun) {
+            return '';
+        }
+
+        const enabled = schedule.enabled !== false;
+        const name = schedule.name || 'schedule';
+        const running = schedule.lastRun && schedule.lastRun.status === 'running';
+
+        return this.html`
+            <div class="schedule-actions">
+                ${canToggle ? this.trustedHtml(this.html`
+                    <label class="schedule-toggle">
+                        <input type="checkbox" data-action="toggle-schedule" data-id="${String(schedule.id)}"
+                            ${enabled ? 'checked' : ''} aria-label="${enabled ? 'Disable' : 'Enable'} ${name}">
+                        <span>${enabled ? 'Enabled' : 'Disabled'}</span>
+                    </label>
+                `) : ''}
+                ${canRun ? this.trustedHtml(this.html`
+                    <button type="button" class="btn btn-sm btn-run-now" data-action="run-schedule"
+                        data-id="${String(schedule.id)}" aria-label="Run ${name} now" ${running ? 'disabled' : ''}>
+                        ▶ Run now
+                    </button>
+                `) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Bind toggle, run-now and click events
+     */
+    bindEvents() {
+        super.bindEvents();
+
+        this.on('change', '[data-action="toggle-schedule"]', (e) => {
+            this.handleToggle(e.target.dataset.id, e.target.checked);
+        });
+
+        this.on('click', '[data-action="run-schedule"]', (e) => {
+            this.handleRunNow(e.target.dataset.id);
+        });
+
+        if (this.componentConfig.clickable) {
+            this.on('click', '.schedule-display', (e) => {
+                this.handleScheduleClick(e);
+            });
+
+            this.on('keydown', '.schedule-display', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.handleScheduleClick(e);
+                }
+            });
+        }
+    }
+
+    /**
+     * Enable or disable a task
+     * @param {string} id - Task id (from the DOM)
+     * @param {boolean} enabled - New state
+     */
+    async handleToggle(id, enabled) {
+        const task = this.findTask(id);
+        if (!task) return;
+
+        const label = `${task.name || 'Schedule'} ${enabled ? 'enabled' : 'disabled'}`;
+        await this.handleAction(this.componentConfig.toggleAction, { id: task.id, enabled }, {
+            optimistic: { type: 'update', id: task.id, changes: { enabled } },
+            undo: {
+                label,
+                action: this.componentConfig.toggleAction,
+                data: { id: task.id, enabled: !enabled },
+                optimistic: { type: 'update', id: task.id, changes: { enabled: !enabled } }
+            }
+        });
+    }
+
+    /**
+     * Run a task immediately
+     * @param {string} id - Task id (from the DOM)
+     */
+    async handleRunNow(id) {
+        const task = this.findTask(id);
+        if (!task) return;
+
+        await this.handleAction(this.componentConfig.runAction, { id: task.id });
+    }
+
+    /**
+     * Emit a scheduleClick event for parent components to handle
+     * @param {Event} e - Click or keydown event
+     */
+    handleScheduleClick(e) {
+        const task = this.findTask(e.target.dataset.id);
+        const customEvent = new CustomEvent('scheduleClick', {
+            detail: { schedule: task || this.data, element: e.target },
+            bubbles: true
+        });
+
+        this.element.dispatchEvent(customEvent);
+    }
+
+    /**
+     * Find a task by the id stored in the DOM (always a string there)
+     * @param {string} id - Task id
+     * @returns {Object|null} The task
+     */
+    findTask(id) {
+        if (id === undefined) return null;
+        const tasks = Array.isArray(this.data) ? this.data : [this.data];
+        return tasks.find(task => task && String(task.id) === String(id)) || null;
+    }
+
+    /**
+     * Normalize schedule data - unknown types and malformed fields are dropped
+     * @param {Object} data - Raw schedule data
+     * @returns {Object} Validated schedule
+     */
+    validateScheduleData(data) {
+        if (!data || typeof data !== 'object') {
+            return { type: 'unknown' };
+        }
+
+        const schedule = {
+            type: ScheduleDisplayComponent.TYPES.includes(data.type) ? data.type : 'unknown'
+        };
+
+        if (data.id !== undefined && data.id !== null) schedule.id = data.id;
+        if (typeof data.name === 'string') schedule.name = data.name;
+        if (typeof data.description === 'string') schedule.description = data.description;
+        if (typeof data.time === 'string' && /^\d{1,2}:\d{2}$/.test(data.time)) schedule.time = data.time;
+        if (data.weekdaysOnly) schedule.weekdaysOnly = true;
+        if (Array.isArray(data.weekdays)) {
+            schedule.weekdays = data.weekdays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        }
+        if (Number.isInteger(data.dayOfMonth) && data.dayOfMonth >= 1 && data.dayOfMonth <= 31) {
+            schedule.dayOfMonth = data.dayOfMonth;
+        }
+        if (Number.isInteger(data.month) && data.month >= 1 && data.month <= 12) schedule.month = data.month;
+        if (data.interval && typeof data.interval === 'object') schedule.interval = data.interval;
+        if (typeof data.delayMinutes === 'number' && data.delayMinutes >= 0) schedule.delayMinutes = data.delayMinutes;
+        if (this.isValidDate(data.datetime)) schedule.datetime = data.datetime;
+        if (typeof data.cronExpression === 'string' && /^[\w*,\-\/?#\s]+$/.test(data.cronExpression)) {
+            schedule.cronExpression = data.cronExpression.trim();
+        }
+        if (this.isValidDate(data.nextRun)) schedule.nextRun = data.nextRun;
+        if (typeof data.enabled === 'boolean') schedule.enabled = data.enabled;
+
+        const lastRun = typeof data.lastRun === 'string' ? { at: data.lastRun } : data.lastRun;
+        if (lastRun && typeof lastRun === 'object') {
+            schedule.lastRun = {};
+            if (this.isValidDate(lastRun.at)) schedule.lastRun.at = lastRun.at;
+            if (ScheduleDisplayComponent.RUN_STATUSES.includes(lastRun.status)) schedule.lastRun.status = lastRun.status;
+            if (typeof lastRun.message === 'string') schedule.lastRun.message = lastRun.message;
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Describe a schedule in plain language
+     * @param {Object} schedule - Validated schedule data
+     * @returns {string} e.g. "Daily at 9:00 AM (weekdays)"
+     */
+    generateHumanReadable(schedule) {
+        const at = schedule.time ? ` at ${this.formatTime(schedule.time)}` : '';
+
+        switch (schedule.type) {
+            case 'once':
+                if (schedule.delayMinutes !== undefined) {
+                    return `Once, ${this.formatRelativeTime(schedule.delayMinutes * 60000)}`;
+                }
+                return schedule.datetime ? `Once on ${this.formatDateTime(schedule.datetime)}` : 'Once';
+            case 'scheduled':
+                return schedule.datetime ? `On ${this.formatDate(schedule.datetime)} at ${this.formatClock(schedule.datetime)}` : 'Scheduled';
+            case 'daily':
+                return `Daily${at}${schedule.weekdaysOnly ? ' (weekdays)' : ''}`;
+            case 'weekly':
+                return schedule.weekdays && schedule.weekdays.length > 0
+                    ? `Weekly on ${this.formatWeekdays(schedule.weekdays)}${at}`
+                    : `Weekly${at}`;
+            case 'monthly':
+                return schedule.dayOfMonth
+                    ? `Monthly on the ${this.ordinal(schedule.dayOfMonth)}${at}`
+                    : `Monthly${at}`;
+            case 'yearly':
+                if (schedule.month && schedule.dayOfMonth) {
+                    const monthName = ScheduleDisplayComponent.MONTHS[schedule.month - 1];
+                    return `Yearly on ${monthName} ${schedule.dayOfMonth}${at}`;
+                }
+                return `Yearly${at}`;
+            case 'interval':
+                return schedule.interval ? `Every ${this.formatInterval(schedule.interval)}` : 'Repeating';
+            case 'cron': {
+                if (!schedule.cronExpression) return 'Cron schedule';
+                const description = this.describeCron(schedule.cronExpression);
+                return description
+                    ? `${description} (Cron: ${schedule.cronExpression})`
+                    : `Cron: ${schedule.cronExpression}`;
+            }
+            default:
+                return schedule.description || 'Unknown schedule';
+        }
+    }
+
+    /**
+     * Describe common five-field cron expressions
+     * @param {string} expression - e.g. "0 9 * * 1-5"
+     * @returns {string|null} Description, or null when the pattern is too involved
+     */
+    describeCron(expression) {
+        const fields = expression.split(/\s+/);
+        if (fields.length !== 5) return null;
+
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+        const isNumber = value => /^\d+$/.test(value);
+
+        let time;
+        if (isNumber(minute) && isNumber(hour)) {
+            time = `at ${this.formatTime(`${hour}:${minute.padStart(2, '0')}`)}`;
+        } else if (isNumber(minute) && hour === '*') {
+            time = `every hour at :${minute.padStart(2, '0')}`;
+        } else if (/^\*\/\d+$/.test(minute) && hour === '*') {
+            time = `every ${this.formatInterval({ minutes: Number(minute.slice(2)) })}`;
+        } else if (minute === '*' && hour === '*') {
+            time = 'every minute';
+        } else {
+            return null;
+        }
+
+        if (month !== '*') return null;
+
+        let days;
+        if (dayOfMonth === '*' && dayOfWeek === '*') {
+            days = 'every day';
+        } else if (dayOfMonth === '*' && dayOfWeek === '1-5') {
+            days = 'on weekdays';
+        } else if (dayOfMonth === '*' && /^[0-7](,[0-7])*$/.test(dayOfWeek)) {
+            days = `on ${this.formatWeekdays(dayOfWeek.split(',').map(day => Number(day) % 7))}`;
+        } else if (isNumber(dayOfMonth) && dayOfWeek === '*') {
+            days = `on the ${this.ordinal(Number(dayOfMonth))} of every month`;
+        } else {
+            return null;
+        }
+
+        const text = `${time}, ${days}`;
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Short frequency summary shown in expanded mode
+     * @param {Object} schedule - Validated schedule data
+     * @returns {string} e.g. "3 times per week"
+     */
+    calculateFrequency(schedule) {
+        switch (schedule.type) {
+            case 'once':
+            case 'scheduled':
+                return 'Once';
+            case 'interval':
+                return schedule.interval ? `Every ${this.formatInterval(schedule.interval)}` : '';
+            case 'daily':
+                return schedule.weekdaysOnly ? 'Daily (weekdays)' : 'Daily';
+            case 'weekly': {
+                const count = schedule.weekdays ? schedule.weekdays.length : 1;
+                return count > 1 ? `${count} times per week` : 'Weekly';
+            }
+            case 'monthly':
+                return 'Monthly';
+            case 'yearly':
+                return 'Yearly';
+            case 'cron':
+                return 'Custom';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Text for the hover tooltip
+     * @param {Object} schedule - Schedule data
+     * @returns {string} Multi-line tooltip text
+     */
+    generateTooltipText(schedule) {
+        const lines = [this.generateHumanReadable(schedule)];
+
+        if (schedule.nextRun) {
+            lines.push(`Next run: ${this.formatDateTime(schedule.nextRun)}`);
+        }
+        if (schedule.lastRun && schedule.lastRun.at) {
+            const outcome = schedule.lastRun.status ? ` (${schedule.lastRun.status})` : '';
+            lines.push(`Last run: ${this.formatDateTime(schedule.lastRun.at)}${outcome}`);
+        }
+        lines.push(`Status: ${schedule.enabled === false ? 'Disabled' : 'Enabled'}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format the next run in the configured date format, with a countdown
+     * @param {string} nextRun - ISO date string
+     * @returns {string} e.g. "Jan 16, 9:00 AM (in 2 hours)"
+     */
+    formatNextRun(nextRun) {
+        const countdown = this.formatRelativeTime(new Date(nextRun).getTime() - Date.now());
+        if (this.componentConfig.dateFormat === 'relative') {
+            return countdown;
+        }
+        return `${this.formatDateTime(nextRun)} (${countdown})`;
+    }
+
+    /**
+     * Format "HH:MM" in the configured 12/24 hour style
+     * @param {string} time - e.g. "15:30"
+     * @returns {string} e.g. "3:30 PM"
+     */
+    formatTime(time) {
+        const match = typeof time === 'string' && time.match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return '--:--';
+
+        const hours = Number(match[1]);
+        const minutes = match[2];
+
+        if (this.componentConfig.timeFormat === '24h') {
+            return `${String(hours).padStart(2, '0')}:${minutes}`;
+        }
+
+        const period = hours >= 12 ? 'PM' : 'AM';
+        return `${hours % 12 || 12}:${minutes} ${period}`;
+    }
+
+    /**
+     * Format a date as e.g. "January 16, 2024"
+     * Date-only strings are read as local dates so they don't shift across time zones
+     * @param {string} value - ISO date or date-time string
+     * @returns {string} Formatted date
+     */
+    formatDate(value) {
+        const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : new Date(value);
+
+        return this.formatWith(date, {
+            year: 'numeric', month: 'long', day: 'numeric',
+            timeZone: dateOnly ? undefined : this.componentConfig.timezone
+        });
+    }
+
+    /**
+     * Format a date-time in the configured date format
+     * @param {string} value - ISO date string
+     * @returns {string} Formatted date-time, or "Invalid date"
+     */
+    formatDateTime(value) {
+        const date = new Date(value);
+        const format = this.componentConfig.dateFormat;
+
+        if (format === 'relative' && !isNaN(date.getTime())) {
+            return this.formatRelativeTime(date.getTime() - Date.now());
+        }
+
+        const options = format === 'long'
+            ? { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+            : { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+
+        return this.formatWith(date, {
+            ...options,
+            hour12: this.componentConfig.timeFormat !== '24h',
+            timeZone: this.componentConfig.timezone
+        });
+    }
+
+    /**
+     * Format the time of day of a date-time
+     * @param {string} value - ISO date string
+     * @returns {string} e.g. "2:30 PM"
+     */
+    formatClock(value) {
+        return this.formatWith(new Date(value), {
+            hour: 'numeric', minute: '2-digit',
+            hour12: this.componentConfig.timeFormat !== '24h',
+            timeZone: this.componentConfig.timezone
+        });
+    }
+
+    /**
+     * Format a date with Intl, tolerating invalid dates and time zones
+     * @param {Date} date - Date to format
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted value, or "Invalid date"
+     */
+    formatWith(date, options) {
+        if (isNaN(date.getTime())) return 'Invalid date';
+
+        try {
+            return date.toLocaleString(this.componentConfig.locale, options);
+        } catch (error) {
+            // Unknown locale or time zone - fall back to the browser defaults
+            this.log('WARN', `Date formatting failed: ${error.message}`);
+            return date.toLocaleString();
+        }
+    }
+
+    /**
+     * Format an offset from now
+     * @param {number} ms - Milliseconds from now (negative for the past)
+     * @returns {string} e.g. "in 5 minutes" or "5 minutes ago"
+     */
+    formatRelativeTime(ms) {
+        const abs = Math.abs(ms);
+        const units = [
+            ['day', 86400000],
+            ['hour', 3600000],
+            ['minute', 60000]
+        ];
+
+        const unit = units.find(([, size]) => abs >= size);
+        if (!unit) {
+            return ms >= 0 ? 'in less than a minute' : 'just now';
+        }
+
+        const count = Math.round(abs / unit[1]);
+        const text = `${count} ${unit[0]}${count === 1 ? '' : 's'}`;
+        return ms >= 0 ? `in ${text}` : `${text} ago`;
+    }
+
+    /**
+     * Format an interval object
+     * @param {Object} interval - { weeks, days, hours, minutes, seconds }
+     * @returns {string} e.g. "1 hour 30 minutes"
+     */
+    formatInterval(interval) {
+        const parts = ['weeks', 'days', 'hours', 'minutes', 'seconds']
+            .filter(unit => typeof interval[unit] === 'number' && interval[unit] > 0)
+            .map(unit => {
+                const count = interval[unit];
+                return `${count} ${count === 1 ? unit.slice(0, -1) : unit}`;
+            });
+
+        return parts.length > 0 ? parts.join(' ') : 'interval';
+    }
+
+    /**
+     * Format weekday numbers (0 = Sunday) as a list of names
+     * @param {Array<number>} weekdays - Day numbers
+     * @returns {string} e.g. "Monday, Wednesday and Friday"
+     */
+    formatWeekdays(weekdays) {
+        const names = weekdays.map(day => ScheduleDisplayComponent.WEEKDAYS[day]).filter(Boolean);
+        if (names.length <= 1) return names.join('');
+        return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+
+    /**
+     * @param {number} n - Day of month
+     * @returns {string} e.g. "15th"
+     */
+    ordinal(n) {
+        const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+        return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+    }
+
+    /**
+     * Icon for a schedule type
+     * @param {string} type - Schedule type
+     * @returns {string} Emoji icon
+     */
+    getScheduleIcon(type) {
+        const icons = {
+            once: '⏰',
+            scheduled: '📅',
+            interval: '🔄',
+            daily: '📆',
+            weekly: '📊',
+            monthly: '📋',
+            yearly: '🗓️',
+            cron: '⚙️'
+        };
+        return icons[type] || '❓';
+    }
+
+    /**
+     * Whether a run time has passed
+     * @param {string} time - ISO date string
+     * @returns {boolean}
+     */
+    isOverdue(time) {
+        const date = new Date(time);
+        return !isNaN(date.getTime()) && date.getTime() < Date.now();
+    }
+
+    /**
+     * Whether a run time falls within the upcoming threshold
+     * @param {string} time - ISO date string
+     * @returns {boolean}
+     */
+    isUpcoming(time) {
+        const remaining = new Date(time).getTime() - Date.now();
+        return remaining >= 0 && remaining <= this.componentConfig.upcomingThreshold * 60000;
+    }
+
+    isValidDate(value) {
+        return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    }
+
+    /**
+     * Refresh countdowns while a next run is shown, stop otherwise
+     */
+    syncAutoUpdate() {
+        const schedules = Array.isArray(this.data) ? this.data : [this.data];
+        const needed = this.componentConfig.showNextRun && this.componentConfig.mode !== 'minimal' &&
+            schedules.some(schedule => schedule && this.isValidDate(schedule.nextRun));
+
+        if (needed && !this.updateInterval) {
+            this.updateInterval = setInterval(() => this.render(), this.componentConfig.refreshInterval);
+        } else if (!needed) {
+            this.stopAutoUpdate();
+        }
+    }
+
+    stopAutoUpdate() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+    }
+
+    /**
+     * Clean up the countdown timer
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+
+        this.stopAutoUpdate();
+        super.destroy();
+    }
+}
+
+ScheduleDisplayComponent.TYPES = ['once', 'scheduled', 'interval', 'daily', 'weekly', 'monthly', 'yearly', 'cron'];
+ScheduleDisplayComponent.RUN_STATUSES = ['success', 'failed', 'running', 'skipped'];
+ScheduleDisplayComponent.WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+ScheduleDisplayComponent.MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Make the component available globally for tests and framework
+if (typeof global !== 'undefined') {
+    global.ScheduleDisplayComponent = ScheduleDisplayComponent;
+} else if (typeof window !== 'undefined') {
+    window.ScheduleDisplayComponent = ScheduleDisplayComponent;
+}
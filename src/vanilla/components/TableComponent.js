@@ -33,6 +33,9 @@
  * - pageSize: Items per page (default: 20)
  * - selectable: Enable row selection (default: false)
  * - exportable: Enable data export (default: false)
+ *
+ * With config.serverSide, sorting, filtering and pagination are sent to the
+ * server as a /data query and this.data holds only the current page.
  */
 class TableComponent extends BaseComponent {
     /**
@@ -113,10 +116,40 @@ class TableComponent extends BaseComponent {
     render() {
         if (this.isDestroyed) return;
 
+        this.element.innerHTML = this.renderMarkup();
+    }
+
+    /**
+     * Apply a data patch by morphing the existing DOM row-by-row
+     * Keeps filter input focus, scroll position and unchanged rows intact
+     */
+    renderPatch(patch, oldData) {
+        if (this.isDestroyed) return;
+
+        // Drop selections for rows that no longer exist
+        (patch.removed || []).forEach(id => {
+            this.tableState.selectedRows.delete(id);
+            this.tableState.selectedRows.delete(String(id));
+        });
+
+        // Stay on the last page if removals shortened the table
+        this.processData();
+        const totalPages = Math.max(1, Math.ceil(this.getFilteredCount() / this.tableConfig.pageSize));
+        if (this.tableState.currentPage > totalPages) {
+            this.tableState.currentPage = totalPages;
+        }
+
+        this.morphElement(this.renderMarkup());
+    }
+
+    /**
+     * Build the complete table markup
+     */
+    renderMarkup() {
         // Process data for display
         this.processData();
 
-        this.element.innerHTML = this.html`
+        return this.html`
             <div class="component component-table">
                 ${this.trustedHtml(this.renderHeader())}
                 ${this.trustedHtml(this.renderFilters())}
@@ -146,9 +179,10 @@ class TableComponent extends BaseComponent {
                             <strong>${this.tableState.selectedRows.size}</strong> selected
                         </span>
                     ` : ''}
+                    ${this.trustedHtml(this.renderSyncBadge())}
                 </div>
                 <div class="table-controls">
-                    ${this.config.actions ? this.trustedHtml(this.config.actions.filter(action => action.type === 'button').map(action => `
+                    ${this.config.actions ? this.trustedHtml(this.config.actions.filter(action => action.type === 'button' && this.canPerform(action.id)).map(action => `
                         <button class="btn-action btn-${action.type}" 
                                 data-action="global-action" 
                                 data-action-id="${action.id}"
@@ -447,7 +481,7 @@ class TableComponent extends BaseComponent {
                 data-row-id="${rowId}"
                 data-column="${column.key}"
                 ${isChecked ? 'checked' : ''}
-                ${column.readonly ? 'disabled' : ''}
+                ${column.readonly || !this.canPerform('toggle-cell') ? 'disabled' : ''}
             >
         `;
     }
@@ -456,7 +490,8 @@ class TableComponent extends BaseComponent {
      * Render actions cell with buttons
      */
     renderActionsCell(value, row, column) {
-        const actions = column.actions || [];
+        // Sessions that can't run row actions (e.g. read-only shares) get no buttons
+        const actions = this.canPerform('row-action') ? column.actions || [] : [];
 
         return this.html`
             <div class="cell-actions">
@@ -517,7 +552,7 @@ class TableComponent extends BaseComponent {
     renderPagination() {
         if (!this.shouldShowPagination()) return '';
 
-        const totalPages = Math.ceil(this.filteredData.length / this.tableConfig.pageSize);
+        const totalPages = Math.ceil(this.getFilteredCount() / this.tableConfig.pageSize);
         const currentPage = this.tableState.currentPage;
 
         return this.html`
@@ -607,6 +642,7 @@ class TableComponent extends BaseComponent {
         }
 
         const selectedCount = this.tableState.selectedRows.size;
+        const bulkActions = this.canPerform('bulk-action') ? this.config.bulkActions || [] : [];
 
         return this.html`
             <div class="bulk-actions">
@@ -617,7 +653,7 @@ class TableComponent extends BaseComponent {
                     <button class="btn-bulk btn-deselect" data-action="deselect-all">
                         Deselect All
                     </button>
-                    ${this.trustedHtml(this.config.bulkActions?.map(action => `
+                    ${this.trustedHtml(bulkActions.map(action => `
                         <button 
                             class="btn-bulk btn-${action.type}"
                             data-action="bulk-action"
@@ -625,7 +661,7 @@ class TableComponent extends BaseComponent {
                         >
                             ${action.label}
                         </button>
-                    `).join('') || '')}
+                    `).join(''))}
                 </div>
             </div>
         `;
@@ -725,6 +761,12 @@ class TableComponent extends BaseComponent {
      * Process data for sorting and filtering
      */
     processData() {
+        // The server already filtered, sorted and paged
+        if (this.config.serverSide) {
+            this.filteredData = [...this.data];
+            return;
+        }
+
         let processed = [...this.data];
 
         // Apply filtering
@@ -794,6 +836,10 @@ class TableComponent extends BaseComponent {
      * Get current page data
      */
     getCurrentPageData() {
+        if (this.config.serverSide) {
+            return this.filteredData;
+        }
+
         const start = (this.tableState.currentPage - 1) * this.tableConfig.pageSize;
         const end = start + this.tableConfig.pageSize;
         return this.filteredData.slice(start, end);
@@ -814,6 +860,7 @@ class TableComponent extends BaseComponent {
 
         this.tableState.currentPage = 1; // Reset to first page
         this.render();
+        this.refreshServerData();
     }
 
     /**
@@ -823,6 +870,7 @@ class TableComponent extends BaseComponent {
         this.tableState.filterQuery = query;
         this.tableState.currentPage = 1; // Reset to first page
         this.render();
+        this.refreshServerData(true);
     }
 
     /**
@@ -832,19 +880,49 @@ class TableComponent extends BaseComponent {
         this.tableState.filterQuery = '';
         this.tableState.currentPage = 1;
         this.render();
+        this.refreshServerData();
     }
 
     /**
      * Go to specific page
      */
     goToPage(page) {
-        const totalPages = Math.ceil(this.filteredData.length / this.tableConfig.pageSize);
+        const totalPages = Math.ceil(this.getFilteredCount() / this.tableConfig.pageSize);
         if (page >= 1 && page <= totalPages) {
             this.tableState.currentPage = page;
             this.render();
+            this.refreshServerData();
+        }
+    }
+
+    /**
+     * Fetch the page for the current table state in server-side mode
+     * @param {boolean} debounce - Wait for typing to pause first
+     */
+    refreshServerData(debounce = false) {
+        if (!this.config.serverSide) return;
+
+        if (debounce) {
+            this.scheduleFetch();
+        } else {
+            this.fetchData();
         }
     }
 
+    /**
+     * Server query for the current page, sort and filter
+     */
+    getDataQuery() {
+        const { currentPage, sortColumn, sortDirection, filterQuery } = this.tableState;
+
+        return {
+            page: currentPage,
+            pageSize: this.tableConfig.pageSize,
+            sort: sortColumn ? `${sortColumn}:${sortDirection}` : null,
+            filter: filterQuery.trim()
+        };
+    }
+
     /**
      * Handle select all checkbox
      */
@@ -891,8 +969,20 @@ class TableComponent extends BaseComponent {
      * Handle cell toggle action
      */
     async handleCellToggle(rowId, column, value) {
+        const row = this.data.find(item => String(this.getPatchKey(item)) === String(rowId));
+        const previous = row ? row[column] : !value;
+        const columnLabel = this.tableConfig.columns.find(col => col.key === column)?.label || column;
+
         try {
-            await this.handleAction('toggle-cell', { rowId, column, value });
+            await this.handleAction('toggle-cell', { rowId, column, value }, {
+                optimistic: { type: 'update', id: rowId, changes: { [column]: value } },
+                undo: {
+                    label: `${columnLabel} ${value ? 'checked' : 'unchecked'}`,
+                    action: 'toggle-cell',
+                    data: { rowId, column, value: previous },
+                    optimistic: { type: 'update', id: rowId, changes: { [column]: previous } }
+                }
+            });
         } catch (error) {
             this.handleError(error);
         }
@@ -903,7 +993,8 @@ class TableComponent extends BaseComponent {
      */
     async handleRowAction(rowId, actionType) {
         try {
-            await this.handleAction('row-action', { rowId, actionType });
+            // Undoable when the server's handler returns an undo action
+            await this.handleAction('row-action', { rowId, actionType }, { undo: { label: `${actionType} done` } });
         } catch (error) {
             this.handleError(error);
         }
@@ -916,7 +1007,9 @@ class TableComponent extends BaseComponent {
         const selectedIds = Array.from(this.tableState.selectedRows);
 
         try {
-            await this.handleAction('bulk-action', { actionType, rowIds: selectedIds });
+            await this.handleAction('bulk-action', { actionType, rowIds: selectedIds }, {
+                undo: { label: `${actionType} applied to ${selectedIds.length} rows` }
+            });
             this.tableState.selectedRows.clear();
             this.render();
         } catch (error) {
@@ -1056,8 +1149,8 @@ class TableComponent extends BaseComponent {
      */
     calculateStats() {
         return {
-            total: this.data.length,
-            filtered: this.filteredData.length,
+            total: this.config.serverSide ? this.getFilteredCount() : this.data.length,
+            filtered: this.getFilteredCount(),
             selected: this.tableState.selectedRows.size
         };
     }
@@ -1066,7 +1159,17 @@ class TableComponent extends BaseComponent {
      * Check if pagination should be shown
      */
     shouldShowPagination() {
-        return this.filteredData.length > this.tableConfig.pageSize;
+        return this.getFilteredCount() > this.tableConfig.pageSize;
+    }
+
+    /**
+     * Number of rows matching the current filter, across all pages
+     */
+    getFilteredCount() {
+        if (this.config.serverSide) {
+            return this.serverTotal ?? this.data.length;
+        }
+        return this.filteredData.length;
     }
 
     /**
@@ -1087,8 +1190,9 @@ class TableComponent extends BaseComponent {
      */
     getPageRangeText() {
         const start = (this.tableState.currentPage - 1) * this.tableConfig.pageSize + 1;
-        const end = Math.min(start + this.tableConfig.pageSize - 1, this.filteredData.length);
-        return `${start}-${end} of ${this.filteredData.length}`;
+        const total = this.getFilteredCount();
+        const end = Math.min(start + this.tableConfig.pageSize - 1, total);
+        return `${start}-${end} of ${total}`;
     }
 
     /**
@@ -0,0 +1,162 @@
+/**
+ * ActionHistory - Undo/redo stack for reversible user actions
+ *
+ * Components record an entry after each reversible action. An entry holds the
+ * step that reverses the action and the step that repeats it, plus a `run`
+ * function that performs a step and may hand back a replacement for the opposite
+ * step (the server issues a fresh undo token every time an action runs).
+ *
+ * One history is shared by all components of a session, so Ctrl+Z undoes the
+ * most recent action wherever it happened - see ActionHistory.forSession()
+ */
+class ActionHistory {
+    /**
+     * @param {number} limit - Most entries to keep
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.past = [];
+        this.future = [];
+        this.busy = false;
+        this.keyHandler = null;
+        this.keyTarget = null;
+    }
+
+    /**
+     * The shared history for a session
+     * @param {string} sessionKey - Session token
+     * @returns {ActionHistory}
+     */
+    static forSession(sessionKey) {
+        if (!ActionHistory.instances.has(sessionKey)) {
+            ActionHistory.instances.set(sessionKey, new ActionHistory());
+        }
+        return ActionHistory.instances.get(sessionKey);
+    }
+
+    get canUndo() {
+        return this.past.length > 0;
+    }
+
+    get canRedo() {
+        return this.future.length > 0;
+    }
+
+    /**
+     * Add a completed action - clears anything that could have been redone
+     * @param {Object} entry - { label, undo, redo, run(step), owner }
+     * @returns {Object} The entry
+     */
+    record(entry) {
+        this.past.push(entry);
+        if (this.past.length > this.limit) {
+            this.past.shift();
+        }
+        this.future = [];
+        return entry;
+    }
+
+    /**
+     * Reverse the most recent action
+     * @param {Object} entry - Only undo if this is still the most recent entry (e.g. from its toast)
+     * @returns {Promise<boolean>} Whether anything was undone
+     */
+    undo(entry) {
+        return this.step(this.past, this.future, 'undo', 'redo', entry);
+    }
+
+    /**
+     * Repeat the most recently undone action
+     * @returns {Promise<boolean>} Whether anything was redone
+     */
+    redo() {
+        return this.step(this.future, this.past, 'redo', 'undo');
+    }
+
+    async step(from, to, direction, opposite, expected) {
+        const entry = from[from.length - 1];
+        if (this.busy || !entry || (expected && entry !== expected)) {
+            return false;
+        }
+
+        this.busy = true;
+        from.pop();
+
+        try {
+            const replacement = await entry.run(entry[direction]);
+            if (replacement) {
+                entry[opposite] = replacement;
+            }
+            to.push(entry);
+            return true;
+        } catch (error) {
+            // The entry can't be trusted any more (already undone elsewhere, expired token)
+            return false;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Drop entries recorded by a component that's going away
+     * @param {Object} owner - Component that recorded the entries
+     */
+    forget(owner) {
+        const keep = entry => entry.owner !== owner;
+        this.past = this.past.filter(keep);
+        this.future = this.future.filter(keep);
+    }
+
+    /**
+     * Undo with Ctrl+Z (Cmd+Z), redo with Ctrl+Shift+Z or Ctrl+Y
+     * Text fields keep their own undo. Safe to call more than once.
+     * @param {Document|HTMLElement} target - Where to listen
+     */
+    bindKeyboard(target = document) {
+        if (this.keyHandler) return;
+
+        this.keyTarget = target;
+        this.keyHandler = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            if (ActionHistory.isTextInput(event.target)) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey && this.canUndo) {
+                event.preventDefault();
+                this.undo();
+            } else if (((key === 'z' && event.shiftKey) || key === 'y') && this.canRedo) {
+                event.preventDefault();
+                this.redo();
+            }
+        };
+        target.addEventListener('keydown', this.keyHandler);
+    }
+
+    unbindKeyboard() {
+        if (!this.keyHandler) return;
+
+        this.keyTarget.removeEventListener('keydown', this.keyHandler);
+        this.keyHandler = null;
+        this.keyTarget = null;
+    }
+
+    static isTextInput(element) {
+        if (!element || !element.tagName) return false;
+        const tag = element.tagName.toLowerCase();
+        return tag === 'textarea' || tag === 'select' || element.isContentEditable ||
+            (tag === 'input' && !['checkbox', 'radio', 'button', 'submit'].includes(element.type));
+    }
+}
+
+// Histories keyed by session token
+ActionHistory.instances = new Map();
+
+// Export for module systems (when used with build tools)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionHistory;
+}
+
+// Make available globally for vanilla JS usage
+if (typeof window !== 'undefined') {
+    window.ActionHistory = ActionHistory;
+}
@@ -0,0 +1,173 @@
+/**
+ * ActionOutbox - Persistent queue of actions made while offline
+ *
+ * Actions that can't reach the server are kept in localStorage (one queue per
+ * session) and replayed in order once the connection is back. Every entry keeps
+ * the idempotency key it was first sent with, so the server runs an action only
+ * once even if the original request got through before the connection dropped.
+ *
+ * One outbox is shared by all components of a session - see ActionOutbox.forSession()
+ */
+class ActionOutbox {
+    /**
+     * @param {string} sessionKey - Session the queued actions belong to
+     * @param {Storage|null} storage - Where to persist the queue (defaults to localStorage, if usable)
+     */
+    constructor(sessionKey, storage = ActionOutbox.getDefaultStorage()) {
+        this.storageKey = `mcp-outbox:${sessionKey}`;
+        this.storage = storage;
+        this.entries = this.load();
+        this.listeners = new Set();
+        this.replaying = null;
+    }
+
+    /**
+     * The shared outbox for a session
+     * @param {string} sessionKey - Session token
+     * @returns {ActionOutbox}
+     */
+    static forSession(sessionKey) {
+        if (!ActionOutbox.instances.has(sessionKey)) {
+            ActionOutbox.instances.set(sessionKey, new ActionOutbox(sessionKey));
+        }
+        return ActionOutbox.instances.get(sessionKey);
+    }
+
+    /**
+     * localStorage, or null when it's unavailable (private mode, sandboxed frames)
+     * Without storage the queue still works but doesn't survive a reload
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Number of actions waiting to be sent
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Queue an action for replay
+     * @param {string} action - Action type
+     * @param {Object} data - Sanitized action data
+     * @param {string} idempotencyKey - Key the action was (or would have been) first sent with
+     * @returns {Object} The queued entry
+     */
+    enqueue(action, data, idempotencyKey) {
+        const entry = { action, data, idempotencyKey, queuedAt: new Date().toISOString() };
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Drop a queued action
+     * @param {string} idempotencyKey - Key of the entry to remove
+     */
+    remove(idempotencyKey) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.idempotencyKey !== idempotencyKey);
+        if (this.entries.length !== count) {
+            this.save();
+        }
+    }
+
+    /**
+     * Send queued actions in order
+     * Stops at the first error that may go away (network down, client rate limit)
+     * and leaves the rest queued; any other outcome - success or rejection by
+     * the server - removes the entry.
+     * Concurrent calls share the replay that's already running.
+     *
+     * @param {Function} send - async (entry) => result; rejects with error.isNetworkError when offline
+     * @param {Function} onRejected - Called with (entry, error) for actions the server refused
+     * @returns {Promise<boolean>} Whether the queue is empty afterwards
+     */
+    replay(send, onRejected = () => { }) {
+        if (!this.replaying) {
+            this.replaying = this.drain(send, onRejected).finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async drain(send, onRejected) {
+        while (this.entries.length > 0) {
+            const entry = this.entries[0];
+
+            try {
+                const result = await send(entry);
+                if (result && result.success === false) {
+                    onRejected(entry, new Error(result.error || 'Action failed'));
+                }
+            } catch (error) {
+                if (error.isNetworkError || error.isRateLimited) {
+                    return false;
+                }
+                onRejected(entry, error);
+            }
+
+            this.remove(entry.idempotencyKey);
+        }
+
+        return true;
+    }
+
+    /**
+     * Be told whenever the queue changes
+     * @param {Function} listener - Called with the queue size
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    load() {
+        if (!this.storage) return [];
+
+        try {
+            const entries = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save() {
+        if (this.storage) {
+            try {
+                if (this.entries.length > 0) {
+                    this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+                } else {
+                    this.storage.removeItem(this.storageKey);
+                }
+            } catch (error) {
+                // Quota exceeded - the queue is still kept in memory
+                console.warn('ActionOutbox: failed to persist queued actions', error);
+            }
+        }
+
+        this.listeners.forEach(listener => listener(this.entries.length));
+    }
+}
+
+// Outboxes keyed by session token
+ActionOutbox.instances = new Map();
+
+// Export for module systems (when used with build tools)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionOutbox;
+}
+
+// Make available globally for vanilla JS usage
+if (typeof window !== 'undefined') {
+    window.ActionOutbox = ActionOutbox;
+}
@@ -8,7 +8,7 @@
  * - Efficient DOM updates with smart diffing
  * - Secure event handling with validation
  * - Session-based authentication
- * - Real-time data polling with optimizations
+ * - Real-time updates via WebSocket or Server-Sent Events with polling fallback
  * 
  * SECURITY FEATURES:
  * - All user input is automatically sanitized
@@ -33,6 +33,17 @@ class BaseComponent {
      * @param {string} config.sessionToken - Authentication token for API calls
      * @param {number} config.pollInterval - How often to poll for data updates (ms)
      * @param {string} config.apiBase - Base URL for API endpoints
+     * @param {boolean} config.useEventStream - Prefer the /events push channel over polling
+     * @param {boolean} config.useWebSocket - Use the bidirectional /ws channel for updates and actions
+     * @param {boolean} config.useDelta - Fetch only changed items (/data?since=<version>)
+     * @param {number} config.dataVersion - Server data version of the initial data
+     * @param {string} config.dataSource - Named data source to fetch from (/data/<name>) instead of the default
+     * @param {boolean} config.serverSide - Page, sort and filter on the server (/data?page=&pageSize=&sort=&filter=)
+     * @param {boolean} config.useOutbox - Queue actions made while offline and replay them on reconnect (needs ActionOutbox)
+     * @param {boolean} config.useHistory - Record undoable actions for Undo toasts and Ctrl+Z (needs ActionHistory)
+     * @param {Array} config.scopes - Session scopes (read, write, delete, admin); null for an unrestricted session
+     * @param {Object} config.actionScopes - Scopes each server-registered action needs, keyed by action name
+     * @param {string} config.serverInstance - Id of the server that rendered the page, to notice restarts
      * @param {Object} config.security - Security configuration options
      */
     constructor(element, data = [], config = {}) {
@@ -45,6 +56,17 @@ class BaseComponent {
             pollInterval: 2000,
             apiBase: '/api',
             maxRetries: 3,
+            useEventStream: true,
+            useWebSocket: false,
+            useDelta: true,
+            dataVersion: null,
+            dataSource: null,
+            serverSide: false,
+            useOutbox: true,
+            useHistory: true,
+            scopes: null,
+            actionScopes: {},
+            serverInstance: null,
             rateLimitWindow: 5000, // 5 seconds
             maxActionsPerWindow: 10,
             security: {
@@ -59,6 +81,9 @@ class BaseComponent {
         // Event management
         this.listeners = new Map();
         this.pollingInterval = null;
+        this.visibilityHandler = null;
+        this.eventStream = null;
+        this.webSocket = null;
         this.retryCount = 0;
 
         // Rate limiting for security
@@ -67,6 +92,28 @@ class BaseComponent {
         // State management
         this.isDestroyed = false;
         this.lastDataHash = null;
+        this.dataVersion = this.config.dataVersion;
+        this.serverInstance = this.config.serverInstance;
+
+        // Server-side paging state
+        this.serverTotal = null;
+        this.fetchSequence = 0;
+        this.fetchTimer = null;
+
+        // Optimistic updates awaiting the server
+        this.pendingOptimistic = new Set();
+        this.settledInserts = new Set();
+        this.deferredFetch = false;
+
+        // Offline action queue, shared by all components of the session
+        const Outbox = typeof window !== 'undefined' ? window.ActionOutbox : undefined;
+        this.outbox = this.config.useOutbox && Outbox ? Outbox.forSession(this.config.sessionToken) : null;
+        this.outboxUnsubscribe = null;
+        this.onlineHandler = null;
+
+        // Undo/redo history, shared by all components of the session
+        const History = typeof window !== 'undefined' ? window.ActionHistory : undefined;
+        this.history = this.config.useHistory && History ? History.forSession(this.config.sessionToken) : null;
 
         // XSS protection character map
         this.escapeMap = {
@@ -100,6 +147,8 @@ class BaseComponent {
             this.render();
             this.bindEvents();
             this.startPolling();
+            this.startOutbox();
+            if (this.history) this.history.bindKeyboard(document);
             this.log('INFO', `Component initialized on element: ${this.element.id || this.element.className}`);
         } catch (error) {
             this.log('ERROR', `Failed to initialize component: ${error.message}`);
@@ -250,6 +299,299 @@ class BaseComponent {
         }
     }
 
+    /**
+     * Apply a versioned patch from /data?since=<version>
+     * Merges added/changed/removed items into this.data, then lets the
+     * component update the DOM incrementally via renderPatch()
+     *
+     * @param {Object} patch - { added: [], changed: [], removed: [ids] }
+     */
+    applyPatch(patch) {
+        if (this.isDestroyed) return;
+
+        const added = patch.added || [];
+        const changed = patch.changed || [];
+        const removed = patch.removed || [];
+
+        if (added.length === 0 && changed.length === 0 && removed.length === 0) {
+            return;
+        }
+
+        const removedKeys = new Set(removed.map(id => String(id)));
+        const replacements = new Map(
+            [...changed, ...added].map(item => [String(this.getPatchKey(item)), item])
+        );
+
+        // Replace in place to keep the existing order, then append new items
+        const newData = this.data
+            .filter(item => !removedKeys.has(String(this.getPatchKey(item))))
+            .map(item => {
+                const key = String(this.getPatchKey(item));
+                const replacement = replacements.get(key);
+                replacements.delete(key);
+                return replacement || item;
+            });
+        newData.push(...replacements.values());
+
+        if (this.commitPatchedData(newData, patch)) {
+            this.log('DEBUG', `Applied patch: +${added.length} ~${changed.length} -${removed.length}`);
+        }
+    }
+
+    /**
+     * Swap in patched data and update the DOM incrementally, rolling back if rendering fails
+     * @param {Array} newData - Data with the patch applied
+     * @param {Object} patch - { added, changed, removed } passed on to renderPatch()
+     * @returns {boolean} True if the new data was rendered
+     */
+    commitPatchedData(newData, patch) {
+        const oldData = this.data;
+        this.data = newData;
+        this.lastDataHash = this.hashData(newData);
+
+        try {
+            this.renderPatch(patch, oldData);
+            return true;
+        } catch (error) {
+            this.data = oldData;
+            this.lastDataHash = this.hashData(oldData);
+            this.log('ERROR', `Failed to apply patch: ${error.message}`);
+            this.handleError(error);
+            return false;
+        }
+    }
+
+    /**
+     * Apply an action's local effect right away, before the server confirms it
+     *
+     * Effects:
+     * - { type: 'toggle', id, field, value? } - flip (or set) a boolean field
+     * - { type: 'update', id, changes } - merge changes into an item
+     * - { type: 'remove', id } - remove an item
+     * - { type: 'insert', item } - append an item (given a temporary id if it has none)
+     *
+     * @param {Object} effect - Local effect of the action
+     * @returns {Object|null} { settle(), rollback() } handle, or null if the item wasn't found
+     */
+    applyOptimisticUpdate(effect) {
+        if (this.isDestroyed || !effect || !Array.isArray(this.data)) return null;
+
+        const keyOf = item => String(this.getPatchKey(item));
+        const id = String(effect.id);
+        let revert;
+        let insertedKey = null;
+
+        switch (effect.type) {
+            case 'toggle':
+            case 'update': {
+                const original = this.data.find(item => keyOf(item) === id);
+                if (!original) return null;
+
+                const changes = effect.type === 'toggle'
+                    ? { [effect.field]: effect.value ?? !original[effect.field] }
+                    : effect.changes;
+                this.applyPatch({ added: [], changed: [{ ...original, ...changes }], removed: [] });
+                revert = () => this.applyPatch({ added: [], changed: [original], removed: [] });
+                break;
+            }
+            case 'remove': {
+                const index = this.data.findIndex(item => keyOf(item) === id);
+                if (index === -1) return null;
+
+                const original = this.data[index];
+                this.applyPatch({ added: [], changed: [], removed: [this.getPatchKey(original)] });
+                revert = () => {
+                    if (this.data.some(item => keyOf(item) === id)) return;
+                    // Put the item back where it was
+                    const restored = [...this.data];
+                    restored.splice(Math.min(index, restored.length), 0, original);
+                    this.commitPatchedData(restored, { added: [original], changed: [], removed: [] });
+                };
+                break;
+            }
+            case 'insert': {
+                const item = { ...effect.item };
+                if (this.getPatchKey(item) === undefined) {
+                    item.id = `optimistic-${++BaseComponent.optimisticSequence}`;
+                }
+                insertedKey = keyOf(item);
+                this.applyPatch({ added: [item], changed: [], removed: [] });
+                revert = () => this.removeItemsByKey([insertedKey]);
+                break;
+            }
+            default:
+                this.log('WARN', `Unknown optimistic effect: ${effect.type}`);
+                return null;
+        }
+
+        const handle = {
+            // Server confirmed - the refetch replaces any temporary item
+            settle: () => {
+                if (!this.pendingOptimistic.delete(handle)) return;
+                if (insertedKey) this.settledInserts.add(insertedKey);
+            },
+            // Server rejected - undo the local effect
+            rollback: () => {
+                if (!this.pendingOptimistic.delete(handle) || this.isDestroyed) return;
+                revert();
+                if (this.pendingOptimistic.size === 0 && this.deferredFetch) {
+                    this.fetchData();
+                }
+            }
+        };
+
+        this.pendingOptimistic.add(handle);
+        return handle;
+    }
+
+    /**
+     * Remove items by patch key, skipping keys that are already gone
+     * @param {Array<string>} keys - String patch keys
+     */
+    removeItemsByKey(keys) {
+        if (this.isDestroyed || !Array.isArray(this.data)) return;
+
+        const present = new Set(keys.filter(key => this.data.some(item => String(this.getPatchKey(item)) === key)));
+        if (present.size === 0) return;
+
+        const removed = this.data.filter(item => present.has(String(this.getPatchKey(item))));
+        this.commitPatchedData(
+            this.data.filter(item => !present.has(String(this.getPatchKey(item)))),
+            { added: [], changed: [], removed: removed.map(item => this.getPatchKey(item)) }
+        );
+    }
+
+    /**
+     * Tell the user an optimistic change was undone
+     * @param {string} action - Action that failed
+     * @param {Error} error - Why it failed
+     */
+    notifyRollback(action, error) {
+        this.showNotification(`Couldn't complete "${action}" - change undone: ${this.describeError(error)}`, 'error', 5000);
+    }
+
+    /**
+     * Item identity used by patches - must match the server's DataVersionTracker
+     * @param {Object} item - Data item
+     * @returns {string|number} Item id
+     */
+    getPatchKey(item) {
+        return item.id ?? item._id;
+    }
+
+    /**
+     * Update the DOM after applyPatch() has merged a patch into this.data
+     * Components that can update incrementally override this; the default re-renders
+     *
+     * @param {Object} patch - The applied patch
+     * @param {Array} oldData - Data before the patch
+     */
+    renderPatch(patch, oldData) {
+        this.render();
+    }
+
+    /**
+     * Morph the component's DOM to match new markup, reusing existing nodes
+     * Children with data-id / data-row-id are matched by key, so unchanged items
+     * keep their nodes - and with them focus, scroll position and input state
+     *
+     * @param {string} markup - Full component markup, as render() would set it
+     */
+    morphElement(markup) {
+        const template = document.createElement('template');
+        template.innerHTML = markup;
+        this.morphChildren(this.element, template.content);
+    }
+
+    /**
+     * Morph one node to match another
+     * @param {Node} oldNode - Live node
+     * @param {Node} newNode - Target node
+     */
+    morphNode(oldNode, newNode) {
+        if (oldNode.nodeType !== newNode.nodeType || oldNode.nodeName !== newNode.nodeName) {
+            oldNode.replaceWith(newNode.cloneNode(true));
+            return;
+        }
+
+        if (oldNode.nodeType !== Node.ELEMENT_NODE) {
+            if (oldNode.nodeValue !== newNode.nodeValue) {
+                oldNode.nodeValue = newNode.nodeValue;
+            }
+            return;
+        }
+
+        if (oldNode.isEqualNode(newNode)) {
+            return;
+        }
+
+        for (const attr of Array.from(oldNode.attributes)) {
+            if (!newNode.hasAttribute(attr.name)) {
+                oldNode.removeAttribute(attr.name);
+            }
+        }
+        for (const attr of Array.from(newNode.attributes)) {
+            if (oldNode.getAttribute(attr.name) !== attr.value) {
+                oldNode.setAttribute(attr.name, attr.value);
+            }
+        }
+
+        // The checked attribute stops driving the property once the user has clicked
+        if (oldNode.nodeName === 'INPUT' && (oldNode.type === 'checkbox' || oldNode.type === 'radio')) {
+            oldNode.checked = newNode.hasAttribute('checked');
+        }
+
+        this.morphChildren(oldNode, newNode);
+    }
+
+    /**
+     * Morph the children of a node, matching keyed children by data-id / data-row-id
+     * @param {Node} oldParent - Live parent
+     * @param {Node} newParent - Target parent
+     */
+    morphChildren(oldParent, newParent) {
+        const keyOf = (node) => node.nodeType === Node.ELEMENT_NODE
+            ? (node.getAttribute('data-id') ?? node.getAttribute('data-row-id'))
+            : null;
+
+        const oldKeyed = new Map();
+        for (const child of Array.from(oldParent.childNodes)) {
+            const key = keyOf(child);
+            if (key !== null) oldKeyed.set(key, child);
+        }
+
+        let cursor = oldParent.firstChild;
+
+        for (const newChild of Array.from(newParent.childNodes)) {
+            const key = keyOf(newChild);
+            let match = null;
+
+            if (key !== null) {
+                match = oldKeyed.get(key) || null;
+                oldKeyed.delete(key);
+            } else if (cursor && keyOf(cursor) === null && cursor.nodeName === newChild.nodeName) {
+                match = cursor;
+            }
+
+            if (match) {
+                if (match !== cursor) {
+                    oldParent.insertBefore(match, cursor);
+                }
+                cursor = match.nextSibling;
+                this.morphNode(match, newChild);
+            } else {
+                oldParent.insertBefore(newChild.cloneNode(true), cursor);
+            }
+        }
+
+        // Anything left after the cursor has no counterpart in the new markup
+        while (cursor) {
+            const next = cursor.nextSibling;
+            oldParent.removeChild(cursor);
+            cursor = next;
+        }
+    }
+
     /**
      * Generate a simple hash of data for change detection
      * @param {any} data - Data to hash
@@ -335,20 +677,12 @@ class BaseComponent {
         // Rate limiting check for API calls (prevents API abuse)
         if (this.config.security.enableRateLimit && this.isRateLimited()) {
             this.log('WARN', 'API call rate limited');
-            throw new Error('API call rate limited - please wait before making another request');
+            const error = new Error('API call rate limited - please wait before making another request');
+            error.isRateLimited = true;
+            throw error;
         }
 
-        // Check if we're in gateway mode (token already in apiBase path)
-        const isGatewayMode = this.config.apiBase.includes('/mcp/') && this.config.apiBase.includes(this.config.sessionToken);
-
-        let url;
-        if (isGatewayMode) {
-            // Gateway mode: token is already in the apiBase path, don't add query parameter
-            url = `${this.config.apiBase}${endpoint}`;
-        } else {
-            // Direct mode: add token as query parameter
-            url = `${this.config.apiBase}${endpoint}?token=${this.config.sessionToken}`;
-        }
+        const url = this.buildApiUrl(endpoint);
 
         const requestOptions = {
             method: options.method || 'GET',  // Use options.method if provided, otherwise default to GET
@@ -370,10 +704,17 @@ class BaseComponent {
         });
 
         try {
-            const response = await fetch(url, requestOptions);
+            let response;
+            try {
+                response = await fetch(url, requestOptions);
+            } catch (networkError) {
+                // fetch only rejects when the request never got a response
+                networkError.isNetworkError = true;
+                throw networkError;
+            }
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw await this.createResponseError(response);
             }
 
             // Debug: Log response details before parsing
@@ -406,8 +747,9 @@ class BaseComponent {
         } catch (error) {
             this.log('ERROR', `API call failed: ${error.message}`);
 
-            // Retry logic for transient failures
-            if (this.retryCount < this.config.maxRetries) {
+            // Retry logic for transient failures - client errors won't succeed on retry
+            const isClientError = error.status >= 400 && error.status < 500;
+            if (!isClientError && this.retryCount < this.config.maxRetries) {
                 this.retryCount++;
                 this.log('INFO', `Retrying API call (${this.retryCount}/${this.config.maxRetries})`);
 
@@ -421,28 +763,90 @@ class BaseComponent {
     }
 
     /**
-     * Start polling for data updates
-     * Uses smart polling that respects page visibility and user activity
+     * Build an Error for a failed response, keeping the server's message,
+     * HTTP status, any per-field validation errors and the request ID
+     * @param {Response} response - Non-OK fetch response
+     * @returns {Promise<Error>} Error with status, fieldErrors and requestId properties
+     */
+    async createResponseError(response) {
+        let body = null;
+        try {
+            body = JSON.parse(await response.text());
+        } catch (parseError) {
+            // Not a JSON error body - fall back to the status line
+        }
+
+        const error = new Error(body?.error || `HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        if (body?.fieldErrors) {
+            error.fieldErrors = body.fieldErrors;
+        }
+        const requestId = body?.requestId || response.headers?.get('X-Request-Id');
+        if (requestId) {
+            error.requestId = requestId;
+        }
+        return error;
+    }
+
+    /**
+     * Build an authenticated URL for an API endpoint
+     * @param {string} endpoint - API endpoint (e.g. '/data')
+     * @returns {string} Full URL including the session token where needed
+     */
+    buildApiUrl(endpoint) {
+        // Check if we're in gateway mode (token already in apiBase path)
+        const isGatewayMode = this.config.apiBase.includes('/mcp/') && this.config.apiBase.includes(this.config.sessionToken);
+
+        if (isGatewayMode) {
+            // Gateway mode: token is already in the apiBase path, don't add query parameter
+            return `${this.config.apiBase}${endpoint}`;
+        }
+
+        // Direct mode: add token as query parameter
+        const separator = endpoint.includes('?') ? '&' : '?';
+        return `${this.config.apiBase}${endpoint}${separator}token=${this.config.sessionToken}`;
+    }
+
+    /**
+     * Start receiving data updates
+     * Prefers the WebSocket channel when enabled, then the server's event stream,
+     * and falls back to interval polling when neither is available
      */
     startPolling() {
-        if (this.pollingInterval || !this.config.pollInterval) {
+        // Server-side components start without data, so load the first page right away
+        if (this.config.serverSide) {
+            this.fetchData();
+        }
+
+        if (this.startWebSocket() || this.startEventStream()) {
             return;
         }
 
-        let isPageVisible = !document.hidden;
+        this.startPollingTimer();
+    }
 
-        // Adjust polling based on page visibility
-        document.addEventListener('visibilitychange', () => {
-            isPageVisible = !document.hidden;
-            if (isPageVisible) {
-                // Immediate fetch when page becomes visible
-                this.fetchData();
-            }
-        });
+    /**
+     * Start interval polling for data updates
+     * Uses smart polling that respects page visibility and user activity
+     */
+    startPollingTimer() {
+        if (this.pollingInterval || !this.config.pollInterval) {
+            return;
+        }
+
+        // Immediate fetch when page becomes visible again
+        if (!this.visibilityHandler) {
+            this.visibilityHandler = () => {
+                if (!document.hidden && !this.isDestroyed && this.pollingInterval) {
+                    this.fetchData();
+                }
+            };
+            document.addEventListener('visibilitychange', this.visibilityHandler);
+        }
 
         this.pollingInterval = setInterval(() => {
             // Only poll when page is visible and component is active
-            if (isPageVisible && !this.isDestroyed) {
+            if (!document.hidden && !this.isDestroyed) {
                 this.fetchData();
             }
         }, this.config.pollInterval);
@@ -450,15 +854,364 @@ class BaseComponent {
         this.log('DEBUG', `Started polling every ${this.config.pollInterval}ms`);
     }
 
+    /**
+     * Stop interval polling
+     */
+    stopPollingTimer() {
+        if (this.pollingInterval) {
+            clearInterval(this.pollingInterval);
+            this.pollingInterval = null;
+            this.log('DEBUG', 'Stopped polling');
+        }
+    }
+
+    /**
+     * Subscribe to the server's /events push channel
+     * Components on the same page share a single EventSource per URL
+     * @returns {boolean} True if the component is now subscribed
+     */
+    startEventStream() {
+        if (this.eventStream) {
+            return true;
+        }
+
+        if (!this.config.useEventStream || typeof EventSource === 'undefined') {
+            return false;
+        }
+
+        const url = this.buildApiUrl('/events');
+        let stream = BaseComponent.eventStreams.get(url);
+
+        if (!stream) {
+            stream = {
+                source: new EventSource(url),
+                subscribers: new Set(),
+                connected: false
+            };
+
+            stream.source.addEventListener('open', () => {
+                stream.connected = true;
+                stream.subscribers.forEach(component => component.handleStreamOpen());
+            });
+
+            stream.source.addEventListener('change', (event) => {
+                let payload = null;
+                try {
+                    payload = JSON.parse(event.data).payload;
+                } catch {
+                    // Treat malformed messages as a bare change notification
+                }
+                stream.subscribers.forEach(component => component.handleChangeEvent(payload));
+            });
+
+            stream.source.addEventListener('error', () => {
+                stream.connected = false;
+
+                // CLOSED means the browser gave up (e.g. 401/403); otherwise it is reconnecting
+                if (stream.source.readyState === EventSource.CLOSED) {
+                    BaseComponent.eventStreams.delete(url);
+                }
+
+                stream.subscribers.forEach(component => component.handleStreamError(stream.source.readyState === EventSource.CLOSED));
+            });
+
+            BaseComponent.eventStreams.set(url, stream);
+        }
+
+        stream.subscribers.add(this);
+        this.eventStream = { url, stream };
+
+        // Joining an already-open stream: no open event will fire for us
+        if (stream.connected) {
+            this.handleStreamOpen();
+        }
+
+        this.log('DEBUG', `Subscribed to event stream: ${url}`);
+        return true;
+    }
+
+    /**
+     * Unsubscribe from the event stream, closing it when no subscribers remain
+     */
+    stopEventStream() {
+        if (!this.eventStream) {
+            return;
+        }
+
+        const { url, stream } = this.eventStream;
+        stream.subscribers.delete(this);
+
+        if (stream.subscribers.size === 0) {
+            stream.source.close();
+            if (BaseComponent.eventStreams.get(url) === stream) {
+                BaseComponent.eventStreams.delete(url);
+            }
+        }
+
+        this.eventStream = null;
+    }
+
+    /**
+     * Join the server's /ws channel
+     * Components on the same page share a single WebSocket per URL, which
+     * reconnects with exponential backoff while any component is subscribed
+     * @returns {boolean} True if the component is now subscribed
+     */
+    startWebSocket() {
+        if (this.webSocket) {
+            return true;
+        }
+
+        if (!this.config.useWebSocket || typeof WebSocket === 'undefined') {
+            return false;
+        }
+
+        const url = new URL(this.buildApiUrl('/ws'), window.location.href);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        const key = url.toString();
+
+        let channel = BaseComponent.webSockets.get(key);
+
+        if (!channel) {
+            channel = {
+                url: key,
+                socket: null,
+                subscribers: new Set(),
+                pending: new Map(),
+                nextId: 1,
+                connected: false,
+                reconnectAttempts: 0,
+                reconnectTimer: null
+            };
+            BaseComponent.webSockets.set(key, channel);
+            BaseComponent.connectWebSocket(channel);
+        }
+
+        channel.subscribers.add(this);
+        this.webSocket = channel;
+
+        if (channel.connected) {
+            this.handleStreamOpen();
+        }
+
+        this.log('DEBUG', `Subscribed to WebSocket: ${key}`);
+        return true;
+    }
+
+    /**
+     * Open (or re-open) the socket for a shared channel
+     * @param {Object} channel - Shared channel state from BaseComponent.webSockets
+     */
+    static connectWebSocket(channel) {
+        const socket = new WebSocket(channel.url);
+        channel.socket = socket;
+
+        socket.addEventListener('open', () => {
+            channel.connected = true;
+            channel.reconnectAttempts = 0;
+            channel.subscribers.forEach(component => component.handleStreamOpen());
+        });
+
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+
+            if (message.type === 'change') {
+                channel.subscribers.forEach(component => component.handleChangeEvent(message.payload));
+            } else if (message.type === 'result' && channel.pending.has(message.id)) {
+                const { resolve } = channel.pending.get(message.id);
+                channel.pending.delete(message.id);
+                resolve(message);
+            }
+        });
+
+        socket.addEventListener('close', () => {
+            channel.connected = false;
+
+            // Fail in-flight actions so callers can retry over HTTP
+            channel.pending.forEach(({ reject }) => {
+                const error = new Error('WebSocket closed');
+                error.isNetworkError = true;
+                reject(error);
+            });
+            channel.pending.clear();
+
+            if (channel.subscribers.size === 0) {
+                return;
+            }
+
+            channel.subscribers.forEach(component => component.handleStreamError(false));
+
+            const delay = Math.min(Math.pow(2, channel.reconnectAttempts) * 1000, 30000);
+            channel.reconnectAttempts++;
+            channel.reconnectTimer = setTimeout(() => {
+                channel.reconnectTimer = null;
+                if (channel.subscribers.size > 0) {
+                    BaseComponent.connectWebSocket(channel);
+                }
+            }, delay);
+        });
+    }
+
+    /**
+     * Leave the WebSocket channel, closing it when no subscribers remain
+     */
+    stopWebSocket() {
+        if (!this.webSocket) {
+            return;
+        }
+
+        const channel = this.webSocket;
+        channel.subscribers.delete(this);
+
+        if (channel.subscribers.size === 0) {
+            if (channel.reconnectTimer) {
+                clearTimeout(channel.reconnectTimer);
+                channel.reconnectTimer = null;
+            }
+            channel.socket.close();
+            BaseComponent.webSockets.delete(channel.url);
+        }
+
+        this.webSocket = null;
+    }
+
+    /**
+     * Send an action over the WebSocket channel
+     * @param {string} action - Action type
+     * @param {Object} data - Sanitized action data
+     * @param {string} idempotencyKey - Lets the server recognise a resent action
+     * @returns {Promise<Object>} Result message ({ success, data, error })
+     */
+    socketCall(action, data, idempotencyKey) {
+        const channel = this.webSocket;
+        const id = channel.nextId++;
+
+        return new Promise((resolve, reject) => {
+            channel.pending.set(id, { resolve, reject });
+            channel.socket.send(JSON.stringify({ type: 'action', id, action, data, idempotencyKey }));
+        });
+    }
+
+    /**
+     * Push channel (re)connected - stop fallback polling and catch up on missed changes
+     */
+    handleStreamOpen() {
+        if (this.isDestroyed) return;
+
+        const wasPolling = !!this.pollingInterval;
+        this.stopPollingTimer();
+
+        if (wasPolling) {
+            this.fetchData();
+        }
+
+        this.log('INFO', 'Push channel connected');
+    }
+
+    /**
+     * Push channel dropped - poll until it reconnects
+     * @param {boolean} closed - True if the channel will not reconnect
+     */
+    handleStreamError(closed) {
+        if (this.isDestroyed) return;
+
+        if (closed) {
+            this.eventStream = null;
+            this.log('WARN', 'Event stream closed, falling back to polling');
+        } else {
+            this.log('WARN', 'Push channel dropped, polling until it reconnects');
+        }
+
+        this.startPollingTimer();
+    }
+
+    /**
+     * Handle a change notification pushed by the server
+     * Subclasses can override this to apply the payload directly
+     * Payloads with a `source` only refresh components bound to that data source
+     * @param {any} payload - Payload passed to MCPWebUI.notifyChange()
+     */
+    handleChangeEvent(payload) {
+        if (this.isDestroyed) return;
+        if (payload && typeof payload.source === 'string' && payload.source !== (this.config.dataSource || 'default')) {
+            return;
+        }
+        this.fetchData();
+    }
+
     /**
      * Fetch fresh data from the server
      * This is called by the polling mechanism and can be called manually
      */
     async fetchData() {
+        // Queued offline actions go first, so the data we fetch includes them
+        if (this.outbox && this.outbox.size > 0) {
+            return this.replayOutbox();
+        }
+
+        // Server data from before an in-flight optimistic action would flip it back -
+        // refresh once the action settles instead
+        if (this.pendingOptimistic.size > 0) {
+            this.deferredFetch = true;
+            return;
+        }
+        this.deferredFetch = false;
+
+        const sequence = ++this.fetchSequence;
+
         try {
-            const result = await this.apiCall('/data');
+            const endpoint = this.config.dataSource ? `/data/${encodeURIComponent(this.config.dataSource)}` : '/data';
+            let queryString = '';
+
+            if (this.config.serverSide) {
+                // The server pages, sorts and filters - pages aren't versioned
+                queryString = this.buildQueryString(this.getDataQuery());
+            } else if (this.config.useDelta && this.dataVersion !== null && this.dataVersion !== undefined) {
+                // Ask for a patch once we know which version we have
+                queryString = `since=${this.dataVersion}`;
+            }
+
+            const result = await this.apiCall(queryString ? `${endpoint}?${queryString}` : endpoint);
+
+            // A newer request (e.g. the user paged again) supersedes this one
+            if (sequence !== this.fetchSequence || this.isDestroyed) return;
+
             if (result.success && result.data) {
-                this.update(result.data);
+                const totalChanged = result.total !== undefined && result.total !== this.serverTotal;
+                if (result.total !== undefined) {
+                    this.serverTotal = result.total;
+                }
+
+                if (result.delta) {
+                    this.applyPatch(result.data);
+                } else {
+                    const previousHash = this.lastDataHash;
+                    this.update(result.data);
+
+                    // Same page contents but a different total still changes the pagination
+                    if (totalChanged && this.lastDataHash === previousHash) {
+                        this.render();
+                    }
+                }
+
+                if (result.version !== undefined) {
+                    this.dataVersion = result.version;
+                }
+
+                if (result.instance) {
+                    this.checkServerInstance(result.instance);
+                }
+
+                // Temporary items from confirmed inserts are replaced by the real ones now
+                if (this.settledInserts.size > 0) {
+                    this.removeItemsByKey(Array.from(this.settledInserts));
+                    this.settledInserts.clear();
+                }
             }
         } catch (error) {
             this.log('ERROR', `Failed to fetch data: ${error.message}`);
@@ -466,32 +1219,112 @@ class BaseComponent {
         }
     }
 
+    /**
+     * Notice when the server behind the page was recreated, e.g. after the MCP server restarted
+     * The data that revealed it is already current; the push channel may still be backing off
+     * @param {string} instance - Server instance id from a data response
+     */
+    checkServerInstance(instance) {
+        const previous = this.serverInstance;
+        this.serverInstance = instance;
+
+        if (previous && previous !== instance) {
+            this.log('INFO', 'Server restarted, reconnecting');
+            this.handleServerRestart();
+        }
+    }
+
+    /**
+     * Reconnect the push channel now rather than when its backoff runs out
+     * Components on the page share the channel, so only the first to notice reconnects it
+     */
+    handleServerRestart() {
+        if (this.isDestroyed) return;
+
+        const channel = this.webSocket;
+        if (channel) {
+            if (!channel.connected && channel.reconnectTimer) {
+                clearTimeout(channel.reconnectTimer);
+                channel.reconnectTimer = null;
+                channel.reconnectAttempts = 0;
+                BaseComponent.connectWebSocket(channel);
+            }
+            return;
+        }
+
+        // An event stream that gave up while the server was down is reopened
+        if (!this.eventStream) {
+            this.startEventStream();
+        }
+    }
+
+    /**
+     * Paging, sorting and filtering to request when config.serverSide is set
+     * Subclasses with pagination, sorting or search override this
+     * @returns {Object} { page, pageSize, sort: 'field' | 'field:desc', filter }
+     */
+    getDataQuery() {
+        return { page: 1 };
+    }
+
+    /**
+     * Encode a data query as a query string, skipping empty values
+     * @param {Object} query - Query from getDataQuery()
+     * @returns {string} e.g. 'page=2&pageSize=20&sort=name%3Adesc'
+     */
+    buildQueryString(query) {
+        return Object.entries(query || {})
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+    }
+
+    /**
+     * Fetch data after a short pause, restarting the wait on every call
+     * Keeps server-side search from sending a request per keystroke
+     * @param {number} delay - Milliseconds to wait
+     */
+    scheduleFetch(delay = 300) {
+        clearTimeout(this.fetchTimer);
+        this.fetchTimer = setTimeout(() => {
+            this.fetchTimer = null;
+            if (!this.isDestroyed) {
+                this.fetchData();
+            }
+        }, delay);
+    }
+
     /**
      * Handle user actions (add, update, delete, etc.)
      * @param {string} action - Action type
      * @param {Object} data - Action data
+     * @param {Object} options - { optimistic: effect } applies the effect immediately
+     *                           and undoes it if the server rejects the action (see applyOptimisticUpdate);
+     *                           { undo: { label, action?, data?, optimistic? } } makes the action undoable
+     *                           (see recordHistory)
      */
-    async handleAction(action, data) {
+    async handleAction(action, data, options = {}) {
         try {
             // Validate action
             if (!action || typeof action !== 'string') {
                 throw new Error('Invalid action');
             }
 
+            // The server would refuse it - don't flash an optimistic change or queue it offline
+            if (!this.canPerform(action)) {
+                throw new Error(`Action ${action} is not permitted for this session`);
+            }
+
             // Sanitize data
             const sanitizedData = this.sanitizeActionData(data);
 
-            const result = await this.apiCall('/update', {
-                method: 'POST',
-                body: JSON.stringify({ action, data: sanitizedData })
-            });
+            const result = await this.performAction(action, sanitizedData, options.optimistic);
+            this.recordHistory(action, sanitizedData, options, result);
 
-            if (!result.success) {
-                throw new Error(result.error || 'Action failed');
+            if (result.queued) {
+                return result;
             }
 
-            this.log('INFO', `Action completed: ${action}`);
-
             // Only refresh data if the response doesn't contain form data
             // Form responses need to be handled by the component directly
             // Check both top-level and nested data.showForm
@@ -514,6 +1347,269 @@ class BaseComponent {
         }
     }
 
+    /**
+     * Send a sanitized action, queueing it while offline
+     * Applies the optimistic effect first and rolls it back if the server rejects the action
+     * @param {string} action - Action type
+     * @param {Object} sanitizedData - Action data, already sanitized
+     * @param {Object} effect - Optional optimistic effect
+     * @returns {Promise<Object>} Server response, or { success: true, queued: true }
+     */
+    async performAction(action, sanitizedData, effect) {
+        const optimistic = effect ? this.applyOptimisticUpdate(effect) : null;
+
+        try {
+            const idempotencyKey = this.createIdempotencyKey();
+
+            // Keep actions in order behind any already waiting for the connection
+            if (this.outbox && (this.outbox.size > 0 || this.isOffline())) {
+                return this.queueAction(action, sanitizedData, idempotencyKey, optimistic);
+            }
+
+            let result;
+            try {
+                result = await this.sendAction(action, sanitizedData, idempotencyKey);
+            } catch (error) {
+                if (this.outbox && error.isNetworkError) {
+                    return this.queueAction(action, sanitizedData, idempotencyKey, optimistic);
+                }
+                throw error;
+            }
+
+            if (!result.success) {
+                const error = new Error(result.error || 'Action failed');
+                if (result.fieldErrors) {
+                    error.fieldErrors = result.fieldErrors;
+                }
+                if (result.requestId) {
+                    error.requestId = result.requestId;
+                }
+                throw error;
+            }
+
+            this.log('INFO', `Action completed: ${action}`);
+            if (optimistic) optimistic.settle();
+
+            return result;
+        } catch (error) {
+            if (optimistic) {
+                optimistic.rollback();
+                this.notifyRollback(action, error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Add a completed action to the session's undo history and offer an Undo toast
+     *
+     * An action is undoable when the server returned an undoToken (its handler
+     * supplied the inverse action) or the caller passed a local inverse as
+     * options.undo = { label, action, data, optimistic }. The server's inverse wins.
+     *
+     * @param {string} action - Action that completed
+     * @param {Object} sanitizedData - Its data
+     * @param {Object} options - handleAction options
+     * @param {Object} result - Server response
+     */
+    recordHistory(action, sanitizedData, options, result) {
+        if (!this.history) return;
+
+        const inverse = options.undo || {};
+        const undo = result.undoToken
+            ? { token: result.undoToken }
+            : inverse.action ? { action: inverse.action, data: this.sanitizeActionData(inverse.data), optimistic: inverse.optimistic } : null;
+        if (!undo) return;
+
+        const entry = this.history.record({
+            label: inverse.label || action,
+            undo,
+            redo: { action, data: sanitizedData, optimistic: options.optimistic },
+            run: step => this.runHistoryStep(step, entry),
+            owner: this
+        });
+
+        this.notifyUndoable(entry);
+    }
+
+    /**
+     * Perform one undo or redo step
+     * Token steps are redeemed at /undo; the others are ordinary actions
+     * @param {Object} step - { token } or { action, data, optimistic }
+     * @param {Object} entry - History entry the step belongs to
+     * @returns {Promise<Object|null>} Replacement for the opposite step, when the server issued a new token
+     */
+    async runHistoryStep(step, entry) {
+        try {
+            const result = step.token
+                ? await this.apiCall('/undo', { method: 'POST', body: JSON.stringify({ token: step.token }) })
+                : await this.performAction(step.action, step.data, step.optimistic);
+
+            if (!result.success) {
+                throw new Error(result.error || 'Undo failed');
+            }
+            if (!result.queued) {
+                await this.fetchData();
+            }
+
+            return result.undoToken ? { token: result.undoToken } : null;
+        } catch (error) {
+            this.log('ERROR', `Undo/redo of "${entry.label}" failed: ${error.message}`);
+            this.showNotification(`Couldn't undo "${entry.label}": ${this.describeError(error)}`, 'error', 5000);
+            throw error;
+        }
+    }
+
+    /**
+     * Toast offering to undo an action that just completed
+     * @param {Object} entry - History entry
+     */
+    notifyUndoable(entry) {
+        this.showNotification(entry.label, 'success', 6000, {
+            actionLabel: 'Undo',
+            onAction: () => this.history && this.history.undo(entry)
+        });
+    }
+
+    /**
+     * Show a toast through MCP.utils when the framework is loaded, log otherwise
+     * @param {string} message - Text to show
+     * @param {string} type - success, error or info
+     * @param {number} duration - Milliseconds
+     * @param {Object} options - { actionLabel, onAction } adds a button to the toast
+     */
+    showNotification(message, type, duration, options) {
+        if (typeof window !== 'undefined' && window.MCP?.utils?.showNotification) {
+            const args = options ? [message, type, duration, options] : [message, type, duration];
+            window.MCP.utils.showNotification(...args);
+        } else {
+            this.log(type === 'error' ? 'WARN' : 'INFO', message);
+        }
+    }
+
+    /**
+     * Send an action to the server
+     * Uses the WebSocket channel when it's up, HTTP otherwise
+     * @param {string} action - Action type
+     * @param {Object} data - Sanitized action data
+     * @param {string} idempotencyKey - Same key for every attempt at this action
+     * @returns {Promise<Object>} Server response ({ success, data, error })
+     */
+    sendAction(action, data, idempotencyKey) {
+        if (this.webSocket && this.webSocket.connected) {
+            return this.socketCall(action, data, idempotencyKey);
+        }
+
+        return this.apiCall('/update', {
+            method: 'POST',
+            headers: { 'Idempotency-Key': idempotencyKey },
+            body: JSON.stringify({ action, data })
+        });
+    }
+
+    /**
+     * Random key identifying one user action across retries and offline replay
+     * @returns {string}
+     */
+    createIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * Whether the browser knows it has no connection
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Put an action in the offline outbox
+     * Optimistic changes stay applied until the action is replayed
+     * @returns {Object} { success: true, queued: true }
+     */
+    queueAction(action, data, idempotencyKey, optimistic) {
+        this.outbox.enqueue(action, data, idempotencyKey);
+        if (optimistic) optimistic.settle();
+
+        this.log('INFO', `Action queued until back online: ${action}`);
+        return { success: true, queued: true };
+    }
+
+    /**
+     * Watch the outbox: show the pending-sync badge and replay when the browser comes back online
+     */
+    startOutbox() {
+        if (!this.outbox) return;
+
+        this.outboxUnsubscribe = this.outbox.subscribe(() => this.renderSyncState());
+
+        this.onlineHandler = () => this.replayOutbox();
+        window.addEventListener('online', this.onlineHandler);
+
+        if (this.outbox.size > 0) {
+            this.renderSyncState();
+            if (!this.isOffline()) {
+                this.replayOutbox();
+            }
+        }
+    }
+
+    /**
+     * Send queued actions in order, then refresh once they've all gone through
+     */
+    async replayOutbox() {
+        if (!this.outbox || this.isDestroyed) return;
+
+        const flushed = await this.outbox.replay(
+            entry => this.sendAction(entry.action, entry.data, entry.idempotencyKey),
+            (entry, error) => this.notifyQueuedActionFailed(entry, error)
+        );
+
+        if (flushed && !this.isDestroyed) {
+            await this.fetchData();
+        }
+    }
+
+    /**
+     * Tell the user a queued action was refused when it was finally sent
+     * @param {Object} entry - Outbox entry
+     * @param {Error} error - Why it failed
+     */
+    notifyQueuedActionFailed(entry, error) {
+        this.showNotification(`Couldn't sync "${entry.action}" made while offline: ${this.describeError(error)}`, 'error', 5000);
+    }
+
+    /**
+     * Reflect the outbox size in the DOM
+     * Sets data-pending-sync on the host element and re-renders the badge
+     */
+    renderSyncState() {
+        if (this.isDestroyed) return;
+
+        const pending = this.outbox ? this.outbox.size : 0;
+        if (pending > 0) {
+            this.element.setAttribute('data-pending-sync', String(pending));
+        } else {
+            this.element.removeAttribute('data-pending-sync');
+        }
+
+        this.renderPatch({ added: [], changed: [], removed: [] }, this.data);
+    }
+
+    /**
+     * "N pending sync" badge for component headers - empty when nothing is queued
+     * @returns {string} Badge markup
+     */
+    renderSyncBadge() {
+        const pending = this.outbox ? this.outbox.size : 0;
+        if (pending === 0) return '';
+
+        return this.html`<span class="sync-badge" title="Saved on this device - will sync when back online">${pending} pending sync</span>`;
+    }
+
     /**
      * Sanitize action data to prevent injection attacks
      * @param {Object} data - Data to sanitize
@@ -538,6 +1634,11 @@ class BaseComponent {
                 sanitized[cleanKey] = value;
             } else if (value === null || value === undefined) {
                 sanitized[cleanKey] = value;
+            } else if (Array.isArray(value) && value.every(entry => ['string', 'number'].includes(typeof entry))) {
+                // Lists of ids, e.g. for bulk actions
+                sanitized[cleanKey] = value.map(entry => typeof entry === 'string'
+                    ? this.sanitizeLLMContent(entry.substring(0, this.config.security.maxInputLength || 1000), cleanKey)
+                    : entry);
             } else {
                 // Skip complex objects for security
                 this.log('WARN', `Skipped complex object for key: ${key}`);
@@ -555,6 +1656,32 @@ class BaseComponent {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Whether the session holds a scope - admin holds them all
+     * @param {string} scope - read, write, delete or admin
+     * @returns {boolean}
+     */
+    hasScope(scope) {
+        const scopes = this.config.scopes;
+        return !Array.isArray(scopes) || scopes.includes('admin') || scopes.includes(scope);
+    }
+
+    /**
+     * Whether the session may run an action - used to hide controls it can't use
+     * Same rules as the server: registered actions need their declared scopes,
+     * anything else needs write (plus delete when the name reads as a deletion)
+     * @param {string} action - Action name as sent to the server
+     * @returns {boolean}
+     */
+    canPerform(action) {
+        const declared = this.config.actionScopes?.[action];
+        const required = declared && declared.length > 0
+            ? declared
+            : /(^|[-_.])(delete|remove|clear)([-_.]|$)/i.test(action) ? ['write', 'delete'] : ['write'];
+
+        return required.every(scope => this.hasScope(scope));
+    }
+
     /**
      * Error handling with user-friendly messages
      * @param {Error} error - Error to handle
@@ -567,7 +1694,9 @@ class BaseComponent {
         if (this.element && !this.isDestroyed) {
             const errorEl = this.element.querySelector('.error-message');
             if (errorEl) {
-                errorEl.textContent = 'Something went wrong. Please try again.';
+                errorEl.textContent = error?.requestId
+                    ? `Something went wrong (ref ${error.requestId}). Please try again.`
+                    : 'Something went wrong. Please try again.';
                 errorEl.style.display = 'block';
 
                 // Auto-hide error after 5 seconds
@@ -578,6 +1707,16 @@ class BaseComponent {
         }
     }
 
+    /**
+     * Error message for the user, with the server's request ID as a reference when
+     * there is one - the same ID is in the gateway's and the server's logs
+     * @param {Error} error - Error to describe
+     * @returns {string}
+     */
+    describeError(error) {
+        return error.requestId ? `${error.message} (ref ${error.requestId})` : error.message;
+    }
+
     /**
      * Logging utility for debugging and monitoring
      * @param {string} level - Log level (DEBUG, INFO, WARN, ERROR)
@@ -596,11 +1735,30 @@ class BaseComponent {
     destroy() {
         this.isDestroyed = true;
 
-        // Stop polling
+        // Stop polling and leave the event stream
         if (this.pollingInterval) {
             clearInterval(this.pollingInterval);
             this.pollingInterval = null;
         }
+        this.stopEventStream();
+        this.stopWebSocket();
+        clearTimeout(this.fetchTimer);
+        if (this.outboxUnsubscribe) {
+            this.outboxUnsubscribe();
+            this.outboxUnsubscribe = null;
+        }
+        if (this.onlineHandler) {
+            window.removeEventListener('online', this.onlineHandler);
+            this.onlineHandler = null;
+        }
+        if (this.history) {
+            this.history.forget(this);
+            this.history = null;
+        }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
 
         // Remove all event listeners
         this.listeners.forEach((handler, key) => {
@@ -637,6 +1795,13 @@ class BaseComponent {
     }
 }
 
+// Shared EventSource and WebSocket connections keyed by URL
+BaseComponent.eventStreams = new Map();
+BaseComponent.webSockets = new Map();
+
+// Counter for temporary ids of optimistically inserted items
+BaseComponent.optimisticSequence = 0;
+
 // Export for module systems (when used with build tools)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = BaseComponent;
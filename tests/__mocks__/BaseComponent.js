@@ -104,6 +104,26 @@ class MockBaseComponent {
         this.render();
     }
 
+    // Session scopes - null means unrestricted
+    hasScope(scope) {
+        const scopes = this.config.scopes;
+        return !Array.isArray(scopes) || scopes.includes('admin') || scopes.includes(scope);
+    }
+
+    canPerform(action) {
+        const declared = this.config.actionScopes?.[action];
+        const required = declared && declared.length > 0
+            ? declared
+            : /(^|[-_.])(delete|remove|clear)([-_.]|$)/i.test(action) ? ['write', 'delete'] : ['write'];
+
+        return required.every(scope => this.hasScope(scope));
+    }
+
+    // API calls - tests stub this with jest.spyOn
+    async apiCall(endpoint, options = {}) {
+        return { success: true, data: [] };
+    }
+
     // Logging
     log(level, message) {
         console[level.toLowerCase()](message);
@@ -0,0 +1,233 @@
+/**
+ * ActionHistory Test Suite
+ * Tests the undo/redo stack, its keyboard shortcuts and recording through BaseComponent
+ */
+
+const ActionHistory = require('../../src/vanilla/core/ActionHistory.js');
+const BaseComponent = require('../../src/vanilla/core/BaseComponent.js');
+
+const pressKey = (key, modifiers = {}, target = document.body) => {
+    const event = new KeyboardEvent('keydown', { key, ctrlKey: true, bubbles: true, cancelable: true, ...modifiers });
+    target.dispatchEvent(event);
+    return event;
+};
+
+describe('ActionHistory', () => {
+    let history;
+
+    const entry = (label, run = jest.fn().mockResolvedValue(null)) => ({
+        label,
+        undo: { action: `undo-${label}` },
+        redo: { action: label },
+        run
+    });
+
+    beforeEach(() => {
+        history = new ActionHistory(3);
+    });
+
+    afterEach(() => {
+        history.unbindKeyboard();
+    });
+
+    test('undoes and redoes the most recent entry', async () => {
+        const first = history.record(entry('first'));
+        const second = history.record(entry('second'));
+
+        await expect(history.undo()).resolves.toBe(true);
+        expect(second.run).toHaveBeenCalledWith({ action: 'undo-second' });
+
+        await expect(history.redo()).resolves.toBe(true);
+        expect(second.run).toHaveBeenLastCalledWith({ action: 'second' });
+        expect(first.run).not.toHaveBeenCalled();
+    });
+
+    test('uses the replacement step the run hands back', async () => {
+        const run = jest.fn()
+            .mockResolvedValueOnce({ token: 'redo-token' })
+            .mockResolvedValueOnce({ token: 'undo-token' });
+        const recorded = history.record({ label: 'delete', undo: { token: 'first-token' }, redo: { action: 'delete' }, run });
+
+        await history.undo();
+        expect(recorded.redo).toEqual({ token: 'redo-token' });
+
+        await history.redo();
+        expect(run).toHaveBeenLastCalledWith({ token: 'redo-token' });
+        expect(recorded.undo).toEqual({ token: 'undo-token' });
+    });
+
+    test('recording clears the redo stack and respects the limit', async () => {
+        ['a', 'b', 'c', 'd'].forEach(label => history.record(entry(label)));
+        expect(history.past.map(e => e.label)).toEqual(['b', 'c', 'd']);
+
+        await history.undo();
+        expect(history.canRedo).toBe(true);
+
+        history.record(entry('e'));
+        expect(history.canRedo).toBe(false);
+    });
+
+    test('only undoes a specific entry while it is the most recent', async () => {
+        const first = history.record(entry('first'));
+        history.record(entry('second'));
+
+        await expect(history.undo(first)).resolves.toBe(false);
+        expect(first.run).not.toHaveBeenCalled();
+    });
+
+    test('drops entries whose step fails', async () => {
+        history.record(entry('broken', jest.fn().mockRejectedValue(new Error('Token expired'))));
+
+        await expect(history.undo()).resolves.toBe(false);
+        expect(history.canUndo).toBe(false);
+        expect(history.canRedo).toBe(false);
+    });
+
+    test('forgets entries recorded by a component', () => {
+        const owner = {};
+        history.record({ ...entry('mine'), owner });
+        history.record(entry('other'));
+
+        history.forget(owner);
+
+        expect(history.past.map(e => e.label)).toEqual(['other']);
+    });
+
+    test('Ctrl+Z undoes and Ctrl+Shift+Z redoes', async () => {
+        const recorded = history.record(entry('toggle'));
+        history.bindKeyboard(document);
+
+        expect(pressKey('z').defaultPrevented).toBe(true);
+        await Promise.resolve();
+        expect(recorded.run).toHaveBeenCalledWith({ action: 'undo-toggle' });
+
+        pressKey('Z', { shiftKey: true });
+        await Promise.resolve();
+        expect(recorded.run).toHaveBeenLastCalledWith({ action: 'toggle' });
+    });
+
+    test('leaves Ctrl+Z alone in text fields', () => {
+        const recorded = history.record(entry('toggle'));
+        history.bindKeyboard(document);
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+
+        const event = pressKey('z', {}, input);
+
+        expect(event.defaultPrevented).toBe(false);
+        expect(recorded.run).not.toHaveBeenCalled();
+        input.remove();
+    });
+});
+
+describe('BaseComponent undo history', () => {
+    let element;
+    let component;
+    let showNotification;
+
+    class ItemsComponent extends BaseComponent {
+        render() {
+            this.element.innerHTML = `<ul>${this.data.map(item =>
+                `<li data-id="${item.id}">${item.text}${item.done ? ' ✓' : ''}</li>`).join('')}</ul>`;
+        }
+
+        bindEvents() { }
+    }
+
+    beforeEach(() => {
+        window.ActionHistory = ActionHistory;
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        component = new ItemsComponent(element, [{ id: 1, text: 'Milk', done: false }], {
+            sessionToken: 'abc123', useEventStream: false, pollInterval: 0
+        });
+        component.render();
+        jest.spyOn(component, 'handleError').mockImplementation(() => { });
+        jest.spyOn(component, 'fetchData').mockResolvedValue();
+        showNotification = jest.fn();
+        window.MCP = { utils: { showNotification } };
+    });
+
+    afterEach(() => {
+        if (!component.isDestroyed) component.destroy();
+        ActionHistory.instances.forEach(history => history.unbindKeyboard());
+        ActionHistory.instances.clear();
+        delete window.ActionHistory;
+        delete window.MCP;
+        document.body.innerHTML = '';
+    });
+
+    const toggle = () => component.handleAction('toggle-item', { id: 1, done: true }, {
+        optimistic: { type: 'update', id: 1, changes: { done: true } },
+        undo: {
+            label: 'Item completed',
+            action: 'toggle-item',
+            data: { id: 1, done: false },
+            optimistic: { type: 'update', id: 1, changes: { done: false } }
+        }
+    });
+
+    test('records a local inverse and offers an Undo toast', async () => {
+        jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true });
+
+        await toggle();
+
+        expect(component.history.past).toHaveLength(1);
+        expect(showNotification).toHaveBeenCalledWith('Item completed', 'success', 6000, expect.objectContaining({ actionLabel: 'Undo' }));
+    });
+
+    test('undo sends the inverse action and reverts the item', async () => {
+        const apiSpy = jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true });
+        await toggle();
+        expect(element.textContent).toBe('Milk ✓');
+
+        // Clicking Undo in the toast
+        await showNotification.mock.calls[0][3].onAction();
+
+        expect(JSON.parse(apiSpy.mock.calls[1][1].body)).toEqual({ action: 'toggle-item', data: { id: 1, done: false } });
+        expect(element.textContent).toBe('Milk');
+        expect(component.history.canRedo).toBe(true);
+    });
+
+    test('prefers the server undo token and redeems it at /undo', async () => {
+        const apiSpy = jest.spyOn(component, 'apiCall')
+            .mockResolvedValueOnce({ success: true, undoToken: 'restore-1' })
+            .mockResolvedValueOnce({ success: true, undoToken: 'delete-again-1' });
+
+        await component.handleAction('delete', { id: 1 }, { undo: { label: 'Item deleted' } });
+        await component.history.undo();
+
+        expect(apiSpy).toHaveBeenLastCalledWith('/undo', { method: 'POST', body: JSON.stringify({ token: 'restore-1' }) });
+        expect(component.history.future[0].redo).toEqual({ token: 'delete-again-1' });
+    });
+
+    test('does not record actions without an inverse', async () => {
+        jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true });
+
+        await component.handleAction('delete', { id: 1 }, { undo: { label: 'Item deleted' } });
+
+        expect(component.history.canUndo).toBe(false);
+        expect(showNotification).not.toHaveBeenCalled();
+    });
+
+    test('reports an undo the server refuses', async () => {
+        jest.spyOn(component, 'apiCall')
+            .mockResolvedValueOnce({ success: true, undoToken: 'restore-1' })
+            .mockRejectedValueOnce(Object.assign(new Error('Nothing to undo'), { status: 404 }));
+        await component.handleAction('delete', { id: 1 }, { undo: { label: 'Item deleted' } });
+
+        await expect(component.history.undo()).resolves.toBe(false);
+
+        expect(showNotification).toHaveBeenLastCalledWith(expect.stringContaining('Nothing to undo'), 'error', 5000);
+    });
+
+    test('forgets its entries when destroyed', async () => {
+        jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true });
+        await toggle();
+        const history = component.history;
+
+        component.destroy();
+
+        expect(history.canUndo).toBe(false);
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * ActionOutbox Test Suite
+ * Tests the offline action queue and its replay through BaseComponent
+ */
+
+const ActionOutbox = require('../../src/vanilla/core/ActionOutbox.js');
+const BaseComponent = require('../../src/vanilla/core/BaseComponent.js');
+
+const networkError = () => {
+    const error = new TypeError('Failed to fetch');
+    error.isNetworkError = true;
+    return error;
+};
+
+// Working Storage stand-in - tests/setup.js mocks localStorage out
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+};
+
+describe('ActionOutbox', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = memoryStorage();
+    });
+
+    test('persists queued actions per session', () => {
+        const outbox = new ActionOutbox('session-a', storage);
+        outbox.enqueue('add-item', { text: 'Milk' }, 'key-00000001');
+
+        expect(new ActionOutbox('session-a', storage).size).toBe(1);
+        expect(new ActionOutbox('session-b', storage).size).toBe(0);
+        expect(JSON.parse(storage.getItem('mcp-outbox:session-a'))[0]).toMatchObject({
+            action: 'add-item',
+            data: { text: 'Milk' },
+            idempotencyKey: 'key-00000001'
+        });
+    });
+
+    test('replays in order and clears storage once flushed', async () => {
+        const outbox = new ActionOutbox('session-a', storage);
+        outbox.enqueue('add-item', { text: 'Milk' }, 'key-00000001');
+        outbox.enqueue('add-item', { text: 'Eggs' }, 'key-00000002');
+        const send = jest.fn().mockResolvedValue({ success: true });
+
+        await expect(outbox.replay(send)).resolves.toBe(true);
+
+        expect(send.mock.calls.map(([entry]) => entry.idempotencyKey)).toEqual(['key-00000001', 'key-00000002']);
+        expect(outbox.size).toBe(0);
+        expect(storage.getItem('mcp-outbox:session-a')).toBeNull();
+    });
+
+    test('stops at a network error and keeps the rest queued', async () => {
+        const outbox = new ActionOutbox('session-a', storage);
+        outbox.enqueue('add-item', { text: 'Milk' }, 'key-00000001');
+        outbox.enqueue('add-item', { text: 'Eggs' }, 'key-00000002');
+        const send = jest.fn()
+            .mockResolvedValueOnce({ success: true })
+            .mockRejectedValueOnce(networkError());
+
+        await expect(outbox.replay(send)).resolves.toBe(false);
+
+        expect(outbox.size).toBe(1);
+        expect(outbox.entries[0].idempotencyKey).toBe('key-00000002');
+    });
+
+    test('drops actions the server rejects and reports them', async () => {
+        const outbox = new ActionOutbox('session-a', storage);
+        outbox.enqueue('delete-item', { id: 9 }, 'key-00000001');
+        outbox.enqueue('add-item', { text: 'Eggs' }, 'key-00000002');
+        const onRejected = jest.fn();
+        const send = jest.fn()
+            .mockResolvedValueOnce({ success: false, error: 'Item not found' })
+            .mockResolvedValueOnce({ success: true });
+
+        await expect(outbox.replay(send, onRejected)).resolves.toBe(true);
+
+        expect(onRejected).toHaveBeenCalledWith(
+            expect.objectContaining({ action: 'delete-item' }),
+            expect.objectContaining({ message: 'Item not found' })
+        );
+        expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    test('shares a replay that is already running', async () => {
+        const outbox = new ActionOutbox('session-a', storage);
+        outbox.enqueue('add-item', { text: 'Milk' }, 'key-00000001');
+        const send = jest.fn().mockResolvedValue({ success: true });
+
+        await Promise.all([outbox.replay(send), outbox.replay(send)]);
+
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('notifies subscribers when the queue changes', () => {
+        const outbox = new ActionOutbox('session-a', storage);
+        const listener = jest.fn();
+        const unsubscribe = outbox.subscribe(listener);
+
+        outbox.enqueue('add-item', {}, 'key-00000001');
+        unsubscribe();
+        outbox.remove('key-00000001');
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(1);
+    });
+
+    test('works in memory when storage is unavailable', () => {
+        const outbox = new ActionOutbox('session-a', null);
+        outbox.enqueue('add-item', {}, 'key-00000001');
+
+        expect(outbox.size).toBe(1);
+        expect(outbox.load()).toEqual([]);
+    });
+});
+
+describe('BaseComponent offline queue', () => {
+    let element;
+    let component;
+    let onLine;
+
+    class ItemsComponent extends BaseComponent {
+        render() {
+            this.element.innerHTML = `<div>${this.renderSyncBadge()}</div>`;
+        }
+
+        bindEvents() { }
+    }
+
+    beforeEach(() => {
+        window.ActionOutbox = ActionOutbox;
+        onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        component = new ItemsComponent(element, [{ id: 1, text: 'Milk', done: false }], {
+            sessionToken: 'abc123', useEventStream: false, pollInterval: 0
+        });
+        component.render();
+        component.startOutbox();
+        jest.spyOn(component, 'handleError').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        component.destroy();
+        delete window.ActionOutbox;
+        delete window.MCP;
+        ActionOutbox.instances.clear();
+        onLine.mockRestore();
+        document.body.innerHTML = '';
+    });
+
+    test('sends an idempotency key with every action', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'application/json' },
+            text: () => Promise.resolve(JSON.stringify({ success: true, data: { showForm: true } }))
+        });
+
+        await component.handleAction('add-item', { text: 'Milk' });
+
+        const [, request] = global.fetch.mock.calls[0];
+        expect(request.headers['Idempotency-Key']).toMatch(/^[A-Za-z0-9_-]{8,128}$/);
+    });
+
+    test('queues actions while offline and keeps the optimistic change', async () => {
+        onLine.mockReturnValue(false);
+        const apiSpy = jest.spyOn(component, 'apiCall');
+
+        const result = await component.handleAction('toggle-item', { id: 1 }, {
+            optimistic: { type: 'toggle', id: 1, field: 'done' }
+        });
+
+        expect(result).toEqual({ success: true, queued: true });
+        expect(apiSpy).not.toHaveBeenCalled();
+        expect(component.data[0].done).toBe(true);
+        expect(component.outbox.size).toBe(1);
+        expect(element.getAttribute('data-pending-sync')).toBe('1');
+        expect(element.querySelector('.sync-badge').textContent).toBe('1 pending sync');
+    });
+
+    test('queues actions that fail with a network error', async () => {
+        jest.spyOn(component, 'apiCall').mockRejectedValueOnce(networkError());
+
+        await expect(component.handleAction('add-item', { text: 'Eggs' })).resolves.toMatchObject({ queued: true });
+        expect(component.outbox.size).toBe(1);
+    });
+
+    test('replays with the original key when the browser comes back online', async () => {
+        onLine.mockReturnValue(false);
+        await component.handleAction('add-item', { text: 'Eggs' });
+        const { idempotencyKey } = component.outbox.entries[0];
+
+        onLine.mockReturnValue(true);
+        const apiSpy = jest.spyOn(component, 'apiCall')
+            .mockResolvedValueOnce({ success: true })
+            .mockResolvedValueOnce({ success: true, data: [{ id: 1, text: 'Milk' }, { id: 2, text: 'Eggs' }] });
+
+        window.dispatchEvent(new Event('online'));
+        await component.outbox.replaying;
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(apiSpy.mock.calls[0][1].headers['Idempotency-Key']).toBe(idempotencyKey);
+        expect(apiSpy.mock.calls[1][0]).toBe('/data');
+        expect(component.data).toHaveLength(2);
+        expect(element.hasAttribute('data-pending-sync')).toBe(false);
+        expect(element.querySelector('.sync-badge')).toBeNull();
+    });
+
+    test('notifies when a queued action is refused on replay', async () => {
+        const showNotification = jest.fn();
+        window.MCP = { utils: { showNotification } };
+        component.outbox.enqueue('delete-item', { id: 9 }, 'key-00000001');
+        jest.spyOn(component, 'apiCall')
+            .mockResolvedValueOnce({ success: false, error: 'Item not found' })
+            .mockResolvedValueOnce({ success: true, data: [] });
+
+        await component.replayOutbox();
+
+        expect(showNotification).toHaveBeenCalledWith(expect.stringContaining('Item not found'), 'error', 5000);
+        expect(component.outbox.size).toBe(0);
+    });
+});
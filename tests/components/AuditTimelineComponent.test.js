@@ -0,0 +1,187 @@
+/**
+ * AuditTimelineComponent Tests
+ *
+ * Tests cover loading the trail from /api/audit, person/assistant badges,
+ * rejected changes, payload summaries, filtering and the unavailable state.
+ */
+
+// Mock the BaseComponent
+const BaseComponent = require('../__mocks__/BaseComponent');
+
+// Load the component
+require('../../src/vanilla/components/AuditTimelineComponent');
+
+describe('AuditTimelineComponent', () => {
+    let container, component, apiCall;
+
+    const entries = [
+        {
+            id: 'a2',
+            timestamp: '2024-01-15T09:58:00Z',
+            origin: 'assistant',
+            userId: 'alice',
+            serverName: 'todoodles',
+            action: 'add',
+            payload: { text: 'Buy milk' },
+            status: 200,
+            success: true
+        },
+        {
+            id: 'a1',
+            timestamp: '2024-01-15T09:00:00Z',
+            origin: 'ui',
+            userId: 'alice',
+            serverName: 'todoodles',
+            action: 'delete',
+            payload: { id: 3 },
+            status: 403,
+            success: false,
+            error: 'Missing required scopes: delete',
+            channel: 'http'
+        }
+    ];
+
+    // Let the fetch started by init() settle
+    const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+
+        apiCall = jest.spyOn(BaseComponent.prototype, 'apiCall')
+            .mockResolvedValue({ success: true, data: entries });
+    });
+
+    afterEach(() => {
+        if (component && !component.isDestroyed) {
+            component.destroy();
+        }
+        if (container && container.parentNode) {
+            document.body.removeChild(container);
+        }
+        apiCall.mockRestore();
+        jest.useRealTimers();
+    });
+
+    describe('Loading', () => {
+        test('fetches the trail from /api/audit on init', async () => {
+            component = new AuditTimelineComponent(container, [], {});
+            await flush();
+
+            expect(apiCall).toHaveBeenCalledWith('/audit?limit=50');
+            expect(container.querySelectorAll('.audit-entry')).toHaveLength(2);
+        });
+
+        test('passes the configured limit and filters', async () => {
+            component = new AuditTimelineComponent(container, [], {
+                audit: { limit: 10, action: 'add', origin: 'assistant' }
+            });
+            await flush();
+
+            expect(apiCall).toHaveBeenCalledWith('/audit?limit=10&action=add&origin=assistant');
+        });
+
+        test('ignores data that is not audit entries', () => {
+            apiCall.mockReturnValue(new Promise(() => { }));
+            component = new AuditTimelineComponent(container, [{ id: 1, text: 'a todo' }], {});
+
+            expect(component.data).toEqual([]);
+            expect(container.querySelector('.audit-empty').textContent).toContain('No changes yet');
+        });
+
+        test('shows the unavailable message and stops fetching after a 403', async () => {
+            const forbidden = Object.assign(new Error('Forbidden'), { status: 403 });
+            apiCall.mockRejectedValue(forbidden);
+
+            component = new AuditTimelineComponent(container, [], {});
+            await flush();
+            await component.fetchData();
+
+            expect(apiCall).toHaveBeenCalledTimes(1);
+            expect(container.querySelector('.audit-empty').textContent).toContain('Activity is not available');
+        });
+
+        test('keeps the current entries when a fetch fails', async () => {
+            component = new AuditTimelineComponent(container, [], {});
+            await flush();
+
+            apiCall.mockRejectedValue(new Error('Network down'));
+            await component.fetchData();
+
+            expect(container.querySelectorAll('.audit-entry')).toHaveLength(2);
+        });
+    });
+
+    describe('Rendering', () => {
+        beforeEach(async () => {
+            component = new AuditTimelineComponent(container, [], {});
+            await flush();
+        });
+
+        test('marks who made each change', () => {
+            const [first, second] = container.querySelectorAll('.audit-entry');
+
+            expect(first.classList.contains('audit-origin-assistant')).toBe(true);
+            expect(first.querySelector('.audit-actor').textContent).toBe('Assistant');
+            expect(second.querySelector('.audit-actor').textContent).toBe('Person');
+        });
+
+        test('shows rejected changes with their status and error', () => {
+            const rejected = container.querySelector('.audit-failed');
+
+            expect(rejected.querySelector('.audit-status').textContent).toContain('403');
+            expect(rejected.querySelector('.audit-error-message').textContent).toContain('Missing required scopes');
+        });
+
+        test('summarizes payloads', () => {
+            const payload = container.querySelector('.audit-entry .audit-payload');
+            expect(payload.textContent).toBe('text: Buy milk');
+        });
+
+        test('shows relative times', () => {
+            const times = container.querySelectorAll('.audit-time');
+
+            expect(times[0].textContent.trim()).toBe('2 min ago');
+            expect(times[1].textContent.trim()).toBe('1 h ago');
+            expect(times[0].getAttribute('datetime')).toBe('2024-01-15T09:58:00.000Z');
+        });
+
+        test('hides failures when showFailures is false', async () => {
+            component.destroy();
+            component = new AuditTimelineComponent(container, [], { audit: { showFailures: false } });
+            await flush();
+
+            expect(container.querySelectorAll('.audit-entry')).toHaveLength(1);
+            expect(container.querySelector('.audit-failed')).toBeNull();
+        });
+    });
+
+    describe('Security', () => {
+        test('escapes actions, errors and payloads', async () => {
+            apiCall.mockResolvedValue({
+                success: true,
+                data: [{
+                    id: 'x',
+                    timestamp: '2024-01-15T09:59:00Z',
+                    origin: 'ui',
+                    action: '<img src=x onerror=alert(1)>',
+                    payload: { text: '<script>alert(1)</script>' },
+                    status: 400,
+                    success: false,
+                    error: '<b>bad</b>'
+                }]
+            });
+
+            component = new AuditTimelineComponent(container, [], {});
+            await flush();
+
+            expect(container.querySelector('img')).toBeNull();
+            expect(container.querySelector('script')).toBeNull();
+            expect(container.querySelector('b')).toBeNull();
+            expect(container.querySelector('.audit-action').textContent).toBe('<img src=x onerror=alert(1)>');
+        });
+    });
+});
@@ -0,0 +1,784 @@
+/**
+ * BaseComponent Test Suite
+ * Tests the push channels (event stream, WebSocket) and their polling fallback
+ */
+
+const BaseComponent = require('../../src/vanilla/core/BaseComponent.js');
+
+// Minimal EventSource stand-in - jsdom doesn't provide one
+class MockEventSource {
+    constructor(url) {
+        this.url = url;
+        this.readyState = MockEventSource.CONNECTING;
+        this.listeners = {};
+        this.close = jest.fn(() => {
+            this.readyState = MockEventSource.CLOSED;
+        });
+        MockEventSource.instances.push(this);
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    emit(type, event = {}) {
+        (this.listeners[type] || []).forEach(handler => handler(event));
+    }
+}
+MockEventSource.CONNECTING = 0;
+MockEventSource.OPEN = 1;
+MockEventSource.CLOSED = 2;
+MockEventSource.instances = [];
+
+class TestComponent extends BaseComponent {
+    render() { }
+    bindEvents() { }
+}
+
+describe('BaseComponent event stream', () => {
+    let element;
+    let components;
+
+    const createComponent = (config = {}) => {
+        const component = new TestComponent(element, [], {
+            sessionToken: 'abc123',
+            pollInterval: 1000,
+            ...config
+        });
+        components.push(component);
+        return component;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        components = [];
+        MockEventSource.instances = [];
+        global.EventSource = MockEventSource;
+    });
+
+    afterEach(() => {
+        components.forEach(component => {
+            if (!component.isDestroyed) component.destroy();
+        });
+        BaseComponent.eventStreams.clear();
+        delete global.EventSource;
+        document.body.innerHTML = '';
+        jest.useRealTimers();
+    });
+
+    test('subscribes to /events instead of polling', () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+
+        expect(MockEventSource.instances).toHaveLength(1);
+        expect(MockEventSource.instances[0].url).toBe('/api/events?token=abc123');
+        expect(component.pollingInterval).toBeNull();
+    });
+
+    test('uses the gateway path without a token query parameter', () => {
+        createComponent({ apiBase: '/mcp/abc123/api' });
+        jest.runOnlyPendingTimers();
+
+        expect(MockEventSource.instances[0].url).toBe('/mcp/abc123/api/events');
+    });
+
+    test('components share one connection per URL', () => {
+        const first = createComponent();
+        const second = createComponent();
+        jest.runOnlyPendingTimers();
+
+        expect(MockEventSource.instances).toHaveLength(1);
+
+        first.destroy();
+        expect(MockEventSource.instances[0].close).not.toHaveBeenCalled();
+
+        second.destroy();
+        expect(MockEventSource.instances[0].close).toHaveBeenCalled();
+    });
+
+    test('fetches data when a change event arrives', () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+        const fetchSpy = jest.spyOn(component, 'fetchData').mockResolvedValue();
+
+        MockEventSource.instances[0].emit('change', {
+            data: JSON.stringify({ payload: { reason: 'item-added' } })
+        });
+
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls back to polling when the stream drops and stops once it reconnects', () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+        const fetchSpy = jest.spyOn(component, 'fetchData').mockResolvedValue();
+        const source = MockEventSource.instances[0];
+
+        source.emit('error');
+        expect(component.pollingInterval).not.toBeNull();
+
+        jest.advanceTimersByTime(1000);
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+        source.emit('open');
+        expect(component.pollingInterval).toBeNull();
+        // Catch-up fetch for changes missed while disconnected
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps polling when the browser closes the stream for good', () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+        const source = MockEventSource.instances[0];
+
+        source.readyState = MockEventSource.CLOSED;
+        source.emit('error');
+
+        expect(component.eventStream).toBeNull();
+        expect(component.pollingInterval).not.toBeNull();
+        expect(BaseComponent.eventStreams.size).toBe(0);
+    });
+
+    test('reopens a closed stream once a poll reaches a restarted server', async () => {
+        const component = createComponent({ serverInstance: 'server-1' });
+        jest.runOnlyPendingTimers();
+        const source = MockEventSource.instances[0];
+        source.readyState = MockEventSource.CLOSED;
+        source.emit('error');
+        jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true, data: [], version: 1, instance: 'server-2' });
+
+        await component.fetchData();
+
+        expect(component.serverInstance).toBe('server-2');
+        expect(MockEventSource.instances).toHaveLength(2);
+        MockEventSource.instances[1].emit('open');
+        expect(component.pollingInterval).toBeNull();
+    });
+
+    test('polls when EventSource is unavailable', () => {
+        delete global.EventSource;
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+
+        expect(component.eventStream).toBeNull();
+        expect(component.pollingInterval).not.toBeNull();
+    });
+
+    test('polls when the event stream is disabled', () => {
+        const component = createComponent({ useEventStream: false });
+        jest.runOnlyPendingTimers();
+
+        expect(MockEventSource.instances).toHaveLength(0);
+        expect(component.pollingInterval).not.toBeNull();
+    });
+});
+
+// Minimal WebSocket stand-in
+class MockWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.sent = [];
+        this.close = jest.fn();
+        MockWebSocket.instances.push(this);
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    send(message) {
+        this.sent.push(JSON.parse(message));
+    }
+
+    emit(type, event = {}) {
+        (this.listeners[type] || []).forEach(handler => handler(event));
+    }
+
+    receive(message) {
+        this.emit('message', { data: JSON.stringify(message) });
+    }
+}
+MockWebSocket.instances = [];
+
+describe('BaseComponent WebSocket channel', () => {
+    let element;
+    let components;
+
+    const createComponent = (config = {}) => {
+        const component = new TestComponent(element, [], {
+            sessionToken: 'abc123',
+            pollInterval: 1000,
+            useWebSocket: true,
+            ...config
+        });
+        components.push(component);
+        return component;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        components = [];
+        MockWebSocket.instances = [];
+        global.WebSocket = MockWebSocket;
+    });
+
+    afterEach(() => {
+        components.forEach(component => {
+            if (!component.isDestroyed) component.destroy();
+        });
+        BaseComponent.webSockets.clear();
+        delete global.WebSocket;
+        document.body.innerHTML = '';
+        jest.useRealTimers();
+    });
+
+    test('connects to /ws on the page host', () => {
+        createComponent();
+        jest.runOnlyPendingTimers();
+
+        expect(MockWebSocket.instances).toHaveLength(1);
+        expect(MockWebSocket.instances[0].url).toBe(`ws://${window.location.host}/api/ws?token=abc123`);
+    });
+
+    test('sends actions over the socket when connected', async () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+        jest.spyOn(component, 'fetchData').mockResolvedValue();
+        const apiSpy = jest.spyOn(component, 'apiCall');
+        const socket = MockWebSocket.instances[0];
+        socket.emit('open');
+
+        const pending = component.handleAction('add', { text: 'Milk' });
+        expect(socket.sent[0]).toEqual({ type: 'action', id: 1, action: 'add', data: { text: 'Milk' }, idempotencyKey: expect.any(String) });
+
+        socket.receive({ type: 'result', id: 1, success: true, data: { id: 7 } });
+        await expect(pending).resolves.toMatchObject({ success: true, data: { id: 7 } });
+        expect(apiSpy).not.toHaveBeenCalled();
+    });
+
+    test('fetches data when the server pushes a change', () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+        const fetchSpy = jest.spyOn(component, 'fetchData').mockResolvedValue();
+
+        MockWebSocket.instances[0].receive({ type: 'change', payload: { action: 'add' } });
+
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('polls while disconnected and reconnects with backoff', () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+        jest.spyOn(component, 'fetchData').mockResolvedValue();
+        const socket = MockWebSocket.instances[0];
+        socket.emit('open');
+
+        socket.emit('close');
+        expect(component.pollingInterval).not.toBeNull();
+
+        jest.advanceTimersByTime(1000);
+        expect(MockWebSocket.instances).toHaveLength(2);
+
+        MockWebSocket.instances[1].emit('open');
+        expect(component.pollingInterval).toBeNull();
+    });
+
+    test('rejects in-flight actions when the socket closes', async () => {
+        const component = createComponent();
+        jest.runOnlyPendingTimers();
+        jest.spyOn(component, 'handleError').mockImplementation(() => { });
+        const socket = MockWebSocket.instances[0];
+        socket.emit('open');
+
+        const pending = component.handleAction('add', { text: 'Milk' });
+        socket.emit('close');
+
+        await expect(pending).rejects.toThrow('WebSocket closed');
+    });
+
+    test('reconnects at once when a poll reaches a restarted server', async () => {
+        const component = createComponent({ serverInstance: 'server-1' });
+        jest.runOnlyPendingTimers();
+        MockWebSocket.instances[0].emit('open');
+        MockWebSocket.instances[0].emit('close');
+        jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true, data: [], version: 1, instance: 'server-2' });
+
+        await component.fetchData();
+
+        // Without waiting out the reconnect backoff
+        expect(MockWebSocket.instances).toHaveLength(2);
+        expect(component.webSocket.reconnectTimer).toBeNull();
+    });
+
+    test('leaves the channel alone while the server is unchanged', async () => {
+        const component = createComponent({ serverInstance: 'server-1' });
+        jest.runOnlyPendingTimers();
+        MockWebSocket.instances[0].emit('open');
+        MockWebSocket.instances[0].emit('close');
+        jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true, data: [], version: 1, instance: 'server-1' });
+
+        await component.fetchData();
+
+        expect(MockWebSocket.instances).toHaveLength(1);
+        expect(component.webSocket.reconnectTimer).not.toBeNull();
+    });
+});
+
+describe('BaseComponent delta updates', () => {
+    let element;
+    let component;
+
+    class ItemsComponent extends BaseComponent {
+        render() {
+            this.element.innerHTML = this.renderMarkup();
+        }
+
+        renderPatch() {
+            this.morphElement(this.renderMarkup());
+        }
+
+        renderMarkup() {
+            return `<input class="filter"><ul>${this.data.map(item =>
+                `<li data-id="${item.id}">${item.text}</li>`).join('')}</ul>`;
+        }
+
+        bindEvents() { }
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        component = new ItemsComponent(element, [
+            { id: 1, text: 'One' },
+            { id: 2, text: 'Two' },
+            { id: 3, text: 'Three' }
+        ], { sessionToken: 'abc123', useEventStream: false, pollInterval: 0, dataVersion: 4 });
+        jest.runOnlyPendingTimers();
+    });
+
+    afterEach(() => {
+        component.destroy();
+        document.body.innerHTML = '';
+        jest.useRealTimers();
+    });
+
+    test('requests a patch since the known version', async () => {
+        const apiSpy = jest.spyOn(component, 'apiCall').mockResolvedValue({
+            success: true,
+            delta: true,
+            version: 5,
+            data: { since: 4, version: 5, added: [], changed: [{ id: 2, text: 'Deux' }], removed: [] }
+        });
+
+        await component.fetchData();
+
+        expect(apiSpy).toHaveBeenCalledWith('/data?since=4');
+        expect(component.dataVersion).toBe(5);
+        expect(component.data.map(item => item.text)).toEqual(['One', 'Deux', 'Three']);
+    });
+
+    test('replaces data when the server sends a full snapshot', async () => {
+        jest.spyOn(component, 'apiCall').mockResolvedValue({
+            success: true,
+            version: 9,
+            data: [{ id: 7, text: 'Seven' }]
+        });
+
+        await component.fetchData();
+
+        expect(component.dataVersion).toBe(9);
+        expect(component.data).toEqual([{ id: 7, text: 'Seven' }]);
+    });
+
+    test('applies patches item-by-item and keeps unchanged nodes', () => {
+        const filter = element.querySelector('.filter');
+        const first = element.querySelector('[data-id="1"]');
+        filter.focus();
+
+        component.applyPatch({
+            added: [{ id: 4, text: 'Four' }],
+            changed: [{ id: 3, text: 'Trois' }],
+            removed: [2]
+        });
+
+        const items = Array.from(element.querySelectorAll('li'));
+        expect(items.map(li => li.textContent)).toEqual(['One', 'Trois', 'Four']);
+        expect(element.querySelector('[data-id="1"]')).toBe(first);
+        expect(document.activeElement).toBe(filter);
+    });
+
+    test('ignores empty patches', () => {
+        const renderSpy = jest.spyOn(component, 'renderPatch');
+
+        component.applyPatch({ added: [], changed: [], removed: [] });
+
+        expect(renderSpy).not.toHaveBeenCalled();
+    });
+
+    test('builds query-string endpoints in direct mode', () => {
+        expect(component.buildApiUrl('/data?since=4')).toBe('/api/data?since=4&token=abc123');
+    });
+});
+
+describe('BaseComponent named data sources', () => {
+    let element;
+    let component;
+
+    class TestSourceComponent extends BaseComponent {
+        render() { }
+        bindEvents() { }
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        component = new TestSourceComponent(element, [], {
+            sessionToken: 'abc123',
+            useEventStream: false,
+            pollInterval: 0,
+            dataSource: 'pantry items',
+            dataVersion: 2
+        });
+        jest.runOnlyPendingTimers();
+    });
+
+    afterEach(() => {
+        component.destroy();
+        document.body.innerHTML = '';
+        jest.useRealTimers();
+    });
+
+    test('fetches from its bound data source', async () => {
+        const apiSpy = jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true, version: 3, data: [] });
+
+        await component.fetchData();
+
+        expect(apiSpy).toHaveBeenCalledWith('/data/pantry%20items?since=2');
+    });
+
+    test('only refreshes for changes to its own source', () => {
+        const fetchSpy = jest.spyOn(component, 'fetchData').mockResolvedValue();
+
+        component.handleChangeEvent({ source: 'default' });
+        component.handleChangeEvent({ source: 'meals' });
+        expect(fetchSpy).not.toHaveBeenCalled();
+
+        component.handleChangeEvent({ source: 'pantry items' });
+        component.handleChangeEvent({ reason: 'unscoped' });
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('BaseComponent server-side queries', () => {
+    let element;
+    let component;
+
+    class PagedComponent extends BaseComponent {
+        render() { }
+        bindEvents() { }
+        getDataQuery() {
+            return { page: this.page || 1, pageSize: 25, sort: 'name:desc', filter: '' };
+        }
+    }
+
+    beforeEach(() => {
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        component = new PagedComponent(element, [], {
+            sessionToken: 'abc123',
+            useEventStream: false,
+            pollInterval: 0,
+            serverSide: true,
+            dataVersion: 7
+        });
+    });
+
+    afterEach(() => {
+        component.destroy();
+        document.body.innerHTML = '';
+    });
+
+    test('sends the query instead of a delta request', async () => {
+        const apiSpy = jest.spyOn(component, 'apiCall').mockResolvedValue({
+            success: true,
+            data: [{ id: 1 }],
+            total: 120
+        });
+
+        await component.fetchData();
+
+        expect(apiSpy).toHaveBeenCalledWith('/data?page=1&pageSize=25&sort=name%3Adesc');
+        expect(component.serverTotal).toBe(120);
+        expect(component.data).toEqual([{ id: 1 }]);
+    });
+
+    test('ignores responses superseded by a newer request', async () => {
+        let resolveFirst;
+        jest.spyOn(component, 'apiCall')
+            .mockReturnValueOnce(new Promise(resolve => { resolveFirst = resolve; }))
+            .mockResolvedValueOnce({ success: true, data: [{ id: 2 }], total: 120 });
+
+        const first = component.fetchData();
+        component.page = 2;
+        await component.fetchData();
+        resolveFirst({ success: true, data: [{ id: 1 }], total: 120 });
+        await first;
+
+        expect(component.data).toEqual([{ id: 2 }]);
+    });
+
+    test('re-renders when only the total changes', async () => {
+        component.serverTotal = 120;
+        component.update([{ id: 1 }]);
+        const renderSpy = jest.spyOn(component, 'render');
+        jest.spyOn(component, 'apiCall').mockResolvedValue({ success: true, data: [{ id: 1 }], total: 121 });
+
+        await component.fetchData();
+
+        expect(renderSpy).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('BaseComponent action errors', () => {
+    let element;
+    let component;
+
+    beforeEach(() => {
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        component = new TestComponent(element, [], { sessionToken: 'abc123', useEventStream: false, pollInterval: 0 });
+        jest.spyOn(component, 'handleError').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        component.destroy();
+        document.body.innerHTML = '';
+    });
+
+    test('rejects with the server message and field errors without retrying', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: false,
+            status: 400,
+            statusText: 'Bad Request',
+            text: async () => JSON.stringify({
+                success: false,
+                error: 'Invalid action payload',
+                fieldErrors: { quantity: 'Must be at least 1' }
+            })
+        });
+
+        const error = await component.handleAction('add', { quantity: 0 }).catch(e => e);
+
+        expect(error.message).toBe('Invalid action payload');
+        expect(error.status).toBe(400);
+        expect(error.fieldErrors).toEqual({ quantity: 'Must be at least 1' });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps the request ID the server answered with', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: false,
+            status: 403,
+            statusText: 'Forbidden',
+            headers: { get: name => (name === 'X-Request-Id' ? '3f9c2a71d04be815' : null) },
+            text: async () => JSON.stringify({ success: false, error: 'Invalid token' })
+        });
+
+        const error = await component.handleAction('add', {}).catch(e => e);
+
+        expect(error.requestId).toBe('3f9c2a71d04be815');
+        expect(component.describeError(error)).toBe('Invalid token (ref 3f9c2a71d04be815)');
+    });
+});
+
+describe('BaseComponent session scopes', () => {
+    let element;
+    let component;
+
+    const create = (config) => {
+        component = new TestComponent(element, [], { sessionToken: 'abc123', useEventStream: false, pollInterval: 0, ...config });
+        jest.spyOn(component, 'handleError').mockImplementation(() => { });
+        return component;
+    };
+
+    beforeEach(() => {
+        element = document.createElement('div');
+        document.body.appendChild(element);
+    });
+
+    afterEach(() => {
+        component.destroy();
+        document.body.innerHTML = '';
+    });
+
+    test('treats a session without scopes as unrestricted', () => {
+        create({});
+
+        expect(component.canPerform('delete')).toBe(true);
+        expect(component.hasScope('admin')).toBe(true);
+    });
+
+    test('needs write for actions and delete for delete-like names', () => {
+        create({ scopes: ['read', 'write'] });
+
+        expect(component.canPerform('add')).toBe(true);
+        expect(component.canPerform('bulk-delete')).toBe(false);
+        expect(component.canPerform('remove_item')).toBe(false);
+        expect(component.canPerform('undelete-item')).toBe(true);
+    });
+
+    test('uses declared action scopes and lets admin through', () => {
+        create({ scopes: ['read'], actionScopes: { refresh: ['read'], purge: ['admin'] } });
+
+        expect(component.canPerform('refresh')).toBe(true);
+        expect(component.canPerform('purge')).toBe(false);
+
+        component.config.scopes = ['admin'];
+        expect(component.canPerform('purge')).toBe(true);
+        expect(component.canPerform('delete')).toBe(true);
+    });
+
+    test('refuses actions the session cannot run without calling the server', async () => {
+        create({ scopes: ['read'] });
+
+        const error = await component.handleAction('add', { text: 'Milk' }).catch(e => e);
+
+        expect(error.message).toBe('Action add is not permitted for this session');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
+
+describe('BaseComponent optimistic updates', () => {
+    let element;
+    let component;
+    let showNotification;
+
+    class ItemsComponent extends BaseComponent {
+        render() {
+            this.element.innerHTML = `<ul>${this.data.map(item =>
+                `<li data-id="${item.id}">${item.text}${item.done ? ' ✓' : ''}</li>`).join('')}</ul>`;
+        }
+
+        bindEvents() { }
+    }
+
+    // Server response we can settle from the test
+    const deferred = () => {
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+        return { promise, resolve, reject };
+    };
+
+    const texts = () => Array.from(element.querySelectorAll('li')).map(li => li.textContent);
+
+    beforeEach(() => {
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        component = new ItemsComponent(element, [
+            { id: 1, text: 'Milk', done: false },
+            { id: 2, text: 'Eggs', done: false },
+            { id: 3, text: 'Bread', done: false }
+        ], { sessionToken: 'abc123', useEventStream: false, pollInterval: 0 });
+        component.render();
+        jest.spyOn(component, 'handleError').mockImplementation(() => { });
+        showNotification = jest.fn();
+        window.MCP = { utils: { showNotification } };
+    });
+
+    afterEach(() => {
+        component.destroy();
+        delete window.MCP;
+        document.body.innerHTML = '';
+    });
+
+    test('applies the effect before the server answers', async () => {
+        const response = deferred();
+        jest.spyOn(component, 'apiCall').mockReturnValueOnce(response.promise);
+        jest.spyOn(component, 'fetchData').mockResolvedValue();
+
+        const pending = component.handleAction('toggle-item', { id: 2 }, {
+            optimistic: { type: 'toggle', id: 2, field: 'done' }
+        });
+
+        expect(texts()).toEqual(['Milk', 'Eggs ✓', 'Bread']);
+
+        response.resolve({ success: true });
+        await pending;
+        expect(component.data[1].done).toBe(true);
+        expect(showNotification).not.toHaveBeenCalled();
+    });
+
+    test('rolls back and notifies when the server rejects the action', async () => {
+        jest.spyOn(component, 'apiCall').mockResolvedValueOnce({ success: false, error: 'Out of stock' });
+
+        await expect(component.handleAction('delete', { id: 2 }, {
+            optimistic: { type: 'remove', id: 2 }
+        })).rejects.toThrow('Out of stock');
+
+        expect(texts()).toEqual(['Milk', 'Eggs', 'Bread']);
+        expect(showNotification).toHaveBeenCalledWith(expect.stringContaining('Out of stock'), 'error', 5000);
+    });
+
+    test('shows the request ID of a failed action as a reference', async () => {
+        jest.spyOn(component, 'apiCall').mockResolvedValueOnce({ success: false, error: 'Out of stock', requestId: 'a1b2c3d4e5f60718' });
+
+        await expect(component.handleAction('delete', { id: 2 }, {
+            optimistic: { type: 'remove', id: 2 }
+        })).rejects.toThrow('Out of stock');
+
+        expect(showNotification).toHaveBeenCalledWith(expect.stringContaining('Out of stock (ref a1b2c3d4e5f60718)'), 'error', 5000);
+    });
+
+    test('defers refreshes until in-flight actions settle', async () => {
+        const response = deferred();
+        const apiSpy = jest.spyOn(component, 'apiCall')
+            .mockReturnValueOnce(response.promise)
+            .mockResolvedValue({ success: true, data: [{ id: 1, text: 'Milk', done: true }] });
+
+        const pending = component.handleAction('toggle-item', { id: 1 }, {
+            optimistic: { type: 'toggle', id: 1, field: 'done' }
+        });
+
+        // A poll arriving mid-flight would flip the checkbox back
+        await component.fetchData();
+        expect(apiSpy).toHaveBeenCalledTimes(1);
+        expect(texts()[0]).toBe('Milk ✓');
+
+        response.resolve({ success: true });
+        await pending;
+        expect(apiSpy).toHaveBeenCalledTimes(2);
+        expect(component.data).toEqual([{ id: 1, text: 'Milk', done: true }]);
+    });
+
+    test('replaces a temporary inserted item with the server copy', async () => {
+        const response = deferred();
+        jest.spyOn(component, 'apiCall')
+            .mockReturnValueOnce(response.promise)
+            .mockResolvedValue({
+                success: true,
+                delta: true,
+                version: 2,
+                data: { added: [{ id: 9, text: 'Butter', done: false }], changed: [], removed: [] }
+            });
+        component.dataVersion = 1;
+
+        const pending = component.handleAction('add', { text: 'Butter' }, {
+            optimistic: { type: 'insert', item: { text: 'Butter', done: false } }
+        });
+        expect(component.data[3].id).toMatch(/^optimistic-/);
+
+        response.resolve({ success: true });
+        await pending;
+
+        expect(component.data.map(item => item.id)).toEqual([1, 2, 3, 9]);
+        expect(texts()).toEqual(['Milk', 'Eggs', 'Bread', 'Butter']);
+    });
+});
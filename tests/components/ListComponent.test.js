@@ -385,6 +385,169 @@ describe('ListComponent', () => {
             expect(toggleButton.getAttribute('aria-expanded')).toBe('false');
         });
     });
+
+    describe('Delta Updates', () => {
+        let component;
+
+        beforeEach(async () => {
+            component = new ListComponent(element, sampleTodoData, singleSectionConfig);
+            await new Promise(resolve => setTimeout(resolve, 10));
+        });
+
+        test('should patch items without replacing unchanged nodes', () => {
+            const untouched = element.querySelector('.list-item[data-id="1"]');
+
+            component.applyPatch({
+                added: [{ id: 6, text: 'Water plants', completed: false, priority: 'low' }],
+                changed: [{ id: 2, text: 'Walk the dog twice', completed: true, priority: 'low' }],
+                removed: [3]
+            });
+
+            expect(element.querySelector('.list-item[data-id="1"]')).toBe(untouched);
+            expect(element.querySelector('.list-item[data-id="3"]')).toBeNull();
+            expect(element.querySelector('.list-item[data-id="6"]')).not.toBeNull();
+            expect(element.querySelector('.list-item[data-id="2"]').textContent).toContain('Walk the dog twice');
+            expect(component.data).toHaveLength(5);
+        });
+
+        test('should keep focus in the search box while patching', async () => {
+            component.destroy();
+            component = new ListComponent(element, sampleTodoData, {
+                list: { ...singleSectionConfig.list, enableSearch: true }
+            });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const search = element.querySelector('[data-action="search"]');
+            search.focus();
+            component.applyPatch({ added: [], changed: [{ id: 1, text: 'Buy milk', completed: false, priority: 'medium' }], removed: [] });
+
+            expect(document.activeElement).toBe(search);
+        });
+    });
+
+    describe('Bulk Delete', () => {
+        let component;
+
+        beforeEach(async () => {
+            component = new ListComponent(element, sampleTodoData, {
+                list: { ...singleSectionConfig.list, confirmDeletes: false }
+            });
+            await new Promise(resolve => setTimeout(resolve, 10));
+        });
+
+        afterEach(() => {
+            component.destroy();
+        });
+
+        test('should delete the selected items in one undoable action', async () => {
+            const actionSpy = jest.spyOn(component, 'handleAction').mockResolvedValue({ success: true });
+            component.listState.selectedItems.add(1);
+            component.listState.selectedItems.add(3);
+
+            await component.handleBulkAction('delete');
+
+            expect(actionSpy).toHaveBeenCalledWith('bulk-delete', { ids: [1, 3] }, { undo: { label: 'Deleted 2 todos' } });
+            expect(component.listState.selectedItems.size).toBe(0);
+        });
+
+        test('should send id lists through action sanitizing', () => {
+            expect(component.sanitizeActionData({ ids: [1, '2<b>'], nested: [{ id: 1 }] })).toEqual({ ids: [1, '2&lt;b&gt;'] });
+        });
+    });
+
+    describe('Session Scopes', () => {
+        let component;
+
+        afterEach(() => {
+            component.destroy();
+        });
+
+        test('should hide edit controls from a read-only session', async () => {
+            component = new ListComponent(element, sampleTodoData, { ...singleSectionConfig, scopes: ['read'] });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(element.querySelector('[data-action="global-add"]')).toBeNull();
+            expect(element.querySelector('[data-action^="item-"]')).toBeNull();
+            expect(element.querySelector('[data-action="toggle-item"]').disabled).toBe(true);
+            expect(element.querySelectorAll('.list-item')).toHaveLength(sampleTodoData.length);
+        });
+
+        test('should keep edit but hide delete without the delete scope', async () => {
+            component = new ListComponent(element, sampleTodoData, { ...singleSectionConfig, scopes: ['read', 'write'] });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(element.querySelector('[data-action="global-add"]')).not.toBeNull();
+            expect(element.querySelector('[data-action="item-edit"]')).not.toBeNull();
+            expect(element.querySelector('[data-action="item-delete"]')).toBeNull();
+            expect(component.getPermittedActions('bulk')).toEqual([]);
+        });
+
+        test('should follow the scopes the server declares for an action', async () => {
+            component = new ListComponent(element, sampleTodoData, {
+                ...singleSectionConfig,
+                scopes: ['read'],
+                actionScopes: { 'toggle-item': ['read'] }
+            });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(element.querySelector('[data-action="toggle-item"]').disabled).toBe(false);
+        });
+    });
+
+    describe('Server-Side Mode', () => {
+        let component;
+        let apiSpy;
+
+        beforeEach(async () => {
+            apiSpy = jest.spyOn(ListComponent.prototype, 'apiCall').mockResolvedValue({
+                success: true,
+                data: sampleTodoData.slice(0, 2),
+                total: 45,
+                page: 1,
+                pageSize: 2
+            });
+            component = new ListComponent(element, [], {
+                serverSide: true,
+                pollInterval: 0,
+                list: { ...singleSectionConfig.list, enableSearch: true, enablePagination: true, itemsPerPage: 2 }
+            });
+            await new Promise(resolve => setTimeout(resolve, 10));
+        });
+
+        afterEach(() => {
+            component.destroy();
+            apiSpy.mockRestore();
+        });
+
+        test('should load the first page from the server', () => {
+            expect(apiSpy).toHaveBeenCalledWith('/data?page=1&pageSize=2');
+            expect(element.querySelectorAll('.list-item')).toHaveLength(2);
+            expect(element.querySelector('.pagination-info').textContent).toBe('Page 1 of 23');
+        });
+
+        test('should request the next page with the current sort', async () => {
+            component.listState.sortColumn = 'priority';
+            component.listState.sortDirection = 'desc';
+
+            component.goToPage(2);
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(apiSpy).toHaveBeenLastCalledWith('/data?page=2&pageSize=2&sort=priority%3Adesc');
+        });
+
+        test('should debounce searches and restart at page one', () => {
+            jest.useFakeTimers();
+            component.listState.currentPage = 3;
+
+            component.handleSearch('do');
+            component.handleSearch('dog');
+            jest.advanceTimersByTime(300);
+
+            expect(apiSpy).toHaveBeenCalledTimes(2);
+            expect(apiSpy).toHaveBeenLastCalledWith('/data?page=1&pageSize=2&filter=dog');
+            jest.useRealTimers();
+        });
+    });
 });
 
 // Helper function to wait for DOM updates
@@ -214,6 +214,36 @@ describe('ModalComponent', () => {
             expect(emailError.textContent).toBe('Valid email is required');
         });
 
+        test('should show server field errors next to their inputs', async () => {
+            modalManager.form({
+                title: 'Test Form',
+                fields: [
+                    { name: 'text', label: 'Text Field', type: 'text' },
+                    { name: 'quantity', label: 'Quantity', type: 'number' }
+                ],
+                onSubmit: async () => {
+                    const error = new Error('Invalid action payload');
+                    error.fieldErrors = { quantity: 'Must be at least 1' };
+                    throw error;
+                }
+            });
+            const modal = document.querySelector('.mcp-modal-overlay');
+            const form = modal.querySelector('[data-form="modal-form"]');
+
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const quantityGroup = modal.querySelector('input[name="quantity"]').closest('.mcp-form-group');
+            expect(quantityGroup.classList.contains('has-error')).toBe(true);
+            expect(quantityGroup.querySelector('.mcp-form-error').textContent).toBe('Must be at least 1');
+            expect(modal.querySelector('input[name="text"]').closest('.mcp-form-group').classList.contains('has-error')).toBe(false);
+            expect(modal.querySelector('.mcp-modal-error').textContent).toBe('Invalid action payload');
+
+            // Errors from the previous attempt are cleared on resubmit
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            expect(modal.querySelectorAll('.mcp-form-error')).toHaveLength(0);
+        });
+
         test('should handle different field types correctly', () => {
             const formConfig = {
                 title: 'Field Types Test',
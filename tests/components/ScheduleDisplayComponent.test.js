@@ -677,4 +677,94 @@ describe('ScheduleDisplayComponent', () => {
             expect(component.componentConfig.locale).toBe('en-US');
         });
     });
+    describe('Scheduled Tasks', () => {
+        const tasks = [
+            {
+                id: 'backup', name: 'Nightly backup', type: 'daily', time: '02:00',
+                nextRun: '2024-01-16T02:00:00Z',
+                lastRun: { at: '2024-01-15T02:00:00Z', status: 'failed', message: 'Disk full' },
+                enabled: true
+            },
+            { id: 7, name: 'Sync feeds', type: 'cron', cronExpression: '*/15 * * * *', enabled: false }
+        ];
+
+        test('renders one row per task', () => {
+            component = new ScheduleDisplayComponent(container, tasks, {});
+
+            const rows = container.querySelectorAll('.schedule-display');
+            expect(rows).toHaveLength(2);
+            expect(rows[0].dataset.id).toBe('backup');
+            expect(rows[1].classList.contains('schedule-disabled')).toBe(true);
+        });
+
+        test('shows an empty state without tasks', () => {
+            component = new ScheduleDisplayComponent(container, [], {});
+
+            expect(container.querySelector('.schedule-empty').textContent).toBe('No scheduled tasks');
+        });
+
+        test('describes common cron patterns', () => {
+            component = new ScheduleDisplayComponent(container, {}, {});
+
+            expect(component.describeCron('0 9 * * 1-5')).toBe('At 9:00 AM, on weekdays');
+            expect(component.describeCron('*/15 * * * *')).toBe('Every 15 minutes, every day');
+            expect(component.describeCron('30 6 1 * *')).toBe('At 6:30 AM, on the 1st of every month');
+            expect(component.describeCron('0 0 1 1 *')).toBeNull();
+        });
+
+        test('shows the last run outcome', () => {
+            component = new ScheduleDisplayComponent(container, tasks, {});
+
+            const lastRun = container.querySelector('.last-run');
+            expect(lastRun.textContent).toContain('8 hours ago');
+            expect(lastRun.querySelector('.status-failed').textContent).toContain('Failed');
+            expect(lastRun.textContent).toContain('Disk full');
+        });
+
+        test('toggles a task through handleAction with an undoable optimistic update', () => {
+            component = new ScheduleDisplayComponent(container, tasks, {});
+            component.handleAction = jest.fn().mockResolvedValue({ success: true });
+
+            const toggle = container.querySelector('[data-id="7"] [data-action="toggle-schedule"]');
+            toggle.checked = true;
+            toggle.dispatchEvent(new Event('change', { bubbles: true }));
+
+            expect(component.handleAction).toHaveBeenCalledWith('toggle-enabled', { id: 7, enabled: true }, expect.objectContaining({
+                optimistic: { type: 'update', id: 7, changes: { enabled: true } },
+                undo: expect.objectContaining({ data: { id: 7, enabled: false } })
+            }));
+        });
+
+        test('runs a task now with the configured action', () => {
+            component = new ScheduleDisplayComponent(container, tasks, { schedule: { runAction: 'run-task' } });
+            component.handleAction = jest.fn().mockResolvedValue({ success: true });
+
+            container.querySelector('[data-id="backup"] [data-action="run-schedule"]').click();
+
+            expect(component.handleAction).toHaveBeenCalledWith('run-task', { id: 'backup' });
+        });
+
+        test('omits actions for schedules without an id', () => {
+            component = new ScheduleDisplayComponent(container, { type: 'daily', time: '09:00' }, {});
+
+            expect(container.querySelector('.schedule-actions')).toBeNull();
+        });
+
+        test('hides task controls from a read-only session', () => {
+            component = new ScheduleDisplayComponent(container, tasks, { scopes: ['read'] });
+
+            expect(container.querySelectorAll('.schedule-display')).toHaveLength(2);
+            expect(container.querySelector('.schedule-actions')).toBeNull();
+        });
+
+        test('shows only the controls the session can use', () => {
+            component = new ScheduleDisplayComponent(container, tasks, {
+                scopes: ['read'],
+                actionScopes: { 'run-now': ['read'] }
+            });
+
+            expect(container.querySelector('[data-action="toggle-schedule"]')).toBeNull();
+            expect(container.querySelector('[data-action="run-schedule"]')).not.toBeNull();
+        });
+    });
 });
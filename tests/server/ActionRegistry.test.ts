@@ -0,0 +1,236 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { ActionRegistry } from '../../src/server/ActionRegistry.js';
+import type { ActionDefinition, ActionPayloadSchema, WebUISession } from '../../src/types/index.js';
+import { createTestUI, request, sendSocketAction, sessionOrigin } from './helpers.js';
+
+const handler = async () => ({ ok: true });
+const action = (name: string, overrides: Partial<ActionDefinition> = {}): ActionDefinition => ({ name, handler, ...overrides });
+
+const addItem: ActionPayloadSchema = {
+    type: 'object',
+    required: ['text'],
+    additionalProperties: false,
+    properties: {
+        text: { type: 'string', minLength: 1, maxLength: 20 },
+        quantity: { type: 'integer', minimum: 1, maximum: 99 },
+        price: { type: 'number' },
+        urgent: { type: 'boolean' },
+        list: { type: 'string', enum: ['groceries', 'hardware'] },
+        code: { type: 'string', pattern: '^[A-Z]{3}$' },
+        tags: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 2 } } } }
+    }
+};
+
+describe('ActionRegistry', () => {
+    it('registers actions by name', () => {
+        const registry = new ActionRegistry([action('addItem'), action('removeItem')]);
+
+        expect(registry.size).toBe(2);
+        expect(registry.get('addItem')?.name).toBe('addItem');
+        expect(registry.get('renameItem')).toBeUndefined();
+    });
+
+    it('refuses definitions without a name or handler, and duplicate names', () => {
+        const registry = new ActionRegistry([action('addItem')]);
+
+        expect(() => registry.register(action(''))).toThrow('Action definitions need a name');
+        expect(() => registry.register({ name: 'addItem' } as ActionDefinition)).toThrow('Action "addItem" needs a handler function');
+        expect(() => registry.register(action('addItem'))).toThrow('Action "addItem" is already registered');
+        expect(registry.size).toBe(1);
+    });
+
+    it('checks scopes - declared ones, or write plus delete for delete-like names', () => {
+        const registry = new ActionRegistry();
+        const add = action('addItem');
+        const remove = action('remove_item');
+        const archive = action('archiveAll', { scopes: ['admin'] });
+
+        expect(registry.isAllowed(add, ['read', 'write'])).toBe(true);
+        expect(registry.isAllowed(add, ['read'])).toBe(false);
+        expect(registry.isAllowed(remove, ['read', 'write'])).toBe(false);
+        expect(registry.isAllowed(remove, ['write', 'delete'])).toBe(true);
+        expect(registry.isAllowed(archive, ['read', 'write', 'delete'])).toBe(false);
+        expect(registry.isAllowed(archive, ['admin'])).toBe(true);
+        expect(registry.isAllowed(archive, undefined)).toBe(true);
+    });
+
+    it('describes the scopes each action needs', () => {
+        const registry = new ActionRegistry([action('addItem'), action('clear-done'), action('archiveAll', { scopes: ['admin'] })]);
+
+        expect(registry.describeScopes()).toEqual({
+            addItem: ['write'],
+            'clear-done': ['write', 'delete'],
+            archiveAll: ['admin']
+        });
+    });
+
+    describe('validate', () => {
+        const registry = new ActionRegistry();
+        const validate = (data: any, payload: ActionPayloadSchema = addItem) => registry.validate(action('addItem', { payload }), data);
+
+        it('accepts any payload for actions without a schema', () => {
+            const data = { anything: ['goes'] };
+
+            expect(registry.validate(action('addItem'), data)).toEqual({ data, fieldErrors: {} });
+        });
+
+        it('accepts a valid payload', () => {
+            const data = { text: 'milk', quantity: 2, price: 1.5, urgent: false, list: 'groceries', code: 'MLK', tags: [{ name: 'dairy' }] };
+
+            expect(validate(data)).toEqual({ data, fieldErrors: {} });
+        });
+
+        it('coerces form strings to the declared types', () => {
+            const { data, fieldErrors } = validate({ text: 'milk', quantity: '3', price: ' 1.25', urgent: 'on' });
+
+            expect(fieldErrors).toEqual({});
+            expect(data).toEqual({ text: 'milk', quantity: 3, price: 1.25, urgent: true });
+            expect(validate({ text: 'milk', urgent: 'false' }).data.urgent).toBe(false);
+        });
+
+        it('reports each invalid field by name', () => {
+            const { fieldErrors } = validate({
+                text: '',
+                quantity: '2.5',
+                price: 'cheap',
+                urgent: 'yes',
+                list: 'garden',
+                code: 'mlk',
+                colour: 'red'
+            });
+
+            expect(fieldErrors).toEqual({
+                text: 'Required',
+                quantity: 'Must be an integer',
+                price: 'Must be a number',
+                urgent: 'Must be a boolean',
+                list: 'Must be one of: groceries, hardware',
+                code: 'Invalid format',
+                colour: 'Unexpected field'
+            });
+        });
+
+        it('reports missing required fields and values out of range', () => {
+            expect(validate({ quantity: 0 }).fieldErrors).toEqual({ text: 'Required', quantity: 'Must be at least 1' });
+            expect(validate({ text: 'x'.repeat(21), quantity: 100 }).fieldErrors).toEqual({
+                text: 'Must be at most 20 characters',
+                quantity: 'Must be at most 99'
+            });
+            expect(validate({ text: 'milk', code: 'MILK', tags: 'dairy' }).fieldErrors).toEqual({
+                code: 'Invalid format',
+                tags: 'Must be an array'
+            });
+            expect(validate({ text: 'a' }, { type: 'object', properties: { text: { type: 'string', minLength: 3 } } }).fieldErrors)
+                .toEqual({ text: 'Must be at least 3 characters' });
+        });
+
+        it('reports errors in nested items by path', () => {
+            const { fieldErrors } = validate({ text: 'milk', tags: [{ name: 'dairy' }, { name: 'x' }, {}] });
+
+            expect(fieldErrors).toEqual({ 'tags.1.name': 'Must be at least 2 characters', 'tags.2.name': 'Required' });
+        });
+
+        it('reports a payload of the wrong type as a whole', () => {
+            expect(validate('milk').fieldErrors).toEqual({ payload: 'Must be an object' });
+            expect(validate(undefined).fieldErrors).toEqual({ text: 'Required' });
+        });
+    });
+});
+
+describe('Typed actions on the UI server', () => {
+    const addHandler = jest.fn(async (data: any, userId: string) => ({ added: data, by: userId }));
+    const removeHandler = jest.fn(async () => ({ removed: true }));
+    const failingHandler = jest.fn(async () => { throw new Error('Out of milk'); });
+    const onUpdate = jest.fn(async () => ({}));
+    let ui: MCPWebUI;
+    let session: WebUISession;
+
+    beforeEach(async () => {
+        [addHandler, removeHandler, failingHandler, onUpdate].forEach(mock => mock.mockClear());
+        ui = createTestUI({
+            onUpdate,
+            actions: [
+                { name: 'addItem', payload: addItem, handler: addHandler },
+                { name: 'remove_item', handler: removeHandler },
+                { name: 'restock', handler: failingHandler }
+            ]
+        });
+        session = await ui.createSession('owner');
+    });
+
+    afterEach(async () => {
+        await ui.shutdown();
+    });
+
+    const update = (target: WebUISession, body: unknown) => request(`${sessionOrigin(target)}/api/update?token=${target.token}`, { body });
+
+    it('runs the handler with the validated payload and user', async () => {
+        const response = await update(session, { action: 'addItem', data: { text: 'milk', quantity: '2' } });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, data: { added: { text: 'milk', quantity: 2 }, by: 'owner' } });
+        expect(addHandler).toHaveBeenCalledWith({ text: 'milk', quantity: 2 }, 'owner');
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('answers 400 with field errors for an invalid payload', async () => {
+        const response = await update(session, { action: 'addItem', data: { text: '', quantity: 'lots' } });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({
+            success: false,
+            error: 'Invalid action payload',
+            fieldErrors: { text: 'Required', quantity: 'Must be an integer' }
+        });
+        expect(addHandler).not.toHaveBeenCalled();
+    });
+
+    it('answers 400 for actions that are not registered, without the catch-all', async () => {
+        const response = await update(session, { action: 'renameItem', data: {} });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Unknown action: renameItem');
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('checks scopes before validating', async () => {
+        const writer = await ui.createSession('writer', { scopes: ['read', 'write'] });
+
+        const denied = await update(writer, { action: 'remove_item', data: { id: 1 } });
+        expect(denied.status).toBe(403);
+        expect(denied.body.error).toBe('Action remove_item is not permitted for this session');
+        expect(removeHandler).not.toHaveBeenCalled();
+
+        const readOnly = await ui.createSession('viewer', { scopes: ['read'] });
+        const invalid = await update(readOnly, { action: 'addItem', data: {} });
+        expect(invalid.status).toBe(403);
+        expect(invalid.body.fieldErrors).toBeUndefined();
+
+        expect((await update(session, { action: 'remove_item', data: { id: 1 } })).status).toBe(200);
+    });
+
+    it('answers 500 with the message when the handler throws', async () => {
+        const response = await update(session, { action: 'restock', data: {} });
+
+        expect(response.status).toBe(500);
+        expect(response.body).toMatchObject({ success: false, error: 'Out of milk' });
+    });
+
+    it('applies the same checks to WebSocket actions', async () => {
+        const wsUrl = `ws://127.0.0.1:${session.port}/api/ws?token=${session.token}`;
+
+        const invalid = await sendSocketAction(wsUrl, 'addItem', { quantity: 0 });
+        expect(invalid).toMatchObject({ success: false, error: 'Invalid action payload', fieldErrors: { text: 'Required', quantity: 'Must be at least 1' } });
+
+        const valid = await sendSocketAction(wsUrl, 'addItem', { text: 'eggs' });
+        expect(valid).toMatchObject({ success: true, data: { added: { text: 'eggs' } } });
+        expect(addHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it('sends the browser the scopes each action needs', async () => {
+        const page = await request(`${sessionOrigin(session)}/?token=${session.token}`);
+
+        expect(page.body).toContain('"remove_item":["write","delete"]');
+    });
+});
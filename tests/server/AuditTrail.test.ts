@@ -0,0 +1,302 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuditLog } from '../../src/audit/AuditLog.js';
+import { matchesAuditQuery, sanitizeAuditPayload, type AuditEntry, type AuditSink } from '../../src/audit/AuditSink.js';
+import { FileAuditSink } from '../../src/audit/FileAuditSink.js';
+import { MemoryAuditSink } from '../../src/audit/MemoryAuditSink.js';
+import { MongoAuditSink } from '../../src/audit/MongoAuditSink.js';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import type { WebUISession } from '../../src/types/index.js';
+import { createTestUI, request, sessionOrigin } from './helpers.js';
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+let sequence = 0;
+
+function makeEntry(overrides: Partial<AuditEntry> = {}): AuditEntry {
+    const id = ++sequence;
+    return {
+        id: `entry-${id}`,
+        timestamp: new Date(START + id * 1000),
+        origin: 'ui',
+        userId: 'owner',
+        serverName: 'todo',
+        action: 'addItem',
+        status: 200,
+        success: true,
+        ...overrides
+    };
+}
+
+describe('sanitizeAuditPayload', () => {
+    it('redacts secret-looking fields at any depth', () => {
+        expect(sanitizeAuditPayload({ text: 'x', password: 'p', nested: { apiKey: 'k', authToken: 't' } }))
+            .toEqual({ text: 'x', password: '[redacted]', nested: { apiKey: '[redacted]', authToken: '[redacted]' } });
+    });
+
+    it('truncates long strings, deep structures and large collections', () => {
+        const payload = sanitizeAuditPayload({
+            long: 'a'.repeat(600),
+            deep: { a: { b: { c: { d: { e: 1 } } } } },
+            list: Array.from({ length: 60 }, (_, i) => i)
+        });
+
+        expect(payload.long).toBe(`${'a'.repeat(500)}…`);
+        expect(payload.deep.a.b.c.d).toBe('[truncated]');
+        expect(payload.list).toHaveLength(51);
+        expect(payload.list[50]).toBe('[10 more]');
+    });
+
+    it('keeps scalars as they are', () => {
+        expect([null, undefined, 3, false, 'x'].map(value => sanitizeAuditPayload(value))).toEqual([null, undefined, 3, false, 'x']);
+    });
+});
+
+describe('matchesAuditQuery', () => {
+    const entry = makeEntry({ sessionId: 'session-1' });
+
+    it('needs every given field to match', () => {
+        expect(matchesAuditQuery(entry, {})).toBe(true);
+        expect(matchesAuditQuery(entry, { userId: 'owner', serverName: 'todo', sessionId: 'session-1', action: 'addItem', origin: 'ui' })).toBe(true);
+        expect(matchesAuditQuery(entry, { userId: 'someone-else' })).toBe(false);
+        expect(matchesAuditQuery(entry, { origin: 'assistant' })).toBe(false);
+        expect(matchesAuditQuery(entry, { action: 'deleteItem' })).toBe(false);
+    });
+
+    it('includes since and excludes before', () => {
+        expect(matchesAuditQuery(entry, { since: entry.timestamp })).toBe(true);
+        expect(matchesAuditQuery(entry, { before: entry.timestamp })).toBe(false);
+        expect(matchesAuditQuery(entry, { before: new Date(entry.timestamp.getTime() + 1) })).toBe(true);
+    });
+});
+
+interface SinkHarness {
+    open(): Promise<AuditSink>;
+    teardown(): Promise<void>;
+}
+
+/**
+ * The same checks against every sink that keeps entries
+ */
+function describeAuditSink(name: string, harness: SinkHarness | null): void {
+    (harness ? describe : describe.skip)(`${name} audit sink`, () => {
+        let sink: AuditSink;
+
+        beforeEach(async () => {
+            sink = await harness!.open();
+        });
+
+        afterEach(async () => {
+            await sink.close();
+            await harness!.teardown();
+        });
+
+        it('returns entries newest first', async () => {
+            const entries = [makeEntry(), makeEntry(), makeEntry()];
+            for (const entry of entries) {
+                await sink.append(entry);
+            }
+
+            const found = await sink.query({});
+            expect(found.map(entry => entry.id)).toEqual(entries.map(entry => entry.id).reverse());
+            expect(found[0].timestamp).toBeInstanceOf(Date);
+            expect(found[0]).toEqual(entries[2]);
+        });
+
+        it('filters and limits', async () => {
+            const first = makeEntry({ action: 'deleteItem' });
+            const assistant = makeEntry({ origin: 'assistant' });
+            const other = makeEntry({ userId: 'someone-else' });
+            const last = makeEntry({ action: 'deleteItem' });
+            for (const entry of [first, assistant, other, last]) {
+                await sink.append(entry);
+            }
+
+            const ids = async (query: Parameters<AuditSink['query']>[0]) => (await sink.query(query)).map(entry => entry.id);
+            expect(await ids({ userId: 'owner', action: 'deleteItem' })).toEqual([last.id, first.id]);
+            expect(await ids({ origin: 'assistant' })).toEqual([assistant.id]);
+            expect(await ids({ since: assistant.timestamp, before: last.timestamp })).toEqual([other.id, assistant.id]);
+            expect(await ids({ limit: 2 })).toEqual([last.id, other.id]);
+        });
+    });
+}
+
+let fileDir = '';
+describeAuditSink('Memory', {
+    async open() {
+        return new MemoryAuditSink();
+    },
+    async teardown() { }
+});
+
+describeAuditSink('File', {
+    async open() {
+        fileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-'));
+        return new FileAuditSink(path.join(fileDir, 'audit.jsonl'));
+    },
+    async teardown() {
+        fs.rmSync(fileDir, { recursive: true, force: true });
+    }
+});
+
+// Runs when MCP_TEST_MONGO_URL points at a MongoDB server
+const mongoUrl = process.env.MCP_TEST_MONGO_URL;
+const mongoDbName = `mcp_webui_audit_test_${process.pid}`;
+describeAuditSink('MongoDB', mongoUrl ? {
+    async open() {
+        return await MongoAuditSink.connect(mongoUrl, mongoDbName);
+    },
+    async teardown() {
+        const sink = await MongoAuditSink.connect(mongoUrl, mongoDbName);
+        await (sink as any).collection.drop().catch(() => { /* never created */ });
+        await sink.close();
+    }
+} : null);
+
+describe('MemoryAuditSink', () => {
+    it('keeps only the most recent maxEntries', async () => {
+        const sink = new MemoryAuditSink({ maxEntries: 2 });
+        const entries = [makeEntry(), makeEntry(), makeEntry()];
+        for (const entry of entries) {
+            await sink.append(entry);
+        }
+
+        expect((await sink.query({})).map(entry => entry.id)).toEqual([entries[2].id, entries[1].id]);
+    });
+});
+
+describe('FileAuditSink', () => {
+    let dir: string;
+    let filePath: string;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-'));
+        filePath = path.join(dir, 'audit.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('has no entries before the first is written', async () => {
+        expect(await new FileAuditSink(filePath).query({})).toEqual([]);
+    });
+
+    it('keeps entries for the next instance and skips unreadable lines', async () => {
+        const logger = jest.fn();
+        const [first, second] = [makeEntry(), makeEntry()];
+        await new FileAuditSink(filePath).append(first);
+        fs.appendFileSync(filePath, '{"cut off\n');
+        await new FileAuditSink(filePath).append(second);
+
+        const found = await new FileAuditSink(filePath, { logger }).query({});
+
+        expect(found.map(entry => entry.id)).toEqual([second.id, first.id]);
+        expect(logger).toHaveBeenCalledWith('warn', expect.stringContaining('Skipping unreadable line'), expect.anything());
+    });
+});
+
+describe('AuditLog', () => {
+    it('stamps and sanitizes entries before the sink gets them', async () => {
+        const sink = new MemoryAuditSink();
+        const log = new AuditLog(sink);
+
+        const entry = await log.record({ origin: 'ui', userId: 'owner', serverName: 'todo', action: 'login', payload: { password: 'p' }, status: 200, success: true });
+
+        expect(entry?.id).toEqual(expect.any(String));
+        expect(entry?.timestamp).toBeInstanceOf(Date);
+        expect((await sink.query({}))[0].payload).toEqual({ password: '[redacted]' });
+    });
+
+    it("doesn't fail the change when the sink does", async () => {
+        const logger = jest.fn();
+        const failing: AuditSink = {
+            type: 'failing',
+            append: async () => { throw new Error('disk full'); },
+            query: async () => [],
+            close: async () => { }
+        };
+
+        const entry = await new AuditLog(failing, logger).record({ origin: 'ui', userId: 'owner', serverName: 'todo', action: 'addItem', status: 200, success: true });
+
+        expect(entry).toBeNull();
+        expect(logger).toHaveBeenCalledWith('error', expect.stringContaining('Failed to record addItem'), expect.any(Error));
+    });
+});
+
+describe('Audit trail on the UI server', () => {
+    let ui: MCPWebUI | undefined;
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+    });
+
+    const update = (session: WebUISession, action: string, headers: Record<string, string> = {}) =>
+        request(`${sessionOrigin(session)}/api/update?token=${session.token}`, { body: { action, data: { text: 'x' } }, headers });
+
+    it('records the address the gateway added, not what the browser wrote before it', async () => {
+        ui = createTestUI({ audit: { type: 'memory' } });
+        const session = await ui.createSession('owner');
+
+        const updated = await update(session, 'addItem', { 'X-Forwarded-For': '10.6.6.6, 203.0.113.9' });
+        expect(updated.status).toBe(200);
+
+        const { body } = await request(`${sessionOrigin(session)}/api/audit?token=${session.token}`);
+        expect(body.data).toHaveLength(1);
+        expect(body.data[0]).toMatchObject({ action: 'addItem', clientIp: '203.0.113.9', channel: 'http' });
+    });
+
+    it("serves the owner's own entries newest first, filtered by action and origin", async () => {
+        ui = createTestUI({ audit: { type: 'memory' }, serverName: 'todo' });
+        const session = await ui.createSession('owner');
+        const other = await ui.createSession('someone-else');
+        await update(session, 'addItem');
+        await update(other, 'addItem');
+        await update(session, 'deleteItem');
+        await ui.recordAudit('owner', 'importItems', { count: 3 });
+
+        const audit = (query = '') => request(`${sessionOrigin(session)}/api/audit?token=${session.token}${query}`);
+
+        const all = await audit();
+        expect(all.status).toBe(200);
+        expect(all.body.data.map((entry: AuditEntry) => entry.action)).toEqual(['importItems', 'deleteItem', 'addItem']);
+        expect(all.body.data.every((entry: AuditEntry) => entry.userId === 'owner')).toBe(true);
+        expect((await audit('&action=deleteItem')).body.data).toHaveLength(1);
+        expect((await audit('&origin=assistant')).body.data.map((entry: AuditEntry) => entry.action)).toEqual(['importItems']);
+        expect((await audit('&limit=1')).body.data).toHaveLength(1);
+    });
+
+    it('refuses bad filters', async () => {
+        ui = createTestUI({ audit: { type: 'memory' } });
+        const session = await ui.createSession('owner');
+        const audit = (query: string) => request(`${sessionOrigin(session)}/api/audit?token=${session.token}${query}`);
+
+        expect((await audit('&limit=0')).body.error).toBe('limit must be between 1 and 500');
+        expect((await audit('&limit=501')).status).toBe(400);
+        expect((await audit('&origin=robot')).body.error).toBe('origin must be one of: ui, assistant, system');
+        expect((await audit('&since=yesterday')).body.error).toBe('since and before must be ISO dates');
+    });
+
+    it('is only for the owner, not through a share link', async () => {
+        ui = createTestUI({ audit: { type: 'memory' } });
+        const session = await ui.createSession('owner');
+        const share = await ui.createShareLink('owner');
+
+        const { status, body } = await request(`${sessionOrigin(session)}/api/audit?token=${share.token}`);
+
+        expect(status).toBe(403);
+        expect(body.error).toBe('Not available through a share link');
+    });
+
+    it('answers 404 when auditing is off', async () => {
+        ui = createTestUI({ audit: false });
+        const session = await ui.createSession('owner');
+
+        const { status, body } = await request(`${sessionOrigin(session)}/api/audit?token=${session.token}`);
+
+        expect(status).toBe(404);
+        expect(body.error).toBe('Audit log is disabled');
+    });
+});
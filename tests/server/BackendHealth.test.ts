@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { BackendHealth } from '../../src/proxy/BackendHealth.js';
+import { TokenRegistry } from '../../src/proxy/TokenRegistry.js';
+import { SessionManager } from '../../src/session/SessionManager.js';
+import { ADMIN_KEY, request, startGateway, type TestGateway } from './helpers.js';
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+interface HealthServer {
+    backend: { type: 'tcp'; host: string; port: number };
+    probes: number;
+    status: number;
+    close(): Promise<void>;
+}
+
+/**
+ * A backend answering GET /api/health with whatever status the test sets
+ */
+async function startHealthServer(): Promise<HealthServer> {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/api/health') {
+            health.probes++;
+        }
+        res.writeHead(health.status).end();
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const health: HealthServer = {
+        backend: { type: 'tcp', host: '127.0.0.1', port: (server.address() as AddressInfo).port },
+        probes: 0,
+        status: 200,
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+    return health;
+}
+
+describe('BackendHealth', () => {
+    let server: HealthServer;
+
+    beforeEach(async () => {
+        server = await startHealthServer();
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('opens the circuit after failureThreshold failures in a row', async () => {
+        const health = new BackendHealth({ failureThreshold: 3, cooldownMs: 60000 });
+        health.watch(server.backend);
+
+        health.recordFailure(server.backend, new Error('ECONNREFUSED'));
+        health.recordFailure(server.backend, new Error('ECONNREFUSED'));
+        expect(health.isHealthy(server.backend)).toBe(true);
+        expect(await health.isAvailable(server.backend)).toBe(true);
+
+        health.recordFailure(server.backend, new Error('ECONNREFUSED'));
+
+        expect(health.isHealthy(server.backend)).toBe(false);
+        expect(await health.isAvailable(server.backend)).toBe(false);
+        expect(health.getStatus()[0]).toMatchObject({ state: 'open', consecutiveFailures: 3, lastError: 'ECONNREFUSED' });
+        expect(server.probes).toBe(0);
+    });
+
+    it('starts the count again after a success', async () => {
+        const health = new BackendHealth({ failureThreshold: 2 });
+
+        health.recordFailure(server.backend, 'timeout');
+        health.recordSuccess(server.backend);
+        health.recordFailure(server.backend, 'timeout');
+
+        expect(health.getStatus()[0]).toMatchObject({ state: 'closed', consecutiveFailures: 1 });
+    });
+
+    it('closes the circuit again when the half-open retry succeeds', async () => {
+        const health = new BackendHealth({ failureThreshold: 1, cooldownMs: 100 });
+        health.recordFailure(server.backend, 'ECONNREFUSED');
+
+        await sleep(120);
+        const probes = await Promise.all([health.isAvailable(server.backend), health.isAvailable(server.backend)]);
+
+        expect(probes).toEqual([true, true]);
+        expect(server.probes).toBe(1);
+        expect(health.getStatus()[0]).toMatchObject({ state: 'closed', consecutiveFailures: 0, lastError: undefined, retryAt: undefined });
+    });
+
+    it('doubles the cooldown after each failed retry, up to maxCooldownMs', async () => {
+        const health = new BackendHealth({ failureThreshold: 1, cooldownMs: 100, maxCooldownMs: 300 });
+        server.status = 503;
+        health.recordFailure(server.backend, 'ECONNREFUSED');
+
+        const cooldowns: number[] = [];
+        let retryAt = health.getStatus()[0].retryAt!.getTime();
+        for (let i = 0; i < 3; i++) {
+            await sleep(retryAt - Date.now() + 10);
+            const probedAt = Date.now();
+            expect(await health.isAvailable(server.backend)).toBe(false);
+
+            const status = health.getStatus()[0];
+            expect(status).toMatchObject({ state: 'open', lastError: 'Health check returned 503' });
+            retryAt = status.retryAt!.getTime();
+            cooldowns.push(retryAt - probedAt);
+        }
+
+        expect(server.probes).toBe(3);
+        expect(cooldowns[0]).toBeGreaterThanOrEqual(200);
+        expect(cooldowns[0]).toBeLessThan(300);
+        expect(cooldowns[1]).toBeGreaterThanOrEqual(300);
+        expect(cooldowns[1]).toBeLessThan(400);
+        expect(cooldowns[2]).toBeGreaterThanOrEqual(300);
+        expect(cooldowns[2]).toBeLessThan(400);
+
+        // A success brings the cooldown back to where it started
+        server.status = 200;
+        await sleep(retryAt - Date.now() + 10);
+        expect(await health.isAvailable(server.backend)).toBe(true);
+        health.recordFailure(server.backend, 'ECONNREFUSED');
+        expect(health.getStatus()[0].retryAt!.getTime() - Date.now()).toBeLessThanOrEqual(100);
+    });
+
+    it('probes due backends on check and forgets unused ones', async () => {
+        const health = new BackendHealth({ failureThreshold: 1, forgetAfterMs: 50 });
+        const dead = { type: 'tcp' as const, host: '127.0.0.1', port: 9 };
+        health.watch(server.backend);
+        health.watch(dead);
+
+        await health.check();
+        expect(server.probes).toBe(1);
+        expect(health.isHealthy(server.backend)).toBe(true);
+        expect(health.isHealthy(dead)).toBe(false);
+
+        await sleep(60);
+        await health.check(new Set([`127.0.0.1:${server.backend.port}`]));
+        expect(health.getStatus().map(status => status.key)).toEqual([`127.0.0.1:${server.backend.port}`]);
+    });
+});
+
+describe('Gateway backend health', () => {
+    let gw: TestGateway | undefined;
+    const env = { ...process.env };
+
+    afterEach(async () => {
+        await gw?.stop();
+        gw = undefined;
+        process.env = { ...env };
+    });
+
+    it('serves the unavailable page once the circuit of a dead backend opens', async () => {
+        gw = await startGateway({ jwtSecret: 'test-secret', healthCheck: { failureThreshold: 1, cooldownMs: 60000 } });
+        const registry = new TokenRegistry(gw.store, { jwtSecret: 'test-secret' });
+        const session = await registry.createSession({
+            userId: 'owner',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 }
+        });
+        const page = () => request(`${gw!.url}/mcp/${session.token}/`, { headers: { Accept: 'text/html' } });
+
+        const proxied = await page();
+        expect(proxied.status).toBe(502);
+
+        const unavailable = await page();
+        expect(unavailable.status).toBe(503);
+        expect(unavailable.headers.get('content-type')).toContain('text/html');
+        expect(unavailable.headers.get('cache-control')).toBe('no-store');
+        expect(unavailable.body).toContain('<title>Web UI unavailable</title>');
+
+        const api = await request(`${gw.url}/mcp/${session.token}/api/data`);
+        expect(api.status).toBe(503);
+        expect(api.body.error).toBe('Web UI unavailable');
+    });
+
+    it('registers a server again when its heartbeat gets a 404', async () => {
+        gw = await startGateway();
+        process.env.MCP_WEB_UI_GATEWAY_URL = gw.url;
+        process.env.MCP_WEB_UI_GATEWAY_API_KEY = ADMIN_KEY;
+        const backend = { type: 'tcp' as const, host: '127.0.0.1', port: 9 };
+        const sessions = new SessionManager();
+
+        try {
+            await sessions.keepRegisteredWithGateway('todo', backend, {}, 50);
+            expect(await gw.store.findServer('todo')).toMatchObject({ backend });
+
+            // The gateway dropped it as stale, e.g. after a restart with a memory store
+            expect(await gw.store.deleteServers({ serverName: 'todo' })).toBe(1);
+
+            let registered = null;
+            for (let i = 0; i < 40 && !registered; i++) {
+                await sleep(25);
+                registered = await gw.store.findServer('todo');
+            }
+            expect(registered).toMatchObject({ backend });
+        } finally {
+            sessions.stopGatewayRegistration('todo');
+        }
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { DataQueryHandler } from '../../src/server/DataQueryHandler.js';
+import type { DataQuery, DataSourceFunction } from '../../src/types/index.js';
+import { createTestUI, request, sessionOrigin } from './helpers.js';
+
+const items = [
+    { id: 1, text: 'Milk', priority: 2, owner: { name: 'sam' } },
+    { id: 2, text: 'eggs', priority: 10, owner: { name: 'alex' } },
+    { id: 3, text: 'Bread', priority: null, owner: null },
+    { id: 4, text: 'oat milk', priority: 1, owner: { name: 'kim' } }
+];
+const ids = (page: { items: Array<{ id: number }> }) => page.items.map(item => item.id);
+
+describe('DataQueryHandler.parse', () => {
+    const queries = new DataQueryHandler(20, 100, 10);
+
+    it('has no query without paging, sorting or filtering parameters', () => {
+        expect(queries.parse({})).toEqual({});
+        expect(queries.parse({ token: 'abc', since: '12' })).toEqual({});
+    });
+
+    it('defaults to the first page at the default page size', () => {
+        expect(queries.parse({ filter: 'milk' })).toEqual({ query: { page: 1, pageSize: 20, filter: 'milk' } });
+        expect(queries.parse({ page: '', pageSize: '' })).toEqual({ query: { page: 1, pageSize: 20 } });
+    });
+
+    it('parses the page, page size and sort', () => {
+        expect(queries.parse({ page: '3', pageSize: '50', sort: 'owner.name:desc' })).toEqual({
+            query: { page: 3, pageSize: 50, sort: { field: 'owner.name', direction: 'desc' } }
+        });
+        expect(queries.parse({ sort: 'text' }).query?.sort).toEqual({ field: 'text', direction: 'asc' });
+    });
+
+    it('trims the filter and caps its length', () => {
+        expect(queries.parse({ filter: '  milk  ' }).query?.filter).toBe('milk');
+        expect(queries.parse({ filter: 'a'.repeat(50) }).query?.filter).toBe('a'.repeat(10));
+    });
+
+    it.each([
+        [{ page: '0' }, 'page must be a positive integer'],
+        [{ page: '-1' }, 'page must be a positive integer'],
+        [{ page: '1.5' }, 'page must be a positive integer'],
+        [{ page: ['1', '2'] }, 'page must be a positive integer'],
+        [{ pageSize: '0' }, 'pageSize must be between 1 and 100'],
+        [{ pageSize: '101' }, 'pageSize must be between 1 and 100'],
+        [{ sort: ['text', 'id'] }, 'sort must be a string'],
+        [{ sort: 'text:sideways' }, 'sort must be <field> or <field>:asc|desc'],
+        [{ sort: '.text' }, 'sort must be <field> or <field>:asc|desc'],
+        [{ sort: 'text;drop' }, 'sort must be <field> or <field>:asc|desc'],
+        [{ filter: { $ne: null } }, 'filter must be a string']
+    ])('rejects %j', (params, error) => {
+        expect(queries.parse(params as Record<string, unknown>)).toEqual({ error });
+    });
+});
+
+describe('DataQueryHandler.apply', () => {
+    const queries = new DataQueryHandler();
+    const query = (overrides: Partial<DataQuery> = {}): DataQuery => ({ page: 1, pageSize: 20, ...overrides });
+
+    it('pages the items and counts them all', () => {
+        expect(queries.apply(items, query({ page: 2, pageSize: 3 }))).toEqual({ items: [items[3]], total: 4 });
+        expect(queries.apply(items, query({ page: 3, pageSize: 3 }))).toEqual({ items: [], total: 4 });
+    });
+
+    it('filters on top-level values, ignoring case', () => {
+        const page = queries.apply(items, query({ filter: 'MILK', pageSize: 1 }));
+
+        expect(ids(page)).toEqual([1]);
+        expect(page.total).toBe(2);
+        expect(ids(queries.apply(items, query({ filter: '10' })))).toEqual([2]);
+        expect(queries.apply(items, query({ filter: 'alex' })).total).toBe(0);
+        expect(queries.apply(['Milk', 'eggs'], query({ filter: 'egg' })).items).toEqual(['eggs']);
+    });
+
+    it('sorts like the Table component - text ignoring case, numbers numerically, missing values at the end ascending', () => {
+        expect(ids(queries.apply(items, query({ sort: { field: 'text', direction: 'asc' } })))).toEqual([3, 2, 1, 4]);
+        expect(ids(queries.apply(items, query({ sort: { field: 'priority', direction: 'asc' } })))).toEqual([4, 1, 2, 3]);
+        expect(ids(queries.apply(items, query({ sort: { field: 'priority', direction: 'desc' } })))).toEqual([3, 2, 1, 4]);
+    });
+
+    it('sorts on nested fields', () => {
+        expect(ids(queries.apply(items, query({ sort: { field: 'owner.name', direction: 'asc' } })))).toEqual([2, 4, 1, 3]);
+    });
+
+    it('filters before sorting and paging', () => {
+        const page = queries.apply(items, query({ filter: 'milk', sort: { field: 'priority', direction: 'asc' }, pageSize: 1 }));
+
+        expect(page).toEqual({ items: [items[3]], total: 2 });
+    });
+
+    it('does not reorder the data source array', () => {
+        const source = [...items];
+
+        queries.apply(source, query({ sort: { field: 'text', direction: 'desc' } }));
+
+        expect(source).toEqual(items);
+    });
+
+    it('trusts pages the data source built itself', () => {
+        const page = { items: [items[0]], total: 40 };
+
+        expect(queries.apply(page, query({ filter: 'eggs', page: 2 }))).toBe(page);
+        expect(DataQueryHandler.toItems(page)).toEqual([items[0]]);
+        expect(DataQueryHandler.toItems(items)).toBe(items);
+    });
+});
+
+describe('GET /api/data with paging', () => {
+    let ui: MCPWebUI;
+
+    afterEach(async () => {
+        await ui.shutdown();
+    });
+
+    async function fetchData(dataSource: DataSourceFunction, search: string) {
+        ui = createTestUI({ dataSource });
+        const session = await ui.createSession('owner');
+        return request(`${sessionOrigin(session)}/api/data?token=${session.token}&${search}`);
+    }
+
+    it('answers with one page and the total', async () => {
+        const dataSource = jest.fn(async () => items);
+
+        const response = await fetchData(dataSource, 'page=1&pageSize=2&sort=priority:desc&filter=m');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, total: 2, page: 1, pageSize: 2 });
+        expect(ids({ items: response.body.data })).toEqual([1, 4]);
+        expect(response.body.version).toBeUndefined();
+        expect(dataSource).toHaveBeenCalledWith('owner', { page: 1, pageSize: 2, sort: { field: 'priority', direction: 'desc' }, filter: 'm' });
+    });
+
+    it('passes through a page the data source built', async () => {
+        const response = await fetchData(async () => ({ items: [items[1]], total: 40 }), 'page=2&pageSize=1');
+
+        expect(response.body).toMatchObject({ success: true, data: [items[1]], total: 40, page: 2, pageSize: 1 });
+    });
+
+    it('answers 400 for invalid parameters without calling the data source', async () => {
+        const dataSource = jest.fn(async () => items);
+
+        const response = await fetchData(dataSource, 'sort=text:sideways');
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ success: false, error: 'sort must be <field> or <field>:asc|desc' });
+        expect(dataSource).not.toHaveBeenCalled();
+    });
+});
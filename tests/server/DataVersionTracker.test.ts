@@ -0,0 +1,165 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { DataVersionTracker } from '../../src/server/DataVersionTracker.js';
+import { createTestUI, request, sessionOrigin } from './helpers.js';
+
+const milk = { id: 1, text: 'milk' };
+const eggs = { id: 2, text: 'eggs' };
+const bread = { id: 'b', text: 'bread' };
+
+describe('DataVersionTracker', () => {
+    it('bumps the version only when the data changes', () => {
+        const tracker = new DataVersionTracker();
+        const start = tracker.getVersion();
+
+        const first = tracker.track([milk, eggs]);
+        expect(first).toBe(start + 1);
+        expect(tracker.track([{ ...milk }, { ...eggs }])).toBe(first);
+        expect(tracker.track([milk, { ...eggs, text: 'six eggs' }])).toBe(first + 1);
+        expect(tracker.getVersion()).toBe(first + 1);
+    });
+
+    it('starts from the current time, so versions from before a restart are unknown', () => {
+        const before = Date.now();
+        const tracker = new DataVersionTracker();
+
+        expect(tracker.getVersion()).toBeGreaterThanOrEqual(before);
+        expect(tracker.getVersion()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('patches what was added, changed and removed since a version', () => {
+        const tracker = new DataVersionTracker();
+        const since = tracker.track([milk, eggs]);
+        const data = [{ ...milk, text: 'oat milk' }, bread];
+
+        const version = tracker.track(data);
+
+        expect(tracker.getPatch(data, since)).toEqual({
+            since,
+            version,
+            added: [bread],
+            changed: [{ ...milk, text: 'oat milk' }],
+            removed: [2]
+        });
+    });
+
+    it('sends an empty patch to a client that is up to date', () => {
+        const tracker = new DataVersionTracker();
+        const version = tracker.track([milk]);
+
+        expect(tracker.getPatch([milk], version)).toEqual({ since: version, version, added: [], changed: [], removed: [] });
+    });
+
+    it('leaves out items added and removed since the client last fetched', () => {
+        const tracker = new DataVersionTracker();
+        const since = tracker.track([milk]);
+        tracker.track([milk, eggs]);
+        tracker.track([milk]);
+
+        expect(tracker.getPatch([milk], since)).toMatchObject({ added: [], changed: [], removed: [] });
+    });
+
+    it('reports an item added and then changed as added', () => {
+        const tracker = new DataVersionTracker();
+        const since = tracker.track([milk]);
+        tracker.track([milk, eggs]);
+        const data = [milk, { ...eggs, text: 'six eggs' }];
+        tracker.track(data);
+
+        expect(tracker.getPatch(data, since)).toMatchObject({ added: [data[1]], changed: [] });
+    });
+
+    it('identifies items by id or _id', () => {
+        const tracker = new DataVersionTracker();
+        const since = tracker.track([{ _id: 'a', text: 'milk' }]);
+        const data = [{ _id: 'a', text: 'oat milk' }];
+        tracker.track(data);
+
+        expect(tracker.getPatch(data, since)).toMatchObject({ changed: data, added: [] });
+    });
+
+    it('has no patch for versions it cannot build one from', () => {
+        const tracker = new DataVersionTracker();
+        const start = tracker.getVersion();
+        const version = tracker.track([milk]);
+
+        expect(tracker.getPatch([milk], start - 1)).toBeNull();
+        expect(tracker.getPatch([milk], version + 1)).toBeNull();
+        expect(tracker.getPatch([milk], NaN)).toBeNull();
+        expect(tracker.getPatch([milk], version - 0.5)).toBeNull();
+    });
+
+    it('versions data without unique ids as a whole, without patches', () => {
+        const tracker = new DataVersionTracker();
+        const items = [{ text: 'milk' }, { text: 'eggs' }];
+
+        const version = tracker.track(items);
+        expect(tracker.track([...items])).toBe(version);
+        expect(tracker.getPatch(items, version)).toBeNull();
+
+        const duplicates = [milk, { ...milk }];
+        expect(tracker.track(duplicates)).toBe(version + 1);
+        expect(tracker.getPatch(duplicates, version + 1)).toBeNull();
+    });
+
+    it('needs a full fetch after the data goes back to having ids', () => {
+        const tracker = new DataVersionTracker();
+        const unkeyed = tracker.track([{ text: 'milk' }]);
+
+        const keyed = tracker.track([milk]);
+
+        expect(keyed).toBeGreaterThan(unkeyed);
+        expect(tracker.getPatch([milk], unkeyed)).toBeNull();
+        expect(tracker.getPatch([milk], keyed)).toMatchObject({ added: [], removed: [] });
+    });
+
+    it('stops patching from versions whose removals it has forgotten', () => {
+        const tracker = new DataVersionTracker(2);
+        const since = tracker.track([milk, eggs, bread]);
+        tracker.track([eggs, bread]);
+        const afterFirst = tracker.getVersion();
+        tracker.track([bread]);
+
+        expect(tracker.getPatch([bread], since)).toMatchObject({ removed: [1, 2] });
+
+        tracker.track([]);
+
+        expect(tracker.getPatch([], since)).toBeNull();
+        expect(tracker.getPatch([], afterFirst)).toMatchObject({ removed: [2, 'b'] });
+    });
+});
+
+describe('GET /api/data?since=', () => {
+    let ui: MCPWebUI;
+    let items: any[];
+
+    afterEach(async () => {
+        await ui.shutdown();
+    });
+
+    it('answers with a patch from a known version and everything otherwise', async () => {
+        items = [milk, eggs];
+        ui = createTestUI({ dataSource: async () => items });
+        const session = await ui.createSession('owner');
+        const data = (query = '') => request(`${sessionOrigin(session)}/api/data?token=${session.token}${query}`);
+
+        const full = await data();
+        expect(full.body).toMatchObject({ success: true, data: items });
+        expect(full.body.delta).toBeUndefined();
+        const version = full.body.version;
+
+        items = [eggs, bread];
+        const patched = await data(`&since=${version}`);
+
+        expect(patched.body).toMatchObject({
+            success: true,
+            delta: true,
+            version: version + 1,
+            data: { since: version, version: version + 1, added: [bread], changed: [], removed: [1] }
+        });
+
+        const unknown = await data('&since=1');
+        expect(unknown.body.delta).toBeUndefined();
+        expect(unknown.body).toMatchObject({ data: items, version: version + 1 });
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { startGateway, request, ADMIN_KEY, type TestGateway } from './helpers.js';
+
+const BACKEND = { type: 'tcp', host: '127.0.0.1', port: 9 };
+
+describe('Gateway control plane authentication', () => {
+    let gw: TestGateway;
+
+    beforeEach(async () => {
+        gw = await startGateway();
+    });
+
+    afterEach(async () => {
+        await gw.stop();
+    });
+
+    async function issueKey(serverName: string): Promise<{ keyId: string; apiKey: string }> {
+        const { status, body } = await request(`${gw.url}/api-keys`, {
+            apiKey: ADMIN_KEY,
+            body: { serverName, description: 'test' }
+        });
+        expect(status).toBe(201);
+        return body;
+    }
+
+    it('rejects a request without an API key', async () => {
+        const { status, body, headers } = await request(`${gw.url}/register-server`, {
+            body: { serverName: 'todo', backend: BACKEND }
+        });
+
+        expect(status).toBe(401);
+        expect(body.error).toBe('Authentication required');
+        expect(headers.get('www-authenticate')).toBe('Bearer');
+    });
+
+    it('rejects a wrong API key', async () => {
+        const { apiKey } = await issueKey('todo');
+        const wrong = apiKey.slice(0, -4) + (apiKey.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+
+        for (const key of [wrong, 'mcpgw_0000000000000000.nope', 'not-a-key']) {
+            const { status, body } = await request(`${gw.url}/register-server`, {
+                apiKey: key,
+                body: { serverName: 'todo', backend: BACKEND }
+            });
+            expect(status).toBe(401);
+            expect(body.error).toBe('Invalid API key');
+        }
+    });
+
+    it('rejects a revoked API key', async () => {
+        const { keyId, apiKey } = await issueKey('todo');
+
+        const before = await request(`${gw.url}/register-server`, {
+            apiKey,
+            body: { serverName: 'todo', backend: BACKEND }
+        });
+        expect(before.status).toBe(200);
+
+        const revoked = await request(`${gw.url}/api-keys/${keyId}`, { method: 'DELETE', apiKey: ADMIN_KEY });
+        expect(revoked.status).toBe(200);
+
+        const after = await request(`${gw.url}/heartbeat/todo`, { method: 'POST', apiKey });
+        expect(after.status).toBe(401);
+        expect(after.body.error).toBe('Invalid API key');
+
+        const again = await request(`${gw.url}/api-keys/${keyId}`, { method: 'DELETE', apiKey: ADMIN_KEY });
+        expect(again.status).toBe(404);
+    });
+
+    it('keeps key management and stats to the admin key', async () => {
+        const { keyId, apiKey } = await issueKey('todo');
+
+        const issue = await request(`${gw.url}/api-keys`, { apiKey, body: { serverName: 'todo' } });
+        expect(issue.status).toBe(403);
+        expect(issue.body.error).toBe('Admin API key required');
+
+        expect((await request(`${gw.url}/api-keys`, { apiKey })).status).toBe(403);
+        expect((await request(`${gw.url}/api-keys/${keyId}`, { method: 'DELETE', apiKey })).status).toBe(403);
+        expect((await request(`${gw.url}/stats`, { apiKey })).status).toBe(403);
+
+        const list = await request(`${gw.url}/api-keys`, { apiKey: ADMIN_KEY });
+        expect(list.status).toBe(200);
+        expect(list.body.keys.map((key: any) => key.keyId)).toEqual([keyId]);
+        // Only the hash is stored - the key itself is never listed
+        expect(JSON.stringify(list.body)).not.toContain(apiKey.split('.')[1]);
+
+        expect((await request(`${gw.url}/stats`, { apiKey: ADMIN_KEY })).status).toBe(200);
+    });
+
+    it('lets the admin key act on any server', async () => {
+        const { status } = await request(`${gw.url}/register-server`, {
+            apiKey: ADMIN_KEY,
+            body: { serverName: 'anything', backend: BACKEND }
+        });
+        expect(status).toBe(200);
+    });
+
+    it("stops a server key acting on another server's registration", async () => {
+        const todo = await issueKey('todo');
+        await issueKey('notes');
+
+        const own = await request(`${gw.url}/register-server`, {
+            apiKey: todo.apiKey,
+            body: { serverName: 'todo', backend: BACKEND }
+        });
+        expect(own.status).toBe(200);
+
+        const other = await request(`${gw.url}/register-server`, {
+            apiKey: todo.apiKey,
+            body: { serverName: 'notes', backend: BACKEND }
+        });
+        expect(other.status).toBe(403);
+        expect(other.body.message).toBe('This API key is scoped to server "todo"');
+
+        expect((await request(`${gw.url}/heartbeat/notes`, { method: 'POST', apiKey: todo.apiKey })).status).toBe(403);
+        expect((await request(`${gw.url}/discover-server/notes`, { apiKey: todo.apiKey })).status).toBe(403);
+        expect((await request(`${gw.url}/create-session`, {
+            apiKey: todo.apiKey,
+            body: { userId: 'u1', serverName: 'notes', backend: BACKEND }
+        })).status).toBe(403);
+        expect((await request(`${gw.url}/sessions/some-token?serverName=notes`, { method: 'DELETE', apiKey: todo.apiKey })).status).toBe(403);
+
+        expect(await gw.store.findServer('notes')).toBeNull();
+    });
+
+    it('lets a server key end only its own sessions', async () => {
+        const todo = await issueKey('todo');
+        const notes = await issueKey('notes');
+
+        const created = await request(`${gw.url}/create-session`, {
+            apiKey: notes.apiKey,
+            body: { userId: 'u1', serverName: 'notes', backend: BACKEND }
+        });
+        expect(created.status).toBe(200);
+        const token = created.body.token;
+
+        // Claiming its own server name doesn't let the todo key end a notes session
+        const wrong = await request(`${gw.url}/sessions/${token}?serverName=todo`, { method: 'DELETE', apiKey: todo.apiKey });
+        expect(wrong.status).toBe(404);
+        expect(await gw.store.findSessions({ token })).toHaveLength(1);
+
+        const own = await request(`${gw.url}/sessions/${token}?serverName=notes`, { method: 'DELETE', apiKey: notes.apiKey });
+        expect(own.status).toBe(200);
+        expect(await gw.store.findSessions({ token })).toHaveLength(0);
+    });
+});
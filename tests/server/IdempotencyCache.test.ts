@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { IdempotencyCache } from '../../src/server/IdempotencyCache.js';
+import type { WebUISession } from '../../src/types/index.js';
+import { createTestUI, request, sessionOrigin } from './helpers.js';
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('IdempotencyCache', () => {
+    it('runs the task once per key and replays its result', async () => {
+        const cache = new IdempotencyCache<number>();
+        const task = jest.fn(async () => 42);
+
+        expect(await cache.run('key-1', task)).toEqual({ result: 42, replayed: false });
+        expect(await cache.run('key-1', task)).toEqual({ result: 42, replayed: true });
+        expect(await cache.run('key-2', task)).toEqual({ result: 42, replayed: false });
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(cache.size).toBe(2);
+    });
+
+    it('shares a run still in progress with calls using the same key', async () => {
+        const cache = new IdempotencyCache<string>();
+        let finish!: (value: string) => void;
+        const task = jest.fn(() => new Promise<string>(resolve => { finish = resolve; }));
+
+        const first = cache.run('key-1', task);
+        const second = cache.run('key-1', task);
+        finish('done');
+
+        expect(await first).toEqual({ result: 'done', replayed: false });
+        expect(await second).toEqual({ result: 'done', replayed: true });
+        expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    it('forgets results shouldKeep turns down, so a retry runs again', async () => {
+        const cache = new IdempotencyCache<{ status: number }>();
+        const task = jest.fn<() => Promise<{ status: number }>>()
+            .mockResolvedValueOnce({ status: 500 })
+            .mockResolvedValueOnce({ status: 200 });
+        const keep = (outcome: { status: number }) => outcome.status < 500;
+
+        expect(await cache.run('key-1', task, keep)).toEqual({ result: { status: 500 }, replayed: false });
+        expect(cache.size).toBe(0);
+        expect(await cache.run('key-1', task, keep)).toEqual({ result: { status: 200 }, replayed: false });
+        expect(await cache.run('key-1', task, keep)).toEqual({ result: { status: 200 }, replayed: true });
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('forgets tasks that throw, and passes the error on', async () => {
+        const cache = new IdempotencyCache<string>();
+
+        await expect(cache.run('key-1', async () => { throw new Error('offline'); })).rejects.toThrow('offline');
+
+        expect(cache.size).toBe(0);
+        expect(await cache.run('key-1', async () => 'retried')).toEqual({ result: 'retried', replayed: false });
+    });
+
+    it('runs the task again once the key has expired', async () => {
+        const cache = new IdempotencyCache<number>(1000, 30);
+        const task = jest.fn(async () => 1);
+
+        await cache.run('key-1', task);
+        await sleep(50);
+
+        expect(await cache.run('key-1', task)).toEqual({ result: 1, replayed: false });
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('drops the oldest keys once over the limit', async () => {
+        const cache = new IdempotencyCache<string>(2);
+        const task = async () => 'ok';
+
+        await cache.run('key-1', task);
+        await cache.run('key-2', task);
+        await cache.run('key-3', task);
+
+        expect(cache.size).toBe(2);
+        expect((await cache.run('key-3', task)).replayed).toBe(true);
+        expect((await cache.run('key-1', task)).replayed).toBe(false);
+    });
+});
+
+describe('Idempotency-Key on POST /api/update', () => {
+    const onUpdate = jest.fn(async (action: string, data: any) => ({ action, data }));
+    let ui: MCPWebUI;
+    let session: WebUISession;
+
+    beforeEach(async () => {
+        onUpdate.mockClear();
+        ui = createTestUI({ onUpdate });
+        session = await ui.createSession('owner');
+    });
+
+    afterEach(async () => {
+        await ui.shutdown();
+    });
+
+    const update = (idempotencyKey?: string, text = 'milk') => request(`${sessionOrigin(session)}/api/update?token=${session.token}`, {
+        body: { action: 'addItem', data: { text } },
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+    });
+
+    it('replays the first response for a repeated key', async () => {
+        const first = await update('outbox-item-1');
+        const second = await update('outbox-item-1', 'changed on retry');
+
+        expect(first.status).toBe(200);
+        expect(first.headers.get('idempotent-replayed')).toBeNull();
+        expect(second.status).toBe(200);
+        expect(second.headers.get('idempotent-replayed')).toBe('true');
+        expect(second.body.data).toEqual(first.body.data);
+        expect(onUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('runs every request without a key, and each key once', async () => {
+        await update();
+        await update();
+        await update('outbox-item-1');
+        await update('outbox-item-2');
+
+        expect(onUpdate).toHaveBeenCalledTimes(4);
+    });
+
+    it('rejects malformed keys', async () => {
+        for (const key of ['short', 'has spaces in it', 'x'.repeat(129)]) {
+            const response = await update(key);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid idempotency key');
+        }
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('lets a retry succeed after a server error', async () => {
+        onUpdate.mockRejectedValueOnce(new Error('database down'));
+
+        expect((await update('outbox-item-1')).status).toBe(500);
+        const retry = await update('outbox-item-1');
+
+        expect(retry.status).toBe(200);
+        expect(retry.headers.get('idempotent-replayed')).toBeNull();
+        expect(onUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it('replays refusals too, rather than running them again', async () => {
+        const readOnly = await ui.createSession('viewer', { scopes: ['read'] });
+        const refused = () => request(`${sessionOrigin(readOnly)}/api/update?token=${readOnly.token}`, {
+            body: { action: 'addItem', data: { text: 'milk' } },
+            headers: { 'Idempotency-Key': 'outbox-item-1' }
+        });
+
+        expect((await refused()).status).toBe(403);
+        const replay = await refused();
+
+        expect(replay.status).toBe(403);
+        expect(replay.headers.get('idempotent-replayed')).toBe('true');
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { randomUUID } from 'crypto';
+import { Logger, redact } from '../../src/logging/Logger.js';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { createTestUI, freePort } from './helpers.js';
+
+describe('Logger redaction', () => {
+    // Direct-mode and shared-port tokens are plain UUIDs
+    const token = randomUUID();
+
+    it('redacts shared-port session paths', () => {
+        expect(redact(`Using shared server route: http://localhost:3000/s/${token}/`))
+            .toBe('Using shared server route: http://localhost:3000/s/[redacted]/');
+        expect(redact(`GET /s/${token}/api/data`)).toBe('GET /s/[redacted]/api/data');
+    });
+
+    it('keeps route patterns', () => {
+        expect(redact('sessions under /s/:token/')).toBe('sessions under /s/:token/');
+    });
+
+    it('redacts Token= fields and ?token= values', () => {
+        expect(redact(`Session details: ID=abc, Token=${token}, Port=3000`))
+            .toBe('Session details: ID=abc, Token=[redacted], Port=3000');
+        expect(redact(`http://localhost:3000?token=${token}&x=1`)).toBe('http://localhost:3000?token=[redacted]&x=1');
+    });
+
+    it('redacts messages and data in written entries', () => {
+        const lines: string[] = [];
+        const logger = new Logger('Test', {}, { level: 'debug', write: line => lines.push(line) });
+
+        logger.info(`Opened /s/${token}/`, { url: `http://localhost:3000/?token=${token}`, sessionToken: token });
+
+        expect(lines).toHaveLength(1);
+        expect(lines[0]).not.toContain(token);
+        expect(JSON.parse(lines[0])).toMatchObject({
+            msg: 'Opened /s/[redacted]/',
+            data: { url: 'http://localhost:3000/?token=[redacted]', sessionToken: '[redacted]' }
+        });
+    });
+});
+
+describe('Session creation logs', () => {
+    const env = { ...process.env };
+    let ui: MCPWebUI | undefined;
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+        process.env = { ...env };
+    });
+
+    async function loggedWhileCreating(config: Parameters<typeof createTestUI>[0]) {
+        process.env.MCP_LOG_LEVEL = 'debug';
+        const written: string[] = [];
+        jest.spyOn(process.stderr, 'write').mockImplementation(chunk => {
+            written.push(String(chunk));
+            return true;
+        });
+
+        ui = createTestUI({ enableLogging: true, ...config });
+        const session = await ui.createSession('owner');
+        return { session, logs: written.join('') };
+    }
+
+    it('never write a direct-mode session token', async () => {
+        const { session, logs } = await loggedWhileCreating({});
+
+        expect(logs).toContain(session.id);
+        expect(logs).not.toContain(session.token);
+    });
+
+    it('never write a shared-port session token', async () => {
+        const { session, logs } = await loggedWhileCreating({ sharedPort: await freePort() });
+
+        expect(session.url).toContain(`/s/${session.token}/`);
+        expect(logs).toContain(session.id);
+        expect(logs).not.toContain(session.token);
+    });
+});
@@ -0,0 +1,300 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { MetricsRegistry, PROMETHEUS_CONTENT_TYPE } from '../../src/metrics/MetricsRegistry.js';
+import { MetricsServer } from '../../src/metrics/MetricsServer.js';
+import { UIMetrics } from '../../src/metrics/UIMetrics.js';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { TokenRegistry } from '../../src/proxy/TokenRegistry.js';
+import { ADMIN_KEY, createTestUI, freePort, request, startGateway, type TestGateway } from './helpers.js';
+
+/**
+ * The samples of one metric, without its HELP and TYPE lines
+ */
+function samples(text: string, name: string): string[] {
+    return text.split('\n').filter(line => line.startsWith(name) && !line.startsWith('#'));
+}
+
+describe('MetricsRegistry', () => {
+    let registry: MetricsRegistry;
+
+    beforeEach(() => {
+        registry = new MetricsRegistry();
+    });
+
+    it('renders counters and gauges in the text exposition format', async () => {
+        const requests = registry.counter({ name: 'test_requests_total', help: 'Requests\nanswered', labelNames: ['route', 'status'] });
+        const up = registry.gauge({ name: 'test_up', help: 'Whether it is up' });
+        requests.inc({ route: '/api/data', status: 200 });
+        requests.inc({ route: '/api/data', status: 200 }, 2);
+        requests.inc({ route: 'say "hi"\\\n', status: 500 });
+        up.set({}, 1);
+
+        expect(await registry.render()).toBe([
+            '# HELP test_requests_total Requests\\nanswered',
+            '# TYPE test_requests_total counter',
+            'test_requests_total{route="/api/data",status="200"} 3',
+            'test_requests_total{route="say \\"hi\\"\\\\\\n",status="500"} 1',
+            '# HELP test_up Whether it is up',
+            '# TYPE test_up gauge',
+            'test_up 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets with +Inf, sum and count', async () => {
+        const duration = registry.histogram({ name: 'test_duration_seconds', help: 'Time taken', labelNames: ['route'], buckets: [1, 0.1] });
+        for (const seconds of [0.05, 0.1, 0.5, 4]) {
+            duration.observe({ route: '/api/data' }, seconds);
+        }
+
+        expect(samples(await registry.render(), 'test_duration_seconds')).toEqual([
+            'test_duration_seconds_bucket{route="/api/data",le="0.1"} 2',
+            'test_duration_seconds_bucket{route="/api/data",le="1"} 3',
+            'test_duration_seconds_bucket{route="/api/data",le="+Inf"} 4',
+            'test_duration_seconds_sum{route="/api/data"} 4.65',
+            'test_duration_seconds_count{route="/api/data"} 4'
+        ]);
+    });
+
+    it('times with a histogram', async () => {
+        const duration = registry.histogram({ name: 'test_duration_seconds', help: 'Time taken', labelNames: ['source', 'outcome'] });
+
+        const done = duration.startTimer({ source: 'default' });
+        const seconds = done({ outcome: 'ok' });
+
+        expect(seconds).toBeGreaterThanOrEqual(0);
+        expect(samples(await registry.render(), 'test_duration_seconds_count')).toEqual([
+            'test_duration_seconds_count{source="default",outcome="ok"} 1'
+        ]);
+    });
+
+    it('gauges go up and down, and reset forgets their series', async () => {
+        const sessions = registry.gauge({ name: 'test_sessions', help: 'Sessions', labelNames: ['server'] });
+        sessions.inc({ server: 'todo' }, 3);
+        sessions.dec({ server: 'todo' });
+        sessions.set({ server: 'notes' }, 7);
+        expect(samples(await registry.render(), 'test_sessions')).toEqual(['test_sessions{server="todo"} 2', 'test_sessions{server="notes"} 7']);
+
+        sessions.reset();
+        expect(samples(await registry.render(), 'test_sessions')).toEqual([]);
+    });
+
+    it('shares a metric registered twice under the same name and labels', () => {
+        const first = registry.counter({ name: 'test_total', help: 'Test', labelNames: ['a'] });
+
+        expect(registry.counter({ name: 'test_total', help: 'Test', labelNames: ['a'] })).toBe(first);
+        expect(() => registry.gauge({ name: 'test_total', help: 'Test', labelNames: ['a'] })).toThrow('already registered');
+        expect(() => registry.counter({ name: 'test_total', help: 'Test', labelNames: ['b'] })).toThrow('already registered');
+    });
+
+    it('refuses invalid names and counters going down', () => {
+        expect(() => registry.counter({ name: 'bad-name', help: 'Test' })).toThrow('Invalid metric name: bad-name');
+        expect(() => registry.counter({ name: 'test_total', help: 'Test' }).inc({}, -1)).toThrow('can only go up');
+    });
+
+    it('runs collectors before each render, and renders when one fails', async () => {
+        const logger = jest.fn();
+        registry = new MetricsRegistry(logger);
+        const gauge = registry.gauge({ name: 'test_value', help: 'Test' });
+        let value = 1;
+        const remove = registry.addCollector(() => gauge.set({}, value++));
+        registry.addCollector(() => { throw new Error('store down'); });
+
+        expect(samples(await registry.render(), 'test_value')).toEqual(['test_value 1']);
+        expect(samples(await registry.render(), 'test_value')).toEqual(['test_value 2']);
+        expect(logger).toHaveBeenCalledWith('warn', expect.stringContaining('store down'));
+
+        remove();
+        expect(samples(await registry.render(), 'test_value')).toEqual(['test_value 2']);
+    });
+});
+
+describe('UIMetrics', () => {
+    let registry: MetricsRegistry;
+    let metrics: UIMetrics;
+    let activeSessions: number;
+
+    beforeEach(() => {
+        registry = new MetricsRegistry();
+        activeSessions = 2;
+        metrics = new UIMetrics(registry, 'todo', () => activeSessions);
+    });
+
+    it('counts actions by outcome', async () => {
+        metrics.observeAction('addItem', 'http', 200, 0.01);
+        metrics.observeAction('addItem', 'websocket', 422, 0.01);
+        metrics.observeAction('addItem', 'http', 500, 0.01);
+
+        expect(samples(await registry.render(), 'mcp_webui_actions_total')).toEqual([
+            'mcp_webui_actions_total{server="todo",action="addItem",channel="http",outcome="success"} 1',
+            'mcp_webui_actions_total{server="todo",action="addItem",channel="websocket",outcome="rejected"} 1',
+            'mcp_webui_actions_total{server="todo",action="addItem",channel="http",outcome="error"} 1'
+        ]);
+    });
+
+    it("counts action names past the first 100 as 'other'", async () => {
+        for (let i = 0; i < 100; i++) {
+            metrics.observeAction(`action${i}`, 'http', 200, 0.01);
+        }
+        metrics.observeAction('oneTooMany', 'http', 200, 0.01);
+        metrics.observeAction('anotherOne', 'http', 200, 0.01);
+        metrics.observeAction('action0', 'http', 200, 0.01);
+
+        const text = await registry.render();
+        const actions = samples(text, 'mcp_webui_actions_total');
+
+        expect(actions).toHaveLength(101);
+        expect(actions).toContain('mcp_webui_actions_total{server="todo",action="other",channel="http",outcome="success"} 2');
+        expect(actions).toContain('mcp_webui_actions_total{server="todo",action="action0",channel="http",outcome="success"} 2');
+        expect(text).not.toContain('oneTooMany');
+        expect(samples(text, 'mcp_webui_action_duration_seconds_count{server="todo",action="other"}')).toEqual([
+            'mcp_webui_action_duration_seconds_count{server="todo",action="other"} 2'
+        ]);
+    });
+
+    it('times data sources and counts the ones that throw', async () => {
+        await expect(metrics.timeDataSource(undefined, async () => [1])).resolves.toEqual([1]);
+        await expect(metrics.timeDataSource('stats', async () => { throw new Error('db down'); })).rejects.toThrow('db down');
+
+        const text = await registry.render();
+        expect(samples(text, 'mcp_webui_data_source_duration_seconds_count')).toEqual([
+            'mcp_webui_data_source_duration_seconds_count{server="todo",source="default"} 1',
+            'mcp_webui_data_source_duration_seconds_count{server="todo",source="stats"} 1'
+        ]);
+        expect(samples(text, 'mcp_webui_data_source_errors_total')).toEqual([
+            'mcp_webui_data_source_errors_total{server="todo",source="stats"} 1'
+        ]);
+    });
+
+    it('reads active sessions on each scrape until closed', async () => {
+        expect(samples(await registry.render(), 'mcp_webui_active_sessions')).toEqual(['mcp_webui_active_sessions{server="todo"} 2']);
+
+        activeSessions = 3;
+        expect(samples(await registry.render(), 'mcp_webui_active_sessions')).toEqual(['mcp_webui_active_sessions{server="todo"} 3']);
+
+        metrics.close();
+        activeSessions = 0;
+        expect(samples(await registry.render(), 'mcp_webui_active_sessions')).toEqual(['mcp_webui_active_sessions{server="todo"} 3']);
+    });
+});
+
+describe('Web UI metrics', () => {
+    let ui: MCPWebUI | undefined;
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+    });
+
+    it('labels requests with the route, never the path or token', async () => {
+        const port = await freePort();
+        ui = createTestUI({ metrics: new MetricsRegistry(), serverName: 'todo', sharedPort: port });
+        const session = await ui.createSession('owner');
+
+        await request(`http://127.0.0.1:${port}/s/${session.token}/api/data`);
+        await request(`http://127.0.0.1:${port}/api/data?token=${session.token}`);
+        await request(`http://127.0.0.1:${port}/s/${session.token}/api/update`, { body: { action: 'addItem', data: { text: 'x' } } });
+        await request(`http://127.0.0.1:${port}/s/${session.token}/no-such-page/${session.token}`);
+
+        const text = (await ui.getMetrics())!;
+
+        expect(text).not.toContain(session.token);
+        expect(samples(text, 'mcp_webui_http_requests_total')).toEqual(expect.arrayContaining([
+            'mcp_webui_http_requests_total{server="todo",route="/api/data",method="GET",status="200"} 2',
+            'mcp_webui_http_requests_total{server="todo",route="/api/update",method="POST",status="200"} 1'
+        ]));
+        expect(samples(text, 'mcp_webui_actions_total')).toEqual([
+            'mcp_webui_actions_total{server="todo",action="addItem",channel="http",outcome="success"} 1'
+        ]);
+        expect(samples(text, 'mcp_webui_active_sessions')).toEqual(['mcp_webui_active_sessions{server="todo"} 1']);
+    });
+
+    it('has none when turned off', async () => {
+        ui = createTestUI({ metrics: false });
+
+        expect(await ui.getMetrics()).toBeNull();
+    });
+});
+
+describe('MetricsServer', () => {
+    let server: MetricsServer | undefined;
+
+    afterEach(async () => {
+        await server?.stop();
+        server = undefined;
+    });
+
+    it('serves GET /metrics and nothing else', async () => {
+        const registry = new MetricsRegistry();
+        registry.counter({ name: 'test_total', help: 'Test' }).inc();
+        server = new MetricsServer(registry, await freePort(), '127.0.0.1');
+        await server.start();
+        const origin = `http://127.0.0.1:${server.port}`;
+
+        const metrics = await request(`${origin}/metrics`);
+        expect(metrics.status).toBe(200);
+        expect(metrics.headers.get('content-type')).toBe(PROMETHEUS_CONTENT_TYPE);
+        expect(metrics.body).toBe('# HELP test_total Test\n# TYPE test_total counter\ntest_total 1\n');
+
+        expect((await request(`${origin}/metrics?x=1`)).status).toBe(200);
+        expect((await request(`${origin}/`)).status).toBe(404);
+        expect((await request(`${origin}/metrics`, { method: 'POST' })).status).toBe(404);
+    });
+
+    it('says which port is taken', async () => {
+        server = new MetricsServer(new MetricsRegistry(), await freePort(), '127.0.0.1');
+        await server.start();
+
+        const second = new MetricsServer(new MetricsRegistry(), server.port, '127.0.0.1');
+        await expect(second.start()).rejects.toThrow(`Metrics port ${server.port} already in use`);
+    });
+});
+
+describe('Gateway metrics', () => {
+    let gw: TestGateway;
+
+    beforeEach(async () => {
+        gw = await startGateway({ jwtSecret: 'test-secret', metricsApiKey: 'scrape-key' });
+    });
+
+    afterEach(async () => {
+        await gw.stop();
+    });
+
+    it('needs the admin key or metricsApiKey', async () => {
+        expect((await request(`${gw.url}/metrics`)).status).toBe(401);
+        expect((await request(`${gw.url}/metrics`, { apiKey: 'wrong' })).status).toBe(401);
+        expect((await request(`${gw.url}/metrics`, { apiKey: ADMIN_KEY })).status).toBe(200);
+
+        const scraped = await request(`${gw.url}/metrics`, { apiKey: 'scrape-key' });
+        expect(scraped.status).toBe(200);
+        // Express reorders the parameters, which Prometheus doesn't mind
+        expect(scraped.headers.get('content-type')).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    });
+
+    it('labels proxied requests with the route, never the token', async () => {
+        const registry = new TokenRegistry(gw.store, { jwtSecret: 'test-secret' });
+        const session = await registry.createSession({
+            userId: 'owner',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 }
+        });
+
+        await request(`${gw.url}/mcp/${session.token}/api/data`);
+        await request(`${gw.url}/mcp/${session.token}/static/app.js`);
+        await request(`${gw.url}/mcp/not-a-token/`);
+
+        const { body: text } = await request(`${gw.url}/metrics`, { apiKey: 'scrape-key' });
+
+        expect(text).not.toContain(session.token);
+        expect(text).not.toContain('not-a-token');
+        const routes = samples(text, 'mcp_gateway_http_requests_total').map(line => line.match(/route="([^"]*)"/)![1]);
+        expect(routes).toEqual(expect.arrayContaining(['/mcp/:token/api/*', '/mcp/:token/static/:filename', '/mcp/:token']));
+        expect(samples(text, 'mcp_gateway_token_validation_failures_total')).toEqual([
+            'mcp_gateway_token_validation_failures_total{reason="invalid",channel="http"} 1'
+        ]);
+        expect(samples(text, 'mcp_gateway_proxy_errors_total')).toEqual(expect.arrayContaining([
+            expect.stringMatching(/^mcp_gateway_proxy_errors_total\{server="todo",backend="127\.0\.0\.1:9",channel="api",code="ECONNREFUSED"\} 1$/)
+        ]));
+        expect(samples(text, 'mcp_gateway_active_sessions')).toEqual(['mcp_gateway_active_sessions{server="todo"} 1']);
+    });
+});
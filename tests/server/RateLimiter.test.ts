@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { WebSocket } from 'ws';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import { TokenRegistry } from '../../src/proxy/TokenRegistry.js';
+import { RateLimiter } from '../../src/proxy/RateLimiter.js';
+import type { TokenStore } from '../../src/proxy/TokenStore.js';
+import { request, startGateway, type TestGateway } from './helpers.js';
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether the gateway refuses a WebSocket upgrade with 429 - anything else means it got past the limit
+ */
+function upgradeRateLimited(url: string, headers: Record<string, string>): Promise<boolean> {
+    return new Promise(resolve => {
+        const ws = new WebSocket(url, { headers });
+        ws.on('unexpected-response', (_req, res) => {
+            resolve(res.statusCode === 429);
+            ws.terminate();
+        });
+        ws.on('open', () => {
+            resolve(false);
+            ws.close();
+        });
+        // The backend isn't listening, so an upgrade let through is dropped
+        ws.on('error', () => resolve(false));
+    });
+}
+
+describe('RateLimiter', () => {
+    let store: MemoryTokenStore;
+
+    beforeEach(() => {
+        store = new MemoryTokenStore({ sweepIntervalMs: 0 });
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    it('allows requests up to the limit and refuses the rest of the window', async () => {
+        const limiter = new RateLimiter(store, { windowMs: 60 * 60 * 1000, perToken: 2 });
+
+        const results = [];
+        for (let i = 0; i < 3; i++) {
+            results.push(await limiter.checkToken('token-a'));
+        }
+
+        expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+        expect(results.map(result => result.remaining)).toEqual([1, 0, 0]);
+        expect(results[2].limit).toBe(2);
+        expect((await limiter.checkToken('token-b')).allowed).toBe(true);
+    });
+
+    it('counts tokens and addresses separately', async () => {
+        const limiter = new RateLimiter(store, { windowMs: 60 * 60 * 1000, perToken: 1, perIp: 1 });
+
+        expect((await limiter.checkToken('same')).allowed).toBe(true);
+        expect((await limiter.checkIp('same')).allowed).toBe(true);
+        expect((await limiter.checkIp('same')).allowed).toBe(false);
+    });
+
+    it('allows requests again once the window resets', async () => {
+        const limiter = new RateLimiter(store, { windowMs: 200, perIp: 1 });
+
+        const first = await limiter.checkIp('10.0.0.1');
+        expect((await limiter.checkIp('10.0.0.1')).allowed).toBe(false);
+        await sleep(first.resetAt.getTime() - Date.now() + 10);
+
+        const next = await limiter.checkIp('10.0.0.1');
+        expect(next.allowed).toBe(true);
+        expect(next.resetAt.getTime()).toBeGreaterThan(first.resetAt.getTime());
+    });
+
+    it('lets requests through when the store fails', async () => {
+        const failing = {
+            incrementCounter: async () => { throw new Error('store down'); }
+        } as unknown as TokenStore;
+        const logger = jest.fn();
+        const limiter = new RateLimiter(failing, { perToken: 1 }, logger);
+
+        const result = await limiter.checkToken('token-a');
+
+        expect(result).toMatchObject({ allowed: true, limit: 1, remaining: 1 });
+        expect(logger).toHaveBeenCalledWith('warn', expect.stringContaining('store down'));
+    });
+});
+
+describe('Gateway rate limits and draining', () => {
+    let gw: TestGateway | undefined;
+
+    afterEach(async () => {
+        await gw?.stop();
+        gw = undefined;
+    });
+
+    it('answers 429 with Retry-After past the per-address limit, but not on probes', async () => {
+        gw = await startGateway({ rateLimit: { windowMs: 60 * 60 * 1000, perIp: 2 } });
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await request(`${gw.url}/no-such-route`)).status);
+        }
+        const limited = await request(`${gw.url}/no-such-route`);
+
+        expect(statuses).toEqual([404, 404, 429]);
+        expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+        expect(limited.headers.get('ratelimit-remaining')).toBe('0');
+        expect((await request(`${gw.url}/ready`)).status).toBe(200);
+        expect((await request(`${gw.url}/health`)).status).toBe(200);
+    });
+
+    it('ignores X-Forwarded-For from clients by default', async () => {
+        gw = await startGateway({ rateLimit: { windowMs: 60 * 60 * 1000, perIp: 2 } });
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await request(`${gw.url}/no-such-route`, { headers: { 'X-Forwarded-For': `10.0.0.${i}` } })).status);
+        }
+
+        expect(statuses).toEqual([404, 404, 429]);
+    });
+
+    it('limits by the address a trusted proxy added, whatever the client wrote before it', async () => {
+        gw = await startGateway({ trustedProxies: 1, rateLimit: { windowMs: 60 * 60 * 1000, perIp: 2 } });
+        const from = (client: string, forged: string) => request(`${gw!.url}/no-such-route`, { headers: { 'X-Forwarded-For': `${forged}, ${client}` } });
+
+        const statuses = [
+            (await from('203.0.113.1', '10.0.0.1')).status,
+            (await from('203.0.113.1', '10.0.0.2')).status,
+            (await from('203.0.113.1', '10.0.0.3')).status,
+            (await from('203.0.113.2', '10.0.0.3')).status
+        ];
+
+        expect(statuses).toEqual([404, 404, 429, 404]);
+    });
+
+    it('limits WebSocket upgrades by the same address as HTTP requests', async () => {
+        gw = await startGateway({ jwtSecret: 'test-secret', trustedProxies: 1, rateLimit: { windowMs: 60 * 60 * 1000, perIp: 1 } });
+        const registry = new TokenRegistry(gw.store, { jwtSecret: 'test-secret' });
+        const session = await registry.createSession({
+            userId: 'owner',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 }
+        });
+        const wsUrl = `${gw.url.replace('http', 'ws')}/mcp/${session.token}/api/ws`;
+
+        expect(await upgradeRateLimited(wsUrl, { 'X-Forwarded-For': '10.0.0.1, 203.0.113.1' })).toBe(false);
+        expect(await upgradeRateLimited(wsUrl, { 'X-Forwarded-For': '10.0.0.2, 203.0.113.1' })).toBe(true);
+        expect((await request(`${gw.url}/no-such-route`, { headers: { 'X-Forwarded-For': '10.0.0.3, 203.0.113.1' } })).status).toBe(429);
+        expect(await upgradeRateLimited(wsUrl, { 'X-Forwarded-For': '10.0.0.1, 203.0.113.2' })).toBe(false);
+    });
+
+    it('fails /ready while draining and keeps serving until the delay is over', async () => {
+        const started = await startGateway({ drain: { delayMs: 500, timeoutMs: 1000 } });
+        expect((await request(`${started.url}/ready`)).status).toBe(200);
+
+        const stopping = started.stop();
+        const ready = await request(`${started.url}/ready`);
+        const health = await request(`${started.url}/health`);
+        await stopping;
+
+        expect(ready.status).toBe(503);
+        expect(ready.body.status).toBe('draining');
+        expect(health.status).toBe(200);
+        await expect(fetch(`${started.url}/health`)).rejects.toThrow();
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, jest, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { WebSocket } from 'ws';
+import { hasScopes, requiredActionScopes, requiredRouteScope } from '../../src/session/SessionScopes.js';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import type { WebUISession } from '../../src/types/index.js';
+import { ADMIN_KEY, createTestUI, request, sendSocketAction, sessionOrigin, startGateway, type TestGateway } from './helpers.js';
+
+describe('SessionScopes', () => {
+    it('needs write for undo, read for everything else, and leaves updates to the action check', () => {
+        expect(requiredRouteScope('POST', '/api/undo')).toBe('write');
+        expect(requiredRouteScope('POST', '/api/undo/')).toBe('write');
+        expect(requiredRouteScope('POST', '/api/update')).toBeNull();
+        expect(requiredRouteScope('GET', '/api/data')).toBe('read');
+        expect(requiredRouteScope('GET', '/api/ws')).toBe('read');
+    });
+
+    it('keeps read-only scopes from write and delete actions', () => {
+        expect(requiredActionScopes('addItem')).toEqual(['write']);
+        expect(requiredActionScopes('delete_item')).toEqual(['write', 'delete']);
+        expect(requiredActionScopes('deleteItem', ['delete'])).toEqual(['delete']);
+
+        expect(hasScopes(['read'], ['read'])).toBe(true);
+        expect(hasScopes(['read'], requiredActionScopes('addItem'))).toBe(false);
+        expect(hasScopes(['read', 'write'], requiredActionScopes('remove-item'))).toBe(false);
+        expect(hasScopes(['admin'], requiredActionScopes('remove-item'))).toBe(true);
+        expect(hasScopes(undefined, ['write'])).toBe(true);
+    });
+});
+
+describe('Read-only session on its UI server', () => {
+    const onUpdate = jest.fn(async () => ({ ok: true }));
+    let ui: MCPWebUI;
+    let readOnly: WebUISession;
+    let full: WebUISession;
+
+    beforeAll(async () => {
+        ui = createTestUI({ onUpdate });
+        readOnly = await ui.createSession('viewer', { scopes: ['read'] });
+        full = await ui.createSession('owner');
+    });
+
+    afterAll(async () => {
+        await ui.shutdown();
+    });
+
+    it('can still read', async () => {
+        const { status } = await request(`${sessionOrigin(readOnly)}/api/data?token=${readOnly.token}`);
+        expect(status).toBe(200);
+    });
+
+    it('is refused on POST /api/update', async () => {
+        const { status, body } = await request(`${sessionOrigin(readOnly)}/api/update?token=${readOnly.token}`, {
+            body: { action: 'addItem', data: { text: 'x' } }
+        });
+
+        expect(status).toBe(403);
+        expect(body.error).toBe('Action addItem is not permitted for this session');
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('is refused on POST /api/undo', async () => {
+        const { status, body } = await request(`${sessionOrigin(readOnly)}/api/undo?token=${readOnly.token}`, {
+            body: { token: 'some-undo-token' }
+        });
+        expect(status).toBe(403);
+        expect(body.success).toBe(false);
+
+        // The same request with write access gets as far as looking the undo token up
+        const allowed = await request(`${sessionOrigin(full)}/api/undo?token=${full.token}`, {
+            body: { token: 'some-undo-token' }
+        });
+        expect(allowed.status).toBe(404);
+    });
+
+    it('is refused on WebSocket actions', async () => {
+        const wsUrl = `ws://127.0.0.1:${readOnly.port}/api/ws?token=${readOnly.token}`;
+        const result = await sendSocketAction(wsUrl, 'addItem', { text: 'x' });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Action addItem is not permitted for this session');
+        expect(onUpdate).not.toHaveBeenCalled();
+
+        const allowed = await sendSocketAction(`ws://127.0.0.1:${full.port}/api/ws?token=${full.token}`, 'addItem', { text: 'x' });
+        expect(allowed.success).toBe(true);
+        expect(onUpdate).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Read-only session through the gateway', () => {
+    let gw: TestGateway;
+    let backend: http.Server;
+    const proxied: string[] = [];
+
+    beforeAll(async () => {
+        backend = http.createServer((req, res) => {
+            proxied.push(`${req.method} ${req.url!.split('?')[0]}`);
+            res.setHeader('Content-Type', 'application/json');
+            res.end('{"success":true}');
+        });
+        await new Promise<void>(resolve => backend.listen(0, '127.0.0.1', resolve));
+        gw = await startGateway();
+    });
+
+    afterAll(async () => {
+        await gw.stop();
+        await new Promise(resolve => backend.close(resolve));
+    });
+
+    async function createSession(userId: string, scopes?: string[]): Promise<string> {
+        const { port } = backend.address() as AddressInfo;
+        const { status, body } = await request(`${gw.url}/create-session`, {
+            apiKey: ADMIN_KEY,
+            body: { userId, serverName: 'todo', backend: { type: 'tcp', host: '127.0.0.1', port }, scopes }
+        });
+        expect(status).toBe(200);
+        return body.token;
+    }
+
+    it('is refused on POST /api/undo before reaching the backend', async () => {
+        const token = await createSession('viewer', ['read']);
+        proxied.length = 0;
+
+        const { status, body } = await request(`${gw.url}/mcp/${token}/api/undo`, { body: { token: 'x' } });
+
+        expect(status).toBe(403);
+        expect(body.error).toBe('This session does not have the write scope');
+        expect(proxied).toEqual([]);
+
+        const writer = await createSession('editor', ['read', 'write']);
+        expect((await request(`${gw.url}/mcp/${writer}/api/undo`, { body: { token: 'x' } })).status).toBe(200);
+        expect(proxied).toEqual(['POST /api/undo']);
+    });
+
+    it('passes reads and updates on - the backend checks each action', async () => {
+        const token = await createSession('viewer', ['read']);
+        proxied.length = 0;
+
+        expect((await request(`${gw.url}/mcp/${token}/api/data`)).status).toBe(200);
+        expect((await request(`${gw.url}/mcp/${token}/api/update`, { body: { action: 'addItem' } })).status).toBe(200);
+        expect(proxied).toEqual(['GET /api/data', 'POST /api/update']);
+    });
+
+    it('refuses a WebSocket upgrade without the read scope', async () => {
+        const token = await createSession('writer', ['write']);
+
+        const status = await new Promise<number>((resolve, reject) => {
+            const ws = new WebSocket(`${gw.url.replace('http', 'ws')}/mcp/${token}/api/ws`);
+            ws.on('unexpected-response', (_req, res) => resolve(res.statusCode!));
+            ws.on('open', () => reject(new Error('Upgrade was accepted')));
+            ws.on('error', () => { /* reported as the unexpected response */ });
+        });
+
+        expect(status).toBe(403);
+    });
+});
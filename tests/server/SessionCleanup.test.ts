@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import { TokenRegistry } from '../../src/proxy/TokenRegistry.js';
+import type { SessionManager } from '../../src/session/SessionManager.js';
+import type { SessionPolicy } from '../../src/session/SessionPolicy.js';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { ADMIN_KEY, createTestUI, request, startGateway, type TestGateway } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const JWT_SECRET = 'test-secret';
+
+describe('Proxy-mode session cleanup', () => {
+    const env = { ...process.env };
+    let store: MemoryTokenStore;
+    let gw: TestGateway;
+    let ui: MCPWebUI | undefined;
+    let events: string[];
+
+    beforeEach(async () => {
+        store = new MemoryTokenStore({ sweepIntervalMs: 0 });
+        gw = await startGateway({ tokenStore: store, jwtSecret: JWT_SECRET });
+        process.env.MCP_WEB_UI_GATEWAY_URL = gw.url;
+        process.env.MCP_WEB_UI_GATEWAY_API_KEY = ADMIN_KEY;
+        events = [];
+    });
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+        await gw.stop();
+        process.env = { ...env };
+    });
+
+    function startUI(sessionPolicy: SessionPolicy): { ui: MCPWebUI; manager: SessionManager } {
+        ui = createTestUI({ proxyMode: true, tokenStore: store, jwtSecret: JWT_SECRET, serverName: 'todo', sessionPolicy });
+        ui.on('session:expired', ({ session, reason }) => { events.push(`expired:${session.id}:${reason}`); });
+        ui.on('session:terminated', ({ session, reason }) => { events.push(`terminated:${session.id}:${reason}`); });
+        return { ui, manager: (ui as any).sessionManager };
+    }
+
+    const cleanup = () => (ui as any).cleanupExpiredSessions() as Promise<void>;
+    const uiServerRunning = (sessionId: string) => (ui as any).activeServers.has(sessionId) as boolean;
+
+    it('ends an idle session: revokes its token and stops its UI server', async () => {
+        const { ui, manager } = startUI({ idleTimeoutMinutes: 5 });
+        expect(manager.isProxyMode()).toBe(true);
+        const session = await ui.createSession('owner');
+        expect(uiServerRunning(session.id)).toBe(true);
+
+        session.lastActivity = new Date(Date.now() - 10 * MINUTE);
+        await cleanup();
+
+        expect(events).toEqual([`expired:${session.id}:idle`, `terminated:${session.id}:idle`]);
+        expect(await store.findSessions({ token: session.token })).toEqual([]);
+        expect(uiServerRunning(session.id)).toBe(false);
+        expect((await request(`${gw.url}/mcp/${session.token}/api/data`)).status).toBe(401);
+    });
+
+    it('ends a session past its max lifetime', async () => {
+        const { ui } = startUI({ maxLifetimeMinutes: 30 });
+        const session = await ui.createSession('owner');
+
+        session.startTime = new Date(Date.now() - 31 * MINUTE);
+        await cleanup();
+
+        expect(events).toEqual([`expired:${session.id}:expired`, `terminated:${session.id}:expired`]);
+        expect(await store.findSessions({ token: session.token })).toEqual([]);
+        expect(uiServerRunning(session.id)).toBe(false);
+    });
+
+    it('keeps sessions that are in use, and their UI servers', async () => {
+        const { ui } = startUI({ idleTimeoutMinutes: 5, maxLifetimeMinutes: 30 });
+        const session = await ui.createSession('owner');
+
+        await cleanup();
+
+        expect(events).toEqual([]);
+        expect(await store.findSessions({ token: session.token })).toHaveLength(1);
+        expect(uiServerRunning(session.id)).toBe(true);
+        expect((await request(`${gw.url}/mcp/${session.token}/api/data`)).status).toBe(200);
+    });
+
+    it('ends a session whose token was revoked at the gateway, and stops its UI server', async () => {
+        const { ui, manager } = startUI({ idleTimeoutMinutes: 5 });
+        const session = await ui.createSession('owner');
+
+        const revoked = await request(`${gw.url}/sessions/${session.token}?serverName=todo`, { method: 'DELETE', apiKey: ADMIN_KEY });
+        expect(revoked.status).toBe(200);
+        await cleanup();
+
+        expect(events).toEqual([`terminated:${session.id}:revoked`]);
+        expect(uiServerRunning(session.id)).toBe(false);
+        expect(await manager.getSession(session.id)).toBeNull();
+    });
+
+    it('stops the UI server of a session terminated elsewhere without ending it twice', async () => {
+        const { ui, manager } = startUI({ idleTimeoutMinutes: 5 });
+        const session = await ui.createSession('owner');
+
+        await manager.terminateSession(session.id, 'replaced');
+        await cleanup();
+
+        expect(events).toEqual([`terminated:${session.id}:replaced`]);
+        expect(uiServerRunning(session.id)).toBe(false);
+    });
+
+    it("ends another process's idle sessions by the activity it stored", async () => {
+        startUI({ idleTimeoutMinutes: 5 });
+        const registry = new TokenRegistry(store, { jwtSecret: JWT_SECRET });
+        const created = new Date(Date.now() - 20 * MINUTE);
+        const idle = await registry.createSession({
+            userId: 'elsewhere',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 },
+            metadata: { sessionId: 'other-process-idle' }
+        });
+        const busy = await registry.createSession({
+            userId: 'busy',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 },
+            metadata: { sessionId: 'other-process-busy' }
+        });
+        // Polling keeps lastAccessedAt fresh - only lastActivityAt counts
+        await store.updateSession(idle.token, { lastActivityAt: created, lastAccessedAt: new Date() });
+        await store.updateSession(busy.token, { lastActivityAt: new Date() });
+
+        await cleanup();
+
+        expect(events).toEqual(['expired:other-process-idle:idle', 'terminated:other-process-idle:idle']);
+        expect(await store.findSessions({ token: idle.token })).toEqual([]);
+        expect(await store.findSessions({ token: busy.token })).toHaveLength(1);
+    });
+
+    it('stores activity in the registry for other processes to see', async () => {
+        const { ui, manager } = startUI({ idleTimeoutMinutes: 5 });
+        const session = await ui.createSession('owner');
+        session.lastActivity = new Date(Date.now() - 2 * MINUTE);
+
+        await manager.recordActivity(session);
+
+        const [stored] = await store.findSessions({ token: session.token });
+        expect(stored.lastActivityAt!.getTime()).toBe(session.lastActivity.getTime());
+        expect((await manager.getSession(session.id))?.token).toBe(session.token);
+        expect((await manager.getActiveSessions()).map(active => active.id)).toEqual([session.id]);
+    });
+});
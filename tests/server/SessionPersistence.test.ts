@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import { SessionManager } from '../../src/session/SessionManager.js';
+import type { SessionPolicy } from '../../src/session/SessionPolicy.js';
+import type { MCPWebUIConfig, WebUISession } from '../../src/types/index.js';
+import { createTestUI, request, sessionOrigin } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+// Share tokens are signed - a random secret per run would fail them after a restart
+const JWT_SECRET = 'test-secret';
+
+/**
+ * Whether something can listen on a port - i.e. nothing else is
+ */
+function portIsFree(port: number): Promise<boolean> {
+    return new Promise(resolve => {
+        const server = net.createServer();
+        server.once('error', () => resolve(false));
+        server.listen(port, '127.0.0.1', () => server.close(() => resolve(true)));
+    });
+}
+
+describe('SessionManager.restoreSessions', () => {
+    let store: MemoryTokenStore;
+    const managers: SessionManager[] = [];
+
+    beforeEach(() => {
+        store = new MemoryTokenStore({ sweepIntervalMs: 0 });
+    });
+
+    afterEach(async () => {
+        for (const manager of managers.splice(0)) {
+            await manager.shutdown();
+        }
+        await store.close();
+    });
+
+    function createManager(serverName = 'todo', sessionPolicy: SessionPolicy = {}): SessionManager {
+        const manager = new SessionManager(30 * MINUTE, [3000, 65535], 'localhost', undefined, [], { sessionStore: store, serverName, sessionPolicy, jwtSecret: JWT_SECRET });
+        managers.push(manager);
+        return manager;
+    }
+
+    async function persistSession(): Promise<WebUISession> {
+        const previous = createManager();
+        const session = await previous.createSession('owner');
+        await previous.shutdown();
+        return session;
+    }
+
+    it('brings back the sessions of this server that are still live', async () => {
+        const session = await persistSession();
+        const manager = createManager();
+
+        const restored = await manager.restoreSessions();
+
+        expect(restored).toHaveLength(1);
+        expect(restored[0]).toMatchObject({ id: session.id, token: session.token, userId: 'owner', port: session.port, url: session.url, isActive: true });
+        expect(restored[0].expiresAt).toEqual(session.expiresAt);
+        expect((await manager.getSessionByToken(session.token))?.id).toBe(session.id);
+        expect(await manager.restoreSessions()).toEqual([]);
+    });
+
+    it('keeps share links working, without a session of their own', async () => {
+        const previous = createManager();
+        const session = await previous.createSession('owner');
+        const share = await previous.createShare(session.token);
+        await previous.shutdown();
+        const manager = createManager();
+
+        const restored = await manager.restoreSessions();
+
+        expect(restored.map(restoredSession => restoredSession.id)).toEqual([session.id]);
+        expect(await manager.findShareParent(share.token)).toBe(session.token);
+    });
+
+    it("leaves other servers' sessions alone", async () => {
+        await persistSession();
+
+        expect(await createManager('notes').restoreSessions()).toEqual([]);
+    });
+
+    it('skips sessions that went idle or expired while the server was down', async () => {
+        const session = await persistSession();
+        await store.updateSession(session.token, { lastAccessedAt: new Date(Date.now() - 10 * MINUTE) });
+
+        expect(await createManager('todo', { idleTimeoutMinutes: 5 }).restoreSessions()).toEqual([]);
+
+        await store.updateSession(session.token, { expiresAt: new Date(Date.now() - MINUTE) });
+        expect(await createManager().restoreSessions()).toEqual([]);
+    });
+
+    it('has nothing to restore without a session store', async () => {
+        const manager = new SessionManager();
+        managers.push(manager);
+
+        expect(await manager.restoreSessions()).toEqual([]);
+    });
+});
+
+describe('Restoring sessions on the UI server', () => {
+    let dir: string;
+    let ui: MCPWebUI | undefined;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-restore-'));
+    });
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const config = (): Partial<MCPWebUIConfig> => ({
+        sessionStore: { type: 'file', path: path.join(dir, 'sessions.jsonl'), sweepIntervalMs: 0 },
+        jwtSecret: JWT_SECRET,
+        dataSource: async userId => [{ text: `for ${userId}` }]
+    });
+
+    /**
+     * Create a session in one run and start the next, which restores it
+     */
+    async function restart(): Promise<{ session: WebUISession; shareToken: string }> {
+        const previous = createTestUI(config());
+        const session = await previous.createSession('owner');
+        const share = await previous.createShareLink('owner');
+        await previous.shutdown();
+
+        ui = createTestUI(config());
+        await (ui as any).restoring;
+        return { session, shareToken: share.token };
+    }
+
+    const uiServers = () => (ui as any).activeServers as Map<string, unknown>;
+    const standbyServers = () => (ui as any).standbyServers as Map<number, unknown>;
+
+    it("listens on each restored session's port and serves it and its share links", async () => {
+        const { session, shareToken } = await restart();
+
+        expect(Array.from(standbyServers().keys())).toEqual([session.port]);
+        expect(uiServers().size).toBe(0);
+
+        const data = await request(`${sessionOrigin(session)}/api/data?token=${session.token}`);
+        expect(data.status).toBe(200);
+        expect(data.body.data).toEqual([{ text: 'for owner' }]);
+        expect((await request(`${sessionOrigin(session)}/api/data?token=${shareToken}`)).status).toBe(200);
+        expect(Array.from(uiServers().keys())).toEqual([session.id]);
+    });
+
+    it('starts one UI server for concurrent first requests', async () => {
+        const { session } = await restart();
+        const createUIServer = jest.spyOn(ui as any, 'createUIServer');
+        const resume = () => (ui as any).resumeSession(session.token) as Promise<unknown>;
+
+        const [first, second] = await Promise.all([resume(), resume()]);
+
+        expect(first).toBeTruthy();
+        expect(second).toBe(first);
+        expect(createUIServer).toHaveBeenCalledTimes(1);
+        expect(uiServers().size).toBe(1);
+        expect((await request(`${sessionOrigin(session)}/api/data?token=${session.token}`)).status).toBe(200);
+        expect(createUIServer).toHaveBeenCalledTimes(1);
+    });
+
+    it("answers 404 on a restored port for tokens that aren't sessions", async () => {
+        const { session } = await restart();
+
+        expect((await request(`${sessionOrigin(session)}/api/data?token=not-a-session`)).status).toBe(404);
+        expect(uiServers().size).toBe(0);
+    });
+
+    it('frees the port once the restored session is revoked', async () => {
+        const { session } = await restart();
+        await request(`${sessionOrigin(session)}/api/data?token=${session.token}`);
+        expect(await portIsFree(session.port)).toBe(false);
+
+        expect(await ui!.revokeAllSessions('owner')).toBe(1);
+
+        expect(standbyServers().size).toBe(0);
+        expect(uiServers().size).toBe(0);
+        expect(await portIsFree(session.port)).toBe(true);
+    });
+
+    it('frees the port once a new session replaces the restored one', async () => {
+        const { session } = await restart();
+
+        const replacement = await ui!.createSession('owner');
+
+        expect(replacement.id).not.toBe(session.id);
+        expect(standbyServers().size).toBe(0);
+        expect(await portIsFree(session.port)).toBe(true);
+        expect((await request(`${sessionOrigin(replacement)}/api/data?token=${replacement.token}`)).status).toBe(200);
+    });
+});
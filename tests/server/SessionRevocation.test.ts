@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import { TokenRegistry } from '../../src/proxy/TokenRegistry.js';
+import { ADMIN_KEY, createTestUI, freePort, request, startGateway, type TestGateway } from './helpers.js';
+
+const JWT_SECRET = 'test-secret';
+
+const text = (result: { content: Array<{ text: string }> }) => result.content[0].text;
+const uiServerRunning = (ui: MCPWebUI, sessionId: string) => (ui as any).activeServers.has(sessionId) as boolean;
+
+describe('Listing and closing sessions', () => {
+    let ui: MCPWebUI | undefined;
+    let origin: string;
+
+    beforeEach(async () => {
+        // On a shared port, so requests for a closed session still reach a server
+        const port = await freePort();
+        origin = `http://127.0.0.1:${port}`;
+        ui = createTestUI({ sharedPort: port });
+    });
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+    });
+
+    it("lists only the user's own sessions", async () => {
+        const session = await ui!.createSession('owner');
+        await ui!.createSession('someone-else');
+
+        const sessions = await ui!.listSessions('owner');
+
+        expect(sessions.map(listed => listed.id)).toEqual([session.id]);
+        expect(text(await ui!.handleListWebUISessions('owner'))).toContain(`**Session**: ${session.id}`);
+        expect(text(await ui!.handleListWebUISessions('nobody'))).toBe('No Test web interfaces are open.');
+    });
+
+    it("revokes all of a user's sessions, their share links and UI servers", async () => {
+        const session = await ui!.createSession('owner');
+        const other = await ui!.createSession('someone-else');
+        const share = await ui!.createShareLink('owner');
+        expect((await request(`${origin}/s/${share.token}/api/data`)).status).toBe(200);
+
+        expect(await ui!.revokeAllSessions('owner')).toBe(1);
+
+        expect(await ui!.listSessions('owner')).toEqual([]);
+        expect(uiServerRunning(ui!, session.id)).toBe(false);
+        expect((await request(`${origin}/s/${session.token}/api/data`)).status).toBe(404);
+        expect((await request(`${origin}/s/${share.token}/api/data`)).status).toBe(404);
+        expect((await request(`${origin}/s/${other.token}/api/data`)).status).toBe(200);
+        expect(await ui!.revokeAllSessions('owner')).toBe(0);
+    });
+
+    it('says what close_web_ui closed', async () => {
+        const session = await ui!.createSession('owner');
+
+        expect(text(await ui!.handleCloseWebUI('owner', { session_id: 'no-such-session' })))
+            .toBe('No open web interface with session ID no-such-session.');
+        expect(uiServerRunning(ui!, session.id)).toBe(true);
+
+        expect(text(await ui!.handleCloseWebUI('owner', { session_id: session.id })))
+            .toBe('🔒 Closed 1 Test web interface - its link and any share links no longer work.');
+        expect(uiServerRunning(ui!, session.id)).toBe(false);
+
+        expect(text(await ui!.handleCloseWebUI('owner'))).toBe('No Test web interfaces were open.');
+    });
+});
+
+describe('Closing proxy-mode sessions', () => {
+    const env = { ...process.env };
+    let store: MemoryTokenStore;
+    let gw: TestGateway;
+    let ui: MCPWebUI;
+
+    beforeEach(async () => {
+        store = new MemoryTokenStore({ sweepIntervalMs: 0 });
+        gw = await startGateway({ tokenStore: store, jwtSecret: JWT_SECRET });
+        process.env.MCP_WEB_UI_GATEWAY_URL = gw.url;
+        process.env.MCP_WEB_UI_GATEWAY_API_KEY = ADMIN_KEY;
+        ui = createTestUI({ proxyMode: true, tokenStore: store, jwtSecret: JWT_SECRET, serverName: 'todo' });
+    });
+
+    afterEach(async () => {
+        await ui.shutdown();
+        await gw.stop();
+        process.env = { ...env };
+    });
+
+    const status = async (token: string) => (await request(`${gw.url}/mcp/${token}/api/data`)).status;
+
+    it('closes only the session with the given session_id', async () => {
+        const session = await ui.createSession('owner');
+        const share = await ui.createShareLink('owner');
+        // Another UI of this server open for the same user
+        const registry = new TokenRegistry(store, { jwtSecret: JWT_SECRET });
+        const elsewhere = await registry.createSession({
+            userId: 'owner',
+            serverName: 'todo',
+            serverType: 'admin-ui',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 },
+            metadata: { sessionId: 'other-ui' }
+        });
+        await store.updateSession(elsewhere.token, { lastActivityAt: new Date(Date.now() - 60 * 1000) });
+
+        expect((await ui.listSessions('owner')).map(listed => listed.id)).toEqual([session.id, 'other-ui']);
+        expect(await status(share.token)).toBe(200);
+
+        const closed = await ui.handleCloseWebUI('owner', { session_id: session.id });
+
+        expect(text(closed)).toContain('Closed 1 Test web interface');
+        expect(uiServerRunning(ui, session.id)).toBe(false);
+        expect(await status(session.token)).toBe(401);
+        expect(await status(share.token)).toBe(401);
+        expect(await store.findSessions({ token: elsewhere.token })).toHaveLength(1);
+        expect((await ui.listSessions('owner')).map(listed => listed.id)).toEqual(['other-ui']);
+    });
+
+    it('revokes a session and its share links with DELETE /sessions/:token', async () => {
+        const session = await ui.createSession('owner');
+        const share = await ui.createShareLink('owner');
+        const remove = (serverName?: string) => request(`${gw.url}/sessions/${session.token}${serverName ? `?serverName=${serverName}` : ''}`, {
+            method: 'DELETE',
+            apiKey: ADMIN_KEY
+        });
+
+        expect((await remove()).status).toBe(400);
+        expect((await remove('notes')).status).toBe(404);
+        expect(await status(session.token)).toBe(200);
+
+        const revoked = await remove('todo');
+
+        expect(revoked.status).toBe(200);
+        expect(revoked.body.success).toBe(true);
+        expect(await status(session.token)).toBe(401);
+        expect(await status(share.token)).toBe(401);
+        expect(await store.findSessions({ shareOf: session.token })).toEqual([]);
+        expect((await remove('todo')).status).toBe(404);
+    });
+});
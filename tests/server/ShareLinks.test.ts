@@ -0,0 +1,265 @@
+import { describe, it, expect, beforeEach, afterEach, beforeAll, afterAll } from '@jest/globals';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TokenRegistry, type EphemeralSession } from '../../src/proxy/TokenRegistry.js';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import { FileTokenStore } from '../../src/proxy/FileTokenStore.js';
+import { SHARE_SCOPES_HEADER, SHARE_TOKEN_HEADER } from '../../src/session/SessionScopes.js';
+import type { SessionManager } from '../../src/session/SessionManager.js';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import type { WebUISession } from '../../src/types/index.js';
+import { createTestUI, request, sessionOrigin } from './helpers.js';
+
+describe('TokenRegistry share links', () => {
+    let store: MemoryTokenStore;
+    let registry: TokenRegistry;
+    let parent: EphemeralSession;
+
+    beforeEach(async () => {
+        store = new MemoryTokenStore({ sweepIntervalMs: 0 });
+        registry = new TokenRegistry(store, { jwtSecret: 'test-secret' });
+        parent = await registry.createSession({
+            userId: 'owner',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 }
+        });
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    it('counts each redemption and stops at maxUses', async () => {
+        const share = await registry.createShare(parent, { maxUses: 2 });
+
+        expect((await registry.redeemShare(share.token))?.share?.uses).toBe(1);
+        expect((await registry.redeemShare(share.token))?.share?.uses).toBe(2);
+        expect(await registry.redeemShare(share.token)).toBeNull();
+
+        // Used up for page loads, but API calls from pages already open still validate
+        expect(await registry.validateToken(share.token)).not.toBeNull();
+    });
+
+    it('never goes over maxUses when redeemed concurrently', async () => {
+        const share = await registry.createShare(parent, { maxUses: 3 });
+
+        const results = await Promise.all(Array.from({ length: 10 }, () => registry.redeemShare(share.token)));
+
+        expect(results.filter(Boolean)).toHaveLength(3);
+        expect(results.filter(Boolean).map(result => result!.share!.uses).sort()).toEqual([1, 2, 3]);
+        const [stored] = await store.findSessions({ token: share.token });
+        expect(stored.share!.uses).toBe(3);
+    });
+
+    it('has no limit without maxUses', async () => {
+        const share = await registry.createShare(parent);
+
+        for (let i = 0; i < 5; i++) {
+            expect(await registry.redeemShare(share.token)).not.toBeNull();
+        }
+    });
+
+    it('rejects an expired share', async () => {
+        const share = await registry.createShare(parent, { ttlMinutes: 5 });
+        await store.updateSession(share.token, { expiresAt: new Date(Date.now() - 1000) });
+
+        expect(await registry.redeemShare(share.token)).toBeNull();
+        expect(await registry.validateToken(share.token)).toBeNull();
+        expect(await store.findSessions({ token: share.token })).toHaveLength(0);
+    });
+
+    it('rejects a revoked share, and the shares of a revoked session', async () => {
+        const revoked = await registry.createShare(parent);
+        const other = await registry.createShare(parent);
+
+        // Only the session it was made from can revoke it
+        expect(await registry.revokeShare(revoked.share!.id, 'another-session')).toBe(false);
+        expect(await registry.revokeShare(revoked.share!.id, parent.token)).toBe(true);
+        expect(await registry.redeemShare(revoked.token)).toBeNull();
+        expect(await registry.redeemShare(other.token)).not.toBeNull();
+
+        await registry.revokeSession(parent.token);
+        expect(await registry.redeemShare(other.token)).toBeNull();
+    });
+
+    it('passes session tokens through unchanged', async () => {
+        const session = await registry.redeemShare(parent.token);
+        expect(session?.token).toBe(parent.token);
+        expect(session?.share).toBeUndefined();
+    });
+});
+
+describe('File token store share redemption', () => {
+    let dir: string;
+    let filePath: string;
+    let stores: FileTokenStore[];
+    let registries: TokenRegistry[];
+    let parent: EphemeralSession;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-share-'));
+        filePath = path.join(dir, 'tokens.jsonl');
+        // Two gateways sharing one file
+        stores = [0, 1].map(() => new FileTokenStore(filePath, { sweepIntervalMs: 0 }));
+        registries = stores.map(store => new TokenRegistry(store, { jwtSecret: 'test-secret' }));
+        parent = await registries[0].createSession({
+            userId: 'owner',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 }
+        });
+    });
+
+    afterEach(async () => {
+        await Promise.all(stores.map(store => store.close()));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('never goes over maxUses when redeemed concurrently through two stores', async () => {
+        const share = await registries[0].createShare(parent, { maxUses: 3 });
+
+        const results = await Promise.all(Array.from({ length: 10 }, (_, i) => registries[i % 2].redeemShare(share.token)));
+
+        expect(results.filter(Boolean)).toHaveLength(3);
+        const [stored] = await stores[1].findSessions({ token: share.token });
+        expect(stored.share!.uses).toBe(3);
+    });
+
+    it('checks the uses left only once another process lets go of the file', async () => {
+        const share = await registries[0].createShare(parent, { maxUses: 1 });
+        const [stored] = await stores[0].findSessions({ token: share.token });
+        const lastUse = JSON.stringify({ kind: 'session', value: { ...stored, share: { ...stored.share, uses: 1 } } }) + '\n';
+
+        // Another process takes the lock, redeems the last use and lets go
+        const other = spawn(process.execPath, ['-e', `
+            const fs = require('fs');
+            const [lockPath, filePath, line] = process.argv.slice(1);
+            fs.writeFileSync(lockPath, '', { flag: 'wx' });
+            console.log('locked');
+            setTimeout(() => {
+                fs.appendFileSync(filePath, line);
+                fs.rmSync(lockPath);
+            }, 300);
+        `, `${filePath}.lock`, filePath, lastUse]);
+        const exited = new Promise(resolve => other.on('exit', resolve));
+        await new Promise(resolve => other.stdout.once('data', resolve));
+
+        expect(await registries[1].redeemShare(share.token)).toBeNull();
+        expect(await exited).toBe(0);
+    });
+});
+
+describe('SessionManager share lookup', () => {
+    let ui: MCPWebUI;
+    let manager: SessionManager;
+    let owner: WebUISession;
+
+    beforeAll(async () => {
+        ui = createTestUI();
+        manager = (ui as any).sessionManager;
+        owner = await ui.createSession('owner');
+    });
+
+    afterAll(async () => {
+        await ui.shutdown();
+    });
+
+    it('resolves a share only for the session it was made from', async () => {
+        const share = await ui.createShareLink('owner', { maxUses: 1 });
+        const other = await ui.createSession('someone-else');
+
+        expect(await manager.findShareParent(share.token)).toBe(owner.token);
+        expect((await manager.resolveShare(share.token, owner.token))?.share?.id).toBe(share.id);
+        expect(await manager.resolveShare(share.token, other.token)).toBeNull();
+        expect(await manager.findShareParent(owner.token)).toBeNull();
+        expect(await manager.findShareParent('not-a-token')).toBeNull();
+    });
+
+    it('only counts uses when redeeming', async () => {
+        const share = await ui.createShareLink('owner', { maxUses: 1 });
+
+        expect(await manager.resolveShare(share.token, owner.token)).not.toBeNull();
+        expect(await manager.resolveShare(share.token, owner.token, { redeem: true })).not.toBeNull();
+        expect(await manager.resolveShare(share.token, owner.token, { redeem: true })).toBeNull();
+        expect(await manager.resolveShare(share.token, owner.token)).not.toBeNull();
+    });
+
+    it('stops resolving revoked shares', async () => {
+        const share = await ui.createShareLink('owner');
+        expect(await ui.revokeShareLink('owner', share.id)).toBe(true);
+
+        expect(await manager.resolveShare(share.token, owner.token)).toBeNull();
+        expect(await manager.findShareParent(share.token)).toBeNull();
+    });
+});
+
+describe('UI server share access', () => {
+    let ui: MCPWebUI;
+    let owner: WebUISession;
+
+    beforeAll(async () => {
+        ui = createTestUI();
+        owner = await ui.createSession('owner');
+    });
+
+    afterAll(async () => {
+        await ui.shutdown();
+    });
+
+    function update(token: string, headers: Record<string, string> = {}) {
+        return request(`${sessionOrigin(owner)}/api/update?token=${token}`, {
+            body: { action: 'addItem', data: { text: 'x' } },
+            headers
+        });
+    }
+
+    it('ignores share headers sent with a share token', async () => {
+        const share = await ui.createShareLink('owner', { scopes: ['read'] });
+
+        const { status } = await update(share.token, {
+            [SHARE_TOKEN_HEADER]: share.token,
+            [SHARE_SCOPES_HEADER]: 'read,write,delete,admin'
+        });
+
+        expect(status).toBe(403);
+    });
+
+    it('ignores share headers sent with an unknown token', async () => {
+        const { status, body } = await update('made-up-token', {
+            [SHARE_TOKEN_HEADER]: 'made-up-token',
+            [SHARE_SCOPES_HEADER]: 'read,write'
+        });
+
+        expect(status).toBe(403);
+        expect(body.error).toBe('Invalid token');
+    });
+
+    it('narrows the session token to the share scopes the gateway forwards', async () => {
+        expect((await update(owner.token)).status).toBe(200);
+
+        const { status } = await update(owner.token, {
+            [SHARE_TOKEN_HEADER]: 'gateway-share-token',
+            [SHARE_SCOPES_HEADER]: 'read'
+        });
+        expect(status).toBe(403);
+    });
+
+    it('counts page loads of a share link against maxUses', async () => {
+        const share = await ui.createShareLink('owner', { maxUses: 1 });
+        const page = `${sessionOrigin(owner)}/?token=${share.token}`;
+
+        expect((await request(page)).status).toBe(200);
+        expect((await request(page)).status).toBe(403);
+        // Pages already open keep working
+        expect((await request(`${sessionOrigin(owner)}/api/data?token=${share.token}`)).status).toBe(200);
+    });
+
+    it('stops serving an expired share', async () => {
+        const share = await ui.createShareLink('owner');
+        const store: MemoryTokenStore = ((ui as any).sessionManager.getShareRegistry() as any).store;
+        await store.updateSession(share.token, { expiresAt: new Date(Date.now() - 1000) });
+
+        expect((await request(`${sessionOrigin(owner)}/api/data?token=${share.token}`)).status).toBe(403);
+    });
+});
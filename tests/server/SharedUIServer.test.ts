@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import type { AddressInfo } from 'net';
+import os from 'os';
+import path from 'path';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import type { MCPWebUIConfig } from '../../src/types/index.js';
+import { createTestUI, freePort, request, sessionOrigin } from './helpers.js';
+
+/**
+ * Where a UI's shared server, or the standby server of a restored port, is listening
+ */
+function listeningAddress(ui: MCPWebUI, port?: number): string {
+    const host = port === undefined ? (ui as any).sharedServer : (ui as any).standbyServers.get(port);
+    return ((host as any).server.address() as AddressInfo).address;
+}
+
+describe('Shared UI server', () => {
+    const env = { ...process.env };
+    let ui: MCPWebUI | undefined;
+    let port: number;
+    let origin: string;
+
+    beforeEach(async () => {
+        port = await freePort();
+        origin = `http://127.0.0.1:${port}`;
+    });
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+        process.env = { ...env };
+    });
+
+    it('serves each session under /s/:token/ with the prefix stripped', async () => {
+        ui = createTestUI({ sharedPort: port, dataSource: async userId => [{ text: `for ${userId}` }] });
+        const alice = await ui.createSession('alice');
+        const bob = await ui.createSession('bob');
+
+        expect(alice.port).toBe(port);
+        expect(alice.url).toBe(`http://localhost:${port}/s/${alice.token}/`);
+
+        const data = async (token: string) => (await request(`${origin}/s/${token}/api/data`)).body.data;
+        expect(await data(alice.token)).toEqual([{ text: 'for alice' }]);
+        expect(await data(bob.token)).toEqual([{ text: 'for bob' }]);
+
+        const page = await request(`${origin}/s/${alice.token}/`);
+        expect(page.status).toBe(200);
+        expect(page.headers.get('content-type')).toContain('text/html');
+    });
+
+    it('routes requests without the prefix by the token they carry, as the gateway sends them', async () => {
+        ui = createTestUI({ sharedPort: port });
+        const session = await ui.createSession('owner');
+
+        expect((await request(`${origin}/api/data?token=${session.token}`)).status).toBe(200);
+        expect((await request(`${origin}/api/data`, { headers: { Authorization: `Bearer ${session.token}` } })).status).toBe(200);
+
+        const untokened = await request(`${origin}/api/data`);
+        expect(untokened.status).toBe(404);
+        expect(untokened.body.error).toBe('Session not found');
+    });
+
+    it('answers 404 for a token that is not a session', async () => {
+        ui = createTestUI({ sharedPort: port });
+        await ui.createSession('owner');
+
+        const { status, body } = await request(`${origin}/s/not-a-session/api/data`);
+
+        expect(status).toBe(404);
+        expect(body.error).toBe('Session not found');
+    });
+
+    it('routes share links to the session they were made from', async () => {
+        ui = createTestUI({ sharedPort: port, dataSource: async userId => [{ text: `for ${userId}` }] });
+        await ui.createSession('owner');
+        const share = await ui.createShareLink('owner');
+
+        const viaPath = await request(`${origin}/s/${share.token}/api/data`);
+        const viaQuery = await request(`${origin}/api/data?token=${share.token}`);
+
+        expect(viaPath.status).toBe(200);
+        expect(viaPath.body.data).toEqual([{ text: 'for owner' }]);
+        expect(viaQuery.status).toBe(200);
+    });
+
+    it('listens on bindAddress', async () => {
+        ui = createTestUI({ sharedPort: port, bindAddress: '127.0.0.1' });
+        await ui.createSession('owner');
+
+        expect(listeningAddress(ui)).toBe('127.0.0.1');
+    });
+
+    it('listens on localhost only behind a proxy, whatever bindAddress says', async () => {
+        process.env.MCP_WEB_UI_PROXY_PREFIX = '/mcp';
+        ui = createTestUI({ sharedPort: port, bindAddress: '0.0.0.0' });
+        await ui.createSession('owner');
+
+        expect(['127.0.0.1', '::1']).toContain(listeningAddress(ui));
+    });
+});
+
+describe('Restored sessions on the shared UI server', () => {
+    let dir: string;
+    let ui: MCPWebUI | undefined;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-shared-'));
+    });
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Create a session in one run and start the next, which restores it
+     */
+    async function restart(config: Partial<MCPWebUIConfig>) {
+        const persisted = { sessionStore: { type: 'file' as const, path: path.join(dir, 'sessions.jsonl'), sweepIntervalMs: 0 }, ...config };
+
+        const previous = createTestUI(persisted);
+        const session = await previous.createSession('owner');
+        await previous.shutdown();
+
+        ui = createTestUI(persisted);
+        await (ui as any).restoring;
+        return session;
+    }
+
+    it('starts the UI server of a restored session on its first request', async () => {
+        const port = await freePort();
+        const session = await restart({ sharedPort: port });
+        const shared = (ui as any).sharedServer;
+        expect(shared.getSessionCount()).toBe(0);
+
+        const { status } = await request(`http://127.0.0.1:${port}/s/${session.token}/api/data`);
+
+        expect(status).toBe(200);
+        expect(shared.getSessionCount()).toBe(1);
+    });
+
+    it("listens on a restored session's own port, on bindAddress, until then", async () => {
+        const session = await restart({ bindAddress: '127.0.0.1' });
+
+        expect(listeningAddress(ui!, session.port)).toBe('127.0.0.1');
+        expect((await request(`${sessionOrigin(session)}/api/data?token=${session.token}`)).status).toBe(200);
+    });
+});
@@ -0,0 +1,456 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { EphemeralSession, ServerApiKey } from '../../src/proxy/TokenRegistry.js';
+import type { TokenStore } from '../../src/proxy/TokenStore.js';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import { FileTokenStore } from '../../src/proxy/FileTokenStore.js';
+import { MongoTokenStore } from '../../src/proxy/MongoTokenStore.js';
+import { TokenRegistry } from '../../src/proxy/TokenRegistry.js';
+
+/**
+ * One suite run against every store, so TokenRegistry can rely on the same behaviour
+ * from each. MongoDB runs when MCP_TEST_MONGO_URL points at a server it may write to.
+ */
+interface StoreHarness {
+    setup(): Promise<void>;
+    open(options?: { sweepIntervalMs?: number }): Promise<TokenStore>; // Empty on the first call after setup
+    teardown(): Promise<void>;
+    timedSweep: boolean; // Sweeps expired sessions itself rather than through a TTL index
+}
+
+let sequence = 0;
+
+function makeSession(overrides: Partial<EphemeralSession> = {}): EphemeralSession {
+    const now = Date.now();
+    const id = ++sequence;
+    return {
+        token: `token-${id}`,
+        userId: 'user-1',
+        serverName: 'todo',
+        serverType: 'mcp-webui',
+        sessionKey: `user-1:todo:${id}`,
+        backend: { type: 'tcp', host: '127.0.0.1', port: 3000 },
+        createdAt: new Date(now),
+        expiresAt: new Date(now + 60 * 1000),
+        lastAccessedAt: new Date(now),
+        scopes: ['read', 'write'],
+        ...overrides
+    };
+}
+
+function makeApiKey(overrides: Partial<ServerApiKey> = {}): ServerApiKey {
+    return {
+        keyId: `key-${++sequence}`,
+        serverName: 'todo',
+        secretHash: 'hash',
+        createdAt: new Date(),
+        ...overrides
+    };
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeTokenStore(name: string, harness: StoreHarness | null): void {
+    (harness ? describe : describe.skip)(`${name} token store`, () => {
+        const h = harness!;
+        const opened: TokenStore[] = [];
+        let store: TokenStore;
+
+        async function open(options?: { sweepIntervalMs?: number }): Promise<TokenStore> {
+            const instance = await h.open(options);
+            opened.push(instance);
+            return instance;
+        }
+
+        beforeEach(async () => {
+            await h.setup();
+            store = await open();
+        });
+
+        afterEach(async () => {
+            await Promise.all(opened.splice(0).map(instance => instance.close()));
+            await h.teardown();
+        });
+
+        describe('sessions', () => {
+            it('saves and gets a session', async () => {
+                const session = makeSession({ metadata: { sessionId: 'abc' } });
+                await store.insertSession(session);
+
+                const [found] = await store.findSessions({ token: session.token });
+                expect(found).toEqual(session);
+                expect(found.expiresAt).toBeInstanceOf(Date);
+                expect(await store.findSessions({ token: 'missing' })).toEqual([]);
+            });
+
+            it('finds sessions by filter, newest first', async () => {
+                const older = makeSession({ createdAt: new Date(Date.now() - 5000) });
+                const newer = makeSession();
+                const otherUser = makeSession({ userId: 'user-2' });
+                for (const session of [older, newer, otherUser]) {
+                    await store.insertSession(session);
+                }
+
+                const found = await store.findSessions({ userId: 'user-1', serverName: 'todo' });
+                expect(found.map(session => session.token)).toEqual([newer.token, older.token]);
+                expect(await store.findSessions({ sessionKey: otherUser.sessionKey })).toHaveLength(1);
+            });
+
+            it('updates a session', async () => {
+                const session = makeSession();
+                await store.insertSession(session);
+                const expiresAt = new Date(Date.now() + 120 * 1000);
+
+                expect(await store.updateSession(session.token, { expiresAt })).toBe(true);
+                expect(await store.updateSession('missing', { expiresAt })).toBe(false);
+
+                const [found] = await store.findSessions({ token: session.token });
+                expect(found.expiresAt.getTime()).toBe(expiresAt.getTime());
+                expect(found.userId).toBe(session.userId);
+            });
+
+            it('deletes sessions', async () => {
+                const parent = makeSession();
+                const share = makeSession({ share: { id: 'share-1', parentToken: parent.token, uses: 0 } });
+                await store.insertSession(parent);
+                await store.insertSession(share);
+
+                expect(await store.deleteSessions({ shareOf: parent.token })).toBe(1);
+                expect(await store.findSessions({ shareId: 'share-1' })).toEqual([]);
+                expect(await store.deleteSessions({ token: parent.token })).toBe(1);
+                expect(await store.deleteSessions({ token: parent.token })).toBe(0);
+                expect(await store.findSessions({ token: parent.token })).toEqual([]);
+            });
+
+            it('redeems a share no more than maxUses times', async () => {
+                const parent = makeSession();
+                const share = makeSession({ share: { id: 'share-2', parentToken: parent.token, maxUses: 2, uses: 0 } });
+                await store.insertSession(parent);
+                await store.insertSession(share);
+
+                const results = await Promise.all(Array.from({ length: 5 }, () => store.redeemShare(share.token)));
+
+                expect(results.filter(Boolean)).toHaveLength(2);
+                expect((await store.findSessions({ token: share.token }))[0].share!.uses).toBe(2);
+                expect(await store.redeemShare(parent.token)).toBeNull();
+                expect(await store.redeemShare('missing')).toBeNull();
+            });
+        });
+
+        describe('expiry', () => {
+            it('leaves expired sessions out of active queries', async () => {
+                const expired = makeSession({ expiresAt: new Date(Date.now() - 1000) });
+                const live = makeSession();
+                await store.insertSession(expired);
+                await store.insertSession(live);
+
+                const active = await store.findSessions({ userId: 'user-1', activeAt: new Date() });
+                expect(active.map(session => session.token)).toEqual([live.token]);
+            });
+
+            it('sweeps only expired sessions', async () => {
+                const expired = makeSession({ expiresAt: new Date(Date.now() - 1000) });
+                const live = makeSession();
+                await store.insertSession(expired);
+                await store.insertSession(live);
+
+                expect(await store.deleteSessions({ expiredBefore: new Date() })).toBe(1);
+                expect(await store.findSessions({ token: expired.token })).toEqual([]);
+                expect(await store.findSessions({ token: live.token })).toHaveLength(1);
+            });
+
+            it('lets a new session take the key of an expired one', async () => {
+                const expired = makeSession({ expiresAt: new Date(Date.now() - 1000) });
+                await store.insertSession(expired);
+
+                const replacement = makeSession({ sessionKey: expired.sessionKey });
+                await store.insertSession(replacement);
+
+                expect((await store.findSessions({ sessionKey: expired.sessionKey })).map(session => session.token))
+                    .toEqual([replacement.token]);
+            });
+
+            if (h?.timedSweep) {
+                it('sweeps expired sessions on a timer', async () => {
+                    const swept = await open({ sweepIntervalMs: 20 });
+                    const expiring = makeSession({ expiresAt: new Date(Date.now() + 30) });
+                    const live = makeSession();
+                    await swept.insertSession(expiring);
+                    await swept.insertSession(live);
+
+                    await sleep(150);
+
+                    expect(await swept.deleteSessions({ token: expiring.token })).toBe(0);
+                    expect(await swept.findSessions({ token: live.token })).toHaveLength(1);
+                });
+            }
+        });
+
+        describe('servers and API keys', () => {
+            it('saves, heartbeats and deletes server registrations', async () => {
+                const registeredAt = new Date(Date.now() - 60 * 1000);
+                await store.upsertServer({ serverName: 'todo', backend: { type: 'tcp', host: '127.0.0.1', port: 3000 }, registeredAt, lastHeartbeat: registeredAt });
+                await store.upsertServer({ serverName: 'notes', backend: { type: 'unix', socketPath: '/tmp/notes.sock' }, registeredAt, lastHeartbeat: new Date() });
+
+                expect((await store.findServer('todo'))?.backend.port).toBe(3000);
+                expect(await store.findServer('missing')).toBeNull();
+                expect((await store.listServers()).map(server => server.serverName).sort()).toEqual(['notes', 'todo']);
+
+                expect(await store.deleteServers({ heartbeatBefore: new Date(Date.now() - 30 * 1000) })).toBe(1);
+                expect(await store.findServer('todo')).toBeNull();
+
+                expect(await store.updateServerHeartbeat('notes', new Date(Date.now() + 1000))).toBe(true);
+                expect(await store.deleteServers({ serverName: 'notes' })).toBe(1);
+            });
+
+            it('saves, lists and deletes API keys', async () => {
+                const older = makeApiKey({ createdAt: new Date(Date.now() - 5000) });
+                const newer = makeApiKey();
+                const other = makeApiKey({ serverName: 'notes' });
+                for (const key of [older, newer, other]) {
+                    await store.insertApiKey(key);
+                }
+
+                expect(await store.findApiKey(older.keyId)).toEqual(older);
+                expect((await store.listApiKeys('todo')).map(key => key.keyId)).toEqual([newer.keyId, older.keyId]);
+                expect(await store.listApiKeys()).toHaveLength(3);
+
+                const usedAt = new Date();
+                await store.updateApiKeyLastUsed(older.keyId, usedAt);
+                expect((await store.findApiKey(older.keyId))?.lastUsedAt?.getTime()).toBe(usedAt.getTime());
+
+                expect(await store.deleteApiKey(older.keyId)).toBe(true);
+                expect(await store.deleteApiKey(older.keyId)).toBe(false);
+                expect(await store.findApiKey(older.keyId)).toBeNull();
+            });
+        });
+
+        describe('counters', () => {
+            it('counts hits in a fixed window', async () => {
+                const windowMs = 60 * 1000;
+
+                const first = await store.incrementCounter('hits:a', windowMs);
+                const second = await store.incrementCounter('hits:a', windowMs);
+                const other = await store.incrementCounter('hits:b', windowMs);
+
+                expect([first.count, second.count, other.count]).toEqual([1, 2, 1]);
+                expect(second.resetAt.getTime()).toBe(first.resetAt.getTime());
+                expect(first.resetAt.getTime() % windowMs).toBe(0);
+                expect(first.resetAt.getTime()).toBeGreaterThan(Date.now());
+            });
+
+            it('starts again in the next window', async () => {
+                const windowMs = 200;
+
+                const first = await store.incrementCounter('hits:c', windowMs);
+                await store.incrementCounter('hits:c', windowMs);
+                await sleep(first.resetAt.getTime() - Date.now() + 10);
+
+                const next = await store.incrementCounter('hits:c', windowMs);
+                expect(next.count).toBe(1);
+                expect(next.resetAt.getTime()).toBeGreaterThan(first.resetAt.getTime());
+            });
+        });
+    });
+}
+
+describeTokenStore('Memory', {
+    async setup() { },
+    async open(options) {
+        return new MemoryTokenStore({ sweepIntervalMs: 0, ...options });
+    },
+    async teardown() { },
+    timedSweep: true
+});
+
+let fileDir = '';
+describeTokenStore('File', {
+    async setup() {
+        fileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-token-store-'));
+    },
+    async open(options) {
+        return new FileTokenStore(path.join(fileDir, 'tokens.jsonl'), { sweepIntervalMs: 0, ...options });
+    },
+    async teardown() {
+        fs.rmSync(fileDir, { recursive: true, force: true });
+    },
+    timedSweep: true
+});
+
+const mongoUrl = process.env.MCP_TEST_MONGO_URL;
+const mongoDbName = `mcp_webui_test_${process.pid}`;
+describeTokenStore('MongoDB', mongoUrl ? {
+    async setup() { },
+    async open() {
+        return await MongoTokenStore.connect(mongoUrl, mongoDbName);
+    },
+    async teardown() {
+        const store = await MongoTokenStore.connect(mongoUrl, mongoDbName);
+        await (store as any).db.dropDatabase();
+        await store.close();
+    },
+    timedSweep: false
+} : null);
+
+describe('File token store after a restart', () => {
+    let dir: string;
+    let filePath: string;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-token-store-'));
+        filePath = path.join(dir, 'tokens.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reloads sessions, servers and API keys with their dates', async () => {
+        const first = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const session = makeSession({ share: { id: 'share-3', parentToken: 'parent', maxUses: 3, uses: 1 } });
+        const key = makeApiKey({ lastUsedAt: new Date() });
+        await first.insertSession(session);
+        await first.upsertServer({ serverName: 'todo', backend: session.backend, registeredAt: new Date(), lastHeartbeat: new Date() });
+        await first.insertApiKey(key);
+        await first.close();
+
+        const restarted = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const [found] = await restarted.findSessions({ token: session.token });
+        expect(found).toEqual(session);
+        expect(found.createdAt).toBeInstanceOf(Date);
+        expect((await restarted.findServer('todo'))?.lastHeartbeat).toBeInstanceOf(Date);
+        expect(await restarted.findApiKey(key.keyId)).toEqual(key);
+        await restarted.close();
+    });
+
+    it('keeps deletes and updates across a restart', async () => {
+        const first = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const kept = makeSession();
+        const deleted = makeSession();
+        await first.insertSession(kept);
+        await first.insertSession(deleted);
+        await first.deleteSessions({ token: deleted.token });
+        const expiresAt = new Date(Date.now() + 300 * 1000);
+        await first.updateSession(kept.token, { expiresAt });
+        await first.close();
+
+        const restarted = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        expect(await restarted.findSessions({ token: deleted.token })).toEqual([]);
+        expect((await restarted.findSessions({ token: kept.token }))[0].expiresAt.getTime()).toBe(expiresAt.getTime());
+        await restarted.close();
+    });
+
+    it('sees writes from another instance on the same file', async () => {
+        const a = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const b = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const session = makeSession();
+
+        await a.insertSession(session);
+        expect(await b.findSessions({ token: session.token })).toHaveLength(1);
+
+        await b.deleteSessions({ token: session.token });
+        expect(await a.findSessions({ token: session.token })).toEqual([]);
+
+        await a.close();
+        await b.close();
+    });
+
+    it('shares rate limit counters with another instance on the same file', async () => {
+        const a = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const b = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const windowMs = 60 * 1000;
+
+        await a.incrementCounter('hits:a', windowMs);
+        await b.incrementCounter('hits:a', windowMs);
+        const third = await a.incrementCounter('hits:a', windowMs);
+
+        expect(third.count).toBe(3);
+        await a.close();
+        await b.close();
+    });
+
+    it('sweeps counters from past windows', async () => {
+        const store = new FileTokenStore(filePath, { sweepIntervalMs: 50 });
+        const ended = await store.incrementCounter('hits:short', 100);
+        await store.incrementCounter('hits:long', 60 * 60 * 1000);
+
+        await sleep(ended.resetAt.getTime() - Date.now() + 100);
+
+        expect(fs.readdirSync(`${filePath}.counters`)).toHaveLength(1);
+        expect((await store.incrementCounter('hits:long', 60 * 60 * 1000)).count).toBe(2);
+        await store.close();
+    });
+});
+
+describe('File token store log', () => {
+    let dir: string;
+    let filePath: string;
+    const logLines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-token-store-'));
+        filePath = path.join(dir, 'tokens.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('does not grow with every validated request', async () => {
+        const store = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const registry = new TokenRegistry(store, { jwtSecret: 'test-secret' });
+        const session = await registry.createSession({
+            userId: 'owner',
+            serverName: 'todo',
+            backend: { type: 'tcp', host: '127.0.0.1', port: 9 }
+        });
+        const before = logLines();
+
+        for (let i = 0; i < 200; i++) {
+            expect(await registry.validateToken(session.token)).not.toBeNull();
+        }
+
+        expect(logLines()).toBe(before);
+        await store.close();
+    });
+
+    it('compacts on the sweep once superseded entries dominate', async () => {
+        const store = new FileTokenStore(filePath, { sweepIntervalMs: 50 });
+        const session = makeSession({ expiresAt: new Date(Date.now() + 300 * 1000) });
+        await store.insertSession(session);
+        for (let i = 0; i < 150; i++) {
+            await store.updateSession(session.token, { lastActivityAt: new Date() });
+        }
+        expect(logLines()).toBe(151);
+
+        await sleep(150);
+
+        expect(logLines()).toBe(1);
+        expect(await store.findSessions({ token: session.token })).toHaveLength(1);
+        await store.close();
+    });
+
+    it("rereads a file another process compacted, even when it's larger than what was read", async () => {
+        const a = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const b = new FileTokenStore(filePath, { sweepIntervalMs: 0 });
+        const [gone, kept] = [makeSession(), makeSession()];
+        await a.insertSession(gone);
+        await a.insertSession(kept);
+        const readByA = fs.statSync(filePath).size;
+
+        await b.deleteSessions({ token: gone.token });
+        const added = Array.from({ length: 5 }, () => makeSession());
+        for (const session of added) {
+            await b.insertSession(session);
+        }
+        b.compact();
+        expect(fs.statSync(filePath).size).toBeGreaterThan(readByA);
+
+        const tokens = (await a.findSessions({})).map(session => session.token).sort();
+        expect(tokens).toEqual([kept, ...added].map(session => session.token).sort());
+        await a.close();
+        await b.close();
+    });
+});
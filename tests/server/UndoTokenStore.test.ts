@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { UndoTokenStore } from '../../src/server/UndoTokenStore.js';
+import type { WebUISession } from '../../src/types/index.js';
+import { createTestUI, request, sessionOrigin } from './helpers.js';
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+const restore = { action: 'restoreItem', data: { id: 1, text: 'milk' } };
+
+describe('UndoTokenStore', () => {
+    it('hands back the inverse action once per token', () => {
+        const store = new UndoTokenStore();
+
+        const token = store.issue(restore);
+
+        expect(token).toMatch(/^[0-9a-f]{32}$/);
+        expect(store.take(token)).toEqual(restore);
+        expect(store.take(token)).toBeUndefined();
+        expect(store.size).toBe(0);
+    });
+
+    it('issues a different token every time', () => {
+        const store = new UndoTokenStore();
+
+        expect(store.issue(restore)).not.toBe(store.issue(restore));
+        expect(store.size).toBe(2);
+    });
+
+    it('knows nothing of unknown tokens', () => {
+        expect(new UndoTokenStore().take('not-a-token')).toBeUndefined();
+    });
+
+    it('refuses tokens once they have expired', async () => {
+        const store = new UndoTokenStore(200, 30);
+        const token = store.issue(restore);
+
+        await sleep(50);
+
+        expect(store.take(token)).toBeUndefined();
+        expect(store.size).toBe(0);
+    });
+
+    it('drops the oldest tokens once over the limit', () => {
+        const store = new UndoTokenStore(2);
+        const oldest = store.issue({ action: 'first' });
+        const middle = store.issue({ action: 'second' });
+        const newest = store.issue({ action: 'third' });
+
+        expect(store.size).toBe(2);
+        expect(store.take(oldest)).toBeUndefined();
+        expect(store.take(middle)?.action).toBe('second');
+        expect(store.take(newest)?.action).toBe('third');
+    });
+
+    it('only takes results with an action name as an undo', () => {
+        expect(UndoTokenStore.isUndoAction(restore)).toBe(true);
+        expect(UndoTokenStore.isUndoAction({ action: 'restoreItem' })).toBe(true);
+        expect(UndoTokenStore.isUndoAction({ action: '' })).toBe(false);
+        expect(UndoTokenStore.isUndoAction({ data: {} })).toBe(false);
+        expect(UndoTokenStore.isUndoAction('restoreItem')).toBe(false);
+        expect(UndoTokenStore.isUndoAction(null)).toBe(false);
+    });
+});
+
+describe('POST /api/undo', () => {
+    const removeHandler = jest.fn(async (data: any) => ({ removed: data.id, undo: { action: 'restoreItem', data: { id: data.id, text: 'milk' } } }));
+    const restoreHandler = jest.fn(async (data: any) => ({ restored: data.id, undo: { action: 'remove_item', data: { id: data.id } } }));
+    const addHandler = jest.fn(async () => ({ added: true }));
+    let ui: MCPWebUI;
+    let session: WebUISession;
+
+    beforeEach(async () => {
+        [removeHandler, restoreHandler, addHandler].forEach(mock => mock.mockClear());
+        ui = createTestUI({
+            actions: [
+                { name: 'remove_item', handler: removeHandler },
+                { name: 'restoreItem', handler: restoreHandler },
+                { name: 'addItem', handler: addHandler },
+                { name: 'renameItem', handler: async () => ({ undo: { action: 'renameItem', data: {} } }), payload: { type: 'object', required: ['text'] } }
+            ]
+        });
+        session = await ui.createSession('owner');
+    });
+
+    afterEach(async () => {
+        await ui.shutdown();
+    });
+
+    const post = (target: WebUISession, route: string, body: unknown) => request(`${sessionOrigin(target)}${route}?token=${target.token}`, { body });
+    const update = (target: WebUISession, action: string, data: unknown = {}) => post(target, '/api/update', { action, data });
+    const undo = (target: WebUISession, token: unknown) => post(target, '/api/undo', { token });
+
+    it('gives an undo token instead of the inverse action', async () => {
+        const removed = await update(session, 'remove_item', { id: 1 });
+
+        expect(removed.body).toMatchObject({ success: true, data: { removed: 1 } });
+        expect(removed.body.data.undo).toBeUndefined();
+        expect(removed.body.undoToken).toMatch(/^[0-9a-f]{32}$/);
+
+        const added = await update(session, 'addItem');
+        expect(added.body.undoToken).toBeUndefined();
+    });
+
+    it('runs the inverse action, whose own undo token redoes the change', async () => {
+        const removed = await update(session, 'remove_item', { id: 1 });
+
+        const undone = await undo(session, removed.body.undoToken);
+
+        expect(undone.status).toBe(200);
+        expect(undone.body).toMatchObject({ success: true, data: { restored: 1 } });
+        expect(restoreHandler).toHaveBeenCalledWith({ id: 1, text: 'milk' }, 'owner');
+
+        const redone = await undo(session, undone.body.undoToken);
+        expect(redone.body).toMatchObject({ success: true, data: { removed: 1 } });
+        expect(removeHandler).toHaveBeenCalledTimes(2);
+    });
+
+    it('works once per token', async () => {
+        const { undoToken } = (await update(session, 'remove_item', { id: 1 })).body;
+        await undo(session, undoToken);
+
+        const again = await undo(session, undoToken);
+
+        expect(again.status).toBe(404);
+        expect(again.body.error).toBe('Nothing to undo - the change was already undone or has expired');
+        expect(restoreHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it('answers 400 without a token and 404 for one it never issued', async () => {
+        expect((await undo(session, undefined)).status).toBe(400);
+        expect((await undo(session, { token: 'x' })).body.error).toBe('Invalid undo token');
+        expect((await undo(session, 'not-a-token')).status).toBe(404);
+    });
+
+    it("keeps each session's tokens to itself", async () => {
+        const other = await ui.createSession('someone-else');
+        const { undoToken } = (await update(session, 'remove_item', { id: 1 })).body;
+
+        expect((await undo(other, undoToken)).status).toBe(404);
+        expect((await undo(session, undoToken)).status).toBe(200);
+    });
+
+    it('checks the inverse action like any other', async () => {
+        const writer = await ui.createSession('writer', { scopes: ['read', 'write'] });
+        const { undoToken } = (await update(writer, 'restoreItem', { id: 1 })).body;
+
+        const undone = await undo(writer, undoToken);
+
+        expect(undone.status).toBe(403);
+        expect(undone.body.error).toBe('Action remove_item is not permitted for this session');
+        expect(removeHandler).not.toHaveBeenCalled();
+
+        const renamed = await update(session, 'renameItem', { text: 'oat milk' });
+        const invalid = await undo(session, renamed.body.undoToken);
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.fieldErrors).toEqual({ text: 'Required' });
+    });
+});
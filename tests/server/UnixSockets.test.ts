@@ -0,0 +1,218 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import { GenericUIServer } from '../../src/server/GenericUIServer.js';
+import { SessionManager } from '../../src/session/SessionManager.js';
+import type { WebUISession } from '../../src/types/index.js';
+import { ADMIN_KEY, createTestUI, request, sendSocketAction, startGateway, type TestGateway } from './helpers.js';
+
+const JWT_SECRET = 'test-secret';
+
+/**
+ * GET a path from a server listening on a Unix socket
+ */
+function getOverSocket(socketPath: string, requestPath: string): Promise<{ status: number; body: any }> {
+    return new Promise((resolve, reject) => {
+        http.get({ socketPath, path: requestPath }, res => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode || 0, body: JSON.parse(text) }));
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Leave a socket file behind the way a crashed process does - closing a server removes it
+ */
+function leaveStaleSocket(socketPath: string): void {
+    spawnSync(process.execPath, ['-e', `require('net').createServer().listen(${JSON.stringify(socketPath)}, () => process.kill(process.pid, 'SIGKILL'))`]);
+    expect(fs.statSync(socketPath).isSocket()).toBe(true);
+}
+
+describe('UI server on a Unix socket', () => {
+    let dir: string;
+    let sessions: SessionManager;
+    let server: GenericUIServer | undefined;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-sock-'));
+        sessions = new SessionManager();
+    });
+
+    afterEach(async () => {
+        await server?.stop();
+        server = undefined;
+        await sessions.shutdown();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createServer(socketPath: string): GenericUIServer {
+        const now = new Date();
+        const session: WebUISession = {
+            id: 'session-1',
+            token: 'token-1',
+            userId: 'owner',
+            url: 'http://localhost/mcp/token-1/',
+            port: 0,
+            socketPath,
+            startTime: now,
+            lastActivity: now,
+            expiresAt: new Date(now.getTime() + 60 * 1000),
+            isActive: true
+        };
+        return new GenericUIServer(session, { title: 'Test', components: [] }, undefined, undefined, sessions);
+    }
+
+    it('listens on the socket instead of a port, and removes it on stop', async () => {
+        const socketPath = path.join(dir, 'ui.sock');
+        server = createServer(socketPath);
+
+        await server.start();
+        const { status, body } = await getOverSocket(socketPath, '/api/health');
+
+        expect(status).toBe(200);
+        expect(body.data.status).toBe('active');
+
+        await server.stop();
+        server = undefined;
+        expect(fs.existsSync(socketPath)).toBe(false);
+    });
+
+    it('replaces a socket a crashed process left behind', async () => {
+        const socketPath = path.join(dir, 'ui.sock');
+        leaveStaleSocket(socketPath);
+        server = createServer(socketPath);
+
+        await server.start();
+
+        expect((await getOverSocket(socketPath, '/api/health')).status).toBe(200);
+    });
+
+    it("doesn't remove a file that isn't a socket", async () => {
+        const socketPath = path.join(dir, 'ui.sock');
+        fs.writeFileSync(socketPath, 'not a socket');
+        const failed = createServer(socketPath);
+
+        await expect(failed.start()).rejects.toThrow(`Socket ${socketPath} already in use`);
+        expect(fs.readFileSync(socketPath, 'utf8')).toBe('not a socket');
+    });
+});
+
+describe('socketDir configuration', () => {
+    const env = { ...process.env };
+    let dir: string;
+    let ui: MCPWebUI | undefined;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-sock-'));
+        process.env.MCP_WEB_UI_GATEWAY_URL = 'http://127.0.0.1:9';
+    });
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+        process.env = { ...env };
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('needs proxy or gateway mode', () => {
+        expect(() => createTestUI({ socketDir: dir })).toThrow('socketDir requires proxy or gateway mode');
+    });
+
+    it("can't be combined with sharedPort", () => {
+        expect(() => createTestUI({ proxyMode: true, jwtSecret: JWT_SECRET, socketDir: dir, sharedPort: 3999 }))
+            .toThrow('socketDir and sharedPort cannot be used together');
+    });
+
+    it('must leave room for socket file names', () => {
+        const long = path.join(dir, 'x'.repeat(100));
+
+        expect(() => createTestUI({ proxyMode: true, jwtSecret: JWT_SECRET, socketDir: long }))
+            .toThrow(`socketDir ${long} is too long for Unix socket paths`);
+        expect(fs.existsSync(long)).toBe(false);
+    });
+
+    it('is created when missing', () => {
+        const nested = path.join(dir, 'sockets');
+
+        ui = createTestUI({ proxyMode: true, tokenStore: { type: 'memory', sweepIntervalMs: 0 }, jwtSecret: JWT_SECRET, socketDir: nested });
+
+        expect(fs.statSync(nested).isDirectory()).toBe(true);
+    });
+
+    it('can come from MCP_WEB_UI_SOCKET_DIR', () => {
+        process.env.MCP_WEB_UI_SOCKET_DIR = dir;
+
+        expect(() => createTestUI()).toThrow('socketDir requires proxy or gateway mode');
+    });
+});
+
+describe('Gateway routing to a Unix socket backend', () => {
+    const env = { ...process.env };
+    let dir: string;
+    let store: MemoryTokenStore;
+    let gw: TestGateway;
+    let ui: MCPWebUI | undefined;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-sock-'));
+        store = new MemoryTokenStore({ sweepIntervalMs: 0 });
+        gw = await startGateway({ tokenStore: store, jwtSecret: JWT_SECRET });
+        process.env.MCP_WEB_UI_GATEWAY_URL = gw.url;
+        process.env.MCP_WEB_UI_GATEWAY_API_KEY = ADMIN_KEY;
+    });
+
+    afterEach(async () => {
+        await ui?.shutdown();
+        ui = undefined;
+        await gw.stop();
+        process.env = { ...env };
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('proxies pages, API calls and WebSockets to the session socket', async () => {
+        ui = createTestUI({
+            proxyMode: true,
+            tokenStore: store,
+            jwtSecret: JWT_SECRET,
+            serverName: 'todo',
+            socketDir: dir,
+            dataSource: async () => [{ text: 'over the socket' }],
+            onUpdate: async () => ({ ok: true })
+        });
+
+        const session = await ui.createSession('owner');
+
+        expect(session.port).toBe(0);
+        expect(path.dirname(session.socketPath!)).toBe(dir);
+        expect(fs.statSync(session.socketPath!).isSocket()).toBe(true);
+        const [stored] = await store.findSessions({ token: session.token });
+        expect(stored.backend).toEqual({ type: 'unix', socketPath: session.socketPath });
+
+        const data = await request(`${gw.url}/mcp/${session.token}/api/data`);
+        expect(data.status).toBe(200);
+        expect(data.body.data).toEqual([{ text: 'over the socket' }]);
+
+        const page = await request(`${gw.url}/mcp/${session.token}/`, { headers: { Accept: 'text/html' } });
+        expect(page.status).toBe(200);
+        expect(page.headers.get('content-type')).toContain('text/html');
+
+        const result = await sendSocketAction(`${gw.url.replace('http', 'ws')}/mcp/${session.token}/api/ws`, 'addItem', { text: 'x' });
+        expect(result.success).toBe(true);
+    });
+
+    it('frees the socket when the session ends', async () => {
+        ui = createTestUI({ proxyMode: true, tokenStore: store, jwtSecret: JWT_SECRET, serverName: 'todo', socketDir: dir });
+        const session = await ui.createSession('owner');
+
+        await ui.revokeAllSessions('owner');
+
+        expect(fs.existsSync(session.socketPath!)).toBe(false);
+        expect((await request(`${gw.url}/mcp/${session.token}/api/data`)).status).toBe(401);
+    });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { WebSocket } from 'ws';
+import type { MCPWebUI } from '../../src/MCPWebUI.js';
+import type { WebUISession } from '../../src/types/index.js';
+import { createTestUI } from './helpers.js';
+
+interface Client {
+    ws: WebSocket;
+    send(message: unknown): void;
+    next(): Promise<any>; // The next message, parsed
+    closed: Promise<number>; // Close code
+}
+
+/**
+ * Connect and wait for the 'connected' message
+ */
+function connect(url: string, headers: Record<string, string> = {}): Promise<Client> {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url, { headers });
+        const received: any[] = [];
+        const waiting: Array<(message: any) => void> = [];
+        const closed = new Promise<number>(resolveClose => ws.on('close', code => resolveClose(code)));
+
+        const client: Client = {
+            ws,
+            send: message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+            next: () => received.length > 0 ? Promise.resolve(received.shift()) : new Promise(resolveNext => waiting.push(resolveNext)),
+            closed
+        };
+
+        ws.on('message', raw => {
+            const message = JSON.parse(raw.toString());
+            const waiter = waiting.shift();
+            if (waiter) {
+                waiter(message);
+            } else {
+                received.push(message);
+            }
+        });
+        ws.on('error', reject);
+        client.next().then(message => {
+            expect(message.type).toBe('connected');
+            resolve(client);
+        });
+    });
+}
+
+/**
+ * Status of a refused upgrade - 101 if it went through
+ */
+function upgradeStatus(url: string, headers: Record<string, string> = {}): Promise<number> {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url, { headers });
+        ws.on('unexpected-response', (_req, res) => {
+            resolve(res.statusCode || 0);
+            ws.terminate();
+        });
+        ws.on('open', () => {
+            resolve(101);
+            ws.close();
+        });
+        ws.on('error', error => {
+            if (!String(error.message).includes('Unexpected server response')) {
+                reject(error);
+            }
+        });
+    });
+}
+
+describe('WebSocket on the UI server', () => {
+    const onUpdate = jest.fn(async (action: string, data: any) => ({ action, data }));
+    let ui: MCPWebUI;
+    let session: WebUISession;
+    let base: string;
+    const clients: Client[] = [];
+
+    beforeEach(async () => {
+        onUpdate.mockClear();
+        ui = createTestUI({ onUpdate });
+        session = await ui.createSession('owner');
+        base = `ws://127.0.0.1:${session.port}/api/ws`;
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) {
+            client.ws.terminate();
+        }
+        await ui.shutdown();
+    });
+
+    async function open(url = `${base}?token=${session.token}`, headers: Record<string, string> = {}): Promise<Client> {
+        const client = await connect(url, headers);
+        clients.push(client);
+        return client;
+    }
+
+    describe('authentication', () => {
+        it('accepts the session token in the query string or Authorization header', async () => {
+            expect(await upgradeStatus(`${base}?token=${session.token}`)).toBe(101);
+            expect(await upgradeStatus(base, { Authorization: `Bearer ${session.token}` })).toBe(101);
+        });
+
+        it('refuses upgrades without a token, with a wrong one, or on another path', async () => {
+            expect(await upgradeStatus(base)).toBe(401);
+            expect(await upgradeStatus(`${base}?token=not-the-token`)).toBe(403);
+            expect(await upgradeStatus(`ws://127.0.0.1:${session.port}/api/other?token=${session.token}`)).toBe(404);
+        });
+
+        it('refuses a session without the read scope', async () => {
+            const writeOnly = await ui.createSession('writer', { scopes: ['write'] });
+
+            expect(await upgradeStatus(`ws://127.0.0.1:${writeOnly.port}/api/ws?token=${writeOnly.token}`)).toBe(403);
+        });
+
+        it('refuses an ended session', async () => {
+            session.expiresAt = new Date(Date.now() - 1000);
+
+            expect(await upgradeStatus(`${base}?token=${session.token}`)).toBe(401);
+        });
+
+        it('answers 500 when the upgrade fails instead of leaving the socket open', async () => {
+            const uiServer = (ui as any).activeServers.get(session.id);
+            jest.spyOn(uiServer, 'actionCaller').mockImplementation(() => { throw new Error('boom'); });
+
+            expect(await upgradeStatus(`${base}?token=${session.token}`)).toBe(500);
+        });
+    });
+
+    describe('share links', () => {
+        it('connect with the share scopes', async () => {
+            const share = await ui.createShareLink('owner');
+            const viewer = await open(`${base}?token=${share.token}`);
+
+            viewer.send({ type: 'action', id: 'v1', action: 'addItem', data: { text: 'x' } });
+            const result = await viewer.next();
+
+            expect(result).toMatchObject({ type: 'result', id: 'v1', success: false, error: 'Action addItem is not permitted for this session' });
+            expect(onUpdate).not.toHaveBeenCalled();
+        });
+
+        it('that can edit run actions', async () => {
+            const share = await ui.createShareLink('owner', { scopes: ['read', 'write'] });
+            const editor = await open(`${base}?token=${share.token}`);
+
+            editor.send({ type: 'action', id: 'e1', action: 'addItem', data: { text: 'x' } });
+
+            expect(await editor.next()).toMatchObject({ type: 'result', id: 'e1', success: true });
+        });
+    });
+
+    describe('messages', () => {
+        it('routes actions to the update handler and answers with the result', async () => {
+            const client = await open();
+
+            client.send({ type: 'action', id: 'a1', action: 'addItem', data: { text: 'milk' } });
+            const result = await client.next();
+
+            expect(result).toMatchObject({ type: 'result', id: 'a1', success: true });
+            expect(onUpdate).toHaveBeenCalledWith('addItem', { text: 'milk' }, 'owner');
+        });
+
+        it('tells the other clients about a change, not the one that made it', async () => {
+            const sender = await open();
+            const other = await open();
+
+            sender.send({ type: 'action', id: 'a1', action: 'addItem', data: { text: 'milk' } });
+
+            expect(await sender.next()).toMatchObject({ type: 'result', id: 'a1' });
+            expect(await other.next()).toMatchObject({ type: 'change', payload: { action: 'addItem' } });
+
+            sender.send({ type: 'ping' });
+            expect((await sender.next()).type).toBe('pong');
+        });
+
+        it('replays an action sent again with the same idempotency key', async () => {
+            const client = await open();
+            const action = { type: 'action', action: 'addItem', data: { text: 'milk' }, idempotencyKey: 'outbox-item-1' };
+
+            client.send({ ...action, id: 'a1' });
+            const first = await client.next();
+            client.send({ ...action, id: 'a2' });
+            const second = await client.next();
+
+            expect(first).toMatchObject({ id: 'a1', success: true });
+            expect(first.replayed).toBeUndefined();
+            expect(second).toMatchObject({ id: 'a2', success: true, replayed: true });
+            expect(onUpdate).toHaveBeenCalledTimes(1);
+        });
+
+        it('answers pings, and errors for bad messages', async () => {
+            const client = await open();
+
+            client.send({ type: 'ping' });
+            expect((await client.next()).type).toBe('pong');
+
+            client.send('{not json');
+            expect(await client.next()).toMatchObject({ type: 'error', error: 'Invalid JSON' });
+
+            client.send({ type: 'subscribe', id: 's1' });
+            expect(await client.next()).toMatchObject({ type: 'error', id: 's1', error: 'Unknown message type' });
+
+            client.send({ type: 'action', id: 'a1' });
+            expect(await client.next()).toMatchObject({ type: 'result', id: 'a1', success: false, error: 'Invalid action parameter' });
+
+            client.send({ type: 'action', id: 'a2', action: 'addItem', idempotencyKey: 'short' });
+            expect(await client.next()).toMatchObject({ type: 'result', id: 'a2', success: false, error: 'Invalid idempotency key' });
+            expect(onUpdate).not.toHaveBeenCalled();
+        });
+
+        it('closes the socket once the session has ended', async () => {
+            const client = await open();
+            session.expiresAt = new Date(Date.now() - 1000);
+
+            client.send({ type: 'action', id: 'a1', action: 'addItem', data: { text: 'milk' } });
+
+            expect(await client.next()).toMatchObject({ type: 'result', id: 'a1', success: false, error: 'Session has ended' });
+            expect(await client.closed).toBe(4401);
+            expect(onUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
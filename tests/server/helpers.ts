@@ -0,0 +1,142 @@
+import net, { type AddressInfo } from 'net';
+import { WebSocket } from 'ws';
+import { MCPWebUI } from '../../src/MCPWebUI.js';
+import { GatewayProxyServer, type GatewayProxyConfig } from '../../src/proxy/GatewayProxyServer.js';
+import { MemoryTokenStore } from '../../src/proxy/MemoryTokenStore.js';
+import type { TokenStore } from '../../src/proxy/TokenStore.js';
+import type { MCPWebUIConfig, WebUISession } from '../../src/types/index.js';
+
+export const ADMIN_KEY = 'test-admin-key';
+
+export interface TestGateway {
+    gateway: GatewayProxyServer;
+    store: TokenStore;
+    url: string;
+    stop(): Promise<void>;
+}
+
+/**
+ * Starts a gateway on a free port with an in-memory store and the admin key above
+ */
+export async function startGateway(config: Partial<GatewayProxyConfig> = {}): Promise<TestGateway> {
+    const store = (config.tokenStore as TokenStore | undefined) || new MemoryTokenStore({ sweepIntervalMs: 0 });
+    const gateway = new GatewayProxyServer({
+        port: 0,
+        host: '127.0.0.1',
+        adminApiKey: ADMIN_KEY,
+        rateLimit: false,
+        enableLogging: false,
+        ...config,
+        tokenStore: store
+    });
+
+    await gateway.start();
+    const { port } = (gateway as any).server.address() as AddressInfo;
+
+    return {
+        gateway,
+        store,
+        url: `http://127.0.0.1:${port}`,
+        async stop() {
+            await gateway.stop();
+            await store.close();
+        }
+    };
+}
+
+/**
+ * JSON request helper - returns the status and parsed body
+ */
+export async function request(url: string, options: { method?: string; apiKey?: string; body?: unknown; headers?: Record<string, string> } = {}): Promise<{ status: number; body: any; headers: Headers }> {
+    const headers: Record<string, string> = { ...options.headers };
+    if (options.apiKey) {
+        headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+    if (options.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(url, {
+        method: options.method || (options.body !== undefined ? 'POST' : 'GET'),
+        headers,
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+
+    const text = await response.text();
+    let body: any = text;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        // Not JSON - keep the text
+    }
+
+    return { status: response.status, body, headers: response.headers };
+}
+
+/**
+ * A web UI with one list component, no audit trail or metrics, and no logging
+ */
+export function createTestUI(config: Partial<MCPWebUIConfig> = {}): MCPWebUI {
+    return new MCPWebUI({
+        schema: {
+            title: 'Test',
+            components: [{ type: 'list', id: 'items', config: { fields: [{ key: 'text', label: 'Text', type: 'text' }] } }]
+        },
+        dataSource: async () => [],
+        onUpdate: async () => ({ ok: true }),
+        bindAddress: '127.0.0.1',
+        enableLogging: false,
+        audit: false,
+        metrics: false,
+        ...config
+    });
+}
+
+/**
+ * Where a direct-mode session's UI server listens
+ */
+export function sessionOrigin(session: WebUISession): string {
+    return `http://127.0.0.1:${session.port}`;
+}
+
+/**
+ * A port nothing is listening on right now
+ */
+export function freePort(): Promise<number> {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address() as AddressInfo;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Opens a WebSocket, sends one action and resolves with its result message
+ */
+export function sendSocketAction(url: string, action: string, data: unknown = {}): Promise<any> {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        const timer = setTimeout(() => {
+            ws.terminate();
+            reject(new Error('No result from the WebSocket'));
+        }, 5000);
+
+        ws.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        ws.on('message', raw => {
+            const message = JSON.parse(raw.toString());
+            if (message.type === 'connected') {
+                ws.send(JSON.stringify({ type: 'action', id: 'a1', action, data }));
+            } else if (message.type === 'result') {
+                clearTimeout(timer);
+                ws.close();
+                resolve(message);
+            }
+        });
+    });
+}
@@ -0,0 +1,5 @@
+/**
+ * Server test setup
+ * Keeps the servers' structured logs out of the test output unless MCP_LOG_LEVEL asks for them
+ */
+process.env.MCP_LOG_LEVEL ??= 'error';